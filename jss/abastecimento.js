@@ -0,0 +1,59 @@
+class Abastecimento {
+    /**
+     * Cria um registro de abastecimento (evento do veículo).
+     * @param {string} id - ID único (ver `Abastecimento.gerarId`).
+     * @param {string|Date|null} data - Quando abasteceu. Padrão: agora.
+     * @param {number|string} litros - Litros colocados no tanque.
+     * @param {number|string} [precoLitro=0] - Preço pago por litro (R$).
+     * @param {number|string} [odometro=0] - Leitura do odômetro no momento (km).
+     */
+    constructor(id, data, litros, precoLitro = 0, odometro = 0) {
+        this.id = id;
+        this.data = data instanceof Date ? data : (data ? new Date(data) : new Date());
+        if (isNaN(this.data.getTime())) this.data = new Date();
+        this.litros = parseFloat(litros) || 0;
+        this.precoLitro = parseFloat(precoLitro) || 0;
+        this.odometro = parseFloat(odometro) || 0;
+    }
+
+    /**
+     * Gera um ID novo para um abastecimento.
+     * @returns {string}
+     */
+    static gerarId() {
+        return `a${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Valor total pago (litros × preço por litro).
+     * @returns {number}
+     */
+    obterValorTotal() {
+        return this.litros * this.precoLitro;
+    }
+
+    /**
+     * Valida os dados do abastecimento.
+     * @returns {boolean} `true` se os litros são positivos e o preço não é negativo.
+     */
+    validar() {
+        return this.litros > 0 && this.precoLitro >= 0;
+    }
+
+    /**
+     * Formata o abastecimento para exibição.
+     * @returns {string} Ex: "15/03/2024 - 40.00 L × R$ 5.89 = R$ 235.60 (12345 km)".
+     */
+    formatar() {
+        const preco = this.precoLitro > 0 ? ` × R$ ${this.precoLitro.toFixed(2)} = R$ ${this.obterValorTotal().toFixed(2)}` : '';
+        return `${this.data.toLocaleDateString('pt-BR')} - ${this.litros.toFixed(2)} L${preco} (${Math.round(this.odometro)} km)`;
+    }
+
+    /**
+     * Converte o abastecimento em objeto serializável.
+     * @returns {{id: string, data: string, litros: number, precoLitro: number, odometro: number}}
+     */
+    toJSON() {
+        return { id: this.id, data: this.data.toISOString(), litros: this.litros, precoLitro: this.precoLitro, odometro: this.odometro };
+    }
+}
@@ -0,0 +1,289 @@
+
+// ==================================================
+//      CAMADA DE ARMAZENAMENTO (IndexedDB)
+// ==================================================
+
+/**
+ * Nome do banco IndexedDB da aplicação.
+ * @const {string}
+ */
+const DB_NOME = 'garagemInteligenteDB';
+
+/**
+ * Versão da ESTRUTURA do banco (object stores e índices).
+ * Incrementar sempre que `onupgradeneeded` precisar criar/alterar stores.
+ * @const {number}
+ */
+const DB_VERSAO = 4;
+
+/** @const {string} Store com um registro por veículo (chave: `id`). */
+const STORE_VEICULOS = 'veiculos';
+/** @const {string} Store com um registro por manutenção (chave: `[veiculoId, ordem]`). */
+const STORE_MANUTENCOES = 'manutencoes';
+/** @const {string} Store LEGADA com a imagem única de cada veículo (chave: `veiculoId`). Só lida para virar foto de capa. */
+const STORE_IMAGENS = 'imagens';
+/** @const {string} Store com as fotos da galeria como Blob, e suas miniaturas (chave: `[veiculoId, fotoId]`). */
+const STORE_FOTOS = 'fotos';
+/** @const {string} Store de metadados (chave: `chave`), ex: `{ chave: 'schemaVersao', valor: 7 }`. */
+const STORE_META = 'meta';
+/** @const {string} Store com o cadastro de motoristas, um registro por motorista (chave: `id`). */
+const STORE_MOTORISTAS = 'motoristas';
+
+/**
+ * Conexão aberta com o banco (reutilizada entre chamadas).
+ * @type {Promise<IDBDatabase>|null}
+ */
+let conexaoBancoPromise = null;
+
+/**
+ * `true` quando os dados do banco não puderam ser migrados (ver `carregarGaragem`): os registros e as fotos
+ * ficam como estão e toda gravação é recusada até a página ser recarregada.
+ * @type {boolean}
+ */
+let bancoPreservado = false;
+
+/**
+ * Converte um `IDBRequest` em Promise.
+ * @param {IDBRequest} req - A requisição IndexedDB.
+ * @returns {Promise<any>} Resolve com `req.result` ou rejeita com `req.error`.
+ */
+function promessaRequisicao(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/**
+ * Aguarda a conclusão de uma transação.
+ * Só resolve quando os dados foram efetivamente gravados (`complete`); rejeita em `error` ou `abort`
+ * (ex: `QuotaExceededError`).
+ * @param {IDBTransaction} tx - A transação.
+ * @returns {Promise<void>}
+ */
+function promessaTransacao(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new DOMException('Transação abortada.', 'AbortError'));
+    });
+}
+
+/**
+ * Abre (ou cria) o banco da garagem. Cria as object stores na primeira execução.
+ * @returns {Promise<IDBDatabase>}
+ */
+function abrirBancoGaragem() {
+    if (conexaoBancoPromise) return conexaoBancoPromise;
+    if (!('indexedDB' in window)) {
+        return Promise.reject(new Error("IndexedDB não é suportado neste navegador."));
+    }
+    conexaoBancoPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NOME, DB_VERSAO);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            console.log(`Criando/atualizando estrutura do banco ${DB_NOME} para a versão ${DB_VERSAO}...`);
+            if (!db.objectStoreNames.contains(STORE_VEICULOS)) {
+                db.createObjectStore(STORE_VEICULOS, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(STORE_MANUTENCOES)) {
+                // Chave composta: permite apagar todo o histórico de um veículo com um único IDBKeyRange.
+                db.createObjectStore(STORE_MANUTENCOES, { keyPath: ['veiculoId', 'ordem'] });
+            }
+            if (!db.objectStoreNames.contains(STORE_IMAGENS)) {
+                db.createObjectStore(STORE_IMAGENS, { keyPath: 'veiculoId' });
+            }
+            if (!db.objectStoreNames.contains(STORE_META)) {
+                db.createObjectStore(STORE_META, { keyPath: 'chave' });
+            }
+            if (!db.objectStoreNames.contains(STORE_FOTOS)) {
+                db.createObjectStore(STORE_FOTOS, { keyPath: ['veiculoId', 'fotoId'] });
+            }
+            if (!db.objectStoreNames.contains(STORE_MOTORISTAS)) {
+                db.createObjectStore(STORE_MOTORISTAS, { keyPath: 'id' });
+            }
+        };
+        req.onsuccess = () => {
+            const db = req.result;
+            // Outra aba atualizou a estrutura: fecha para não bloquear o upgrade dela.
+            db.onversionchange = () => { db.close(); conexaoBancoPromise = null; };
+            resolve(db);
+        };
+        req.onerror = () => { conexaoBancoPromise = null; reject(req.error); };
+        req.onblocked = () => console.warn("Abertura do banco bloqueada por outra aba com versão antiga aberta.");
+    });
+    return conexaoBancoPromise;
+}
+
+/**
+ * Intervalo de chaves que cobre todas as manutenções de um veículo na store `manutencoes`.
+ * @param {string} veiculoId - ID do veículo.
+ * @returns {IDBKeyRange}
+ */
+function intervaloManutencoesVeiculo(veiculoId) {
+    return IDBKeyRange.bound([veiculoId, -Infinity], [veiculoId, Infinity]);
+}
+
+/**
+ * Intervalo de chaves que cobre todas as fotos de um veículo na store `fotos`.
+ * @param {string} veiculoId - ID do veículo.
+ * @returns {IDBKeyRange}
+ */
+function intervaloFotosVeiculo(veiculoId) {
+    return IDBKeyRange.bound([veiculoId, ''], [veiculoId, '\uffff']);
+}
+
+/**
+ * Lê todos os registros do banco e remonta um objeto por veículo, no mesmo formato de `CarroBase.toJSON()`
+ * (com `historicoManutencao` reagrupado a partir da store de manutenções).
+ * `schemaVersao` é `null` quando o banco foi gravado antes do versionamento (ver `SCHEMA_VERSAO_LEGADO`).
+ * `fotos` traz os Blobs da galeria por veículo; `imagens`/`miniaturas` são as imagens únicas legadas (antes da galeria).
+ * `motoristas` é o cadastro de motoristas no formato de `Motorista.toJSON()`, indexado por ID.
+ * @returns {Promise<{schemaVersao: number|null, veiculos: Object.<string, object>, motoristas: Object.<string, object>, fotos: Object.<string, Object.<string, {blob: Blob, miniatura: Blob|null}>>, imagens: Object.<string, Blob>, miniaturas: Object.<string, Blob>}>}
+ */
+async function lerGaragemDB() {
+    const db = await abrirBancoGaragem();
+    const tx = db.transaction([STORE_VEICULOS, STORE_MANUTENCOES, STORE_IMAGENS, STORE_FOTOS, STORE_META, STORE_MOTORISTAS], 'readonly');
+    const [regVeiculos, regManutencoes, regImagens, regFotos, regVersao, regMotoristas] = await Promise.all([
+        promessaRequisicao(tx.objectStore(STORE_VEICULOS).getAll()),
+        promessaRequisicao(tx.objectStore(STORE_MANUTENCOES).getAll()), // Já vêm ordenadas por [veiculoId, ordem].
+        promessaRequisicao(tx.objectStore(STORE_IMAGENS).getAll()),
+        promessaRequisicao(tx.objectStore(STORE_FOTOS).getAll()),
+        promessaRequisicao(tx.objectStore(STORE_META).get('schemaVersao')),
+        promessaRequisicao(tx.objectStore(STORE_MOTORISTAS).getAll())
+    ]);
+
+    const veiculos = {};
+    regVeiculos.forEach(r => { veiculos[r.id] = { ...r, historicoManutencao: [] }; });
+    regManutencoes.forEach(({ veiculoId, ordem, ...m }) => {
+        if (veiculos[veiculoId]) veiculos[veiculoId].historicoManutencao.push(m);
+        else console.warn(`Manutenção órfã encontrada para o veículo ${veiculoId}. Ignorando.`);
+    });
+    const imagens = {}, miniaturas = {};
+    regImagens.forEach(r => {
+        if (r.blob instanceof Blob) imagens[r.veiculoId] = r.blob;
+        if (r.miniatura instanceof Blob) miniaturas[r.veiculoId] = r.miniatura; // Ausente em imagens antigas.
+    });
+    const fotos = {};
+    regFotos.forEach(r => {
+        if (!(r.blob instanceof Blob)) return;
+        fotos[r.veiculoId] = fotos[r.veiculoId] || {};
+        fotos[r.veiculoId][r.fotoId] = { blob: r.blob, miniatura: r.miniatura instanceof Blob ? r.miniatura : null };
+    });
+    const motoristas = {};
+    regMotoristas.forEach(r => { motoristas[r.id] = r; });
+    return { schemaVersao: regVersao?.valor ?? null, veiculos, motoristas, fotos, imagens, miniaturas };
+}
+
+/**
+ * Grava os veículos informados em UMA transação: um registro por veículo, o histórico na store de
+ * manutenções e as fotos da galeria na store de fotos. O Blob de uma foto nunca muda (legenda e data ficam
+ * no registro do veículo), então só fotos novas são gravadas e as que saíram da galeria são apagadas.
+ * A imagem única legada (store `imagens`) é apagada: a essa altura já virou foto de capa.
+ * IDs em `idsRemovidos` têm todos os seus registros apagados.
+ * Registra `SCHEMA_VERSAO_ATUAL` na store de metadados: tudo que é gravado sai no formato atual
+ * (dados antigos são migrados por `carregarGaragem` antes de qualquer escrita).
+ * Se qualquer escrita falhar, a transação inteira é desfeita pelo navegador.
+ * @param {CarroBase[]} veiculos - Veículos a gravar (estado atual em memória).
+ * @param {string[]} [idsRemovidos=[]] - IDs de veículos a remover do banco.
+ * @returns {Promise<void>} Rejeita com o erro da transação (ex: `QuotaExceededError`), ou sem gravar nada
+ *   se o banco está preservado (`bancoPreservado`).
+ */
+async function gravarVeiculosDB(veiculos, idsRemovidos = []) {
+    if (bancoPreservado) throw new Error("Banco preservado: os dados não puderam ser migrados e não serão alterados.");
+    const db = await abrirBancoGaragem();
+    const tx = db.transaction([STORE_VEICULOS, STORE_MANUTENCOES, STORE_IMAGENS, STORE_FOTOS, STORE_META], 'readwrite');
+    const sVeiculos = tx.objectStore(STORE_VEICULOS);
+    const sManutencoes = tx.objectStore(STORE_MANUTENCOES);
+    const sImagens = tx.objectStore(STORE_IMAGENS);
+    const sFotos = tx.objectStore(STORE_FOTOS);
+
+    veiculos.forEach(v => {
+        const { historicoManutencao, ...registro } = v.toJSON();
+        sVeiculos.put(registro);
+        // Regrava o histórico inteiro do veículo (o delete é enfileirado antes dos puts, então roda antes).
+        sManutencoes.delete(intervaloManutencoesVeiculo(v.id));
+        historicoManutencao.forEach((m, ordem) => sManutencoes.put({ ...m, veiculoId: v.id, ordem }));
+        sImagens.delete(v.id);
+        // Compara com as fotos já gravadas (dentro da mesma transação) para não regravar Blobs grandes.
+        const blobs = v.obterBlobsGaleria();
+        const reqGravadas = sFotos.getAllKeys(intervaloFotosVeiculo(v.id));
+        reqGravadas.onsuccess = () => {
+            const gravadas = new Set(reqGravadas.result.map(([, fotoId]) => fotoId));
+            for (const fotoId in blobs) {
+                if (!gravadas.delete(fotoId)) sFotos.put({ veiculoId: v.id, fotoId, ...blobs[fotoId] });
+            }
+            gravadas.forEach(fotoId => sFotos.delete([v.id, fotoId])); // Sobraram as que saíram da galeria.
+        };
+    });
+    idsRemovidos.forEach(id => {
+        sVeiculos.delete(id);
+        sManutencoes.delete(intervaloManutencoesVeiculo(id));
+        sImagens.delete(id);
+        sFotos.delete(intervaloFotosVeiculo(id));
+    });
+    tx.objectStore(STORE_META).put({ chave: 'schemaVersao', valor: SCHEMA_VERSAO_ATUAL });
+
+    await promessaTransacao(tx);
+}
+
+/**
+ * Grava os motoristas informados e apaga os de `idsRemovidos`, numa transação.
+ * O vínculo com os veículos fica no próprio veículo (`motoristaId`), gravado por `gravarVeiculosDB`.
+ * @param {Motorista[]} lista - Motoristas a gravar (estado atual em memória).
+ * @param {string[]} [idsRemovidos=[]] - IDs de motoristas a remover do banco.
+ * @returns {Promise<void>} Rejeita com o erro da transação, ou sem gravar nada se o banco está preservado.
+ */
+async function gravarMotoristasDB(lista, idsRemovidos = []) {
+    if (bancoPreservado) throw new Error("Banco preservado: os dados não puderam ser migrados e não serão alterados.");
+    const db = await abrirBancoGaragem();
+    const tx = db.transaction(STORE_MOTORISTAS, 'readwrite');
+    const sMotoristas = tx.objectStore(STORE_MOTORISTAS);
+    lista.forEach(m => sMotoristas.put(m.toJSON()));
+    idsRemovidos.forEach(id => sMotoristas.delete(id));
+    await promessaTransacao(tx);
+}
+
+/**
+ * Lista os IDs de todos os motoristas gravados no banco.
+ * @returns {Promise<string[]>}
+ */
+async function listarIdsMotoristasDB() {
+    const db = await abrirBancoGaragem();
+    const tx = db.transaction(STORE_MOTORISTAS, 'readonly');
+    return promessaRequisicao(tx.objectStore(STORE_MOTORISTAS).getAllKeys());
+}
+
+/**
+ * Lista os IDs de todos os veículos gravados no banco.
+ * @returns {Promise<string[]>}
+ */
+async function listarIdsVeiculosDB() {
+    const db = await abrirBancoGaragem();
+    const tx = db.transaction(STORE_VEICULOS, 'readonly');
+    return promessaRequisicao(tx.objectStore(STORE_VEICULOS).getAllKeys());
+}
+
+/**
+ * Converte uma string Data URL (Base64) em Blob. Usado para migrar imagens antigas do LocalStorage.
+ * @param {string} dataUrl - A Data URL (`data:image/...;base64,...`).
+ * @returns {Promise<Blob>}
+ */
+async function dataURLParaBlob(dataUrl) {
+    const resp = await fetch(dataUrl); // `fetch` entende o esquema data: nativamente.
+    return resp.blob();
+}
+
+/**
+ * Converte um Blob em Data URL (Base64).
+ * @param {Blob} blob - O Blob a converter.
+ * @returns {Promise<string>}
+ */
+function blobParaDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
@@ -0,0 +1,289 @@
+
+// ==================================================
+//      BACKUP: EXPORTAÇÃO E IMPORTAÇÃO (JSON)
+// ==================================================
+
+/**
+ * Identificador gravado nos arquivos de backup, usado para rejeitar JSONs que não vieram desta aplicação.
+ * @const {string}
+ */
+const BACKUP_FORMATO = 'garagem-inteligente-backup';
+
+/**
+ * Importação lida do arquivo e aguardando confirmação do usuário (pré-visualização aberta).
+ * @type {{nomeArquivo: string, veiculos: CarroBase[], motoristas: Motorista[], rejeitados: string[]}|null}
+ */
+let importacaoPendente = null;
+
+/**
+ * Monta o objeto de backup da garagem inteira (ou só de alguns veículos, ex: a seleção da visão geral).
+ * Usa `CarroBase.toJSON()` e embute as fotos da galeria (Blob) como Data URL em `fotosDataURL`
+ * (`{ fotoId: { imagem, miniatura } }`), para que o arquivo seja autossuficiente. Leva também o cadastro de motoristas:
+ * inteiro no backup da garagem; numa seleção, só os motoristas citados pelos veículos exportados (o atual e os das viagens).
+ * @param {string[]} [ids] - IDs dos veículos exportados. Omitido = a garagem inteira.
+ * @returns {Promise<{formato: string, schemaVersao: number, exportadoEm: string, veiculos: Object.<string, object>, motoristas: Object.<string, object>}>}
+ */
+async function montarBackupGaragem(ids) {
+    const veiculos = {};
+    for (const id of ids || Object.keys(garagem)) {
+        const v = garagem[id];
+        if (!v) continue;
+        veiculos[id] = v.toJSON();
+        if (v.galeria.length === 0) continue;
+        veiculos[id].fotosDataURL = {};
+        for (const f of v.galeria) {
+            veiculos[id].fotosDataURL[f.id] = {
+                imagem: await blobParaDataURL(f.blob),
+                miniatura: f.miniatura ? await blobParaDataURL(f.miniatura) : null
+            };
+        }
+    }
+    const citados = new Set(Object.values(veiculos).flatMap(d => [d.motoristaId, ...(d.viagens || []).map(t => t.motoristaId)]));
+    const motoristasJSON = {};
+    Object.values(motoristas).forEach(m => { if (!ids || citados.has(m.id)) motoristasJSON[m.id] = m.toJSON(); });
+    return { formato: BACKUP_FORMATO, schemaVersao: SCHEMA_VERSAO_ATUAL, exportadoEm: new Date().toISOString(), veiculos, motoristas: motoristasJSON };
+}
+
+/**
+ * Dispara o download de um conteúdo como arquivo.
+ * @param {string} conteudo - Conteúdo textual do arquivo.
+ * @param {string} nomeArquivo - Nome sugerido para o download.
+ * @param {string} tipoMime - Tipo MIME (ex: 'application/json').
+ * @returns {void}
+ */
+function baixarArquivo(conteudo, nomeArquivo, tipoMime) {
+    const url = URL.createObjectURL(new Blob([conteudo], { type: tipoMime }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = nomeArquivo;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000); // Dá tempo ao navegador de iniciar o download.
+}
+
+/**
+ * Handler do botão "Exportar Backup": gera o JSON versionado e baixa como arquivo.
+ * @returns {Promise<void>}
+ */
+async function handleExportarBackup() {
+    try {
+        const backup = await montarBackupGaragem();
+        const data = backup.exportadoEm.split('T')[0];
+        baixarArquivo(JSON.stringify(backup, null, 2), `garagem-backup-${data}.json`, 'application/json');
+        console.log(`Backup exportado com ${Object.keys(backup.veiculos).length} veículo(s).`);
+    } catch (e) {
+        console.error("Erro ao exportar backup:", e);
+        alert("Erro ao gerar o arquivo de backup.");
+    }
+}
+
+/**
+ * Converte um campo Data URL do backup em Blob (null se ausente ou não for uma Data URL).
+ * @param {any} dataUrl - Valor lido do arquivo.
+ * @returns {Promise<Blob|null>}
+ */
+async function blobDoBackup(dataUrl) {
+    return typeof dataUrl === 'string' && dataUrl.startsWith('data:') ? dataURLParaBlob(dataUrl) : null;
+}
+
+/**
+ * Lê e valida um arquivo de backup, migrando-o para o schema atual e recriando as instâncias.
+ * Backups de antes da galeria trazem uma imagem única (`imagemDataURL`), que vira a foto de capa; os de antes dos
+ * motoristas ganham motoristas provisórios na migração (um por veículo com CNH).
+ * Nada é gravado aqui: o resultado alimenta a pré-visualização.
+ * @param {File} arquivo - Arquivo JSON selecionado pelo usuário.
+ * @returns {Promise<{veiculos: CarroBase[], motoristas: Motorista[], rejeitados: string[]}>}
+ * @throws {Error} Se o arquivo não for JSON, não for um backup desta aplicação ou não puder ser migrado.
+ */
+async function lerArquivoBackup(arquivo) {
+    let dados;
+    try {
+        dados = JSON.parse(await arquivo.text());
+    } catch (e) {
+        throw new Error("O arquivo não é um JSON válido.");
+    }
+    if (dados?.formato !== BACKUP_FORMATO) {
+        throw new Error("O arquivo não é um backup da Garagem Inteligente.");
+    }
+    const payload = migrarPayloadGaragem({ schemaVersao: dados.schemaVersao, veiculos: dados.veiculos, motoristas: dados.motoristas });
+
+    const veiculos = [], motoristasLidos = [], rejeitados = [];
+    for (const id in (payload.motoristas || {})) {
+        try {
+            motoristasLidos.push(recriarMotorista(payload.motoristas[id]));
+        } catch (e) {
+            rejeitados.push(`Motorista ${id}: ${e.message}`);
+        }
+    }
+    for (const id in payload.veiculos) {
+        const { fotosDataURL, imagemDataURL, miniaturaDataURL, ...d } = payload.veiculos[id];
+        try {
+            const fotos = {};
+            for (const fotoId in (fotosDataURL || {})) {
+                const blob = await blobDoBackup(fotosDataURL[fotoId]?.imagem);
+                if (blob) fotos[fotoId] = { blob, miniatura: await blobDoBackup(fotosDataURL[fotoId].miniatura) };
+            }
+            const v = recriarVeiculo(d, fotos);
+            const imagemLegada = await blobDoBackup(imagemDataURL);
+            if (imagemLegada) {
+                v.adicionarFoto(new FotoVeiculo(FotoVeiculo.gerarId(), imagemLegada, await blobDoBackup(miniaturaDataURL), 'Foto principal'), true);
+            }
+            veiculos.push(v);
+        } catch (e) {
+            rejeitados.push(`${id}: ${e.message}`);
+        }
+    }
+    return { veiculos, motoristas: motoristasLidos, rejeitados };
+}
+
+/**
+ * Calcula o que a importação fará com a garagem atual, sem alterar nada.
+ * - Modo `substituir`: a garagem passa a ser exatamente o conteúdo do backup.
+ * - Modo `mesclar`: veículos novos são adicionados; conflitos (mesmo `id`) seguem `resolucaoConflito`:
+ *   `manter` (fica o atual), `sobrescrever` (fica o do backup) ou `copiar` (o do backup entra com novo ID).
+ * @param {CarroBase[]} importados - Veículos lidos do backup.
+ * @param {'mesclar'|'substituir'} modo - Modo de importação.
+ * @param {'manter'|'sobrescrever'|'copiar'} resolucaoConflito - Política para IDs repetidos (só no modo mesclar).
+ * @returns {{adicionar: CarroBase[], sobrescrever: CarroBase[], copiar: CarroBase[], manter: CarroBase[], remover: CarroBase[]}}
+ */
+function planejarImportacao(importados, modo, resolucaoConflito) {
+    const plano = { adicionar: [], sobrescrever: [], copiar: [], manter: [], remover: [] };
+    const idsImportados = new Set(importados.map(v => v.id));
+
+    importados.forEach(v => {
+        if (!garagem[v.id]) plano.adicionar.push(v);
+        else if (modo === 'substituir' || resolucaoConflito === 'sobrescrever') plano.sobrescrever.push(v);
+        else if (resolucaoConflito === 'copiar') plano.copiar.push(v);
+        else plano.manter.push(garagem[v.id]);
+    });
+    if (modo === 'substituir') {
+        plano.remover = Object.values(garagem).filter(v => !idsImportados.has(v.id));
+    }
+    return plano;
+}
+
+/**
+ * Renderiza a pré-visualização da importação pendente (`#backup-preview`) conforme modo/conflito escolhidos.
+ * @returns {void}
+ */
+function atualizarPreviewImportacao() {
+    const area = document.getElementById('backup-preview');
+    if (!area || !importacaoPendente) return;
+    const modo = document.querySelector('input[name="backup-modo"]:checked')?.value || 'mesclar';
+    const conflito = document.getElementById('backup-conflito')?.value || 'manter';
+    document.getElementById('backup-conflito-container')?.classList.toggle('oculto', modo !== 'mesclar');
+
+    const plano = planejarImportacao(importacaoPendente.veiculos, modo, conflito);
+    const item = v => `<li><strong>${escaparHTML(v.modelo)}</strong> (${escaparHTML(v.placa || 'S/P')}) <small>ID ${escaparHTML(v.id)}</small></li>`;
+    const bloco = (titulo, lista, classe) => lista.length === 0 ? '' :
+        `<h5 class="${classe}">${titulo} (${lista.length})</h5><ul>${lista.map(item).join('')}</ul>`;
+
+    // Motoristas: entram os que ainda não existem aqui (mesmo ID = mesmo motorista, fica o cadastro atual).
+    const motoristasNovos = importacaoPendente.motoristas.filter(m => !motoristas[m.id]);
+
+    area.innerHTML = `<p>Arquivo <strong>${escaparHTML(importacaoPendente.nomeArquivo)}</strong>: ${importacaoPendente.veiculos.length} veículo(s) válido(s).</p>` +
+        bloco('Serão adicionados', plano.adicionar, 'preview-adicionar') +
+        bloco('Serão sobrescritos pelo backup', plano.sobrescrever, 'preview-sobrescrever') +
+        bloco('Entrarão como cópia (novo ID)', plano.copiar, 'preview-adicionar') +
+        bloco('Conflito: mantidos como estão', plano.manter, 'preview-manter') +
+        bloco('Serão REMOVIDOS da garagem', plano.remover, 'preview-remover') +
+        (motoristasNovos.length === 0 ? '' :
+            `<h5 class="preview-adicionar">Motoristas a cadastrar (${motoristasNovos.length})</h5>` +
+            `<ul>${motoristasNovos.map(m => `<li><strong>${escaparHTML(m.nome)}</strong> (CNH ${escaparHTML(m.categoriaCNH)})</li>`).join('')}</ul>`) +
+        (importacaoPendente.rejeitados.length === 0 ? '' :
+            `<h5 class="preview-remover">Ignorados por dados inválidos (${importacaoPendente.rejeitados.length})</h5>` +
+            `<ul>${importacaoPendente.rejeitados.map(r => `<li>${escaparHTML(r)}</li>`).join('')}</ul>`);
+}
+
+/**
+ * Fecha a pré-visualização e descarta a importação pendente.
+ * @returns {void}
+ */
+function cancelarImportacao() {
+    importacaoPendente = null;
+    const painel = document.getElementById('backup-importacao');
+    if (painel) painel.classList.add('oculto');
+    const input = document.getElementById('backup-arquivo-input');
+    if (input) input.value = '';
+}
+
+/**
+ * Handler do input de arquivo de backup: lê, valida e abre a pré-visualização.
+ * @param {Event} event - Evento `change` do input.
+ * @returns {Promise<void>}
+ */
+async function handleSelecionarArquivoBackup(event) {
+    const arquivo = event.target.files[0];
+    if (!arquivo) return;
+    try {
+        const { veiculos, motoristas: motoristasLidos, rejeitados } = await lerArquivoBackup(arquivo);
+        importacaoPendente = { nomeArquivo: arquivo.name, veiculos, motoristas: motoristasLidos, rejeitados };
+        document.getElementById('backup-importacao')?.classList.remove('oculto');
+        atualizarPreviewImportacao();
+    } catch (e) {
+        console.error("Erro ao ler backup:", e);
+        alert(`Não foi possível importar o backup.\n\n${e.message}`);
+        cancelarImportacao();
+    }
+}
+
+/**
+ * Handler do botão "Confirmar Importação": aplica o plano na `garagem` numa transação (`executarTransacaoGaragem`)
+ * e atualiza a UI. Se a gravação falhar, a garagem em memória volta ao estado anterior.
+ * Os motoristas do backup que ainda não existem são cadastrados antes (os veículos apontam para eles);
+ * eles não entram no "Desfazer" da importação.
+ * @returns {Promise<void>}
+ */
+async function handleConfirmarImportacao() {
+    if (!importacaoPendente) return;
+    const modo = document.querySelector('input[name="backup-modo"]:checked')?.value || 'mesclar';
+    const conflito = document.getElementById('backup-conflito')?.value || 'manter';
+    const plano = planejarImportacao(importacaoPendente.veiculos, modo, conflito);
+
+    if (plano.remover.length > 0 &&
+        !confirm(`O modo "substituir" vai REMOVER ${plano.remover.length} veículo(s) que não estão no backup.\n\nContinuar?`)) {
+        return;
+    }
+
+    // Cópias ganham um novo ID (o veículo do backup não é alterado, a pré-visualização continua válida).
+    const copias = plano.copiar.map((v, i) => recriarVeiculo({ ...v.toJSON(), id: `v${Date.now()}_${i}` }, v.obterBlobsGaleria()));
+    const idsAfetados = [...plano.remover, ...plano.adicionar, ...plano.sobrescrever, ...copias].map(v => v.id);
+
+    const motoristasNovos = importacaoPendente.motoristas.filter(m => !motoristas[m.id]);
+    if (motoristasNovos.length > 0) {
+        motoristasNovos.forEach(m => { motoristas[m.id] = m; });
+        if (!(await salvarMotoristas(motoristasNovos.map(m => m.id)))) {
+            motoristasNovos.forEach(m => delete motoristas[m.id]);
+            return;
+        }
+    }
+
+    const importou = await executarTransacaoGaragem(idsAfetados, () => {
+        plano.remover.forEach(v => delete garagem[v.id]);
+        [...plano.adicionar, ...plano.sobrescrever, ...copias].forEach(v => { garagem[v.id] = v; });
+    }, { descricao: 'Importação de backup' });
+
+    if (importou) {
+        cancelarImportacao();
+        atualizarInterfaceCompleta();
+        verificarPlanosManutencao(idsAfetados.filter(id => garagem[id]))
+            .catch(e => console.error("Erro ao verificar os planos de manutenção após a importação:", e));
+        alert(`Importação concluída: ${plano.adicionar.length + plano.copiar.length} adicionado(s), ` +
+              `${plano.sobrescrever.length} sobrescrito(s), ${plano.remover.length} removido(s)` +
+              (motoristasNovos.length > 0 ? `, ${motoristasNovos.length} motorista(s) cadastrado(s).` : '.'));
+    }
+}
+
+/**
+ * Configura os listeners do card de backup (exportar, importar, pré-visualização).
+ * @returns {void}
+ */
+function setupListenersBackup() {
+    document.getElementById('btn-exportar-backup')?.addEventListener('click', handleExportarBackup);
+    document.getElementById('backup-arquivo-input')?.addEventListener('change', handleSelecionarArquivoBackup);
+    document.querySelectorAll('input[name="backup-modo"]').forEach(r => r.addEventListener('change', atualizarPreviewImportacao));
+    document.getElementById('backup-conflito')?.addEventListener('change', atualizarPreviewImportacao);
+    document.getElementById('btn-confirmar-importacao')?.addEventListener('click', handleConfirmarImportacao);
+    document.getElementById('btn-cancelar-importacao')?.addEventListener('click', cancelarImportacao);
+}
@@ -0,0 +1,223 @@
+
+// ==================================================
+//      CALENDÁRIO DE AGENDAMENTOS (mês / semana)
+// ==================================================
+
+/**
+ * Cabeçalho das colunas do calendário (semana começando no domingo).
+ * @const {string[]}
+ */
+const DIAS_SEMANA_CALENDARIO = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+
+/**
+ * Estado do calendário: modo de exibição e uma data dentro do período exibido.
+ * @type {{modo: 'mes'|'semana', referencia: Date}}
+ */
+const estadoCalendario = { modo: 'mes', referencia: new Date() };
+
+/**
+ * Agendamento sendo arrastado (o `dataTransfer` não pode ser lido durante o `dragover`).
+ * @type {{veiculoId: string, manutencaoId: string}|null}
+ */
+let arrasteCalendario = null;
+
+/**
+ * Chave "aaaa-mm-dd" de uma data (fuso local), usada em `data-dia` das células.
+ * @param {Date} data - A data.
+ * @returns {string}
+ */
+function chaveDiaCalendario(data) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${data.getFullYear()}-${pad(data.getMonth() + 1)}-${pad(data.getDate())}`;
+}
+
+/**
+ * Dias exibidos no período atual: semanas completas cobrindo o mês da referência, ou a semana da referência.
+ * @returns {Date[]} Datas à meia-noite, de domingo a sábado.
+ */
+function diasPeriodoCalendario() {
+    const ref = estadoCalendario.referencia;
+    let inicio, total;
+    if (estadoCalendario.modo === 'semana') {
+        inicio = new Date(ref.getFullYear(), ref.getMonth(), ref.getDate() - ref.getDay());
+        total = 7;
+    } else {
+        const primeiro = new Date(ref.getFullYear(), ref.getMonth(), 1);
+        const diasNoMes = new Date(ref.getFullYear(), ref.getMonth() + 1, 0).getDate();
+        inicio = new Date(primeiro.getFullYear(), primeiro.getMonth(), 1 - primeiro.getDay());
+        total = Math.ceil((primeiro.getDay() + diasNoMes) / 7) * 7;
+    }
+    return Array.from({ length: total }, (_, i) => new Date(inicio.getFullYear(), inicio.getMonth(), inicio.getDate() + i));
+}
+
+/**
+ * Desenha o calendário (`#calendario-grade`) com os agendamentos pendentes de TODOS os veículos,
+ * cada um na cor do veículo (`corDoVeiculo`). Chamado por `atualizarExibicaoAgendamentosFuturos`,
+ * então acompanha toda mudança nos agendamentos.
+ * @returns {void}
+ */
+function renderizarCalendarioManutencao() {
+    const grade = document.getElementById('calendario-grade'); if (!grade) return;
+    const dias = diasPeriodoCalendario();
+    const ref = estadoCalendario.referencia, hoje = chaveDiaCalendario(new Date());
+
+    // Agendamentos por dia.
+    const porDia = {};
+    const veiculosNoCalendario = new Set();
+    Object.values(garagem).forEach(v => {
+        (v.historicoManutencao || []).filter(m => m.estaPendente()).forEach(m => {
+            (porDia[chaveDiaCalendario(m.data)] ||= []).push({ v, m });
+        });
+    });
+
+    const titulo = document.getElementById('calendario-titulo');
+    if (titulo) {
+        titulo.textContent = estadoCalendario.modo === 'semana' ?
+            `${dias[0].toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit' })} – ${dias[6].toLocaleDateString('pt-BR')}` :
+            ref.toLocaleDateString('pt-BR', { month: 'long', year: 'numeric' });
+    }
+
+    grade.className = `calendario-${estadoCalendario.modo}`;
+    grade.innerHTML = DIAS_SEMANA_CALENDARIO.map(d => `<div class="calendario-cabecalho">${d}</div>`).join('') +
+        dias.map(dia => {
+            const chave = chaveDiaCalendario(dia);
+            const itens = (porDia[chave] || []).sort((a, b) => a.m.data - b.m.data);
+            const classes = ['calendario-dia'];
+            if (chave === hoje) classes.push('hoje');
+            if (estadoCalendario.modo === 'mes' && dia.getMonth() !== ref.getMonth()) classes.push('fora-do-mes');
+            return `<div class="${classes.join(' ')}" data-dia="${chave}">` +
+                `<button type="button" class="calendario-dia-numero" title="Agendar serviço em ${dia.toLocaleDateString('pt-BR')}">${dia.getDate()}</button>` +
+                itens.map(({ v, m }) => {
+                    veiculosNoCalendario.add(v);
+                    const hora = m.data.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+                    return `<button type="button" class="calendario-item${m.estaAtrasada() ? ' agendamento-atrasado' : ''}" draggable="true" ` +
+                        `data-veiculo-id="${escaparHTML(v.id)}" data-manutencao-id="${escaparHTML(m.id)}" style="--cor-veiculo: ${corDoVeiculo(v.id)}" ` +
+                        `title="${escaparHTML(`${v.modelo}: ${m.formatarComHora()}\nArraste para outro dia para reagendar; clique para editar.`)}">` +
+                        `${hora} ${escaparHTML(v.modelo)}: ${escaparHTML(m.tipo)}</button>`;
+                }).join('') +
+                '</div>';
+        }).join('');
+
+    const legenda = document.getElementById('calendario-legenda');
+    if (legenda) {
+        legenda.innerHTML = [...veiculosNoCalendario].map(v =>
+            `<span class="calendario-legenda-item" style="--cor-veiculo: ${corDoVeiculo(v.id)}">${escaparHTML(v.modelo)}</span>`).join('');
+    }
+}
+
+/**
+ * Avança ou volta um período (mês ou semana, conforme o modo). Sem deslocamento, volta para hoje.
+ * @param {-1|0|1} deslocamento - Direção.
+ * @returns {void}
+ */
+function navegarCalendario(deslocamento) {
+    const ref = estadoCalendario.referencia;
+    if (deslocamento === 0) estadoCalendario.referencia = new Date();
+    else if (estadoCalendario.modo === 'semana') estadoCalendario.referencia = new Date(ref.getFullYear(), ref.getMonth(), ref.getDate() + 7 * deslocamento);
+    else estadoCalendario.referencia = new Date(ref.getFullYear(), ref.getMonth() + deslocamento, 1);
+    renderizarCalendarioManutencao();
+}
+
+/**
+ * Reagenda um agendamento para outro dia, mantendo o horário (soltar no calendário).
+ * Numa transação, com "Desfazer" no toast. Reagendar à mão um agendamento automático o desvincula do plano
+ * (ver `CarroBase.atualizarManutencao`), para os planos não o moverem de volta.
+ * @param {string} veiculoId - ID do veículo.
+ * @param {string} manutencaoId - ID da manutenção.
+ * @param {string} chaveDia - Dia de destino ("aaaa-mm-dd").
+ * @returns {Promise<void>}
+ */
+async function reagendarManutencao(veiculoId, manutencaoId, chaveDia) {
+    const v = garagem[veiculoId];
+    const m = v?.obterManutencao(manutencaoId);
+    if (!m || !m.estaPendente()) return;
+    const [ano, mes, dia] = chaveDia.split('-').map(Number);
+    const novaData = new Date(ano, mes - 1, dia, m.data.getHours(), m.data.getMinutes());
+    if (chaveDiaCalendario(novaData) === chaveDiaCalendario(m.data)) return; // Solto no mesmo dia.
+    const hoje = new Date();
+    hoje.setHours(0, 0, 0, 0);
+    if (novaData < hoje) { alert('Não é possível reagendar para um dia que já passou.'); return; }
+
+    if (await executarTransacaoGaragem([veiculoId], () => garagem[veiculoId].atualizarManutencao(manutencaoId, { data: novaData }),
+        { descricao: `"${m.tipo}" de ${v.modelo} reagendada para ${novaData.toLocaleDateString('pt-BR')}`, destrutiva: true })) {
+        // O formulário aberto em edição deste registro ficaria com a data antiga.
+        const form = document.querySelector('#veiculo-display-area .form-agendamento');
+        if (form?.dataset.manutencaoId === manutencaoId) sairEdicaoManutencao(form);
+        await verificarPlanosManutencao([veiculoId]);
+    }
+}
+
+/**
+ * Abre o formulário de agendamento do veículo exibido com a data do dia clicado já preenchida.
+ * Na visão geral, volta antes ao cartão desse veículo (o formulário fica nele).
+ * @param {string} chaveDia - Dia clicado ("aaaa-mm-dd").
+ * @returns {void}
+ */
+function abrirAgendamentoNoDia(chaveDia) {
+    const displayArea = document.getElementById('veiculo-display-area');
+    const veiculoId = displayArea?.dataset.veiculoId;
+    if (!veiculoId || !garagem[veiculoId]) {
+        alert(Object.keys(garagem).length === 0 ? 'Adicione um veículo antes de agendar serviços.' : 'Selecione um veículo no menu para agendar o serviço.');
+        return;
+    }
+    if (modoVisaoGaragem === 'tabela') navegar(rotaVeiculo(veiculoId));
+    const form = displayArea.querySelector('.form-agendamento'); if (!form) return;
+    if (form.dataset.manutencaoId) sairEdicaoManutencao(form); // Agendamento novo, não edição.
+    const dI = form.querySelector('.agendamento-data');
+    if (dI) dI.value = chaveDia;
+    form.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+    form.querySelector('.agendamento-tipo')?.focus();
+}
+
+/**
+ * Configura o calendário: navegação, modo (mês/semana), cliques (item = editar, dia = agendar)
+ * e o arrastar-e-soltar dos agendamentos entre os dias (delegados em `#calendario-grade`).
+ * @returns {void}
+ */
+function setupListenersCalendario() {
+    document.getElementById('calendario-anterior')?.addEventListener('click', () => navegarCalendario(-1));
+    document.getElementById('calendario-hoje')?.addEventListener('click', () => navegarCalendario(0));
+    document.getElementById('calendario-proximo')?.addEventListener('click', () => navegarCalendario(1));
+    document.getElementById('calendario-modo')?.addEventListener('change', (e) => {
+        estadoCalendario.modo = e.target.value === 'semana' ? 'semana' : 'mes';
+        renderizarCalendarioManutencao();
+    });
+
+    const grade = document.getElementById('calendario-grade'); if (!grade) return;
+    const limparAlvo = () => grade.querySelectorAll('.calendario-alvo').forEach(c => c.classList.remove('calendario-alvo'));
+
+    grade.addEventListener('click', (e) => {
+        const item = e.target.closest('.calendario-item');
+        if (item) { iniciarEdicaoManutencao(item.dataset.veiculoId, item.dataset.manutencaoId); return; }
+        const dia = e.target.closest('.calendario-dia');
+        if (dia) abrirAgendamentoNoDia(dia.dataset.dia);
+    });
+    grade.addEventListener('dragstart', (e) => {
+        const item = e.target.closest('.calendario-item'); if (!item) return;
+        arrasteCalendario = { veiculoId: item.dataset.veiculoId, manutencaoId: item.dataset.manutencaoId };
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', item.dataset.manutencaoId); // Firefox só arrasta com algum dado.
+        item.classList.add('arrastando');
+    });
+    grade.addEventListener('dragover', (e) => {
+        const dia = e.target.closest('.calendario-dia');
+        if (!arrasteCalendario || !dia) return;
+        e.preventDefault(); // Permite soltar aqui.
+        e.dataTransfer.dropEffect = 'move';
+        if (!dia.classList.contains('calendario-alvo')) { limparAlvo(); dia.classList.add('calendario-alvo'); }
+    });
+    grade.addEventListener('drop', (e) => {
+        const dia = e.target.closest('.calendario-dia');
+        if (!arrasteCalendario || !dia) return;
+        e.preventDefault();
+        const { veiculoId, manutencaoId } = arrasteCalendario;
+        arrasteCalendario = null;
+        limparAlvo();
+        reagendarManutencao(veiculoId, manutencaoId, dia.dataset.dia);
+    });
+    grade.addEventListener('dragend', () => {
+        arrasteCalendario = null;
+        limparAlvo();
+        grade.querySelectorAll('.arrastando').forEach(i => i.classList.remove('arrastando'));
+    });
+}
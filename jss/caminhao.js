@@ -1,64 +1,195 @@
 class Caminhao extends CarroBase {
     /**
      * Cria uma instância de Caminhao.
-     * Usa 'default_truck.png' como imagem padrão.
+     * Sem imagem, usa a `imagemPadrao` do tipo registrado ('default_truck.png').
      * @param {string} id - ID único.
      * @param {string} modelo - Modelo.
      * @param {string} cor - Cor.
      * @param {string} [img] - Imagem (path ou Base64).
      * @param {string} [placa] - Placa.
      * @param {number|string} [ano] - Ano.
-     * @param {string|Date|null} [cnh] - Vencimento CNH.
+     * @param {string|null} [motoristaId] - ID do motorista responsável.
      * @param {number|string} [capCarga=0] - Capacidade máxima de carga em kg.
      */
-    constructor(id, modelo, cor, img, placa, ano, cnh, capCarga = 0) {
-        super(id, modelo, cor, img || 'default_truck.png', placa, ano, cnh);
+    constructor(id, modelo, cor, img, placa, ano, motoristaId, capCarga = 0) {
+        super(id, modelo, cor, img, placa, ano, motoristaId);
         /** @type {number} Capacidade máxima de carga em kg. */
         this.capacidadeCarga = parseInt(capCarga) || 0;
-        /** @type {number} Carga atual em kg. */
-        this.cargaAtual = 0;
+        /** @type {ItemCarga[]} Manifesto: itens a bordo, na ordem em que foram carregados. */
+        this.manifesto = [];
+        /** @type {ItemCarga[]} Entregas já feitas (itens ou partes descarregadas), da mais recente para a mais antiga. */
+        this.historicoEntregas = [];
     }
 
     /**
-     * Adiciona peso à carga atual do caminhão, se não exceder a capacidade máxima.
+     * Carga atual em kg: a soma dos pesos do manifesto.
+     * @type {number}
+     */
+    get cargaAtual() {
+        return this.manifesto.reduce((soma, item) => soma + item.peso, 0);
+    }
+
+    /**
+     * Quanto a carga passaria da capacidade máxima com um peso a mais.
+     * @param {number} [pesoAdicional=0] - Peso (kg) que se pretende carregar.
+     * @returns {number} Excesso em kg (0 = cabe).
+     */
+    obterExcessoCarga(pesoAdicional = 0) {
+        return Math.max(0, this.cargaAtual + pesoAdicional - this.capacidadeCarga);
+    }
+
+    /**
+     * Coloca um item no manifesto, se ele for válido e não exceder a capacidade máxima.
      * Atualiza a UI.
-     * @param {number|string} peso - O peso (em kg) a ser adicionado.
-     * @returns {void}
+     * @param {ItemCarga} item - O item a carregar.
+     * @returns {boolean} `true` se o item foi carregado.
      */
-    carregar(peso) {
-        const numPeso = parseInt(peso);
-        if (isNaN(numPeso) || numPeso <= 0) {
-            this.notificarUsuario("Peso inválido para carregar. Use um número positivo.");
-            return;
+    carregar(item) {
+        if (!(item instanceof ItemCarga) || !item.validar()) {
+            this.notificarUsuario("Item inválido para carregar. Informe a descrição e um peso positivo (e o volume, se houver, positivo).");
+            return false;
         }
-        if (this.cargaAtual + numPeso <= this.capacidadeCarga) {
-            this.cargaAtual += numPeso;
-            this.atualizarInformacoesUI("Carregou"); // Atualiza UI com nova carga.
-        } else {
-            this.notificarUsuario(`Não pode carregar ${numPeso}kg. Capacidade (${this.capacidadeCarga}kg) excedida!`);
+        const excesso = this.obterExcessoCarga(item.peso);
+        if (excesso > 0) {
+            this.notificarUsuario(`Não pode carregar ${item.peso}kg. Capacidade (${this.capacidadeCarga}kg) excedida em ${excesso}kg!`);
+            return false;
         }
+        this.manifesto.push(item);
+        this.atualizarInformacoesUI("Carregou"); // Atualiza UI com nova carga.
+        return true;
     }
 
     /**
-     * Sobrescreve o método acelerar.
-     * A aceleração é reduzida com base na carga atual (quanto mais pesado, mais lento acelera).
-     * Limite de velocidade menor (140 km/h).
-     * @returns {void}
+     * Descarrega um item do manifesto, inteiro ou só parte do peso (descarga parcial), e registra a entrega no histórico.
+     * Atualiza a UI.
+     * @param {string} itemId - ID do item no manifesto.
+     * @param {number|string|null} [peso=null] - Peso (kg) a descarregar. `null` (ou o peso todo, com menos de 1 g de
+     *   diferença) descarrega o item inteiro.
+     * @param {Date} [data=new Date()] - Quando foi descarregado.
+     * @returns {ItemCarga|null} A entrega registrada, ou `null` se o item não existe ou o peso é inválido.
      */
-    acelerar() {
-        if (this.ligado) {
-            const VELOCIDADE_MAXIMA_CAMINHAO = 140;
-            // Fator de Carga: 1.0 (vazio) a ~0.33 (cheio). Afeta a aceleração.
-            // `|| 1` previne divisão por zero se capacidade for 0.
-            // `* 1.5` no denominador evita que o fator chegue a zero ou negativo.
-            const fatorCarga = 1 - (this.cargaAtual / (this.capacidadeCarga * 1.5 || 1));
-            // Aceleração base (ex: 8) é multiplicada pelo fator. Mínimo de 1 para sempre acelerar algo.
-            const incremento = Math.max(1, Math.round(8 * fatorCarga));
-            this.velocidade = Math.min(this.velocidade + incremento, VELOCIDADE_MAXIMA_CAMINHAO);
-            this.tocarSom('som-acelerar');
-            this.atualizarInformacoesUI("Acelerou");
+    descarregar(itemId, peso = null, data = new Date()) {
+        const indice = this.manifesto.findIndex(i => i.id === itemId);
+        if (indice === -1) return null;
+        const item = this.manifesto[indice];
+        const numPeso = peso === null ? item.peso : parseFloat(peso);
+        if (!(numPeso > 0) || numPeso > item.peso) {
+            this.notificarUsuario(`Peso inválido para descarregar. Use um número entre 0 e ${item.peso}kg.`);
+            return null;
+        }
+        let entrega;
+        if (item.peso - numPeso < 0.001) { // Item inteiro (um resto abaixo de 1 g arredondaria para 0 kg): sai do manifesto.
+            this.manifesto.splice(indice, 1);
+            item.entregueEm = data;
+            entrega = item;
         } else {
-            this.notificarUsuario('Ligue o caminhão para acelerar!');
+            entrega = item.separar(numPeso, data);
+        }
+        this.historicoEntregas.unshift(entrega);
+        this.atualizarInformacoesUI("Descarregou");
+        return entrega;
+    }
+
+    /**
+     * Itens a bordo cujo destino é um local (comparação sem acentos nem maiúsculas).
+     * @param {string} local - O local (ex: uma parada de viagem).
+     * @returns {ItemCarga[]}
+     */
+    obterItensParaDestino(local) {
+        const alvo = normalizarTextoPlano(local);
+        return alvo ? this.manifesto.filter(i => normalizarTextoPlano(i.destino) === alvo) : [];
+    }
+
+    /**
+     * Sobrescreve a entrega da classe base: ao concluir uma parada, descarrega inteiros os itens destinados ao local dela.
+     * @param {ParadaViagem} parada - A parada sendo concluída.
+     * @param {Date} data - Quando chegou à parada.
+     * @returns {ItemCarga[]} As entregas feitas.
+     */
+    descarregarNaParada(parada, data) {
+        return this.obterItensParaDestino(parada.local).map(i => this.descarregar(i.id, null, data)).filter(Boolean);
+    }
+
+    /**
+     * Distribuição do peso a bordo por destino (itens sem destino ficam juntos em '').
+     * @returns {{destino: string, peso: number, volume: number, itens: number}[]} Do destino mais pesado para o mais leve.
+     */
+    obterDistribuicaoCarga() {
+        const porDestino = {};
+        this.manifesto.forEach(item => {
+            const d = (porDestino[item.destino] ||= { destino: item.destino, peso: 0, volume: 0, itens: 0 });
+            d.peso += item.peso;
+            d.volume += item.volume || 0;
+            d.itens++;
+        });
+        return Object.values(porDestino).sort((a, b) => b.peso - a.peso);
+    }
+
+    /**
+     * Sobrescreve a massa da classe base somando a carga atual:
+     * carregado, o caminhão acelera e freia mais devagar.
+     * @returns {number} Massa em kg.
+     */
+    obterMassa() {
+        return super.obterMassa() + this.cargaAtual;
+    }
+
+    /**
+     * Sobrescreve o consumo da classe base: cada tonelada de carga gasta ~2,8% a mais
+     * (com 20 t sobre um caminhão de 9 t, +55%).
+     * @returns {number} Consumo em L/100 km.
+     */
+    obterConsumo() {
+        return super.obterConsumo() * (1 + 0.25 * this.cargaAtual / this.obterFisica().massa);
+    }
+}
+
+registrarTipoVeiculo({
+    chave: 'Caminhao',
+    classe: Caminhao,
+    nome: 'Caminhão',
+    imagemPadrao: 'default_truck.png',
+    velocidadeMaxima: 140,
+    tanque: 300,
+    consumo: 30,
+    categoriaMinimaCNH: 'C', // Veículo de carga: CNH C, D ou E.
+    fisica: { massa: 9000, potencia: 300000, arrasto: 5.5, rolagem: 0.007, frenagem: 5 },
+    planosManutencao: [
+        { id: 'oleo', nome: 'Troca de óleo', intervaloKm: 20000, intervaloMeses: 6, termos: ['oleo'], custoEstimado: 900 }
+    ],
+    camposFormulario: [
+        { chave: 'capacidadeCarga', rotulo: 'Capacidade Carga (kg)', atributos: { min: 0, placeholder: 'Ex: 15000' } }
+    ],
+    serializar: v => ({
+        capacidadeCarga: v.capacidadeCarga,
+        manifesto: v.manifesto.map(i => i.toJSON()),
+        historicoEntregas: v.historicoEntregas.map(i => i.toJSON())
+    }),
+    restaurar: (v, d) => {
+        const recriar = lista => (Array.isArray(lista) ? lista : [])
+            .map(i => new ItemCarga(i?.id || ItemCarga.gerarId(), i?.descricao, i?.peso, i?.destino, i?.volume, i?.data, i?.entregueEm))
+            .filter(i => i.validar()); // Só itens válidos.
+        v.manifesto = recriar(d.manifesto);
+        v.historicoEntregas = recriar(d.historicoEntregas);
+    },
+    infoExtra: v => `<span class="info-label">Carga:</span> ${v.cargaAtual.toLocaleString('pt-BR')}/${v.capacidadeCarga}kg` +
+        (v.obterExcessoCarga() > 0 ? ' <span style="color:red;font-weight:bold;">SOBRECARGA!</span>' : ''),
+    controlesExtras: v => [criarControlesManifesto(v.id)],
+    atualizarControlesExtras: (v, el) => atualizarManifestoUI(v, el),
+    acoes: {
+        carregar: (v, dados) => {
+            const item = new ItemCarga(ItemCarga.gerarId(), dados?.descricao, dados?.peso, dados?.destino, dados?.volume);
+            return executarTransacaoGaragem([v.id], () => v.carregar(item), // Só grava/registra se a carga realmente entrou.
+                { descricao: `Carregar "${item.descricao}" (${item.peso}kg) em ${v.modelo}` });
+        },
+        descarregar: (v, { itemId, peso = null } = {}) => {
+            const item = v.manifesto.find(i => i.id === itemId);
+            if (!item) return false;
+            const parcial = peso !== null && parseFloat(peso) < item.peso;
+            return executarTransacaoGaragem([v.id], () => v.descarregar(itemId, peso) !== null, {
+                descricao: `${parcial ? `Descarregar ${parseFloat(peso)}kg de` : 'Entregar'} "${item.descricao}" (${v.modelo})`,
+                destrutiva: true
+            });
         }
     }
-}
\ No newline at end of file
+});
@@ -0,0 +1,82 @@
+class ItemCarga {
+    /**
+     * Cria um item do manifesto de carga de um caminhão.
+     * @param {string} id - ID único (ver `ItemCarga.gerarId`).
+     * @param {string} descricao - O que é a carga (ex: "Caixas de piso").
+     * @param {number|string} peso - Peso em kg.
+     * @param {string} [destino=''] - Onde o item deve ser entregue.
+     * @param {number|string|null} [volume=null] - Volume em m³ (opcional).
+     * @param {string|Date|null} [data=null] - Quando foi carregado. Padrão: agora.
+     * @param {string|Date|null} [entregueEm=null] - Quando foi descarregado (só nos itens do histórico de entregas).
+     */
+    constructor(id, descricao, peso, destino = '', volume = null, data = null, entregueEm = null) {
+        this.id = id;
+        this.descricao = String(descricao || '').trim();
+        this.peso = parseFloat(peso) || 0;
+        this.destino = String(destino || '').trim();
+        const vol = parseFloat(volume);
+        this.volume = Number.isFinite(vol) ? vol : null;
+        this.data = data instanceof Date ? data : (data ? new Date(data) : new Date());
+        if (isNaN(this.data.getTime())) this.data = new Date();
+        this.entregueEm = entregueEm instanceof Date ? entregueEm : (entregueEm ? new Date(entregueEm) : null);
+        if (this.entregueEm && isNaN(this.entregueEm.getTime())) this.entregueEm = null;
+    }
+
+    /**
+     * Gera um ID novo para um item de carga.
+     * @returns {string}
+     */
+    static gerarId() {
+        return `c${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Valida os dados do item.
+     * @returns {boolean} `true` se tem descrição, peso positivo e, se informado, volume positivo.
+     */
+    validar() {
+        return this.descricao.length > 0 && this.peso > 0 && (this.volume === null || this.volume > 0);
+    }
+
+    /**
+     * Separa parte do item para entrega (descarga parcial): este item fica com o restante
+     * e o volume é dividido na mesma proporção do peso.
+     * @param {number} peso - Peso descarregado (kg), maior que 0 e deixando ao menos 1 g no item.
+     * @param {Date} [data=new Date()] - Quando foi descarregado.
+     * @returns {ItemCarga} A parte entregue (nova, com `entregueEm`), para o histórico de entregas.
+     */
+    separar(peso, data = new Date()) {
+        const fracao = peso / this.peso;
+        const volumeEntregue = this.volume === null ? null : this.volume * fracao;
+        const parte = new ItemCarga(ItemCarga.gerarId(), this.descricao, peso, this.destino, volumeEntregue, this.data, data);
+        this.peso = Math.round((this.peso - peso) * 1000) / 1000; // Em gramas, sem resíduo de ponto flutuante.
+        if (this.volume !== null) this.volume -= volumeEntregue;
+        return parte;
+    }
+
+    /**
+     * Formata o item para exibição.
+     * @returns {string} Ex: "Caixas de piso - 1.200 kg, 3,5 m³ → Curitiba".
+     */
+    formatar() {
+        const volume = this.volume === null ? '' : `, ${this.volume.toLocaleString('pt-BR', { maximumFractionDigits: 2 })} m³`;
+        const destino = this.destino ? ` → ${this.destino}` : '';
+        return `${this.descricao} - ${this.peso.toLocaleString('pt-BR')} kg${volume}${destino}`;
+    }
+
+    /**
+     * Converte o item em objeto serializável.
+     * @returns {{id: string, descricao: string, peso: number, destino: string, volume: number|null, data: string, entregueEm: string|null}}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            descricao: this.descricao,
+            peso: this.peso,
+            destino: this.destino,
+            volume: this.volume,
+            data: this.data.toISOString(),
+            entregueEm: this.entregueEm?.toISOString() || null
+        };
+    }
+}
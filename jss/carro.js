@@ -4,42 +4,63 @@ class CarroBase {
      * @param {string} id - O identificador único do veículo. Essencial.
      * @param {string} modelo - O modelo do veículo (ex: "Fusca"). Essencial.
      * @param {string} [cor='Padrão'] - A cor do veículo.
-     * @param {string} [imagemSrc='default_car.png'] - Caminho do arquivo de imagem ou string Base64 da imagem.
+     * @param {string} [imagemSrc] - Caminho da imagem exibida enquanto não houver foto de capa. Padrão: `imagemPadrao` do tipo registrado.
      * @param {string} [placa=''] - A placa do veículo.
      * @param {number|string} [ano=''] - O ano de fabricação. Será convertido para número.
-     * @param {string|Date|null} [dataVencimentoCNH=null] - Data de vencimento da CNH associada (ISO string ou Date).
+     * @param {string|null} [motoristaId=null] - ID do motorista responsável (ver `motoristas`). A CNH é do motorista.
      * @throws {Error} Se `id` ou `modelo` não forem fornecidos.
      */
-    constructor(id, modelo, cor, imagemSrc = 'default_car.png', placa = '', ano = '', dataVencimentoCNH = null) {
+    constructor(id, modelo, cor, imagemSrc = null, placa = '', ano = '', motoristaId = null) {
         if (!id || !modelo) throw new Error("ID e Modelo são obrigatórios para criar um veículo.");
         this.id = id;
         this.modelo = String(modelo || 'Modelo Padrão').trim();
         this.cor = String(cor || 'Cor Padrão').trim();
-        this.imagemSrc = imagemSrc || 'default_car.png'; // Armazena caminho ou Base64
+        // Imagem padrão (caminho); fotos enviadas ficam na galeria.
+        this.imagemSrc = imagemSrc || tipoDaClasse(new.target)?.imagemPadrao || 'default_car.png';
+        /** @type {FotoVeiculo[]} Fotos do veículo (avarias, antes/depois de serviços, documentos...). */
+        this.galeria = [];
+        /** @type {string|null} ID da foto da galeria usada como capa (null = imagem padrão). */
+        this.capaFotoId = null;
         this.placa = String(placa || '').trim().toUpperCase();
         this.ano = parseInt(ano) || null; // Converte para número ou null se inválido/vazio.
-
-        // Processamento robusto da data da CNH.
-        this.dataVencimentoCNH = dataVencimentoCNH instanceof Date ? dataVencimentoCNH : (dataVencimentoCNH ? new Date(dataVencimentoCNH) : null);
-        if (this.dataVencimentoCNH && isNaN(this.dataVencimentoCNH.getTime())) {
-            this.dataVencimentoCNH = null; // Garante null para datas inválidas.
-        }
+        /** @type {string|null} Motorista responsável (o vencimento e a categoria da CNH ficam nele). */
+        this.motoristaId = motoristaId || null;
 
         // Estado inicial do veículo.
-        this.velocidade = 0;
+        this.velocidade = 0; // km/h (fracionária durante a simulação; exibida arredondada).
         this.ligado = false;
+        /** @type {{acelerador: number, freio: number}} Pedais (0 = solto, 1 = todo pisado). Não são salvos. */
+        this.pedais = { acelerador: 0, freio: 0 };
+        /** @type {Object.<string, number>} Timers que soltam os pedais após um toque (ver `acelerar`/`frear`). */
+        this.timersPedais = {};
+        /** @type {number} Quilometragem total (km), alimentada pela simulação. */
+        this.odometro = 0;
+        /** @type {number} Leitura do odômetro quando o parcial foi zerado (parcial = odometro - isto). */
+        this.odometroInicioParcial = 0;
+        /** @type {number} Combustível no tanque (L). Veículo novo sai de tanque cheio. */
+        this.combustivel = tipoDaClasse(new.target)?.tanque ?? 50;
+        /** @type {Abastecimento[]} Abastecimentos, mais recentes primeiro. */
+        this.abastecimentos = [];
+        /** @type {Viagem[]} Viagens, mais recentes primeiro (no máximo uma em andamento). */
+        this.viagens = [];
         /** @type {Manutencao[]} */
         this.historicoManutencao = []; // Array para armazenar instâncias de Manutencao.
+        /** @type {Object.<string, string|null>} Planos cujo agendamento automático o usuário cancelou ou excluiu (ver `dispensarAgendamentoPlano`). */
+        this.planosDispensados = {};
     }
 
     // --- Ações Comuns ---
 
     /**
-     * Liga o veículo, se estiver desligado.
+     * Liga o veículo, se estiver desligado e tiver combustível.
      * Atualiza o estado `ligado`, toca som e atualiza a UI.
      * @returns {void}
      */
     ligar() {
+        if (!this.ligado && this.combustivel <= 0) {
+            this.notificarUsuario(`Tanque vazio! Abasteça o ${this.modelo} antes de ligar.`);
+            return;
+        }
         if (!this.ligado) {
             this.ligado = true;
             this.tocarSom('som-ligar');
@@ -49,45 +70,54 @@ class CarroBase {
 
     /**
      * Desliga o veículo, se estiver ligado.
-     * Atualiza o estado `ligado`, zera a `velocidade`, toca som e atualiza a UI.
+     * Corta o motor (o acelerador deixa de ter efeito) e o veículo segue na banguela até parar ou ser freado.
+     * Toca som e atualiza a UI.
      * @returns {void}
      */
     desligar() {
         if (this.ligado) {
             this.ligado = false;
-            this.velocidade = 0; // Ao desligar, o carro para.
+            this.soltarPedal('acelerador');
+            if (this.velocidade > 0) iniciarSimulacao(this); // Continua desacelerando sozinho.
             this.tocarSom('som-desligar');
             this.atualizarInformacoesUI("Desligou");
         }
     }
 
     /**
-     * Aumenta a velocidade do veículo, se ligado e abaixo do limite (200 km/h para CarroBase).
-     * Toca som e atualiza a UI. Notifica se desligado.
-     * Este método pode ser sobrescrito por subclasses (polimorfismo).
+     * Velocidade máxima do veículo (km/h), definida no registro do tipo.
+     * @returns {number}
+     */
+    obterVelocidadeMaxima() {
+        return tipoDoVeiculo(this)?.velocidadeMaxima || 200;
+    }
+
+    /**
+     * Pisa no acelerador, se o veículo estiver ligado. A velocidade passa a ser calculada pela simulação
+     * (`iniciarSimulacao`) a cada quadro, até o pedal ser solto e o veículo parar.
+     * Toca som. Notifica se desligado.
+     * @param {number} [duracaoMs=FISICA_CONFIG.toquePedalMs] - Por quanto tempo segurar o pedal (um "toque").
+     *   Use 0 para segurar até `soltarPedal('acelerador')` (botão mantido pressionado).
      * @returns {void}
      */
-    acelerar() {
+    acelerar(duracaoMs = FISICA_CONFIG.toquePedalMs) {
         if (this.ligado) {
-            const VELOCIDADE_MAXIMA_BASE = 200;
-            this.velocidade = Math.min(this.velocidade + 10, VELOCIDADE_MAXIMA_BASE);
+            this.pisarPedal('acelerador', duracaoMs);
             this.tocarSom('som-acelerar');
-            this.atualizarInformacoesUI("Acelerou");
         } else {
             this.notificarUsuario(`Ligue o ${this.modelo} para acelerar!`);
         }
     }
 
     /**
-     * Diminui a velocidade do veículo, se estiver em movimento (velocidade > 0).
-     * Toca som e atualiza a UI. Velocidade mínima é 0.
+     * Pisa no freio, se o veículo estiver em movimento (velocidade > 0). Toca som.
+     * @param {number} [duracaoMs=FISICA_CONFIG.toquePedalMs] - Por quanto tempo segurar o pedal; 0 = até soltar.
      * @returns {void}
      */
-    frear() {
+    frear(duracaoMs = FISICA_CONFIG.toquePedalMs) {
         if (this.velocidade > 0) {
-            this.velocidade = Math.max(this.velocidade - 15, 0); // Garante que não fique negativa.
+            this.pisarPedal('freio', duracaoMs);
             this.tocarSom('som-frear');
-            this.atualizarInformacoesUI("Freou");
         }
     }
 
@@ -100,12 +130,387 @@ class CarroBase {
         console.log(`Veículo ${this.id} (${this.modelo}) buzinou.`);
     }
 
+    // --- Simulação de Condução (física) ---
+
+    /**
+     * Pisa em um pedal e coloca o veículo na simulação.
+     * @param {'acelerador'|'freio'} pedal - O pedal.
+     * @param {number} [duracaoMs=0] - Solta sozinho depois desse tempo; 0 = até `soltarPedal`.
+     * @returns {void}
+     */
+    pisarPedal(pedal, duracaoMs = 0) {
+        clearTimeout(this.timersPedais[pedal]);
+        this.pedais[pedal] = 1;
+        if (duracaoMs > 0) this.timersPedais[pedal] = setTimeout(() => this.soltarPedal(pedal), duracaoMs);
+        iniciarSimulacao(this);
+    }
+
+    /**
+     * Solta um pedal (o veículo segue na simulação até parar).
+     * @param {'acelerador'|'freio'} pedal - O pedal.
+     * @returns {void}
+     */
+    soltarPedal(pedal) {
+        clearTimeout(this.timersPedais[pedal]);
+        this.pedais[pedal] = 0;
+    }
+
+    /**
+     * Parâmetros físicos do tipo registrado.
+     * @returns {FisicaTipo}
+     */
+    obterFisica() {
+        return tipoDoVeiculo(this)?.fisica || FISICA_PADRAO;
+    }
+
+    /**
+     * Massa atual (kg). Subclasses somam o que levam (ex: carga do caminhão).
+     * @returns {number}
+     */
+    obterMassa() {
+        return this.obterFisica().massa;
+    }
+
+    /**
+     * Potência disponível no motor (W). Subclasses podem alterá-la (ex: turbo).
+     * @returns {number}
+     */
+    obterPotencia() {
+        return this.obterFisica().potencia;
+    }
+
+    /**
+     * Avança a simulação em `dt` segundos: tração do motor (potência / velocidade) contra resistência do ar,
+     * rolagem dos pneus e freio, aplicadas sobre a massa do veículo. Sem acelerador, o veículo perde velocidade sozinho.
+     * A distância percorrida soma no odômetro e, com o motor ligado, consome combustível (`obterConsumo`);
+     * se o tanque secar, o motor morre.
+     * @param {number} dt - Intervalo simulado em segundos.
+     * @returns {boolean} `true` se o veículo ainda precisa ser simulado (em movimento ou acelerando).
+     */
+    passoSimulacao(dt) {
+        const fisica = this.obterFisica();
+        const massa = this.obterMassa();
+        const v = this.velocidade / 3.6; // m/s.
+        const acelerando = this.ligado && this.pedais.acelerador > 0;
+
+        // Abaixo de `velocidadeMinimaTracao` a força fica constante (faz o papel das marchas baixas).
+        const tracao = acelerando ?
+            this.pedais.acelerador * this.obterPotencia() * FISICA_CONFIG.eficiencia / Math.max(v, FISICA_CONFIG.velocidadeMinimaTracao) : 0;
+        const ar = 0.5 * FISICA_CONFIG.densidadeAr * fisica.arrasto * v * v;
+        const rolagem = v > 0 ? fisica.rolagem * massa * FISICA_CONFIG.gravidade : 0;
+        const freio = this.pedais.freio * fisica.frenagem * massa;
+
+        let novaV = v + ((tracao - ar - rolagem - freio) / massa) * dt;
+        novaV = Math.min(Math.max(novaV, 0), this.obterVelocidadeMaxima() / 3.6);
+        if (!acelerando && novaV < FISICA_CONFIG.velocidadeParada) novaV = 0; // Evita "andar" infinitamente devagar.
+        this.velocidade = novaV * 3.6;
+
+        const km = ((v + novaV) / 2) * dt / 1000; // Velocidade média do passo × tempo.
+        this.odometro += km;
+        if (this.ligado) {
+            this.combustivel = Math.max(0, this.combustivel - km * this.obterConsumo() / 100);
+            if (this.combustivel === 0) {
+                this.desligar();
+                this.notificarUsuario("Acabou o combustível! O motor morreu.");
+            }
+        }
+        return this.velocidade > 0 || acelerando;
+    }
+
+    // --- Odômetro e Combustível ---
+
+    /**
+     * Capacidade do tanque (L), definida no registro do tipo.
+     * @returns {number}
+     */
+    obterCapacidadeTanque() {
+        return tipoDoVeiculo(this)?.tanque ?? 50;
+    }
+
+    /**
+     * Consumo (L/100 km), definido no registro do tipo. Subclasses podem alterá-lo (ex: carga do caminhão).
+     * @returns {number}
+     */
+    obterConsumo() {
+        return tipoDoVeiculo(this)?.consumo ?? 8;
+    }
+
+    /**
+     * Quilometragem do hodômetro parcial (desde o último `zerarHodometroParcial`).
+     * @returns {number} km.
+     */
+    obterHodometroParcial() {
+        return Math.max(0, this.odometro - this.odometroInicioParcial);
+    }
+
+    /**
+     * Zera o hodômetro parcial (viagem) e atualiza a UI.
+     * Não grava: quem chama persiste via `executarTransacaoGaragem`.
+     * @returns {boolean} `false` se já estava zerado (nada a gravar).
+     */
+    zerarHodometroParcial() {
+        if (this.obterHodometroParcial() === 0) return false;
+        this.odometroInicioParcial = this.odometro;
+        this.atualizarInformacoesUI("Parcial Zerado");
+        return true;
+    }
+
+    /**
+     * Registra um abastecimento: soma os litros ao tanque e guarda o evento (com a leitura do odômetro).
+     * Não grava: quem chama persiste via `executarTransacaoGaragem`.
+     * @param {Abastecimento} a - O abastecimento (o odômetro é preenchido aqui).
+     * @returns {boolean} `true` se registrado; `false` se os dados forem inválidos ou não couberem no tanque.
+     */
+    abastecer(a) {
+        if (!(a instanceof Abastecimento && a.validar())) {
+            this.notificarUsuario("Abastecimento inválido. Informe os litros (maior que zero) e um preço não negativo.");
+            return false;
+        }
+        const espaco = this.obterCapacidadeTanque() - this.combustivel;
+        if (a.litros > espaco + 0.01) { // Tolerância para arredondamento do que é exibido.
+            this.notificarUsuario(`Não cabe! O tanque (${this.obterCapacidadeTanque()} L) tem espaço para ${espaco.toFixed(2)} L.`);
+            return false;
+        }
+        a.odometro = this.odometro;
+        this.combustivel = Math.min(this.obterCapacidadeTanque(), this.combustivel + a.litros);
+        this.abastecimentos.push(a);
+        this.abastecimentos.sort((x, y) => y.data - x.data);
+        this.atualizarInformacoesUI("Abasteceu");
+        return true;
+    }
+
+    /**
+     * Mantém nesta instância (recriada de um estado salvo) o estado de condução da instância anterior:
+     * ligado, velocidade, odômetro (só avança) e o combustível gasto desde então.
+     * Assim, desfazer uma edição não "teletransporta" o veículo nem devolve o combustível queimado;
+     * já abastecimentos desfeitos/refeitos entram ou saem do tanque.
+     * @param {CarroBase} anterior - A instância que está sendo substituída.
+     * @returns {void}
+     */
+    herdarEstadoConducao(anterior) {
+        const litrosAbastecidos = (v) => v.abastecimentos.reduce((soma, a) => soma + a.litros, 0);
+        this.ligado = anterior.ligado;
+        this.velocidade = anterior.velocidade;
+        this.odometro = Math.max(this.odometro, anterior.odometro);
+        const combustivel = anterior.combustivel + litrosAbastecidos(this) - litrosAbastecidos(anterior);
+        this.combustivel = Math.min(Math.max(combustivel, 0), this.obterCapacidadeTanque());
+    }
+
+    // --- Viagens ---
+
+    /**
+     * Busca uma viagem pelo ID.
+     * @param {string} viagemId - ID da viagem.
+     * @returns {Viagem|null}
+     */
+    obterViagem(viagemId) {
+        return this.viagens.find(vg => vg.id === viagemId) || null;
+    }
+
+    /**
+     * A viagem ainda não terminada, se houver.
+     * @returns {Viagem|null}
+     */
+    obterViagemEmAndamento() {
+        return this.viagens.find(vg => vg.estaEmAndamento()) || null;
+    }
+
+    /**
+     * Registra o início de uma viagem. Não grava: quem chama persiste via `executarTransacaoGaragem`.
+     * @param {Viagem} viagem - A viagem (em andamento).
+     * @returns {boolean} `true` se registrada; `false` se for inválida ou já houver outra em andamento.
+     */
+    iniciarViagem(viagem) {
+        if (!(viagem instanceof Viagem && viagem.validar() && viagem.estaEmAndamento())) {
+            this.notificarUsuario("Viagem inválida. Informe a origem e o destino.");
+            return false;
+        }
+        const emAndamento = this.obterViagemEmAndamento();
+        if (emAndamento) {
+            this.notificarUsuario(`Já há uma viagem em andamento (${emAndamento.formatarRota()}). Conclua ou encerre antes de iniciar outra.`);
+            return false;
+        }
+        this.viagens.push(viagem);
+        this.viagens.sort((x, y) => y.inicio - x.inicio);
+        this.atualizarInformacoesUI("Viagem Iniciada");
+        return true;
+    }
+
+    /**
+     * Conclui a próxima parada pendente de uma viagem, descarregando o que for entregue nela
+     * (ver `descarregarNaParada`). Concluir a última parada (o destino) termina a viagem.
+     * @param {string} viagemId - ID da viagem (em andamento).
+     * @param {Date} [data=new Date()] - Quando chegou à parada.
+     * @returns {ParadaViagem|null} A parada concluída, ou `null` se a viagem não existe ou já terminou.
+     */
+    concluirParada(viagemId, data = new Date()) {
+        const viagem = this.obterViagem(viagemId);
+        const parada = viagem?.estaEmAndamento() ? viagem.obterProximaParada() : null;
+        if (!parada) return null;
+        const entregas = this.descarregarNaParada(parada, data); // Antes de marcar a parada: a UI pode ser redesenhada no meio.
+        parada.concluidaEm = data;
+        parada.entregaIds = entregas.map(e => e.id);
+        if (!viagem.obterProximaParada()) viagem.fim = data;
+        this.atualizarInformacoesUI("Parada Concluída");
+        return parada;
+    }
+
+    /**
+     * Descarrega o que deve ser entregue numa parada. Veículos sem carga não entregam nada;
+     * o `Caminhao` sobrescreve (itens do manifesto com destino igual ao local da parada).
+     * @param {ParadaViagem} parada - A parada sendo concluída.
+     * @param {Date} data - Quando chegou à parada.
+     * @returns {ItemCarga[]} As entregas feitas.
+     */
+    descarregarNaParada(parada, data) {
+        return [];
+    }
+
+    /**
+     * Termina uma viagem antes de passar por todas as paradas. As pendentes ficam sem conclusão (e a carga delas, a bordo).
+     * @param {string} viagemId - ID da viagem (em andamento).
+     * @param {Date} [data=new Date()] - Quando terminou.
+     * @returns {boolean} `true` se encerrada.
+     */
+    encerrarViagem(viagemId, data = new Date()) {
+        const viagem = this.obterViagem(viagemId);
+        if (!viagem?.estaEmAndamento()) return false;
+        viagem.fim = data;
+        this.atualizarInformacoesUI("Viagem Encerrada");
+        return true;
+    }
+
+    /**
+     * Remove o registro de uma viagem. A carga já entregue não volta para o veículo.
+     * @param {string} viagemId - ID da viagem.
+     * @returns {boolean} `true` se removida.
+     */
+    removerViagem(viagemId) {
+        const antes = this.viagens.length;
+        this.viagens = this.viagens.filter(vg => vg.id !== viagemId);
+        if (this.viagens.length === antes) return false;
+        this.atualizarInformacoesUI("Viagem Removida");
+        return true;
+    }
+
+    // --- Galeria de Fotos ---
+
+    /**
+     * Busca uma foto da galeria pelo ID.
+     * @param {string} fotoId - ID da foto.
+     * @returns {FotoVeiculo|null}
+     */
+    obterFoto(fotoId) {
+        return this.galeria.find(f => f.id === fotoId) || null;
+    }
+
+    /**
+     * Foto de capa atual.
+     * @returns {FotoVeiculo|null} A foto, ou null se o veículo usa a imagem padrão.
+     */
+    obterCapa() {
+        return this.capaFotoId ? this.obterFoto(this.capaFotoId) : null;
+    }
+
+    /**
+     * Fonte da imagem principal exibida no card do veículo.
+     * @returns {string} Object URL da foto de capa, ou a imagem padrão (`imagemSrc`).
+     */
+    obterImagemExibicao() {
+        return this.obterCapa()?.obterSrc() || this.imagemSrc || 'default_car.png';
+    }
+
+    /**
+     * Fonte da imagem pequena exibida no menu de veículos.
+     * @returns {string} Object URL da miniatura da capa, ou a imagem padrão.
+     */
+    obterMiniaturaSrc() {
+        return this.obterCapa()?.obterMiniaturaSrc() || this.imagemSrc || 'default_car.png';
+    }
+
+    /**
+     * Adiciona uma foto à galeria, mantendo as fotos ordenadas da mais recente para a mais antiga.
+     * Não grava: quem chama persiste via `executarTransacaoGaragem`.
+     * @param {FotoVeiculo} foto - A foto (com Blob).
+     * @param {boolean} [comoCapa=false] - Se true, passa a ser a capa do veículo.
+     * @returns {void}
+     */
+    adicionarFoto(foto, comoCapa = false) {
+        this.galeria.push(foto);
+        this.galeria.sort((a, b) => b.data.getTime() - a.data.getTime());
+        if (comoCapa) this.capaFotoId = foto.id;
+    }
+
+    /**
+     * Remove uma foto da galeria, desanexando-a das manutenções. Se era a capa, o veículo volta à imagem padrão.
+     * @param {string} fotoId - ID da foto.
+     * @returns {FotoVeiculo|null} A foto removida, ou null se não existia.
+     */
+    removerFoto(fotoId) {
+        const foto = this.obterFoto(fotoId);
+        if (!foto) return null;
+        foto.liberarURLs();
+        this.galeria = this.galeria.filter(f => f !== foto);
+        this.vincularFotoManutencao(fotoId, null);
+        if (this.capaFotoId === fotoId) this.capaFotoId = null;
+        return foto;
+    }
+
+    /**
+     * Define a foto de capa (exibida no card e, em miniatura, no menu de veículos).
+     * @param {string|null} fotoId - ID de uma foto da galeria, ou null para voltar à imagem padrão.
+     * @returns {boolean} `false` se a foto não existe.
+     */
+    definirCapa(fotoId) {
+        if (fotoId !== null && !this.obterFoto(fotoId)) return false;
+        this.capaFotoId = fotoId;
+        return true;
+    }
+
+    /**
+     * Anexa uma foto a um registro de manutenção (uma foto pertence a no máximo uma manutenção).
+     * @param {string} fotoId - ID da foto.
+     * @param {Manutencao|null} manutencao - Registro do histórico deste veículo, ou null para só desanexar.
+     * @returns {void}
+     */
+    vincularFotoManutencao(fotoId, manutencao) {
+        (this.historicoManutencao || []).forEach(m => { m.fotoIds = m.fotoIds.filter(id => id !== fotoId); });
+        if (manutencao) manutencao.fotoIds.push(fotoId);
+    }
+
+    /**
+     * Fotos anexadas a um registro de manutenção (ignora IDs de fotos que não existem mais).
+     * @param {Manutencao} manutencao - Registro do histórico.
+     * @returns {FotoVeiculo[]}
+     */
+    obterFotosManutencao(manutencao) {
+        return manutencao.fotoIds.map(id => this.obterFoto(id)).filter(Boolean);
+    }
+
+    /**
+     * Blobs das fotos, indexados pelo ID (o que `toJSON()` não leva). Usado para gravar, copiar e restaurar o veículo.
+     * @returns {Object.<string, {blob: Blob, miniatura: Blob|null}>}
+     */
+    obterBlobsGaleria() {
+        const blobs = {};
+        this.galeria.forEach(f => { blobs[f.id] = { blob: f.blob, miniatura: f.miniatura }; });
+        return blobs;
+    }
+
+    /**
+     * Libera os Object URLs de todas as fotos (chamar quando a instância sai da `garagem`).
+     * @returns {void}
+     */
+    liberarURLsGaleria() {
+        this.galeria.forEach(f => f.liberarURLs());
+    }
+
     // --- Manutenção ---
 
     /**
      * Adiciona um registro de manutenção ao histórico do veículo.
-     * Valida a manutenção, adiciona ao array, reordena (mais recentes/futuras primeiro),
-     * salva a garagem no LocalStorage e atualiza a UI.
+     * Valida a manutenção, adiciona ao array, reordena (mais recentes/futuras primeiro) e atualiza a UI.
+     * Não grava: quem chama persiste via `executarTransacaoGaragem` (que desfaz a mudança se a gravação falhar).
      * @param {Manutencao} m - A instância de Manutencao a ser adicionada.
      * @returns {boolean} `true` se adicionado com sucesso, `false` caso contrário (ex: dados inválidos).
      */
@@ -120,53 +525,186 @@ class CarroBase {
             this.historicoManutencao = [];
         }
         this.historicoManutencao.push(m);
-        // Reordena: Manutenções futuras vêm primeiro, depois as passadas mais recentes.
-        this.historicoManutencao.sort((a, b) => (b.data?.getTime() || 0) - (a.data?.getTime() || 0));
+        this.ordenarHistoricoManutencao();
 
-        // Efeitos colaterais importantes:
-        salvarGaragem(); // Persiste a mudança.
+        // Efeitos colaterais na UI:
         this.atualizarInformacoesUI("Manut Adicionada"); // Atualiza a view deste veículo.
         atualizarExibicaoAgendamentosFuturos(); // Atualiza a lista global de agendamentos.
         return true;
     }
 
     /**
-     * Obtém o histórico de manutenções formatado, separado entre passadas e futuras.
+     * Busca um registro do histórico pelo ID.
+     * @param {string} id - ID da manutenção (`Manutencao.id`).
+     * @returns {Manutencao|null}
+     */
+    obterManutencao(id) {
+        return this.historicoManutencao.find(m => m.id === id) || null;
+    }
+
+    /**
+     * Altera os dados de UM registro de manutenção (corrigir um erro de digitação, outra data, outro custo...).
+     * Valida o resultado antes de aplicar (nada muda se ficar inválido), reordena e atualiza a UI, como `adicionarManutencao`.
+     * Mudar a data de um agendamento automático o desvincula do plano (`planoId`): passa a ser um agendamento
+     * do usuário, que os planos respeitam em vez de movê-lo de volta.
+     * Não grava: quem chama persiste via `executarTransacaoGaragem`.
+     * @param {string} id - ID da manutenção.
+     * @param {{data?: Date, dataRealizada?: Date|null, tipo?: string, custo?: number|string, custoFinal?: number|string|null, descricao?: string, odometro?: number|null}} dados
+     *   Campos a alterar (os omitidos ficam como estão).
+     * @returns {boolean} `true` se alterado; `false` se o registro não existe, os dados são inválidos ou nada mudou.
+     */
+    atualizarManutencao(id, dados) {
+        const m = this.obterManutencao(id);
+        if (!m) {
+            this.notificarUsuario("Manutenção não encontrada (talvez já tenha sido excluída).");
+            return false;
+        }
+        const mudancas = {};
+        if ('data' in dados) mudancas.data = dados.data;
+        if ('dataRealizada' in dados) mudancas.dataRealizada = dados.dataRealizada;
+        if ('tipo' in dados) mudancas.tipo = String(dados.tipo || '').trim();
+        if ('custo' in dados) mudancas.custo = parseFloat(dados.custo) || 0;
+        if ('custoFinal' in dados) mudancas.custoFinal = dados.custoFinal === null || dados.custoFinal === '' ? null : parseFloat(dados.custoFinal);
+        if ('descricao' in dados) mudancas.descricao = String(dados.descricao || '').trim();
+        if ('odometro' in dados) mudancas.odometro = dados.odometro >= 0 ? dados.odometro : null;
+        if (m.planoId && m.estaPendente() && mudancas.data && mudancas.data.getTime() !== m.data.getTime()) mudancas.planoId = null;
+
+        // Valida uma cópia: o registro original só muda se o resultado for válido.
+        const copia = Object.assign(Object.create(Manutencao.prototype), m, mudancas);
+        const erros = copia.obterErrosValidacao();
+        if (erros.length > 0) {
+            this.notificarUsuario(`Dados da manutenção inválidos: ${erros.join('; ')}.`);
+            return false;
+        }
+        if (JSON.stringify(copia) === JSON.stringify(m)) return false; // Nada mudou.
+        Object.assign(m, mudancas);
+        this.ordenarHistoricoManutencao();
+
+        // Efeitos colaterais na UI:
+        this.atualizarInformacoesUI("Manut Editada");
+        atualizarExibicaoAgendamentosFuturos();
+        return true;
+    }
+
+    /**
+     * Remove UM registro de manutenção (as fotos anexadas continuam na galeria, só deixam de estar vinculadas).
+     * Não grava: quem chama persiste via `executarTransacaoGaragem`.
+     * @param {string} id - ID da manutenção.
+     * @returns {boolean} `true` se removido; `false` se não existia.
+     */
+    removerManutencao(id) {
+        const m = this.obterManutencao(id);
+        if (!m) return false;
+        if (m.estaPendente()) dispensarAgendamentoPlano(this, m); // Agendamento automático excluído: o plano não o recria.
+        this.historicoManutencao = this.historicoManutencao.filter(x => x !== m);
+
+        // Efeitos colaterais na UI:
+        this.atualizarInformacoesUI("Manut Removida");
+        atualizarExibicaoAgendamentosFuturos();
+        return true;
+    }
+
+    /**
+     * Reordena o histórico pela data efetiva (realizada, se houver): mais recentes/futuras primeiro.
+     * @returns {void}
+     */
+    ordenarHistoricoManutencao() {
+        this.historicoManutencao.sort((a, b) => (b.obterDataEfetiva()?.getTime() || 0) - (a.obterDataEfetiva()?.getTime() || 0));
+    }
+
+    /**
+     * Obtém o histórico de manutenções formatado, separado pelo status (não pela data):
+     * "passadas" são as concluídas e canceladas; "futuras" são as pendentes, inclusive as atrasadas.
      * Útil para exibição na UI.
      * @returns {{passadas: string[], futuras: string[]}} Objeto com arrays de strings formatadas.
      */
     getHistoricoManutencaoFormatado() {
-        const agora = new Date();
         // Filtra apenas manutenções válidas antes de processar.
         const histValido = (this.historicoManutencao || [])
             .filter(m => m instanceof Manutencao && m.data instanceof Date && !isNaN(m.data.getTime()));
 
         // Separa e formata usando os métodos apropriados de Manutencao.
-        const passadas = histValido.filter(m => m.data <= agora).map(m => m.formatar());
-        const futuras = histValido.filter(m => m.data > agora).map(m => m.formatarComHora());
+        const passadas = histValido.filter(m => !m.estaPendente()).map(m => m.formatar());
+        const futuras = histValido.filter(m => m.estaPendente()).map(m => m.formatarComHora());
 
         return { passadas, futuras };
     }
 
+    /**
+     * Avança o ciclo de vida de uma manutenção do histórico (ver `STATUS_MANUTENCAO`).
+     * Ao concluir, registra a data e o custo reais e, se o serviço não tinha km, o odômetro atual.
+     * Não grava: quem chama persiste via `executarTransacaoGaragem`.
+     * @param {string} id - ID da manutenção.
+     * @param {'iniciar'|'concluir'|'cancelar'} acao - O que fazer.
+     * @param {{dataRealizada?: Date, custoFinal?: number|string|null}} [dados={}] - Dados da conclusão.
+     * @returns {boolean} `true` se o status mudou; `false` (com aviso) se a transição não é permitida.
+     */
+    alterarStatusManutencao(id, acao, dados = {}) {
+        const m = this.obterManutencao(id);
+        if (!m) return false;
+        const mudou = acao === 'concluir' ? m.concluir(dados.dataRealizada, dados.custoFinal ?? null) :
+            acao === 'iniciar' ? m.iniciar() : acao === 'cancelar' ? m.cancelar() : false;
+        if (!mudou) {
+            this.notificarUsuario(`Não é possível ${acao} "${m.tipo}" (${ROTULOS_STATUS_MANUTENCAO[m.status] || m.status}).`);
+            return false;
+        }
+        if (acao === 'concluir' && m.odometro === null) m.odometro = Math.round(this.odometro);
+        if (acao === 'cancelar') dispensarAgendamentoPlano(this, m); // O plano não agenda de novo o que foi cancelado.
+        this.ordenarHistoricoManutencao();
+        // Efeitos colaterais na UI:
+        this.atualizarInformacoesUI("Status Manut");
+        atualizarExibicaoAgendamentosFuturos();
+        return true;
+    }
+
     /**
      * Remove TODOS os registros de manutenção deste veículo.
-     * Salva a alteração no LocalStorage e atualiza a UI. Ação irreversível para este veículo.
+     * Atualiza a UI; a gravação fica com quem chama (ver `executarTransacaoGaragem`).
      * @returns {void}
      */
     limparHistoricoManutencao() {
         this.historicoManutencao = [];
-        // Efeitos colaterais:
-        salvarGaragem();
+        // Efeitos colaterais na UI:
         this.atualizarInformacoesUI("Hist Limpo");
         atualizarExibicaoAgendamentosFuturos(); // Atualiza a lista geral.
     }
 
     // --- UI e Métodos Auxiliares ---
 
+    /**
+     * Atualiza só o painel de condução do veículo exibido: velocidade e velocímetro (texto, barra e ponteiro),
+     * odômetro, parcial e combustível. Separado de `atualizarInformacoesUI` porque a simulação chama isto a cada quadro.
+     * @returns {void}
+     */
+    atualizarPainelConducaoUI() {
+        const displayArea = document.getElementById('veiculo-display-area');
+        if (!displayArea || displayArea.dataset.veiculoId !== this.id) return;
+
+        const setTxt = (sel, txt) => { const el = displayArea.querySelector(sel); if (el) el.textContent = txt; };
+        const dec1 = (valor) => valor.toLocaleString('pt-BR', { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+        setTxt('.veiculo-velocidade', Math.round(this.velocidade));
+        setTxt('.veiculo-odometro', dec1(this.odometro));
+        setTxt('.veiculo-parcial', dec1(this.obterHodometroParcial()));
+        const tanque = this.obterCapacidadeTanque();
+        setTxt('.veiculo-combustivel', `${dec1(this.combustivel)} / ${tanque} L (${Math.round(this.combustivel / tanque * 100)}%)`);
+        // Fundo de escala = velocidade máxima do tipo.
+        const maxVel = this.obterVelocidadeMaxima();
+        const barra = displayArea.querySelector('.veiculo-barra-progresso');
+        if (barra) {
+            const perc = Math.min((this.velocidade / maxVel) * 100, 100);
+            barra.style.width = `${perc}%`;
+        }
+        const ponteiro = displayArea.querySelector('.veiculo-ponteiro');
+        if (ponteiro) {
+            const angulo = Math.min((this.velocidade / maxVel) * 180, 180) - 90; // Mapeia 0..maxVel para -90..+90 graus.
+            ponteiro.style.transform = `translateX(-50%) rotate(${angulo}deg)`;
+        }
+    }
+
     /**
      * Atualiza a seção de exibição no HTML (`#veiculo-display-area`) com os dados ATUAIS desta instância.
      * **Importante:** Só executa a atualização se o `data-veiculo-id` da área de display corresponder ao `id` deste veículo.
-     * Contém lógica para atualizar título, imagem, status, velocidade, placa, ano, infos extras (turbo/carga), CNH, velocímetro, histórico, e campos de edição.
+     * Contém lógica para atualizar título, imagem, status, velocidade, placa, ano, infos e controles extras (turbo, manifesto de carga), motorista e CNH dele, painel de condução (velocímetro, odômetro, combustível), abastecimentos, viagens, histórico, e campos de edição.
      * @param {string} [origem="Desconhecida"] - String opcional para identificar o gatilho da atualização (ajuda no debugging).
      * @returns {void}
      */
@@ -200,60 +738,84 @@ class CarroBase {
 
         // --- Atualização dos Elementos ---
         setTxt('.veiculo-titulo', this.modelo);
-        setImg('.veiculo-imagem', this.imagemSrc, `Imagem ${this.modelo}`); // Usa a propriedade imagemSrc (path ou Base64).
+        setImg('.veiculo-imagem', this.obterImagemExibicao(), this.obterCapa()?.legenda || `Imagem ${this.modelo}`); // Capa da galeria ou imagem padrão.
         setTxt('.veiculo-status', this.ligado ? "Ligado" : "Desligado");
         setCls('.veiculo-status', 'veiculo-status', this.ligado ? "status-ligado" : "status-desligado");
-        setTxt('.veiculo-velocidade', this.velocidade);
         setTxt('.veiculo-placa', this.placa || '-');
         setTxt('.veiculo-ano', this.ano || '-');
 
-        // Info extra (polimórfico: depende do tipo real da instância).
-        let extraInfo = '';
-        if (this instanceof CarroEsportivo) {
-            extraInfo = `<span class="info-label">Turbo:</span> ${this.turboAtivado ? 'ON 🔥' : 'OFF'}`;
-        } else if (this instanceof Caminhao) {
-            extraInfo = `<span class="info-label">Carga:</span> ${this.cargaAtual}/${this.capacidadeCarga}kg`;
-        }
-        setHtml('.veiculo-info-extra', extraInfo);
-
-        // Info CNH com checagem de vencimento.
-        let cnhInfo = '<span class="info-label">Venc. CNH:</span> -';
-        if (this.dataVencimentoCNH) {
-            const dtVenc = this.dataVencimentoCNH;
-            const hoje = new Date(); hoje.setHours(0, 0, 0, 0); // Normaliza hoje para comparar só data.
-            const diasRestantes = Math.ceil((dtVenc.getTime() - hoje.getTime()) / (1000 * 60 * 60 * 24));
-            cnhInfo = `<span class="info-label">Venc. CNH:</span> ${dtVenc.toLocaleDateString('pt-BR', { timeZone: 'UTC' })}`;
-            if (diasRestantes < 0) {
-                cnhInfo += ' <span style="color:red;font-weight:bold;">(VENCIDA!)</span>';
-            } else if (diasRestantes <= 30) {
-                cnhInfo += ` <span style="color:orange;font-weight:bold;">(Vence em ${diasRestantes}d!)</span>`;
-            }
+        // Info extra: cada tipo registrado define a sua (turbo, carga...).
+        setHtml('.veiculo-info-extra', tipoDoVeiculo(this)?.infoExtra(this) || '');
+        const acaoExtra = getEl('.acao-extra');
+        if (acaoExtra) tipoDoVeiculo(this)?.atualizarControlesExtras(this, acaoExtra);
+
+        // Motorista, com o vencimento da CNH dele e o aviso de categoria insuficiente para o tipo.
+        const motorista = obterMotorista(this.motoristaId);
+        let cnhInfo = '<span class="info-label">Motorista:</span> -';
+        if (motorista) {
+            cnhInfo = `<span class="info-label">Motorista:</span> ${escaparHTML(motorista.descrever())}` +
+                ` <span class="info-label">Venc. CNH:</span> ${descreverValidadeCNH(motorista)}`;
+        } else if (this.motoristaId) {
+            cnhInfo = '<span class="info-label">Motorista:</span> (não encontrado no cadastro)';
         }
+        const erroMotorista = motorista && validarAtribuicaoMotorista(this.motoristaId, tipoDoVeiculo(this));
+        if (erroMotorista) cnhInfo += ` <span style="color:red;font-weight:bold;">(${escaparHTML(erroMotorista)})</span>`;
         setHtml('.veiculo-cnh-info', cnhInfo);
 
-        // Atualiza velocímetro visual (barra e ponteiro).
-        // Usa a velocidade máxima correta da classe (importante para subclasses).
-        const maxVel = (this instanceof CarroEsportivo) ? 250 : ((this instanceof Caminhao) ? 140 : 200);
-        const barra = getEl('.veiculo-barra-progresso');
-        if (barra) {
-            const perc = Math.min((this.velocidade / maxVel) * 100, 100);
-            barra.style.width = `${perc}%`;
+        this.atualizarPainelConducaoUI();
+
+        // Últimos abastecimentos.
+        const abastDiv = getEl('.lista-abastecimentos');
+        if (abastDiv) {
+            abastDiv.innerHTML = this.abastecimentos.length > 0 ?
+                `<ul>${this.abastecimentos.slice(0, 10).map(a => `<li>${escaparHTML(a.formatar())}</li>`).join('')}</ul>` :
+                '<p>Nenhum abastecimento registrado.</p>';
         }
-        const ponteiro = getEl('.veiculo-ponteiro');
-        if (ponteiro) {
-            const angulo = Math.min((this.velocidade / maxVel) * 180, 180) - 90; // Mapeia 0..maxVel para -90..+90 graus.
-            ponteiro.style.transform = `translateX(-50%) rotate(${angulo}deg)`;
+
+        // Viagens (com as paradas e o que foi entregue em cada uma).
+        const viagensDiv = getEl('.lista-viagens');
+        if (viagensDiv) renderizarViagensVeiculo(this, viagensDiv);
+
+        // Planos de manutenção preventiva do tipo, com o próximo vencimento.
+        const planosDiv = getEl('.lista-planos');
+        if (planosDiv) {
+            const planos = obterPlanosVeiculo(this);
+            planosDiv.innerHTML = planos.length > 0 ?
+                `<ul>${planos.map(p => {
+                    const prev = p.calcularProxima(this);
+                    const quando = [];
+                    if (prev.kmPrevisto !== null) {
+                        const resto = Math.round(prev.kmRestantes).toLocaleString('pt-BR');
+                        quando.push(`aos ${prev.kmPrevisto.toLocaleString('pt-BR')} km (${prev.kmRestantes > 0 ? `faltam ${resto}` : `passou ${resto.replace('-', '')}`} km)`);
+                    }
+                    if (prev.dataPrevista) quando.push(`até ${prev.dataPrevista.toLocaleDateString('pt-BR')}`);
+                    return `<li class="${prev.vencida ? 'plano-vencido' : ''}"><strong>${escaparHTML(p.nome)}</strong> ` +
+                        `${escaparHTML(p.descreverIntervalo())} · ${prev.vencida ? 'VENCIDA' : 'próxima'}: ${quando.join(' ou ')}</li>`;
+                }).join('')}</ul>` :
+                '<p>Nenhum plano para este tipo.</p>';
         }
 
-        // Atualiza histórico de manutenções (passadas).
+        // Atualiza histórico de manutenções (concluídas e canceladas), com botão para as fotos anexadas a cada registro
+        // e os botões de editar/excluir (ver `handleAcaoManutencao`).
+        // Agendamentos atrasados NÃO entram aqui: continuam pendentes em `#agendamentos-futuros-lista`.
         const histDiv = getEl('.lista-historico');
         if (histDiv) {
-            const { passadas } = this.getHistoricoManutencaoFormatado();
+            const passadas = this.historicoManutencao
+                .filter(m => m instanceof Manutencao && m.data instanceof Date && !m.estaPendente());
             histDiv.innerHTML = passadas.length > 0 ?
-                `<ul>${passadas.map(i => `<li>${i}</li>`).join('')}</ul>` :
+                `<ul>${passadas.map(m => {
+                    const nFotos = this.obterFotosManutencao(m).length;
+                    const btnFotos = nFotos === 0 ? '' :
+                        ` <button type="button" class="btn-fotos-manutencao" data-manutencao-id="${escaparHTML(m.id)}" title="Ver fotos do serviço">📷 ${nFotos}</button>`;
+                    const classe = m.status === STATUS_MANUTENCAO.CANCELADA ? ' class="manutencao-cancelada"' : '';
+                    return `<li${classe}>${escaparHTML(m.formatar())}${btnFotos}${botoesEdicaoManutencao(this, m)}</li>`;
+                }).join('')}</ul>` :
                 '<p>Nenhuma manutenção passada registrada.</p>';
         }
 
+        // Galeria de fotos (só redesenha a grade quando as fotos ou o histórico mudaram).
+        renderizarGaleriaVeiculo(this, displayArea);
+
         // Preenche formulário de edição com os dados atuais.
         const editForm = getEl('.edicao-veiculo');
         if (editForm) {
@@ -261,7 +823,7 @@ class CarroBase {
             editForm.querySelector('.edit-cor-veiculo').value = this.cor;
             editForm.querySelector('.edit-placa-veiculo').value = this.placa;
             editForm.querySelector('.edit-ano-veiculo').value = this.ano || '';
-            editForm.querySelector('.edit-cnh-veiculo').value = this.dataVencimentoCNH ? this.dataVencimentoCNH.toISOString().split('T')[0] : '';
+            preencherSelectMotoristas(editForm.querySelector('.edit-motorista-veiculo'), this.motoristaId, tipoDoVeiculo(this));
             // Limpa preview de imagem da edição se não houver arquivo selecionado no input.
              const imgInput = editForm.querySelector('.edit-imagem-input');
              const imgPreview = editForm.querySelector('.edit-imagem-preview');
@@ -297,8 +859,10 @@ class CarroBase {
 
     /**
      * Converte o estado atual do veículo para um objeto JSON serializável.
-     * Inclui um campo `tipoVeiculo` para permitir recriar a instância da classe correta ao carregar do LocalStorage.
-     * Também serializa o histórico de manutenção.
+     * Inclui um campo `tipoVeiculo` (chave do tipo registrado) para recriar a instância da classe correta ao carregar,
+     * mais as propriedades próprias do tipo (`serializar` do registro).
+     * Também serializa o histórico de manutenção e os metadados da galeria (legenda, data). Os Blobs das fotos
+     * NÃO entram aqui: são gravados à parte na store de fotos (ver `obterBlobsGaleria`).
      * @returns {object} Um objeto simples representando o veículo, pronto para `JSON.stringify`.
      */
     toJSON() {
@@ -308,34 +872,44 @@ class CarroBase {
             .map(m => m.toJSON())
             .filter(mJson => mJson !== null); // Remove nulos (datas inválidas em Manutencao).
 
-        // Determina o tipo da classe dinamicamente para reconstrução.
-        let tipoVeiculo = 'CarroBase';
-        if (this instanceof CarroEsportivo) tipoVeiculo = 'CarroEsportivo';
-        else if (this instanceof Caminhao) tipoVeiculo = 'Caminhao';
+        const tipo = tipoDoVeiculo(this) || TIPOS_VEICULO.CarroBase;
 
         // Objeto base com dados comuns.
-        const data = {
+        return {
             id: this.id,
             modelo: this.modelo,
             cor: this.cor,
             placa: this.placa,
             ano: this.ano,
-            dataVencimentoCNH: this.dataVencimentoCNH?.toISOString() || null, // Salva como ISO string ou null.
-            velocidade: this.velocidade,
+            motoristaId: this.motoristaId,
+            velocidade: Math.round(this.velocidade),
             ligado: this.ligado,
-            imagemSrc: this.imagemSrc, // Salva path ou Base64.
-            tipoVeiculo: tipoVeiculo, // Crucial para recarregar a classe correta!
-            historicoManutencao: histSerializado
+            imagemSrc: this.imagemSrc, // Imagem padrão (caminho).
+            tipoVeiculo: tipo.chave, // Crucial para recarregar a classe correta!
+            historicoManutencao: histSerializado,
+            planosDispensados: { ...this.planosDispensados },
+            galeria: this.galeria.map(f => f.toJSON()),
+            capaFotoId: this.capaFotoId,
+            odometro: this.odometro,
+            odometroInicioParcial: this.odometroInicioParcial,
+            combustivel: this.combustivel,
+            abastecimentos: this.abastecimentos.map(a => a.toJSON()),
+            viagens: this.viagens.map(vg => vg.toJSON()),
+            ...tipo.serializar(this) // Propriedades específicas do tipo.
         };
-
-        // Adiciona propriedades específicas das subclasses.
-        if (tipoVeiculo === 'CarroEsportivo') {
-            data.turboAtivado = this.turboAtivado;
-        } else if (tipoVeiculo === 'Caminhao') {
-            data.capacidadeCarga = this.capacidadeCarga;
-            data.cargaAtual = this.cargaAtual;
-        }
-        return data;
     }
 }
 
+registrarTipoVeiculo({
+    chave: 'CarroBase',
+    classe: CarroBase,
+    nome: 'Carro Comum',
+    imagemPadrao: 'default_car.png',
+    velocidadeMaxima: 200,
+    categoriaMinimaCNH: 'B',
+    planosManutencao: [
+        { id: 'oleo', nome: 'Troca de óleo', intervaloKm: 10000, intervaloMeses: 12, termos: ['oleo'], custoEstimado: 250 },
+        { id: 'rodizio', nome: 'Rodízio de pneus', intervaloKm: 8000, termos: ['rodizio'], custoEstimado: 80 }
+    ]
+});
+
@@ -1,17 +1,17 @@
 class CarroEsportivo extends CarroBase {
     /**
      * Cria uma instância de CarroEsportivo.
-     * Usa 'default_sport.png' como imagem padrão se nenhuma for fornecida.
+     * Sem imagem, usa a `imagemPadrao` do tipo registrado ('default_sport.png').
      * @param {string} id - ID único.
      * @param {string} modelo - Modelo.
      * @param {string} cor - Cor.
      * @param {string} [img] - Imagem (path ou Base64).
      * @param {string} [placa] - Placa.
      * @param {number|string} [ano] - Ano.
-     * @param {string|Date|null} [cnh] - Vencimento CNH.
+     * @param {string|null} [motoristaId] - ID do motorista responsável.
      */
-    constructor(id, modelo, cor, img, placa, ano, cnh) {
-        super(id, modelo, cor, img || 'default_sport.png', placa, ano, cnh);
+    constructor(id, modelo, cor, img, placa, ano, motoristaId) {
+        super(id, modelo, cor, img, placa, ano, motoristaId);
         /** @type {boolean} Estado do turbo (ligado/desligado). */
         this.turboAtivado = false;
     }
@@ -31,20 +31,39 @@ class CarroEsportivo extends CarroBase {
     }
 
     /**
-     * Sobrescreve o método acelerar da classe base.
-     * Acelera mais rapidamente, especialmente com turbo ativado.
-     * Limite de velocidade maior (250 km/h).
-     * @returns {void}
+     * Sobrescreve a potência da classe base: o turbo ligado rende 35% a mais.
+     * @returns {number} Potência em W.
      */
-    acelerar() {
-        if (this.ligado) {
-            const VELOCIDADE_MAXIMA_ESPORTIVO = 250;
-            const incremento = this.turboAtivado ? 25 : 15; // Aceleração maior com turbo.
-            this.velocidade = Math.min(this.velocidade + incremento, VELOCIDADE_MAXIMA_ESPORTIVO);
-            this.tocarSom('som-acelerar');
-            this.atualizarInformacoesUI("Acelerou");
-        } else {
-            this.notificarUsuario('Ligue o carro para acelerar!');
-        }
+    obterPotencia() {
+        return super.obterPotencia() * (this.turboAtivado ? 1.35 : 1);
     }
 }
+
+registrarTipoVeiculo({
+    chave: 'CarroEsportivo',
+    classe: CarroEsportivo,
+    nome: 'Esportivo',
+    imagemPadrao: 'default_sport.png',
+    velocidadeMaxima: 250,
+    tanque: 70,
+    consumo: 14,
+    categoriaMinimaCNH: 'B',
+    fisica: { massa: 1400, potencia: 220000, arrasto: 0.6, rolagem: 0.012, frenagem: 10 },
+    planosManutencao: [
+        { id: 'oleo', nome: 'Troca de óleo', intervaloKm: 7500, intervaloMeses: 6, termos: ['oleo'], custoEstimado: 600 },
+        { id: 'rodizio', nome: 'Rodízio de pneus', intervaloKm: 8000, termos: ['rodizio'], custoEstimado: 120 }
+    ],
+    serializar: v => ({ turboAtivado: v.turboAtivado }),
+    restaurar: (v, d) => { v.turboAtivado = !!d.turboAtivado; },
+    infoExtra: v => `<span class="info-label">Turbo:</span> ${v.turboAtivado ? 'ON 🔥' : 'OFF'}`,
+    controlesExtras: () => {
+        const btn = document.createElement('button');
+        btn.dataset.acao = 'ativarTurbo';
+        btn.textContent = 'Turbo'; // O estado ON/OFF é mostrado na info geral.
+        btn.addEventListener('click', () => interagirVeiculoAtual('ativarTurbo'));
+        return [btn];
+    },
+    acoes: {
+        ativarTurbo: v => v.ativarTurbo()
+    }
+});
@@ -0,0 +1,231 @@
+
+// ==================================================
+//      CSV: HISTÓRICO DE MANUTENÇÕES DA FROTA
+// ==================================================
+
+/**
+ * Colunas do CSV de manutenções, na ordem em que são exportadas.
+ * A importação localiza as colunas pelo nome (sem diferenciar maiúsculas), então a ordem pode variar.
+ * @const {string[]}
+ */
+const CSV_COLUNAS_MANUTENCAO = ['veiculo_id', 'modelo', 'placa', 'data', 'tipo', 'custo', 'descricao', 'status'];
+
+/**
+ * Separador usado na exportação. Ponto e vírgula é o padrão do Excel/LibreOffice em pt-BR
+ * (a vírgula fica livre para o separador decimal).
+ * @const {string}
+ */
+const CSV_SEPARADOR = ';';
+
+/**
+ * Escapa um valor para uma célula CSV (aspas quando houver separador, aspas ou quebra de linha).
+ * @param {any} valor - Valor da célula.
+ * @returns {string}
+ */
+function escaparCelulaCSV(valor) {
+    const texto = String(valor ?? '');
+    return /[";,\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * Gera o CSV com uma linha por `Manutencao` de todos os veículos da garagem.
+ * Datas saem em ISO 8601 (inequívoco); custos com vírgula decimal (abre como número no Excel pt-BR).
+ * Serviços concluídos saem com a data e o custo efetivos (realizados), não os agendados/estimados.
+ * @returns {string} Conteúdo do CSV (com BOM UTF-8 para o Excel reconhecer acentos).
+ */
+function gerarCSVManutencoes() {
+    const linhas = [CSV_COLUNAS_MANUTENCAO.join(CSV_SEPARADOR)];
+    Object.values(garagem).forEach(v => {
+        (v.historicoManutencao || []).filter(m => m instanceof Manutencao && m.validar()).forEach(m => {
+            linhas.push([
+                v.id, v.modelo, v.placa, m.obterDataEfetiva().toISOString(), m.tipo,
+                m.obterCustoEfetivo().toFixed(2).replace('.', ','), m.descricao, m.status
+            ].map(escaparCelulaCSV).join(CSV_SEPARADOR));
+        });
+    });
+    return '\uFEFF' + linhas.join('\r\n');
+}
+
+/**
+ * Handler do botão "Exportar Manutenções (CSV)".
+ * @returns {void}
+ */
+function handleExportarCSVManutencoes() {
+    const csv = gerarCSVManutencoes();
+    const data = new Date().toISOString().split('T')[0];
+    baixarArquivo(csv, `manutencoes-frota-${data}.csv`, 'text/csv;charset=utf-8');
+}
+
+/**
+ * Faz o parse de um texto CSV (RFC 4180: aspas, aspas duplicadas e quebras de linha dentro de aspas).
+ * O separador (`;` ou `,`) é detectado pela primeira linha.
+ * @param {string} texto - Conteúdo do arquivo.
+ * @returns {string[][]} Linhas com suas células.
+ */
+function parseCSV(texto) {
+    const conteudo = texto.replace(/^\uFEFF/, '');
+    const primeiraLinha = conteudo.split(/\r?\n/, 1)[0];
+    const sep = (primeiraLinha.split(';').length >= primeiraLinha.split(',').length) ? ';' : ',';
+
+    const linhas = [];
+    let linha = [], celula = '', entreAspas = false;
+    for (let i = 0; i < conteudo.length; i++) {
+        const c = conteudo[i];
+        if (entreAspas) {
+            if (c === '"' && conteudo[i + 1] === '"') { celula += '"'; i++; }
+            else if (c === '"') entreAspas = false;
+            else celula += c;
+        } else if (c === '"') {
+            entreAspas = true;
+        } else if (c === sep) {
+            linha.push(celula); celula = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && conteudo[i + 1] === '\n') i++;
+            linha.push(celula); linhas.push(linha);
+            linha = []; celula = '';
+        } else {
+            celula += c;
+        }
+    }
+    if (celula !== '' || linha.length > 0) { linha.push(celula); linhas.push(linha); }
+    return linhas.filter(l => l.some(c => c.trim() !== '')); // Ignora linhas em branco.
+}
+
+/**
+ * Converte um custo escrito em pt-BR ("1.200,50") ou no formato ponto ("1200.50") para número.
+ * @param {string} texto - Valor da célula.
+ * @returns {number} O número, 0 para célula vazia, ou NaN se não for numérico.
+ */
+function parseCustoCSV(texto) {
+    let t = String(texto || '').replace(/R\$|\s/g, '');
+    if (t === '') return 0;
+    if (t.includes(',')) t = t.replace(/\./g, '').replace(',', '.');
+    return /^-?\d+(\.\d+)?$/.test(t) ? parseFloat(t) : NaN;
+}
+
+/**
+ * Converte a data da célula em Date. Aceita ISO 8601 (como exportado) ou "dd/mm/aaaa [hh:mm]".
+ * @param {string} texto - Valor da célula.
+ * @returns {Date|null} A data, ou null se vazia (a validação da Manutencao relata o problema).
+ */
+function parseDataCSV(texto) {
+    const t = String(texto || '').trim();
+    const br = t.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/);
+    if (br) return new Date(+br[3], +br[2] - 1, +br[1], +(br[4] || 0), +(br[5] || 0));
+    return t ? new Date(t) : null;
+}
+
+/**
+ * Importa manutenções de um CSV para veículos EXISTENTES.
+ * Cada linha é associada a um veículo pela placa (prioridade) ou pelo ID.
+ * Linhas rejeitadas são relatadas com o motivo (incluindo o retorno de `Manutencao.obterErrosValidacao()`).
+ * Linhas idênticas a um registro já existente (mesma data, tipo e custo) são ignoradas, para reimportar sem duplicar.
+ * A coluna `status` é opcional: vazia, o status sai da data (ver construtor de `Manutencao`).
+ * Nada é gravado aqui: devolve o que seria adicionado por veículo.
+ * @param {string} texto - Conteúdo do CSV.
+ * @returns {{porVeiculo: Map<CarroBase, Manutencao[]>, aceitas: number, rejeitadas: Array<{linha: number, motivo: string}>}}
+ * @throws {Error} Se o cabeçalho não tiver as colunas mínimas.
+ */
+function processarCSVManutencoes(texto) {
+    const [cabecalho = [], ...linhas] = parseCSV(texto);
+    const indice = {};
+    cabecalho.forEach((nome, i) => { indice[nome.trim().toLowerCase()] = i; });
+    if (indice.data === undefined || indice.tipo === undefined || (indice.placa === undefined && indice.veiculo_id === undefined)) {
+        throw new Error(`Cabeçalho inválido. Colunas esperadas: ${CSV_COLUNAS_MANUTENCAO.join(', ')}.`);
+    }
+    const celula = (l, nome) => (indice[nome] === undefined ? '' : (l[indice[nome]] ?? '')).trim();
+
+    const normalizarPlaca = p => p.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const porPlaca = {};
+    Object.values(garagem).forEach(v => { if (v.placa) porPlaca[normalizarPlaca(v.placa)] = v; });
+
+    const porVeiculo = new Map(), rejeitadas = [];
+    let aceitas = 0;
+    linhas.forEach((l, i) => {
+        const numLinha = i + 2; // +1 do cabeçalho, +1 porque planilhas contam a partir de 1.
+        const placa = normalizarPlaca(celula(l, 'placa'));
+        const id = celula(l, 'veiculo_id');
+        const v = (placa && porPlaca[placa]) || (id && garagem[id]);
+        if (!v) {
+            rejeitadas.push({ linha: numLinha, motivo: `veículo não encontrado (placa "${celula(l, 'placa')}", ID "${id}")` });
+            return;
+        }
+        const custo = parseCustoCSV(celula(l, 'custo'));
+        if (isNaN(custo)) {
+            rejeitadas.push({ linha: numLinha, motivo: `custo "${celula(l, 'custo')}" não é um número` });
+            return;
+        }
+        const m = new Manutencao(parseDataCSV(celula(l, 'data')), celula(l, 'tipo'), custo, celula(l, 'descricao'));
+        if (celula(l, 'status')) m.status = celula(l, 'status').toLowerCase();
+        const erros = m.obterErrosValidacao();
+        if (erros.length > 0) {
+            rejeitadas.push({ linha: numLinha, motivo: erros.join('; ') });
+            return;
+        }
+        const novasDoVeiculo = porVeiculo.get(v) || [];
+        const duplicada = [...(v.historicoManutencao || []), ...novasDoVeiculo].some(e =>
+            e.obterDataEfetiva()?.getTime() === m.data.getTime() && e.tipo === m.tipo && e.obterCustoEfetivo() === m.custo);
+        if (duplicada) {
+            rejeitadas.push({ linha: numLinha, motivo: `já existe no histórico de ${v.modelo}` });
+            return;
+        }
+        novasDoVeiculo.push(m);
+        porVeiculo.set(v, novasDoVeiculo);
+        aceitas++;
+    });
+    return { porVeiculo, aceitas, rejeitadas };
+}
+
+/**
+ * Exibe o relatório da última importação CSV em `#csv-relatorio`.
+ * @param {number} aceitas - Quantidade de linhas importadas.
+ * @param {Array<{linha: number, motivo: string}>} rejeitadas - Linhas rejeitadas e seus motivos.
+ * @returns {void}
+ */
+function exibirRelatorioCSV(aceitas, rejeitadas) {
+    const area = document.getElementById('csv-relatorio');
+    if (!area) return;
+    area.innerHTML = `<p><strong>${aceitas}</strong> manutenção(ões) importada(s), <strong>${rejeitadas.length}</strong> linha(s) rejeitada(s).</p>` +
+        (rejeitadas.length === 0 ? '' :
+            `<ul>${rejeitadas.map(r => `<li class="preview-remover">Linha ${r.linha}: ${escaparHTML(r.motivo)}</li>`).join('')}</ul>`);
+}
+
+/**
+ * Handler do input de importação CSV: lê o arquivo, adiciona as manutenções aceitas, persiste e relata.
+ * @param {Event} event - Evento `change` do input de arquivo.
+ * @returns {Promise<void>}
+ */
+async function handleImportarCSVManutencoes(event) {
+    const input = event.target;
+    const arquivo = input.files[0];
+    if (!arquivo) return;
+    try {
+        const { porVeiculo, aceitas, rejeitadas } = processarCSVManutencoes(await arquivo.text());
+        if (porVeiculo.size > 0) {
+            const importou = await executarTransacaoGaragem([...porVeiculo.keys()].map(v => v.id), () => {
+                porVeiculo.forEach((novas, v) => {
+                    v.historicoManutencao = [...v.historicoManutencao, ...novas];
+                    v.ordenarHistoricoManutencao();
+                });
+            }, { descricao: `Importação CSV (${aceitas} manutenção(ões))` });
+            if (!importou) return; // Nada foi gravado; a garagem já foi restaurada.
+        }
+        exibirRelatorioCSV(aceitas, rejeitadas);
+        atualizarInterfaceCompleta();
+        await verificarPlanosManutencao([...porVeiculo.keys()].map(v => v.id)); // Serviços importados mudam os vencimentos.
+    } catch (e) {
+        console.error("Erro ao importar CSV de manutenções:", e);
+        alert(`Não foi possível importar o CSV.\n\n${e.message}`);
+    } finally {
+        input.value = ''; // Permite reimportar o mesmo arquivo.
+    }
+}
+
+/**
+ * Configura os listeners de exportação/importação CSV.
+ * @returns {void}
+ */
+function setupListenersCSV() {
+    document.getElementById('btn-exportar-csv')?.addEventListener('click', handleExportarCSVManutencoes);
+    document.getElementById('csv-arquivo-input')?.addEventListener('change', handleImportarCSVManutencoes);
+}
@@ -0,0 +1,202 @@
+
+// ==================================================
+//      HISTÓRICO DE AÇÕES (DESFAZER / REFAZER)
+// ==================================================
+
+/**
+ * Quantidade máxima de ações guardadas na pilha de desfazer (as mais antigas são descartadas).
+ * @const {number}
+ */
+const LIMITE_HISTORICO_ACOES = 50;
+
+/**
+ * Pilha de ações que podem ser desfeitas (a última é a mais recente).
+ * Cada ação guarda o estado dos veículos afetados ANTES e DEPOIS da mudança (ver `capturarEstadoVeiculos`).
+ * @type {Array<{descricao: string, antes: Object.<string, object|null>, depois: Object.<string, object|null>}>}
+ */
+const pilhaDesfazer = [];
+
+/**
+ * Pilha de ações desfeitas que podem ser refeitas. Esvaziada sempre que uma nova ação é registrada.
+ * @type {Array<{descricao: string, antes: Object.<string, object|null>, depois: Object.<string, object|null>}>}
+ */
+const pilhaRefazer = [];
+
+/**
+ * Evita desfazer/refazer de novo enquanto a gravação anterior ainda não terminou (ex: Ctrl+Z segurado).
+ * @type {boolean}
+ */
+let historicoAcoesOcupado = false;
+
+/**
+ * Timer que esconde o toast atual (reiniciado a cada novo toast).
+ * @type {number|null}
+ */
+let timerToast = null;
+
+/**
+ * Tira uma "foto" dos veículos informados: dados serializados (`toJSON()`) e os Blobs da galeria (imutáveis).
+ * Veículos que não existem na fonte ficam registrados como `null` (desfazer/refazer os remove).
+ * @param {string[]} ids - IDs dos veículos afetados.
+ * @param {Object.<string, CarroBase>} [fonte=garagem] - De onde ler os veículos (ex: cópia da garagem anterior).
+ * @returns {Object.<string, {dados: object, fotos: Object.<string, {blob: Blob, miniatura: Blob|null}>}|null>}
+ */
+function capturarEstadoVeiculos(ids, fonte = garagem) {
+    const estado = {};
+    ids.forEach(id => {
+        const v = fonte[id];
+        estado[id] = v ? { dados: v.toJSON(), fotos: v.obterBlobsGaleria() } : null;
+    });
+    return estado;
+}
+
+/**
+ * Aplica na `garagem` (em memória) um estado capturado por `capturarEstadoVeiculos`.
+ * Os veículos são recriados com `recriarVeiculo`; o estado de condução atual (ligado, velocidade, odômetro,
+ * combustível) é mantido por `herdarEstadoConducao`, pois desfazer uma edição não deve "teletransportar" o veículo.
+ * @param {Object.<string, {dados: object, fotos: Object.<string, {blob: Blob, miniatura: Blob|null}>}|null>} estado - Estado a aplicar.
+ * @returns {void}
+ */
+function restaurarEstadoVeiculos(estado) {
+    for (const id in estado) {
+        const atual = garagem[id];
+        atual?.liberarURLsGaleria();
+        if (!estado[id]) {
+            delete garagem[id];
+            continue;
+        }
+        const v = recriarVeiculo(estado[id].dados, estado[id].fotos);
+        if (atual) v.herdarEstadoConducao(atual);
+        garagem[id] = v;
+    }
+}
+
+/**
+ * Registra uma ação já aplicada (e persistida) na pilha de desfazer.
+ * O estado "depois" é capturado agora, a partir da `garagem` atual.
+ * @param {string} descricao - Texto curto exibido no toast (ex: 'Excluir "Fusca"').
+ * @param {Object.<string, object|null>} antes - Estado dos veículos afetados capturado ANTES da mudança.
+ * @param {boolean} [destrutiva=false] - Se true, mostra um toast com o botão "Desfazer".
+ * @returns {void}
+ */
+function registrarAcao(descricao, antes, destrutiva = false) {
+    pilhaDesfazer.push({ descricao, antes, depois: capturarEstadoVeiculos(Object.keys(antes)) });
+    if (pilhaDesfazer.length > LIMITE_HISTORICO_ACOES) pilhaDesfazer.shift();
+    pilhaRefazer.length = 0; // Uma ação nova invalida o que havia para refazer.
+    if (destrutiva) mostrarToast(descricao, { rotulo: 'Desfazer', callback: desfazerUltimaAcao });
+}
+
+/**
+ * Remove das pilhas de desfazer/refazer as ações que envolvem os veículos informados.
+ * Usado quando esses veículos mudaram por fora (outra aba): desfazer aqui apagaria aquela mudança.
+ * @param {string[]} ids - IDs dos veículos alterados externamente.
+ * @returns {void}
+ */
+function descartarAcoesDosVeiculos(ids) {
+    [pilhaDesfazer, pilhaRefazer].forEach(pilha => {
+        const mantidas = pilha.filter(acao => !ids.some(id => id in acao.antes));
+        pilha.splice(0, pilha.length, ...mantidas);
+    });
+}
+
+/**
+ * Move a ação do topo de `origem` para `destino`, aplicando o estado indicado e persistindo-o.
+ * Se a gravação falhar, a memória volta ao estado anterior e a ação permanece em `origem`.
+ * @param {Array} origem - Pilha de onde a ação sai.
+ * @param {Array} destino - Pilha para onde a ação vai.
+ * @param {'antes'|'depois'} estadoAlvo - Qual estado da ação aplicar.
+ * @param {string} verbo - 'Desfeito' ou 'Refeito' (para o toast).
+ * @returns {Promise<boolean>} `true` se aplicou e salvou.
+ */
+async function moverAcaoHistorico(origem, destino, estadoAlvo, verbo) {
+    if (historicoAcoesOcupado) return false;
+    const acao = origem.pop();
+    if (!acao) {
+        mostrarToast(verbo === 'Desfeito' ? 'Nada para desfazer.' : 'Nada para refazer.');
+        return false;
+    }
+    historicoAcoesOcupado = true;
+    try {
+        restaurarEstadoVeiculos(acao[estadoAlvo]);
+        if (!(await salvarGaragem(Object.keys(acao[estadoAlvo])))) {
+            restaurarEstadoVeiculos(acao[estadoAlvo === 'antes' ? 'depois' : 'antes']);
+            origem.push(acao);
+            atualizarInterfaceCompleta();
+            return false;
+        }
+        destino.push(acao);
+        atualizarInterfaceCompleta();
+        verificarPlanosManutencao(Object.keys(acao[estadoAlvo]).filter(id => garagem[id]))
+            .catch(e => console.error(`Erro ao verificar os planos de manutenção (${verbo.toLowerCase()}):`, e));
+        const inversa = verbo === 'Desfeito' ?
+            { rotulo: 'Refazer', callback: refazerUltimaAcao } : { rotulo: 'Desfazer', callback: desfazerUltimaAcao };
+        mostrarToast(`${verbo}: ${acao.descricao}`, inversa);
+        return true;
+    } finally {
+        historicoAcoesOcupado = false;
+    }
+}
+
+/**
+ * Desfaz a última ação registrada (Ctrl+Z).
+ * @returns {Promise<boolean>}
+ */
+function desfazerUltimaAcao() {
+    return moverAcaoHistorico(pilhaDesfazer, pilhaRefazer, 'antes', 'Desfeito');
+}
+
+/**
+ * Refaz a última ação desfeita (Ctrl+Shift+Z ou Ctrl+Y).
+ * @returns {Promise<boolean>}
+ */
+function refazerUltimaAcao() {
+    return moverAcaoHistorico(pilhaRefazer, pilhaDesfazer, 'depois', 'Refeito');
+}
+
+/**
+ * Exibe uma notificação temporária (toast) em `#toast-area`, com um botão de ação opcional.
+ * Um toast novo substitui o anterior.
+ * @param {string} mensagem - Texto do toast.
+ * @param {{rotulo: string, callback: function(): any}} [acao] - Botão opcional (ex: "Desfazer").
+ * @param {number} [duracaoMs=6000] - Tempo até o toast sumir.
+ * @returns {void}
+ */
+function mostrarToast(mensagem, acao, duracaoMs = 6000) {
+    const area = document.getElementById('toast-area');
+    if (!area) return;
+    clearTimeout(timerToast);
+    area.innerHTML = '';
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    const texto = document.createElement('span');
+    texto.textContent = mensagem;
+    toast.appendChild(texto);
+    if (acao) {
+        const btn = document.createElement('button');
+        btn.textContent = acao.rotulo;
+        btn.addEventListener('click', () => { area.innerHTML = ''; acao.callback(); });
+        toast.appendChild(btn);
+    }
+    area.appendChild(toast);
+    timerToast = setTimeout(() => { area.innerHTML = ''; }, duracaoMs);
+}
+
+/**
+ * Atalhos de teclado: Ctrl+Z desfaz; Ctrl+Shift+Z ou Ctrl+Y refaz (Cmd no macOS).
+ * Dentro de campos de texto o atalho é deixado para o navegador (desfazer digitação).
+ * @param {KeyboardEvent} event - Evento `keydown`.
+ * @returns {void}
+ */
+function handleAtalhosDesfazer(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    const alvo = event.target;
+    if (alvo instanceof HTMLElement && (alvo.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(alvo.tagName))) return;
+    const tecla = event.key.toLowerCase();
+    if (tecla === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        desfazerUltimaAcao();
+    } else if ((tecla === 'z' && event.shiftKey) || tecla === 'y') {
+        event.preventDefault();
+        refazerUltimaAcao();
+    }
+}
@@ -0,0 +1,189 @@
+
+// ==================================================
+//      BUSCA, FILTROS E ORDENAÇÃO DO MENU DE VEÍCULOS
+// ==================================================
+
+/**
+ * Filtros do menu de veículos quando nada foi escolhido (só valores diferentes destes vão para o hash da URL).
+ * - `busca`: texto procurado no modelo, placa, cor e nome do motorista.
+ * - `cnh`: situação da CNH do motorista ('ok', 'vencendo', 'vencida' ou 'sem' motorista/vencimento).
+ * - `ordem`: '' (ordem de cadastro), 'modelo', 'placa', 'ano' (mais novos primeiro) ou 'proxima' (próximo serviço).
+ * @const {{busca: string, tipo: string, cor: string, anoMin: string, anoMax: string, cnh: string, atrasada: boolean, ordem: string}}
+ */
+const FILTROS_FROTA_PADRAO = { busca: '', tipo: '', cor: '', anoMin: '', anoMax: '', cnh: '', atrasada: false, ordem: '' };
+
+/**
+ * Filtros em uso no menu de veículos. Espelham a parte "?..." do hash da URL (ex: `#/garagem/cam1?tipo=Caminhao&ordem=ano`;
+ * antes do '?' fica a rota, ver `rotas.js`), para a visão filtrada poder ser salva nos favoritos ou compartilhada.
+ * @type {typeof FILTROS_FROTA_PADRAO}
+ */
+let filtrosFrota = { ...FILTROS_FROTA_PADRAO };
+
+/**
+ * Lê os filtros da parte "?..." do hash da URL. Parâmetros ausentes ficam com o valor padrão.
+ * @param {string} [hash=location.hash] - O hash (com ou sem '#').
+ * @returns {typeof FILTROS_FROTA_PADRAO}
+ */
+function lerFiltrosDoHash(hash = location.hash) {
+    const consulta = String(hash || '').split('?')[1] || '';
+    const params = new URLSearchParams(consulta);
+    const filtros = { ...FILTROS_FROTA_PADRAO };
+    for (const chave in FILTROS_FROTA_PADRAO) {
+        if (!params.has(chave)) continue;
+        filtros[chave] = typeof FILTROS_FROTA_PADRAO[chave] === 'boolean' ? params.get(chave) === '1' : params.get(chave);
+    }
+    return filtros;
+}
+
+/**
+ * Grava os filtros na parte "?..." do hash da URL, preservando o que vem antes do '?'.
+ * Usa `history.replaceState`: filtrar não cria uma entrada nova no histórico do navegador a cada tecla.
+ * @param {typeof FILTROS_FROTA_PADRAO} filtros - Os filtros.
+ * @returns {void}
+ */
+function escreverFiltrosNoHash(filtros) {
+    const params = new URLSearchParams();
+    for (const chave in FILTROS_FROTA_PADRAO) {
+        if (filtros[chave] === FILTROS_FROTA_PADRAO[chave]) continue;
+        params.set(chave, typeof filtros[chave] === 'boolean' ? '1' : filtros[chave]);
+    }
+    const caminho = location.hash.replace(/^#/, '').split('?')[0];
+    const consulta = params.toString();
+    const novoHash = caminho || consulta ? `#${caminho}${consulta ? `?${consulta}` : ''}` : '';
+    if (novoHash === location.hash) return;
+    history.replaceState(history.state, '', `${location.pathname}${location.search}${novoHash}`);
+}
+
+/**
+ * Situação da CNH do motorista de um veículo, para o filtro.
+ * @param {CarroBase} v - O veículo.
+ * @returns {'ok'|'vencendo'|'vencida'|'sem'} 'sem' = sem motorista ou sem vencimento informado.
+ */
+function situacaoCNHVeiculo(v) {
+    const dias = obterMotorista(v.motoristaId)?.diasParaVencimentoCNH() ?? null;
+    if (dias === null) return 'sem';
+    if (dias < 0) return 'vencida';
+    return dias <= CNH_DIAS_ALERTA ? 'vencendo' : 'ok';
+}
+
+/**
+ * Data do próximo serviço pendente (agendado ou em andamento) de um veículo.
+ * @param {CarroBase} v - O veículo.
+ * @returns {Date|null} `null` se não há nada pendente.
+ */
+function proximoServicoVeiculo(v) {
+    const pendentes = v.historicoManutencao.filter(m => m.estaPendente()).map(m => m.data);
+    return pendentes.length > 0 ? new Date(Math.min(...pendentes)) : null;
+}
+
+/**
+ * Veículos da garagem que passam pelos filtros, na ordem escolhida.
+ * @param {typeof FILTROS_FROTA_PADRAO} [filtros=filtrosFrota] - Os filtros.
+ * @returns {CarroBase[]}
+ */
+function filtrarVeiculosMenu(filtros = filtrosFrota) {
+    const busca = normalizarTextoPlano(filtros.busca);
+    const cor = normalizarTextoPlano(filtros.cor);
+    const anoMin = parseInt(filtros.anoMin), anoMax = parseInt(filtros.anoMax);
+    const veiculos = Object.values(garagem).filter(v => {
+        if (busca) {
+            const texto = normalizarTextoPlano([v.modelo, v.placa, v.cor, obterMotorista(v.motoristaId)?.nome].join(' '));
+            if (!texto.includes(busca)) return false;
+        }
+        if (filtros.tipo && tipoDoVeiculo(v)?.chave !== filtros.tipo) return false;
+        if (cor && normalizarTextoPlano(v.cor) !== cor) return false;
+        if (!isNaN(anoMin) && !(v.ano >= anoMin)) return false; // Sem ano não passa por um filtro de ano.
+        if (!isNaN(anoMax) && !(v.ano <= anoMax)) return false;
+        if (filtros.cnh && situacaoCNHVeiculo(v) !== filtros.cnh) return false;
+        if (filtros.atrasada && !v.historicoManutencao.some(m => m.estaAtrasada())) return false;
+        return true;
+    });
+
+    // Valores ausentes (sem placa, sem ano, nada agendado) vão para o fim em qualquer ordem.
+    const ultimo = (a, b) => (a === null) - (b === null);
+    const comparar = {
+        modelo: (a, b) => a.modelo.localeCompare(b.modelo, 'pt-BR'),
+        placa: (a, b) => ultimo(a.placa || null, b.placa || null) || a.placa.localeCompare(b.placa, 'pt-BR'),
+        ano: (a, b) => ultimo(a.ano, b.ano) || b.ano - a.ano,
+        proxima: (a, b) => {
+            const pa = proximoServicoVeiculo(a), pb = proximoServicoVeiculo(b);
+            return ultimo(pa, pb) || (pa && pb ? pa - pb : 0);
+        }
+    }[filtros.ordem];
+    return comparar ? veiculos.sort((a, b) => comparar(a, b) || a.modelo.localeCompare(b.modelo, 'pt-BR')) : veiculos;
+}
+
+/**
+ * Atualiza as opções que dependem da garagem (tipos registrados e cores dos veículos) e mostra os filtros atuais no formulário.
+ * Uma cor vinda do hash que nenhum veículo tem continua na lista, para o filtro não sumir em silêncio.
+ * @returns {void}
+ */
+function preencherFormularioFiltros() {
+    const form = document.getElementById('filtros-frota'); if (!form) return;
+    const tipoSel = form.querySelector('#filtro-tipo');
+    if (tipoSel) {
+        tipoSel.innerHTML = '<option value="">Todos os tipos</option>' + Object.values(TIPOS_VEICULO)
+            .map(t => `<option value="${escaparHTML(t.chave)}">${escaparHTML(t.nome)}</option>`).join('');
+    }
+    const corSel = form.querySelector('#filtro-cor');
+    if (corSel) {
+        const cores = new Map(); // Uma entrada por cor normalizada, com a grafia do primeiro veículo.
+        Object.values(garagem).forEach(v => { if (!cores.has(normalizarTextoPlano(v.cor))) cores.set(normalizarTextoPlano(v.cor), v.cor); });
+        if (filtrosFrota.cor && !cores.has(normalizarTextoPlano(filtrosFrota.cor))) cores.set(normalizarTextoPlano(filtrosFrota.cor), filtrosFrota.cor);
+        corSel.innerHTML = '<option value="">Todas as cores</option>' + [...cores.values()].sort((a, b) => a.localeCompare(b, 'pt-BR'))
+            .map(c => `<option value="${escaparHTML(c)}">${escaparHTML(c)}</option>`).join('');
+        corSel.value = cores.get(normalizarTextoPlano(filtrosFrota.cor)) || '';
+    }
+    const campos = { '#filtro-busca': 'busca', '#filtro-tipo': 'tipo', '#filtro-ano-min': 'anoMin', '#filtro-ano-max': 'anoMax', '#filtro-cnh': 'cnh', '#filtro-ordem': 'ordem' };
+    for (const sel in campos) {
+        const el = form.querySelector(sel);
+        if (el && el.value !== filtrosFrota[campos[sel]]) el.value = filtrosFrota[campos[sel]]; // Não mexe no cursor de quem digita.
+    }
+    const atrasada = form.querySelector('#filtro-atrasada');
+    if (atrasada) atrasada.checked = filtrosFrota.atrasada;
+}
+
+/**
+ * Lê o formulário de filtros, grava no hash da URL e redesenha o menu de veículos.
+ * @returns {void}
+ */
+function handleMudarFiltros() {
+    const form = document.getElementById('filtros-frota'); if (!form) return;
+    const valor = sel => form.querySelector(sel)?.value || ''; // Sem trim: o espaço que o usuário acabou de digitar não some.
+    filtrosFrota = {
+        busca: valor('#filtro-busca'),
+        tipo: valor('#filtro-tipo'),
+        cor: valor('#filtro-cor'),
+        anoMin: valor('#filtro-ano-min'),
+        anoMax: valor('#filtro-ano-max'),
+        cnh: valor('#filtro-cnh'),
+        atrasada: !!form.querySelector('#filtro-atrasada')?.checked,
+        ordem: valor('#filtro-ordem')
+    };
+    escreverFiltrosNoHash(filtrosFrota);
+    atualizarMenuVeiculos();
+}
+
+/**
+ * Configura os filtros do menu: lê o hash da URL ao abrir a página (link salvo/compartilhado), ouve o formulário,
+ * o botão "Limpar" e as mudanças do hash (voltar/avançar do navegador, link colado na mesma aba).
+ * @returns {void}
+ */
+function setupListenersFiltros() {
+    filtrosFrota = lerFiltrosDoHash();
+    preencherFormularioFiltros();
+    const form = document.getElementById('filtros-frota');
+    form?.addEventListener('input', handleMudarFiltros);
+    form?.addEventListener('submit', (e) => e.preventDefault()); // Enter na busca não recarrega a página.
+    document.getElementById('filtro-limpar')?.addEventListener('click', () => {
+        filtrosFrota = { ...FILTROS_FROTA_PADRAO };
+        escreverFiltrosNoHash(filtrosFrota);
+        preencherFormularioFiltros();
+        atualizarMenuVeiculos();
+    });
+    window.addEventListener('hashchange', () => {
+        filtrosFrota = lerFiltrosDoHash();
+        preencherFormularioFiltros();
+        atualizarMenuVeiculos();
+    });
+}
@@ -0,0 +1,77 @@
+class FotoVeiculo {
+    /**
+     * Cria uma foto da galeria de um veículo (avaria, antes/depois de serviço, documento...).
+     * Os Blobs são gravados à parte na store `fotos` do IndexedDB; `toJSON()` leva só os metadados.
+     * @param {string} id - ID único da foto (ver `FotoVeiculo.gerarId`).
+     * @param {Blob|null} blob - A imagem (já reduzida por `processarImagemVeiculo`).
+     * @param {Blob|null} [miniatura=null] - Miniatura quadrada (grade da galeria e menu de veículos).
+     * @param {string} [legenda=''] - Legenda livre.
+     * @param {string|Date|null} [data] - Data da foto. Padrão: agora.
+     */
+    constructor(id, blob, miniatura = null, legenda = '', data = new Date()) {
+        this.id = id;
+        /** @type {Blob|null} */
+        this.blob = blob instanceof Blob ? blob : null;
+        /** @type {Blob|null} */
+        this.miniatura = miniatura instanceof Blob ? miniatura : null;
+        this.legenda = String(legenda || '').trim();
+        this.data = data instanceof Date ? data : (data ? new Date(data) : new Date());
+        if (isNaN(this.data.getTime())) this.data = new Date();
+        /** @type {string|null} Object URLs criados sob demanda (ver `obterSrc`). */
+        this.src = null;
+        this.miniaturaSrc = null;
+    }
+
+    /**
+     * Gera um ID novo para uma foto.
+     * @returns {string}
+     */
+    static gerarId() {
+        return `f${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Object URL da imagem (criado na primeira chamada).
+     * @returns {string}
+     */
+    obterSrc() {
+        if (!this.src && this.blob) this.src = URL.createObjectURL(this.blob);
+        return this.src || 'default_car.png';
+    }
+
+    /**
+     * Object URL da miniatura; sem miniatura (fotos antigas), usa a própria imagem.
+     * @returns {string}
+     */
+    obterMiniaturaSrc() {
+        if (!this.miniatura) return this.obterSrc();
+        if (!this.miniaturaSrc) this.miniaturaSrc = URL.createObjectURL(this.miniatura);
+        return this.miniaturaSrc;
+    }
+
+    /**
+     * Libera os Object URLs criados (chamar quando a foto sai da memória).
+     * @returns {void}
+     */
+    liberarURLs() {
+        if (this.src) URL.revokeObjectURL(this.src);
+        if (this.miniaturaSrc) URL.revokeObjectURL(this.miniaturaSrc);
+        this.src = this.miniaturaSrc = null;
+    }
+
+    /**
+     * Data da foto para exibição.
+     * @returns {string} Ex: "15/03/2024".
+     */
+    formatarData() {
+        return this.data.toLocaleDateString('pt-BR');
+    }
+
+    /**
+     * Metadados serializáveis (sem os Blobs).
+     * @returns {{id: string, legenda: string, data: string}}
+     */
+    toJSON() {
+        return { id: this.id, legenda: this.legenda, data: this.data.toISOString() };
+    }
+}
@@ -0,0 +1,324 @@
+
+// ==================================================
+//      GALERIA DE FOTOS DO VEÍCULO (Grade, Lightbox e Anexos)
+// ==================================================
+
+/**
+ * Estado do lightbox aberto: veículo, fotos navegáveis (a galeria inteira ou as fotos de uma manutenção)
+ * e a posição atual. `null` quando fechado.
+ * @type {{veiculoId: string, fotoIds: string[], indice: number}|null}
+ */
+let lightboxGaleria = null;
+
+/**
+ * Resumo do que a grade da galeria exibe (fotos, capa e manutenções disponíveis para anexar).
+ * `atualizarInformacoesUI` roda a cada aceleração; a grade só é redesenhada quando isto muda.
+ * @param {CarroBase} v - O veículo.
+ * @returns {string}
+ */
+function assinaturaGaleria(v) {
+    return JSON.stringify([v.capaFotoId, v.galeria, v.historicoManutencao]);
+}
+
+/**
+ * Formata uma manutenção para as opções de "Anexar à Manutenção".
+ * @param {Manutencao} m - O registro.
+ * @returns {string}
+ */
+function rotuloManutencaoGaleria(m) {
+    return `${m.data.toLocaleDateString('pt-BR')} - ${m.tipo}`;
+}
+
+/**
+ * Preenche um `<select>` com as manutenções do veículo (valor = `Manutencao.id`).
+ * @param {HTMLSelectElement} select - O select a preencher.
+ * @param {CarroBase} v - O veículo.
+ * @param {string} [selecionado=''] - Valor a deixar selecionado ('' = nenhuma).
+ * @returns {void}
+ */
+function preencherSelectManutencoesGaleria(select, v, selecionado = '') {
+    select.innerHTML = '<option value="">-- Nenhuma --</option>' +
+        v.historicoManutencao.map(m => `<option value="${escaparHTML(m.id)}">${escaparHTML(rotuloManutencaoGaleria(m))}</option>`).join('');
+    select.value = selecionado;
+}
+
+/**
+ * Desenha a grade de miniaturas (`.galeria-grade`) e o select de manutenções do card `.galeria-section`.
+ * Chamado por `CarroBase.atualizarInformacoesUI`; se o lightbox estiver aberto neste veículo, ele também é atualizado.
+ * @param {CarroBase} v - O veículo exibido.
+ * @param {HTMLElement} displayArea - `#veiculo-display-area`.
+ * @returns {void}
+ */
+function renderizarGaleriaVeiculo(v, displayArea) {
+    const secao = displayArea.querySelector('.galeria-section');
+    if (!secao) return;
+    const assinatura = assinaturaGaleria(v);
+    if (secao.dataset.assinatura === assinatura) return;
+    secao.dataset.assinatura = assinatura;
+
+    const contagem = secao.querySelector('.galeria-contagem');
+    if (contagem) contagem.textContent = v.galeria.length > 0 ? `(${v.galeria.length})` : '';
+    const grade = secao.querySelector('.galeria-grade');
+    if (grade) {
+        grade.innerHTML = v.galeria.length === 0 ? '<p>Nenhuma foto. Registre avarias, serviços e documentos abaixo.</p>' :
+            v.galeria.map(f => `
+                <button type="button" class="galeria-item${f.id === v.capaFotoId ? ' galeria-capa' : ''}" data-foto-id="${escaparHTML(f.id)}"
+                        title="${escaparHTML(f.legenda || 'Sem legenda')} - ${f.formatarData()}">
+                    <img src="${f.obterMiniaturaSrc()}" alt="${escaparHTML(f.legenda || 'Foto do veículo')}">
+                    ${f.id === v.capaFotoId ? '<span class="galeria-selo-capa"><i class="fa-solid fa-star"></i> Capa</span>' : ''}
+                    <small>${escaparHTML(f.legenda || f.formatarData())}</small>
+                </button>`).join('');
+    }
+    const select = secao.querySelector('.galeria-manutencao');
+    if (select) preencherSelectManutencoesGaleria(select, v, select.value);
+
+    if (lightboxGaleria?.veiculoId === v.id) atualizarLightboxGaleria();
+}
+
+/**
+ * Configura os listeners da galeria dentro do veículo recém-renderizado (clone do `#veiculo-template`):
+ * formulário de fotos, clique nas miniaturas, na imagem de capa e no botão 📷 das manutenções.
+ * @param {HTMLElement} container - `.veiculo-renderizado` do clone.
+ * @param {string} veiculoId - ID do veículo renderizado.
+ * @returns {void}
+ */
+function configurarGaleriaVeiculo(container, veiculoId) {
+    container.querySelector('.form-galeria')?.addEventListener('submit', (e) => handleAdicionarFotosGaleria(e, veiculoId));
+    container.querySelector('.galeria-grade')?.addEventListener('click', (e) => {
+        const item = e.target.closest('.galeria-item');
+        const v = garagem[veiculoId];
+        if (item && v) abrirLightboxGaleria(veiculoId, v.galeria.map(f => f.id), item.dataset.fotoId);
+    });
+    container.querySelector('.veiculo-imagem')?.addEventListener('click', () => {
+        const v = garagem[veiculoId];
+        if (v?.obterCapa()) abrirLightboxGaleria(veiculoId, v.galeria.map(f => f.id), v.capaFotoId);
+    });
+    container.querySelector('.lista-historico')?.addEventListener('click', (e) => {
+        const btn = e.target.closest('.btn-fotos-manutencao');
+        const m = btn && garagem[veiculoId]?.obterManutencao(btn.dataset.manutencaoId);
+        if (m) abrirLightboxGaleria(veiculoId, [...m.fotoIds]);
+    });
+}
+
+/**
+ * Abre o lightbox (`#galeria-lightbox`) com as fotos informadas.
+ * @param {string} veiculoId - Dono das fotos.
+ * @param {string[]} fotoIds - Fotos navegáveis, em ordem.
+ * @param {string} [fotoIdInicial] - Foto exibida primeiro (padrão: a primeira).
+ * @returns {void}
+ */
+function abrirLightboxGaleria(veiculoId, fotoIds, fotoIdInicial) {
+    if (fotoIds.length === 0) return;
+    lightboxGaleria = { veiculoId, fotoIds, indice: Math.max(0, fotoIds.indexOf(fotoIdInicial)) };
+    document.getElementById('galeria-lightbox')?.classList.remove('oculto');
+    atualizarLightboxGaleria();
+    document.getElementById('lightbox-fechar')?.focus();
+}
+
+/**
+ * Fecha o lightbox.
+ * @returns {void}
+ */
+function fecharLightboxGaleria() {
+    lightboxGaleria = null;
+    const lb = document.getElementById('galeria-lightbox');
+    if (!lb) return;
+    lb.classList.add('oculto');
+    lb.querySelector('#lightbox-imagem').src = '#';
+}
+
+/**
+ * Redesenha o lightbox com a foto atual. Fotos que deixaram de existir (removidas, desfeitas ou alteradas
+ * em outra aba) saem da navegação; se não sobrar nenhuma, o lightbox fecha.
+ * @returns {void}
+ */
+function atualizarLightboxGaleria() {
+    const lb = document.getElementById('galeria-lightbox');
+    const v = garagem[lightboxGaleria?.veiculoId];
+    if (!lb || !v) { fecharLightboxGaleria(); return; }
+    const atualId = lightboxGaleria.fotoIds[lightboxGaleria.indice];
+    lightboxGaleria.fotoIds = lightboxGaleria.fotoIds.filter(id => v.obterFoto(id));
+    if (lightboxGaleria.fotoIds.length === 0) { fecharLightboxGaleria(); return; }
+    const i = lightboxGaleria.fotoIds.indexOf(atualId);
+    lightboxGaleria.indice = i >= 0 ? i : Math.min(lightboxGaleria.indice, lightboxGaleria.fotoIds.length - 1);
+
+    const foto = v.obterFoto(lightboxGaleria.fotoIds[lightboxGaleria.indice]);
+    const img = lb.querySelector('#lightbox-imagem');
+    img.src = foto.obterSrc();
+    img.alt = foto.legenda || `Foto de ${v.modelo}`;
+    lb.querySelector('#lightbox-legenda').textContent = foto.legenda || 'Sem legenda';
+    lb.querySelector('#lightbox-info').textContent =
+        `${v.modelo} · ${foto.formatarData()} · ${lightboxGaleria.indice + 1}/${lightboxGaleria.fotoIds.length}`;
+
+    const ehCapa = foto.id === v.capaFotoId;
+    const btnCapa = lb.querySelector('#lightbox-capa');
+    btnCapa.disabled = ehCapa;
+    btnCapa.innerHTML = ehCapa ? '<i class="fa-solid fa-star"></i> Foto de Capa' : '<i class="fa-regular fa-star"></i> Definir como Capa';
+    const manut = v.historicoManutencao.find(m => m.fotoIds.includes(foto.id));
+    preencherSelectManutencoesGaleria(lb.querySelector('#lightbox-manutencao'), v, manut ? manut.id : '');
+    const sozinha = lightboxGaleria.fotoIds.length === 1;
+    lb.querySelector('#lightbox-anterior').disabled = sozinha;
+    lb.querySelector('#lightbox-proxima').disabled = sozinha;
+}
+
+/**
+ * Vai para a foto anterior/seguinte do lightbox (circular).
+ * @param {number} passo - -1 (anterior) ou +1 (próxima).
+ * @returns {void}
+ */
+function navegarLightboxGaleria(passo) {
+    if (!lightboxGaleria) return;
+    const n = lightboxGaleria.fotoIds.length;
+    lightboxGaleria.indice = (lightboxGaleria.indice + passo + n) % n;
+    atualizarLightboxGaleria();
+}
+
+/**
+ * Veículo e foto exibidos no lightbox (para as ações do rodapé).
+ * @returns {{v: CarroBase, foto: FotoVeiculo}|null}
+ */
+function fotoAtualLightbox() {
+    const v = garagem[lightboxGaleria?.veiculoId];
+    const foto = v?.obterFoto(lightboxGaleria.fotoIds[lightboxGaleria.indice]);
+    return foto ? { v, foto } : null;
+}
+
+/**
+ * Handler do formulário `.form-galeria`: reduz cada arquivo com `processarImagemVeiculo` e adiciona todos
+ * à galeria numa transação (com legenda, data e, opcionalmente, anexados a uma manutenção).
+ * Arquivos que não puderem ser processados são relatados e os demais entram normalmente.
+ * Sem data informada, usa a data de modificação do arquivo (normalmente quando a foto foi tirada).
+ * @param {Event} event - Evento submit.
+ * @param {string} veiculoId - ID do veículo.
+ * @returns {Promise<void>}
+ */
+async function handleAdicionarFotosGaleria(event, veiculoId) {
+    event.preventDefault();
+    const form = event.target;
+    const input = form.querySelector('.galeria-arquivos');
+    const arquivos = [...(input?.files || [])];
+    if (arquivos.length === 0) { alert("Selecione ao menos uma foto."); return; }
+    const legenda = form.querySelector('.galeria-legenda')?.value.trim() || '';
+    const dataS = form.querySelector('.galeria-data')?.value; // YYYY-MM-DD ou vazia.
+    const idManut = form.querySelector('.galeria-manutencao')?.value ?? '';
+
+    const fotos = [], falhas = [];
+    for (const arquivo of arquivos) {
+        try {
+            const { imagem, miniatura } = await processarImagemVeiculo(arquivo);
+            const data = dataS ? new Date(`${dataS}T12:00:00`) : new Date(arquivo.lastModified || Date.now());
+            fotos.push(new FotoVeiculo(FotoVeiculo.gerarId(), imagem, miniatura, legenda, data));
+        } catch (e) {
+            console.error(`Erro ao processar a foto ${arquivo.name}:`, e);
+            falhas.push(`${arquivo.name}: ${e.message}`);
+        }
+    }
+    if (falhas.length > 0) alert(`Algumas fotos não puderam ser usadas:\n\n${falhas.join('\n')}`);
+    if (fotos.length === 0) return;
+
+    const salvou = await executarTransacaoGaragem([veiculoId], () => {
+        const alvo = garagem[veiculoId]; // Relê: outra aba pode ter trocado a instância durante o processamento.
+        if (!alvo) return false;
+        const manut = idManut === '' ? null : alvo.obterManutencao(idManut);
+        fotos.forEach(f => {
+            alvo.adicionarFoto(f);
+            if (manut) alvo.vincularFotoManutencao(f.id, manut);
+        });
+    }, { descricao: `${fotos.length} foto(s) em ${garagem[veiculoId]?.modelo}` });
+
+    if (salvou) {
+        form.reset();
+        garagem[veiculoId].atualizarInformacoesUI("Fotos Adicionadas");
+        mostrarToast(`${fotos.length} foto(s) adicionada(s) à galeria.`);
+    }
+}
+
+/**
+ * Define a foto exibida no lightbox como capa do veículo.
+ * @returns {Promise<void>}
+ */
+async function handleDefinirCapaLightbox() {
+    const atual = fotoAtualLightbox(); if (!atual) return;
+    const { v, foto } = atual;
+    if (await executarTransacaoGaragem([v.id], () => v.definirCapa(foto.id), { descricao: `Nova capa de ${v.modelo}` })) {
+        garagem[v.id].atualizarInformacoesUI("Capa Definida");
+        atualizarMenuVeiculos(); // A miniatura do menu é a da capa.
+        marcarBotaoAtivo(v.id);
+    }
+}
+
+/**
+ * Edita (via prompt) a legenda da foto exibida no lightbox.
+ * @returns {Promise<void>}
+ */
+async function handleEditarLegendaLightbox() {
+    const atual = fotoAtualLightbox(); if (!atual) return;
+    const { v, foto } = atual;
+    const nova = prompt("Legenda da foto:", foto.legenda);
+    if (nova === null || nova.trim() === foto.legenda) return; // Cancelado ou sem mudança.
+    if (await executarTransacaoGaragem([v.id], () => { foto.legenda = nova.trim(); }, { descricao: `Legenda de foto em ${v.modelo}` })) {
+        garagem[v.id].atualizarInformacoesUI("Legenda Editada");
+    }
+}
+
+/**
+ * Anexa a foto do lightbox à manutenção escolhida em `#lightbox-manutencao` (ou desanexa, em "Nenhuma").
+ * @param {Event} event - Evento `change` do select.
+ * @returns {Promise<void>}
+ */
+async function handleVincularManutencaoLightbox(event) {
+    const atual = fotoAtualLightbox(); if (!atual) return;
+    const { v, foto } = atual;
+    const idManut = event.target.value;
+    const salvou = await executarTransacaoGaragem([v.id], () => {
+        v.vincularFotoManutencao(foto.id, idManut === '' ? null : v.obterManutencao(idManut));
+    }, { descricao: idManut === '' ? `Foto desanexada em ${v.modelo}` : `Foto anexada à manutenção em ${v.modelo}` });
+    if (salvou) garagem[v.id].atualizarInformacoesUI("Foto Anexada");
+    else atualizarLightboxGaleria(); // Volta o select ao valor gravado.
+}
+
+/**
+ * Remove da galeria a foto exibida no lightbox (com "Desfazer" no toast).
+ * @returns {Promise<void>}
+ */
+async function handleRemoverFotoLightbox() {
+    const atual = fotoAtualLightbox(); if (!atual) return;
+    const { v, foto } = atual;
+    const aviso = foto.id === v.capaFotoId ? '\n\nEla é a foto de capa: o veículo volta a usar a imagem padrão.' : '';
+    if (!confirm(`Remover a foto "${foto.legenda || foto.formatarData()}" da galeria de ${v.modelo}?${aviso}\n\nVocê poderá desfazer logo em seguida (botão "Desfazer" ou Ctrl+Z).`)) return;
+    const eraCapa = foto.id === v.capaFotoId;
+    if (await executarTransacaoGaragem([v.id], () => { v.removerFoto(foto.id); }, { descricao: `Foto removida de ${v.modelo}`, destrutiva: true })) {
+        garagem[v.id].atualizarInformacoesUI("Foto Removida"); // Também atualiza o lightbox (ou o fecha, se vazio).
+        if (eraCapa) { atualizarMenuVeiculos(); marcarBotaoAtivo(v.id); }
+    }
+}
+
+/**
+ * Teclado no lightbox: Esc fecha, setas navegam.
+ * @param {KeyboardEvent} event - Evento `keydown`.
+ * @returns {void}
+ */
+function handleTeclasLightbox(event) {
+    if (!lightboxGaleria) return;
+    if (event.key === 'Escape') fecharLightboxGaleria();
+    else if (event.key === 'ArrowLeft' && event.target.tagName !== 'SELECT') navegarLightboxGaleria(-1);
+    else if (event.key === 'ArrowRight' && event.target.tagName !== 'SELECT') navegarLightboxGaleria(1);
+}
+
+/**
+ * Configura os listeners do lightbox da galeria (fixo no `body`, compartilhado por todos os veículos).
+ * @returns {void}
+ */
+function setupListenersGaleria() {
+    const lb = document.getElementById('galeria-lightbox');
+    if (!lb) return;
+    lb.addEventListener('click', (e) => { if (e.target === lb) fecharLightboxGaleria(); }); // Clique no fundo escuro.
+    lb.querySelector('#lightbox-fechar')?.addEventListener('click', fecharLightboxGaleria);
+    lb.querySelector('#lightbox-anterior')?.addEventListener('click', () => navegarLightboxGaleria(-1));
+    lb.querySelector('#lightbox-proxima')?.addEventListener('click', () => navegarLightboxGaleria(1));
+    lb.querySelector('#lightbox-capa')?.addEventListener('click', handleDefinirCapaLightbox);
+    lb.querySelector('#lightbox-legenda-btn')?.addEventListener('click', handleEditarLegendaLightbox);
+    lb.querySelector('#lightbox-manutencao')?.addEventListener('change', handleVincularManutencaoLightbox);
+    lb.querySelector('#lightbox-remover')?.addEventListener('click', handleRemoverFotoLightbox);
+    document.addEventListener('keydown', handleTeclasLightbox);
+}
@@ -1,6 +1,6 @@
 
 // ==================================================
-//      GERENCIAMENTO DA GARAGEM & PERSISTÊNCIA (LocalStorage)
+//      GERENCIAMENTO DA GARAGEM & PERSISTÊNCIA (IndexedDB)
 // ==================================================
 
 /**
@@ -10,28 +10,40 @@
 let garagem = {};
 
 /**
- * Chave única usada no LocalStorage para armazenar/recuperar os dados da garagem.
- * A versão na chave ajuda a evitar conflitos com dados antigos.
+ * Chave LEGADA do LocalStorage onde a garagem inteira era salva como um único JSON.
+ * Só é lida para migrar os dados para o IndexedDB na primeira execução (ver `migrarLocalStorageParaIndexedDB`).
  * @const {string}
  */
 const GARAGEM_KEY = 'garagemData_v6_add';
 
 /**
- * Salva o estado atual da `garagem` (em memória) no LocalStorage.
- * Serializa todo o objeto `garagem` para JSON.
- * **Crucial:** Inclui tratamento para `QuotaExceededError`, comum ao salvar imagens Base64 grandes.
- * @returns {boolean} `true` se salvou com sucesso, `false` se houve erro (ex: quota excedida).
+ * Persiste veículos da `garagem` (em memória) no IndexedDB, um registro por veículo.
+ * IDs informados que NÃO existem mais na `garagem` são removidos do banco (exclusão).
+ * Sem argumento, sincroniza a garagem inteira (incluindo remoção de veículos que saíram da memória).
+ * **Crucial:** Trata `QuotaExceededError`, comum ao salvar imagens grandes.
+ * @param {string[]} [ids] - IDs dos veículos alterados. Omitido = garagem inteira.
+ * @returns {Promise<boolean>} `true` se salvou com sucesso, `false` se houve erro (ex: quota excedida).
  */
-function salvarGaragem() {
+async function salvarGaragem(ids) {
     try {
-        // Os objetos veículo são convertidos usando seus métodos toJSON() implicitamente pelo stringify.
-        localStorage.setItem(GARAGEM_KEY, JSON.stringify(garagem));
-        console.log(`Garagem salva no LocalStorage (Chave: ${GARAGEM_KEY}).`);
+        let alvo = ids;
+        if (!alvo) {
+            // Sincronização completa: inclui IDs que estão no banco mas não mais na memória.
+            const idsBanco = await listarIdsVeiculosDB();
+            alvo = [...new Set([...Object.keys(garagem), ...idsBanco])];
+        }
+        const presentes = alvo.filter(id => garagem[id]).map(id => garagem[id]);
+        const removidos = alvo.filter(id => !garagem[id]);
+        await gravarVeiculosDB(presentes, removidos);
+        console.log(`Garagem salva no IndexedDB (${presentes.length} gravado(s), ${removidos.length} removido(s)).`);
+        notificarOutrasAbas(alvo); // Outras abas abertas releem esses veículos.
         return true;
     } catch (e) {
-        if (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED') {
-            console.error("ERRO DE QUOTA AO SALVAR: LocalStorage cheio! Provavelmente devido a imagens grandes.");
-            alert("ERRO CRÍTICO AO SALVAR!\n\nO armazenamento local está cheio (provavelmente por causa de uma imagem grande).\nAs últimas alterações NÃO FORAM SALVAS.\n\nConsidere usar imagens menores ou remover itens.");
+        if (e?.name === 'QuotaExceededError' || e?.name === 'NS_ERROR_DOM_QUOTA_REACHED') {
+            console.error("ERRO DE QUOTA AO SALVAR: Armazenamento cheio! Provavelmente devido a imagens grandes.");
+            alert("ERRO CRÍTICO AO SALVAR!\n\nO armazenamento do navegador está cheio (provavelmente por causa de uma imagem grande).\nAs últimas alterações NÃO FORAM SALVAS.\n\nConsidere usar imagens menores ou remover itens.");
+        } else if (bancoPreservado) {
+            alert("Os dados salvos não puderam ser convertidos e estão sendo preservados.\nAs últimas alterações NÃO FORAM SALVAS.");
         } else {
             console.error("Erro inesperado ao salvar garagem:", e);
             alert("Ocorreu um erro inesperado ao salvar os dados da garagem.");
@@ -41,105 +53,314 @@ function salvarGaragem() {
 }
 
 /**
- * Carrega os dados da garagem do LocalStorage para a variável `garagem`.
- * Desserializa o JSON, recria as instâncias das classes corretas (`CarroBase`, `CarroEsportivo`, `Caminhao`)
- * usando o campo `tipoVeiculo`, e recria as instâncias de `Manutencao`.
- * Se falhar ou não houver dados, chama `inicializarVeiculosPadrao`.
- * Ao final, chama `atualizarInterfaceCompleta`.
- * @returns {void}
+ * Executa uma mudança na `garagem` como transação: tira uma foto dos veículos afetados, aplica a mutação
+ * em memória e persiste. Se a mutação lançar erro ou a gravação falhar, a foto é restaurada automaticamente
+ * e a interface é redesenhada (quem chama não precisa desfazer nada à mão).
+ * Após restaurar, os veículos afetados são NOVAS instâncias: sempre releia `garagem[id]` depois da chamada.
+ * @param {string[]} ids - IDs dos veículos que a mutação pode criar, alterar ou remover.
+ * @param {function(): (boolean|void|Promise<boolean|void>)} mutacao - Aplica a mudança. Retornar `false` indica
+ *   que nada mudou: não grava nem registra no histórico de desfazer.
+ * @param {{descricao?: string, destrutiva?: boolean}} [opcoes={}] - Com `descricao`, a ação entra no histórico
+ *   de desfazer (`destrutiva` mostra o toast com "Desfazer").
+ * @returns {Promise<boolean>} `true` se a mudança foi aplicada e salva.
+ * @throws {Error} O erro lançado pela mutação (depois de restaurar o estado anterior).
+ */
+async function executarTransacaoGaragem(ids, mutacao, opcoes = {}) {
+    const antes = capturarEstadoVeiculos(ids);
+    let resultado;
+    try {
+        resultado = await mutacao();
+    } catch (e) {
+        restaurarEstadoVeiculos(antes);
+        atualizarInterfaceCompleta();
+        throw e;
+    }
+    if (resultado === false) return false;
+
+    if (!(await salvarGaragem(ids))) { // salvarGaragem() já alertou o usuário.
+        console.warn(`Gravação falhou; restaurando ${ids.length} veículo(s) ao estado anterior.`);
+        restaurarEstadoVeiculos(antes);
+        atualizarInterfaceCompleta();
+        return false;
+    }
+    if (opcoes.descricao) registrarAcao(opcoes.descricao, antes, opcoes.destrutiva);
+    return true;
+}
+
+/**
+ * Recria a instância da classe correta a partir de um objeto no formato de `CarroBase.toJSON()`, usando o tipo
+ * registrado em `tipoVeiculo` (tipos desconhecidos viram `CarroBase`), e recria as instâncias de `Manutencao`
+ * e as fotos da galeria (metadados de `d.galeria` + Blobs de `fotos`), o odômetro, o combustível, os abastecimentos e as viagens.
+ * Fotos sem Blob são descartadas (e desanexadas da capa e das manutenções).
+ * @param {object} d - Dados serializados do veículo.
+ * @param {Object.<string, {blob: Blob, miniatura: Blob|null}>} [fotos={}] - Blobs da galeria por ID da foto.
+ * @returns {CarroBase} A instância recriada.
+ * @throws {Error} Se faltarem dados essenciais (id, modelo, tipoVeiculo) ou o construtor falhar.
  */
-function carregarGaragem() {
+function recriarVeiculo(d, fotos = {}) {
+    // Validação mínima dos dados essenciais para recriar o objeto.
+    if (!d?.id || !d?.modelo || !d?.tipoVeiculo) {
+        throw new Error(`Dados inválidos/incompletos para o veículo ${d?.id ?? '(sem ID)'}.`);
+    }
+
+    // Recria a galeria primeiro (o histórico só mantém anexos de fotos que existem).
+    const metasGaleria = Array.isArray(d.galeria) ? d.galeria : [];
+    const galeria = metasGaleria
+        .filter(f => f?.id && fotos[f.id]?.blob instanceof Blob)
+        .map(f => new FotoVeiculo(f.id, fotos[f.id].blob, fotos[f.id].miniatura, f.legenda, f.data));
+    if (galeria.length < metasGaleria.length) {
+        console.warn(`${metasGaleria.length - galeria.length} foto(s) do veículo ${d.id} sem imagem gravada. Ignorando.`);
+    }
+    const idsGaleria = new Set(galeria.map(f => f.id));
+
+    // Recria o histórico de manutenção.
+    const histRecriado = (d.historicoManutencao || [])
+        .map(m => {
+            if (!m?.data || !m?.tipo) return null;
+            const manut = new Manutencao(m.data, m.tipo, m.custo, m.descricao);
+            if (typeof m.id === 'string' && m.id) manut.id = m.id; // Senão, fica o ID novo do construtor.
+            manut.fotoIds = (Array.isArray(m.fotoIds) ? m.fotoIds : []).filter(id => idsGaleria.has(id));
+            manut.odometro = Number.isFinite(m.odometro) && m.odometro >= 0 ? m.odometro : null;
+            manut.planoId = typeof m.planoId === 'string' && m.planoId ? m.planoId : null;
+            if (Object.values(STATUS_MANUTENCAO).includes(m.status)) manut.status = m.status; // Senão, fica o deduzido da data.
+            const dataRealizada = m.dataRealizada ? new Date(m.dataRealizada) : null;
+            manut.dataRealizada = dataRealizada && !isNaN(dataRealizada.getTime()) ? dataRealizada : null;
+            manut.custoFinal = Number.isFinite(m.custoFinal) && m.custoFinal >= 0 ? m.custoFinal : null;
+            return manut;
+        })
+        .filter(m => m && m.validar()); // Garante que só manutenções válidas sejam carregadas.
+
+    // Argumentos comuns para os construtores das classes de veículo.
+    const args = [d.id, d.modelo, d.cor, d.imagemSrc, d.placa, d.ano, d.motoristaId];
+    // Usa o 'tipoVeiculo' salvo para instanciar a classe correta (Polimorfismo na desserialização).
+    const tipo = obterTipoVeiculo(d.tipoVeiculo);
+    if (!tipo) console.warn(`Tipo de veículo desconhecido "${d.tipoVeiculo}" (${d.id}). Carregando como Carro Comum.`);
+    const veiculoInstance = criarVeiculoDoTipo(tipo || TIPOS_VEICULO.CarroBase, args, d);
+    (tipo || TIPOS_VEICULO.CarroBase).restaurar(veiculoInstance, d); // Estado próprio do tipo (turbo, carga atual...).
+    // Restaura estado e histórico.
+    veiculoInstance.velocidade = d.velocidade || 0;
+    veiculoInstance.ligado = d.ligado || false;
+    veiculoInstance.historicoManutencao = histRecriado;
+    Object.entries(d.planosDispensados).forEach(([planoId, ultimaId]) => {
+        if (typeof ultimaId === 'string' || ultimaId === null) veiculoInstance.planosDispensados[planoId] = ultimaId;
+    });
+    veiculoInstance.galeria = galeria;
+    veiculoInstance.capaFotoId = idsGaleria.has(d.capaFotoId) ? d.capaFotoId : null;
+    // Odômetro e combustível (sem nível salvo, o construtor já deixou o tanque cheio).
+    veiculoInstance.odometro = Math.max(0, parseFloat(d.odometro) || 0);
+    veiculoInstance.odometroInicioParcial = Math.min(veiculoInstance.odometro, Math.max(0, parseFloat(d.odometroInicioParcial) || 0));
+    if (Number.isFinite(d.combustivel)) {
+        veiculoInstance.combustivel = Math.min(Math.max(d.combustivel, 0), veiculoInstance.obterCapacidadeTanque());
+    }
+    veiculoInstance.abastecimentos = (Array.isArray(d.abastecimentos) ? d.abastecimentos : [])
+        .map(a => new Abastecimento(a?.id || Abastecimento.gerarId(), a?.data, a?.litros, a?.precoLitro, a?.odometro))
+        .filter(a => a.validar())
+        .sort((x, y) => y.data - x.data);
+    veiculoInstance.viagens = (Array.isArray(d.viagens) ? d.viagens : [])
+        .map(vg => new Viagem(vg?.id || Viagem.gerarId(), vg?.motoristaId, vg?.origem, vg?.inicio,
+            (Array.isArray(vg?.paradas) ? vg.paradas : []).map(p => new ParadaViagem(p?.id || ParadaViagem.gerarId(), p?.local, p?.concluidaEm, p?.entregaIds)),
+            vg?.fim))
+        .filter(vg => vg.validar()) // Só viagens válidas.
+        .sort((x, y) => y.inicio - x.inicio);
+    return veiculoInstance;
+}
+
+/**
+ * Recria os veículos de um payload JÁ migrado para a versão atual.
+ * Veículos que não puderem ser recriados vão para a quarentena (não são descartados silenciosamente).
+ * @param {Object.<string, object>} veiculosData - Veículos no formato de `toJSON()`, indexados por ID.
+ * @param {string} origem - Origem dos dados, registrada na quarentena.
+ * @param {Object.<string, Object.<string, {blob: Blob, miniatura: Blob|null}>>} [fotosPorVeiculo={}] - Blobs da galeria de cada veículo.
+ * @returns {{veiculos: CarroBase[], idsRejeitados: string[]}}
+ */
+function recriarVeiculosDoPayload(veiculosData, origem, fotosPorVeiculo = {}) {
+    const veiculos = [], idsRejeitados = [];
+    for (const id in veiculosData) {
+        try {
+            veiculos.push(recriarVeiculo(veiculosData[id], fotosPorVeiculo[id]));
+        } catch (creationError) {
+            console.error(`Erro crítico ao recriar instância do veículo ${id}. Enviando para quarentena.`, creationError, veiculosData[id]);
+            colocarEmQuarentena(origem, `Veículo ${id}: ${creationError.message}`, veiculosData[id]);
+            idsRejeitados.push(id);
+        }
+    }
+    return { veiculos, idsRejeitados };
+}
+
+/**
+ * Migra a garagem salva no formato antigo (um único JSON no LocalStorage, chave `GARAGEM_KEY`)
+ * para o IndexedDB. O JSON é tratado como schema `SCHEMA_VERSAO_LEGADO` e passa pela cadeia de migrações.
+ * Imagens Base64 são convertidas em Blob e viram a foto de capa da galeria. Os motoristas criados pela
+ * migração (a partir da CNH de cada veículo) são gravados antes dos veículos.
+ * Só roda se a chave legada existir E o banco ainda estiver vazio. Após gravar com sucesso, remove a chave legada.
+ * JSON ilegível ou não migrável vai para a quarentena antes da chave ser removida.
+ * @returns {Promise<void>}
+ */
+async function migrarLocalStorageParaIndexedDB() {
     const dataJSON = localStorage.getItem(GARAGEM_KEY);
-    garagem = {}; // Reseta a garagem em memória antes de carregar.
-    let carregouOk = false;
+    if (!dataJSON) return;
+    if ((await listarIdsVeiculosDB()).length > 0) {
+        console.warn("Banco já possui veículos; dados legados do LocalStorage não serão migrados de novo.");
+        localStorage.removeItem(GARAGEM_KEY);
+        return;
+    }
 
-    if (dataJSON) {
+    console.log("Migrando garagem do LocalStorage para o IndexedDB...");
+    let payload;
+    try {
+        payload = migrarPayloadGaragem({ schemaVersao: SCHEMA_VERSAO_LEGADO, veiculos: JSON.parse(dataJSON) });
+    } catch (e) {
+        console.error("Erro ao parsear ou migrar dados legados da garagem do LocalStorage:", e);
+        if (colocarEmQuarentena('localStorage', e.message, dataJSON)) {
+            localStorage.removeItem(GARAGEM_KEY); // Só remove depois de preservado na quarentena.
+            alert("Não foi possível ler os dados salvos. Eles foram guardados em quarentena e a garagem padrão será carregada.");
+        } else {
+            alert("Não foi possível ler os dados salvos nem guardá-los em quarentena. Eles foram mantidos no navegador.");
+        }
+        return;
+    }
+
+    // Imagens Base64 viram Blob (reduzido, com miniatura); o veículo é recriado sem elas e recebe a foto de capa em seguida.
+    const base64PorId = {};
+    for (const id in payload.veiculos) {
+        const src = payload.veiculos[id].imagemSrc;
+        if (typeof src === 'string' && src.startsWith('data:')) {
+            base64PorId[id] = src;
+            payload.veiculos[id] = { ...payload.veiculos[id], imagemSrc: null };
+        }
+    }
+    const { veiculos } = recriarVeiculosDoPayload(payload.veiculos, 'localStorage');
+    for (const v of veiculos) {
+        if (!base64PorId[v.id]) continue;
+        const original = await dataURLParaBlob(base64PorId[v.id]);
+        let imagem = original, miniatura = null;
         try {
-            const garagemData = JSON.parse(dataJSON);
-            for (const id in garagemData) {
-                const d = garagemData[id]; // Dados do veículo individual do JSON.
-                // Validação mínima dos dados essenciais para recriar o objeto.
-                if (!d?.id || !d?.modelo || !d?.tipoVeiculo) {
-                    console.warn(`Dados inválidos/incompletos para ID ${id} no LocalStorage. Pulando.`);
-                    continue;
-                }
+            ({ imagem, miniatura } = await processarImagemVeiculo(original));
+        } catch (e) {
+            console.warn(`Imagem antiga de ${v.id} não pôde ser reduzida; migrando como está.`, e);
+        }
+        v.adicionarFoto(new FotoVeiculo(FotoVeiculo.gerarId(), imagem, miniatura, 'Foto principal'), true);
+    }
+    carregarMotoristas(payload.motoristas, 'localStorage');
+    await gravarMotoristasDB(Object.values(motoristas)); // IDs derivados do veículo: repetir a migração não duplica.
+    await gravarVeiculosDB(veiculos); // Se falhar, a chave legada é mantida para nova tentativa.
+    localStorage.removeItem(GARAGEM_KEY);
+    console.log(`Migração concluída: ${veiculos.length} veículo(s) movido(s) para o IndexedDB.`);
+}
 
-                let veiculoInstance;
-                // Recria o histórico de manutenção primeiro.
-                const histRecriado = (d.historicoManutencao || [])
-                    .map(m => (!m?.data || !m?.tipo) ? null : new Manutencao(m.data, m.tipo, m.custo, m.descricao))
-                    .filter(m => m && m.validar()); // Garante que só manutenções válidas sejam carregadas.
-
-                try {
-                    // Argumentos comuns para os construtores das classes de veículo.
-                    const args = [d.id, d.modelo, d.cor, d.imagemSrc, d.placa, d.ano, d.dataVencimentoCNH];
-                    // Usa o 'tipoVeiculo' salvo para instanciar a classe correta (Polimorfismo na desserialização).
-                    switch (d.tipoVeiculo) {
-                        case 'CarroEsportivo':
-                            veiculoInstance = new CarroEsportivo(...args);
-                            veiculoInstance.turboAtivado = d.turboAtivado || false;
-                            break;
-                        case 'Caminhao':
-                            // Adiciona capacidade de carga e carga atual para Caminhao.
-                            veiculoInstance = new Caminhao(...args, d.capacidadeCarga || 0);
-                            veiculoInstance.cargaAtual = d.cargaAtual || 0;
-                            break;
-                        default: // Inclui 'CarroBase' ou tipos desconhecidos.
-                            veiculoInstance = new CarroBase(...args);
-                            break;
-                    }
-                    // Restaura estado e histórico.
-                    veiculoInstance.velocidade = d.velocidade || 0;
-                    veiculoInstance.ligado = d.ligado || false;
-                    veiculoInstance.historicoManutencao = histRecriado;
-                    garagem[id] = veiculoInstance; // Adiciona a instância recriada à garagem em memória.
-
-                } catch (creationError) {
-                    console.error(`Erro crítico ao recriar instância do veículo ${id}. Pulando.`, creationError, d);
-                }
-            }
-            console.log("Garagem carregada do LocalStorage.");
-            carregouOk = true;
+/**
+ * Carrega os dados da garagem do IndexedDB para a variável `garagem` (e o cadastro de `motoristas`).
+ * Na primeira execução, migra antes os dados antigos do LocalStorage.
+ * Se o banco estiver numa versão de schema anterior, aplica a cadeia de migrações e regrava tudo.
+ * Payloads que não puderem ser recriados vão para a quarentena e são retirados do banco. Se a migração do banco
+ * inteiro falhar, o payload vai para a quarentena, mas o banco fica intacto (as fotos só existem nele): a garagem
+ * abre vazia, sem veículos padrão, e `bancoPreservado` recusa qualquer gravação.
+ * Cada registro é recriado com `recriarVeiculo` junto com as fotos da galeria; a imagem única de versões
+ * anteriores (store legada `imagens`) vira a foto de capa e o veículo é regravado.
+ * Se não houver dados, chama `inicializarVeiculosPadrao`.
+ * Ao final, chama `atualizarInterfaceCompleta`.
+ * @returns {Promise<void>}
+ */
+async function carregarGaragem() {
+    garagem = {}; // Reseta a garagem em memória antes de carregar.
+
+    try {
+        await migrarLocalStorageParaIndexedDB();
+    } catch (e) {
+        console.error("Falha ao migrar dados do LocalStorage para o IndexedDB:", e);
+    }
+
+    const { schemaVersao, veiculos: veiculosData, motoristas: motoristasData, fotos, imagens, miniaturas } = await lerGaragemDB();
+    const idsNoBanco = Object.keys(veiculosData);
+    let payload = { schemaVersao: schemaVersao ?? SCHEMA_VERSAO_LEGADO, veiculos: veiculosData, motoristas: motoristasData };
+    const precisaMigrar = idsNoBanco.length > 0 && payload.schemaVersao !== SCHEMA_VERSAO_ATUAL;
+
+    if (precisaMigrar) {
+        try {
+            payload = migrarPayloadGaragem(payload);
         } catch (e) {
-            console.error("Erro ao parsear ou processar dados da garagem do LocalStorage:", e);
-            alert("Erro ao carregar dados salvos. Resetando para garagem padrão.");
-            localStorage.removeItem(GARAGEM_KEY); // Remove dados corrompidos.
-            garagem = {}; // Garante que a garagem está vazia.
+            console.error("Falha ao migrar dados do IndexedDB:", e);
+            const copia = JSON.stringify(payload);
+            const jaGuardado = listarQuarentena().some(q => q.origem === 'indexeddb' && JSON.stringify(q.dados) === copia); // Recarregar não duplica.
+            if (!jaGuardado && !colocarEmQuarentena('indexeddb', e.message, payload)) {
+                throw new Error("Dados do banco não puderam ser migrados nem guardados em quarentena.");
+            }
+            alert("Os dados salvos estão num formato que não pôde ser convertido. Eles foram guardados em quarentena " +
+                "e o banco (com as fotos) foi mantido como está.\n\nNenhuma alteração será salva até que os dados sejam recuperados.");
+            bancoPreservado = true;
+            payload = { schemaVersao: SCHEMA_VERSAO_ATUAL, veiculos: {}, motoristas: {} };
+        }
+    }
+
+    const idsMotoristasRejeitados = carregarMotoristas(payload.motoristas, 'indexeddb');
+    const { veiculos, idsRejeitados } = recriarVeiculosDoPayload(payload.veiculos, 'indexeddb', fotos);
+    const idsImagemLegada = [];
+    veiculos.forEach(v => {
+        if (imagens[v.id]) { // Imagem única de antes da galeria: vira a capa.
+            v.adicionarFoto(new FotoVeiculo(FotoVeiculo.gerarId(), imagens[v.id], miniaturas[v.id], 'Foto principal'), true);
+            idsImagemLegada.push(v.id);
         }
+        garagem[v.id] = v; // Adiciona a instância recriada à garagem em memória.
+    });
+
+    if (bancoPreservado) {
+        atualizarInterfaceCompleta(); // Garagem vazia; nada de veículos padrão por cima dos dados preservados.
+        return;
+    }
+    if (precisaMigrar) {
+        await salvarMotoristas(); // Inclui os criados pela migração; antes dos veículos que apontam para eles.
+        await salvarGaragem(); // Regrava tudo no formato atual e retira do banco o que foi para a quarentena.
+    } else if (idsRejeitados.length > 0 || idsImagemLegada.length > 0) {
+        await salvarGaragem([...idsRejeitados, ...idsImagemLegada]); // Rejeitados já estão na quarentena; remove do banco.
+    }
+    if (!precisaMigrar && idsMotoristasRejeitados.length > 0) {
+        await salvarMotoristas(idsMotoristasRejeitados); // Já estão na quarentena; remove do banco.
     }
 
-    // Se não carregou OK (sem dados ou erro), inicializa com padrão.
-    if (!carregouOk) {
-        console.log("Nenhum dado válido encontrado ou erro. Inicializando com veículos padrão.");
-        inicializarVeiculosPadrao(); // Cria e tenta salvar os padrões.
+    // Se não há veículos no banco, inicializa com padrão.
+    if (Object.keys(garagem).length === 0) {
+        console.log("Nenhum dado válido encontrado. Inicializando com veículos padrão.");
+        await inicializarVeiculosPadrao(); // Cria e tenta salvar os padrões.
     } else {
-        // Se carregou, atualiza a UI.
+        console.log("Garagem carregada do IndexedDB.");
         atualizarInterfaceCompleta();
     }
 }
 
 /**
- * Inicializa a `garagem` com veículos de exemplo se o LocalStorage estiver vazio ou corrompido.
- * Tenta salvar essa garagem padrão no LocalStorage.
+ * Inicializa a `garagem` com veículos de exemplo se o banco estiver vazio.
+ * Com o cadastro de motoristas também vazio, cria motoristas de exemplo e os atribui aos veículos.
+ * Tenta salvar essa garagem padrão no IndexedDB.
  * Chama `atualizarInterfaceCompleta` no final.
- * @returns {void}
+ * @returns {Promise<void>}
  */
-function inicializarVeiculosPadrao() {
+async function inicializarVeiculosPadrao() {
     garagem = {}; // Garante que começa vazia.
     try {
         console.log("Criando veículos padrão...");
+        // Motoristas de exemplo (só num cadastro vazio; senão os veículos padrão ficam sem motorista).
+        const comMotoristas = Object.keys(motoristas).length === 0;
+        if (comMotoristas) {
+            [
+                new Motorista("mot1", "Ana Souza", "01234567890", "B", "2024-12-31"),
+                new Motorista("mot2", "Bruno Lima", "12345678901", "B", "2025-06-01"),
+                new Motorista("mot3", "Carlos Pereira", "23456789012", "E", "2023-01-10") // CNH vencida.
+            ].forEach(m => { motoristas[m.id] = m; });
+            await salvarMotoristas();
+        }
+        const mot = id => comMotoristas ? id : null;
         // Instancia os veículos padrão.
-        garagem['carro1'] = new CarroBase("carro1", "Fusca", "Azul", "default_car.png", "ABC1234", 1975, "2024-12-31");
-        garagem['carro2'] = new CarroEsportivo("carro2", "Maverick", "Laranja", "default_sport.png", "DEF5678", 1974, "2025-06-01");
-        garagem['cam1'] = new Caminhao("cam1", "Scania 113", "Vermelho", "default_truck.png", "GHI9012", 1995, "2023-01-10", 20000); // CNH vencida.
+        garagem['carro1'] = new CarroBase("carro1", "Fusca", "Azul", "default_car.png", "ABC1234", 1975, mot("mot1"));
+        garagem['carro2'] = new CarroEsportivo("carro2", "Maverick", "Laranja", "default_sport.png", "DEF5678", 1974, mot("mot2"));
+        garagem['cam1'] = new Caminhao("cam1", "Scania 113", "Vermelho", "default_truck.png", "GHI9012", 1995, mot("mot3"), 20000);
 
         // Adiciona manutenções de exemplo.
-        garagem['carro1']?.adicionarManutencao(new Manutencao('2023-11-15', 'Troca Pneu', 250)); // AdicionarManutencao já salva.
+        garagem['carro1']?.adicionarManutencao(new Manutencao('2023-11-15', 'Troca Pneu', 250));
         garagem['cam1']?.adicionarManutencao(new Manutencao('2024-01-10', 'Revisão Motor', 1200, 'Fumaça estranha'));
 
         console.log("Veículos padrão criados em memória.");
         // Tenta salvar esta configuração inicial.
-        if (!salvarGaragem()) { // salvarGaragem() já foi chamado por adicionarManutencao, mas chamamos de novo para garantir.
+        if (!(await salvarGaragem())) { // Grava tudo de uma vez (veículos e manutenções de exemplo).
             console.warn("Falha ao salvar a garagem padrão inicial (pode ser erro de quota já na inicialização).");
         }
     } catch (e) {
@@ -159,38 +380,54 @@ function inicializarVeiculosPadrao() {
 /**
  * Atualiza todos os componentes principais da interface (menu, display, alertas).
  * Chamado após carregar, adicionar, excluir ou realizar ações que mudam o estado geral.
- * Garante que a UI reflita o estado atual da `garagem`.
+ * Garante que a UI reflita o estado atual da `garagem`. A aba e o veículo exibidos saem da rota da URL
+ * (ver `aplicarRota`): ao abrir a página, um link salvo ou recarregado volta para onde estava.
  * @returns {void}
  */
 function atualizarInterfaceCompleta() {
     console.log("Atualizando interface completa...");
     atualizarMenuVeiculos();                // Recria botões de seleção.
     atualizarExibicaoAgendamentosFuturos(); // Atualiza lista geral de agendamentos.
+    atualizarExibicaoMotoristas();          // Tabela de motoristas e select do formulário de adicionar.
+    atualizarListaViagens();                // Viagens da frota (aba Viagens), com os filtros atuais.
     verificarVencimentoCNH();               // Mostra/esconde alertas de CNH.
     verificarAgendamentosProximos();        // Mostra/esconde alertas de manutenção.
+    atualizarPainelCustos();                // Redesenha o painel de custos, se a aba estiver aberta.
 
-    // Decide o que exibir na área principal.
-    const veiculosIds = Object.keys(garagem);
+    // Decide o que exibir na área principal: o veículo da rota; senão o já exibido (se ainda existe); senão o primeiro.
     const displayArea = document.getElementById('veiculo-display-area');
+    const idVeiculoAntes = displayArea?.dataset.veiculoId;
+    aplicarRota(); // Renderiza só se o veículo mudou; garagem vazia limpa a área.
     const idVeiculoAtual = displayArea?.dataset.veiculoId;
-
-    if (veiculosIds.length === 0) {
-        limparAreaDisplay(true); // Garagem vazia.
-    } else {
-        // Se um veículo estava selecionado e ainda existe, re-renderiza/atualiza ele.
-        if (idVeiculoAtual && garagem[idVeiculoAtual]) {
-             marcarBotaoAtivo(idVeiculoAtual); // Garante botão ativo.
-             garagem[idVeiculoAtual].atualizarInformacoesUI("Atualização Completa");
-        } else {
-             // Se nenhum selecionado ou o selecionado foi removido, exibe o primeiro da lista.
-             const primeiroId = veiculosIds[0];
-             marcarBotaoAtivo(primeiroId);
-             renderizarVeiculo(primeiroId);
-        }
+    if (idVeiculoAtual && idVeiculoAtual === idVeiculoAntes) {
+        marcarBotaoAtivo(idVeiculoAtual); // Garante botão ativo.
+        garagem[idVeiculoAtual].atualizarInformacoesUI("Atualização Completa");
     }
     console.log("Interface completa atualizada.");
 }
 
+/**
+ * Escapa caracteres especiais de HTML para inserir texto com segurança via `innerHTML`.
+ * Essencial para dados vindos de arquivos importados (não confiáveis).
+ * @param {any} texto - Texto a escapar (convertido para string).
+ * @returns {string} Texto seguro para HTML.
+ */
+function escaparHTML(texto) {
+    return String(texto ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Cor fixa de um veículo nos gráficos e no calendário, derivada do ID (a mesma em todas as telas e sessões).
+ * Matizes espaçados pelo ângulo áureo, para veículos vizinhos não ficarem com cores parecidas.
+ * @param {string} id - ID do veículo.
+ * @returns {string} Cor CSS (ex: "hsl(137, 70%, 60%)").
+ */
+function corDoVeiculo(id) {
+    let hash = 0;
+    for (const c of String(id)) hash = (hash * 31 + c.charCodeAt(0)) | 0;
+    return `hsl(${Math.round((Math.abs(hash) * 137.508) % 360)}, 70%, 60%)`;
+}
+
 /**
  * Limpa a área de exibição do veículo (`#veiculo-display-area`).
  * Exibe uma mensagem placeholder apropriada (garagem vazia ou selecione um veículo).
@@ -209,7 +446,8 @@ function limparAreaDisplay(mostrarMsgGaragemVazia = false) {
 }
 
 /**
- * Atualiza o menu de botões (`#menu-veiculos`) com um botão para cada veículo na `garagem`.
+ * Atualiza o menu de botões (`#menu-veiculos`) com um botão para cada veículo na `garagem` que passa pelos
+ * filtros do menu (busca, tipo, cor, ano, CNH, manutenção atrasada), na ordem escolhida (ver `filtros.js`).
  * Adiciona event listener a cada botão para selecionar e renderizar o veículo correspondente.
  * @returns {void}
  */
@@ -217,27 +455,43 @@ function atualizarMenuVeiculos() {
     const menu = document.getElementById('menu-veiculos');
     if (!menu) return;
     menu.innerHTML = ''; // Limpa botões antigos.
-    const ids = Object.keys(garagem);
-
-    if (ids.length === 0) {
+    const total = Object.keys(garagem).length;
+    preencherFormularioFiltros(); // As cores disponíveis dependem dos veículos.
+    const visiveis = filtrarVeiculosMenu();
+    const contagem = document.getElementById('filtro-contagem');
+    if (contagem) contagem.textContent = visiveis.length === total ? `${total} veículo(s)` : `${visiveis.length} de ${total} veículo(s)`;
+    atualizarVisaoGeral(); // A tabela da visão geral segue os mesmos filtros (só é desenhada no modo "Visão Geral").
+
+    if (total === 0) {
         menu.innerHTML = '<span>Garagem vazia.</span>';
         return;
     }
+    if (visiveis.length === 0) {
+        menu.innerHTML = '<span>Nenhum veículo corresponde aos filtros.</span>';
+        return;
+    }
 
-    ids.forEach(id => {
-        const v = garagem[id];
-        if (v) { // Checagem extra.
-            const btn = document.createElement('button');
-            btn.textContent = v.modelo;
-            btn.dataset.veiculoId = id; // Guarda ID no botão.
-            btn.title = `${v.modelo} (${v.placa || 'S/P'}) - ${v.ano || '?'}`; // Tooltip.
-            btn.addEventListener('click', () => {
-                marcarBotaoAtivo(id); // Marca visualmente como ativo.
-                renderizarVeiculo(id); // Exibe os detalhes.
-            });
-            menu.appendChild(btn);
-        }
+    visiveis.forEach(v => {
+        const id = v.id;
+        const btn = document.createElement('button');
+        const mini = document.createElement('img'); // Miniatura gerada por processarImagemVeiculo (ou a imagem padrão).
+        mini.className = 'menu-miniatura';
+        mini.src = v.obterMiniaturaSrc();
+        mini.alt = '';
+        const nome = document.createElement('span');
+        nome.textContent = v.modelo;
+        btn.append(mini, nome);
+        btn.dataset.veiculoId = id; // Guarda ID no botão.
+        btn.title = `${v.modelo} (${v.placa || 'S/P'}) - ${v.ano || '?'}`; // Tooltip.
+        btn.addEventListener('click', () => {
+            marcarBotaoAtivo(id); // Marca visualmente como ativo.
+            renderizarVeiculo(id); // Exibe os detalhes.
+        });
+        menu.appendChild(btn);
     });
+    // Refiltrar recria os botões: o veículo exibido continua marcado (se ainda estiver no menu).
+    const exibido = document.getElementById('veiculo-display-area')?.dataset.veiculoId;
+    if (exibido) marcarBotaoAtivo(exibido);
 }
 
 /**
@@ -288,71 +542,56 @@ function renderizarVeiculo(veiculoId) {
     }
 
     // --- Adiciona Listeners ESPECÍFICOS para este veículo DENTRO do clone ---
-    // Botões de Ação (Ligar, Acelerar, Frear, Buzinar - não Turbo/Carga aqui)
-    container.querySelectorAll('.acoes-veiculo button[data-acao]').forEach(btn => {
-        const acao = btn.dataset.acao;
-        // Só adiciona listener se for ação genérica manipulada por 'interagir'
-        if (acao && !['ativarTurbo', 'carregar'].includes(acao)) {
-             btn.addEventListener('click', () => interagirVeiculoAtual(acao));
-        }
+    // Botões de Ação comuns (Ligar, Buzinar, Desligar). Os do tipo são criados abaixo, com seus listeners.
+    container.querySelectorAll('.acoes-veiculo button[data-acao]:not([data-pedal])').forEach(btn => {
+        btn.addEventListener('click', () => interagirVeiculoAtual(btn.dataset.acao));
     });
+    // Pedais (Acelerar, Frear): seguram enquanto o botão estiver pressionado.
+    configurarPedais(container);
     // Botões Específicos (Excluir, Salvar Edição, Limpar Histórico)
     container.querySelector('.btn-excluir-veiculo')?.addEventListener('click', () => handleExcluirVeiculo(veiculoId));
     container.querySelector('.salvar-veiculo-btn')?.addEventListener('click', () => handleSalvarEdicaoVeiculo(veiculoId));
     container.querySelector('.btn-limpar-historico')?.addEventListener('click', () => handleLimparHistorico(veiculoId));
     // Formulário de Agendamento
     container.querySelector('.form-agendamento')?.addEventListener('submit', (e) => handleAgendarManutencao(e, veiculoId));
+    container.querySelector('.cancelar-edicao-manutencao')?.addEventListener('click', (e) => sairEdicaoManutencao(e.target.form));
+    // Editar/excluir registros do histórico (as fotos de cada registro ficam com a galeria).
+    container.querySelector('.lista-historico')?.addEventListener('click', handleAcaoManutencao);
+    // Abastecimento e hodômetro parcial
+    container.querySelector('.form-abastecimento')?.addEventListener('submit', (e) => handleAbastecer(e, veiculoId));
+    container.querySelector('.btn-encher-tanque')?.addEventListener('click', (e) => {
+        const v = garagem[veiculoId], litrosIn = e.target.form?.querySelector('.abastecimento-litros');
+        // Arredonda para cima (centavos de litro): o que sobrar acima da capacidade é descartado em `abastecer`.
+        if (v && litrosIn) litrosIn.value = (Math.ceil((v.obterCapacidadeTanque() - v.combustivel) * 100) / 100).toFixed(2);
+    });
+    container.querySelector('.btn-zerar-parcial')?.addEventListener('click', () => handleZerarParcial(veiculoId));
+    // Galeria de Fotos (adicionar, abrir no lightbox, fotos de cada manutenção)
+    configurarGaleriaVeiculo(container, veiculoId);
+    // Viagens (iniciar, chegar às paradas, encerrar)
+    configurarViagensVeiculo(container, veiculoId);
 
     // Listener para Preview de Imagem na Edição
     const editImgInput = container.querySelector('.edit-imagem-input');
     const editImgPreview = container.querySelector('.edit-imagem-preview');
     if (editImgInput && editImgPreview) {
         editImgInput.addEventListener('change', (event) => {
+            if (editImgPreview.src.startsWith('blob:')) URL.revokeObjectURL(editImgPreview.src); // Libera o preview anterior.
             const file = event.target.files[0];
             if (file && file.type.startsWith("image/")) {
-                const reader = new FileReader();
-                reader.onload = (e) => { // Mostra preview da imagem selecionada (Base64).
-                    editImgPreview.src = e.target.result;
-                    editImgPreview.style.display = 'block';
-                };
-                reader.onerror = () => { // Limpa em caso de erro de leitura.
-                     editImgPreview.src = '#'; editImgPreview.style.display = 'none';
-                     console.error("Erro lendo arquivo de imagem para preview.");
-                 };
-                reader.readAsDataURL(file); // Lê como Base64.
+                // Object URL em vez de Base64: o preview não duplica a foto (às vezes de vários MB) na memória.
+                editImgPreview.src = URL.createObjectURL(file);
+                editImgPreview.style.display = 'block';
             } else { // Limpa preview se arquivo inválido ou removido.
                 editImgPreview.src = '#'; editImgPreview.style.display = 'none';
             }
         });
     }
 
-    // Configura Ações Específicas (Turbo/Carga) dinamicamente
+    // Ações específicas do tipo (Turbo, Carga, Empinar...), vindas do registro de tipos.
     const acaoExtraEl = container.querySelector('.acao-extra');
     if (acaoExtraEl) {
         acaoExtraEl.innerHTML = ''; // Limpa ações extras anteriores.
-        if (veiculo instanceof CarroEsportivo) {
-            // Adiciona botão Turbo
-            const btn = document.createElement('button');
-            btn.dataset.acao = 'ativarTurbo';
-            btn.textContent = 'Turbo'; // O estado ON/OFF será mostrado na info geral
-            btn.addEventListener('click', () => interagirVeiculoAtual('ativarTurbo'));
-            acaoExtraEl.appendChild(btn);
-        } else if (veiculo instanceof Caminhao) {
-            // Adiciona input e botão Carregar
-            const div = document.createElement('div');
-            div.className = 'carga-container';
-            // Usar ID único para o label/input é boa prática, mas aqui simplificado
-            div.innerHTML = `<label>Carga(kg):</label><input type="number" min="1" class="carga-input" placeholder="Peso"><button data-acao="carregar">Carregar</button>`;
-            const cargaBtn = div.querySelector('button[data-acao="carregar"]');
-            const inputCarga = div.querySelector('input.carga-input');
-            if (cargaBtn && inputCarga) {
-                // Listener passa o INPUT como argumento extra para pegar o valor.
-                cargaBtn.addEventListener('click', () => interagirVeiculoAtual('carregar', inputCarga));
-                // Opcional: Enter no input também carrega.
-                 inputCarga.addEventListener('keypress', (e) => { if(e.key === 'Enter') interagirVeiculoAtual('carregar', inputCarga); });
-            }
-            acaoExtraEl.appendChild(div);
-        }
+        acaoExtraEl.append(...(tipoDoVeiculo(veiculo)?.controlesExtras(veiculo) || []));
     }
 
     // --- Finaliza a Renderização ---
@@ -362,6 +601,8 @@ function renderizarVeiculo(veiculoId) {
 
     // Chama a atualização da UI do próprio veículo para preencher os dados iniciais.
     veiculo.atualizarInformacoesUI("Renderização Completa");
+    if (veiculo.velocidade > 0) iniciarSimulacao(veiculo); // Em movimento (ex: recarregado andando): segue na banguela.
+    sincronizarRota(); // #/garagem/:id (o "Voltar" do navegador retorna ao veículo anterior).
 }
 
 
@@ -372,9 +613,9 @@ function renderizarVeiculo(veiculoId) {
 /**
  * Função auxiliar que identifica o veículo atualmente exibido na UI e chama `interagir` para ele.
  * Usada pelos botões de ação dentro do template renderizado.
- * Trata o caso especial da ação 'carregar', que precisa do valor do input associado.
- * @param {string} acao - A ação a ser executada (ex: 'ligar', 'carregar').
- * @param {HTMLInputElement} [extraElement=null] - Elemento extra (ex: input de carga) necessário para a ação.
+ * Se a ação vier com um input, o valor dele é passado como argumento e o input é limpo.
+ * @param {string} acao - A ação a ser executada (ex: 'ligar', 'ativarTurbo').
+ * @param {HTMLInputElement} [extraElement=null] - Input cujo valor é o argumento da ação.
  * @returns {void}
  */
 function interagirVeiculoAtual(acao, extraElement = null) {
@@ -382,8 +623,8 @@ function interagirVeiculoAtual(acao, extraElement = null) {
     const veiculoId = displayArea?.dataset.veiculoId; // Pega ID do veículo ativo na UI.
 
     if (veiculoId && garagem[veiculoId]) { // Verifica se ID e veículo existem.
-        // Tratamento especial para 'carregar': pega valor do input e limpa-o.
-        if (acao === 'carregar' && extraElement instanceof HTMLInputElement) {
+        // Ação com input: pega o valor e limpa-o.
+        if (extraElement instanceof HTMLInputElement) {
             const valor = extraElement.value;
             interagir(veiculoId, acao, valor); // Passa o valor como argumento.
             extraElement.value = ''; // Limpa o input após a ação.
@@ -400,11 +641,11 @@ function interagirVeiculoAtual(acao, extraElement = null) {
 /**
  * Centraliza a execução de ações em um veículo específico.
  * Recebe o ID do veículo, a ação e um argumento opcional, e chama o método correspondente na instância do veículo.
- * Usa `instanceof` para direcionar ações específicas de subclasses (Turbo, Carga).
+ * Ações que não são comuns a todos os veículos são procuradas em `acoes` do tipo registrado (Turbo, Carga, Empinar...).
  * @param {string} veiculoId - O ID do veículo alvo.
  * @param {string} acao - A string identificadora da ação (ex: 'ligar', 'ativarTurbo').
- * @param {any} [arg=null] - Argumento adicional para a ação (ex: peso para 'carregar').
- * @returns {void}
+ * @param {any} [arg=null] - Argumento adicional para a ação (ex: o item para 'carregar').
+ * @returns {any} O retorno da ação do tipo (ex: a Promise da transação de 'carregar'); `undefined` nas ações comuns.
  */
 function interagir(veiculoId, acao, arg = null) {
     const v = garagem[veiculoId];
@@ -421,17 +662,12 @@ function interagir(veiculoId, acao, arg = null) {
             case 'acelerar': v.acelerar(); break; // Chama método polimórfico.
             case 'frear': v.frear(); break;
             case 'buzinar': v.buzinar(); break;
-            // Ações específicas de subclasses:
-            case 'ativarTurbo':
-                if (v instanceof CarroEsportivo) v.ativarTurbo();
-                else v.notificarUsuario("Ação 'Turbo' apenas para Carros Esportivos.");
-                break;
-            case 'carregar':
-                if (v instanceof Caminhao) v.carregar(arg); // Passa o argumento (peso).
-                else v.notificarUsuario("Ação 'Carregar' apenas para Caminhões.");
-                break;
-            default:
-                console.warn(`Ação desconhecida ou não manipulada por 'interagir': ${acao}`);
+            default: { // Ações específicas do tipo.
+                const tipo = tipoDoVeiculo(v);
+                const executar = tipo?.acoes[acao];
+                if (executar) return executar(v, arg);
+                else v.notificarUsuario(`Ação '${acao}' não disponível para ${tipo?.nome || 'este veículo'}.`);
+            }
         }
         // Nota: A atualização da UI e salvamento (se necessário) são geralmente
         // responsabilidades dos métodos da classe do veículo ou dos handlers de evento maiores.
@@ -448,27 +684,69 @@ function interagir(veiculoId, acao, arg = null) {
 
 /**
  * Handler para clique nos botões de navegação por abas.
- * Alterna a visibilidade das seções principais e a classe 'ativa' nas abas.
- * @param {string} abaId - ID do botão da aba clicada ('tab-garagem' ou 'tab-adicionar').
+ * Alterna a visibilidade das seções principais e a classe 'ativa' nas abas, e grava a aba na rota da URL.
+ * @param {string} abaId - ID do botão da aba clicada ('tab-garagem', 'tab-adicionar', 'tab-motoristas', 'tab-viagens' ou 'tab-painel').
  * @returns {void}
  */
 function handleTrocarAba(abaId) {
     document.querySelectorAll('.secao-principal').forEach(s => s.classList.remove('ativa'));
     document.querySelectorAll('#abas-navegacao button').forEach(b => b.classList.remove('aba-ativa'));
-    const secaoId = abaId === 'tab-garagem' ? 'secao-garagem' : 'secao-adicionar';
+    const secaoId = {
+        'tab-garagem': 'secao-garagem', 'tab-adicionar': 'secao-adicionar', 'tab-motoristas': 'secao-motoristas',
+        'tab-viagens': 'secao-viagens', 'tab-painel': 'secao-painel'
+    }[abaId];
     document.getElementById(secaoId)?.classList.add('ativa');
     document.getElementById(abaId)?.classList.add('aba-ativa');
+    if (secaoId === 'secao-painel') atualizarPainelCustos(); // Só é desenhado com a aba aberta.
+    sincronizarRota();
+}
+
+/**
+ * Preenche o select `#add-tipo` com os tipos registrados (mantém a opção "-- Selecione --").
+ * @returns {void}
+ */
+function preencherOpcoesTipo() {
+    const select = document.getElementById('add-tipo');
+    if (!select) return;
+    select.querySelectorAll('option:not([value=""])').forEach(o => o.remove());
+    Object.values(TIPOS_VEICULO).forEach(tipo => select.add(new Option(tipo.nome, tipo.chave)));
+}
+
+/**
+ * Mostra em `#add-campos-extras` os campos extras do tipo escolhido em `#add-tipo` (`camposFormulario`).
+ * Cada input recebe o ID `add-extra-<chave>`, lido por `handleAdicionarVeiculo`.
+ * @returns {void}
+ */
+function renderizarCamposExtrasTipo() {
+    const area = document.getElementById('add-campos-extras');
+    if (!area) return;
+    area.innerHTML = '';
+    const tipo = obterTipoVeiculo(document.getElementById('add-tipo')?.value);
+    (tipo?.camposFormulario || []).forEach(campo => {
+        const div = document.createElement('div');
+        const label = document.createElement('label');
+        label.htmlFor = `add-extra-${campo.chave}`;
+        label.textContent = `${campo.rotulo}:`;
+        const input = document.createElement('input');
+        input.type = campo.tipo || 'number';
+        input.id = `add-extra-${campo.chave}`;
+        Object.entries(campo.atributos || {}).forEach(([nome, valor]) => input.setAttribute(nome, valor));
+        div.append(label, input);
+        area.appendChild(div);
+    });
 }
 
 /**
  * Handler para o submit do formulário de adicionar novo veículo.
- * Coleta dados, valida, cria a instância da classe correta, adiciona à `garagem`,
- * tenta salvar no LocalStorage, e atualiza a UI (limpa form, troca aba, renderiza novo).
- * **Importante:** Não processa upload de imagem ao adicionar nesta versão (usa padrão).
+ * Coleta dados, valida, cria a instância do tipo escolhido (com os campos extras do tipo, `#add-extra-<chave>`)
+ * e a adiciona à `garagem` numa transação
+ * (`executarTransacaoGaragem`); se salvou, atualiza a UI (limpa form, troca aba, renderiza novo).
+ * A foto escolhida em `#add-imagem-input` (opcional) é reduzida por `processarImagemVeiculo` e entra na galeria como capa;
+ * sem ela, usa a imagem padrão do tipo.
  * @param {Event} event - O objeto do evento submit.
- * @returns {void}
+ * @returns {Promise<void>}
  */
-function handleAdicionarVeiculo(event) {
+async function handleAdicionarVeiculo(event) {
     event.preventDefault(); // Impede recarregamento da página.
     const form = event.target;
     // Coleta dados do formulário.
@@ -476,65 +754,65 @@ function handleAdicionarVeiculo(event) {
     const cor = form.querySelector('#add-cor').value.trim();
     const plc = form.querySelector('#add-placa').value.trim().toUpperCase();
     const ano = form.querySelector('#add-ano').value;
-    const tipo = form.querySelector('#add-tipo').value;
-    const capIn = form.querySelector('#add-capacidade-carga');
-    const capCg = (tipo === 'Caminhao' && capIn) ? capIn.value : 0;
-    const dtCnh = form.querySelector('#add-cnh').value; // String YYYY-MM-DD ou vazia.
+    const tipo = obterTipoVeiculo(form.querySelector('#add-tipo').value);
+    const motoristaId = form.querySelector('#add-motorista')?.value || null;
 
     if (!mod || !tipo) { // Validação básica.
         alert("Modelo e Tipo são obrigatórios!");
         return;
     }
+    const erroMotorista = validarAtribuicaoMotorista(motoristaId, tipo); // Ex: caminhão exige CNH C ou superior.
+    if (erroMotorista) { alert(erroMotorista); return; }
+    // Reduz/comprime a imagem enviada antes de criar o veículo (fotos de celular podem ter vários MB).
+    const arquivoImg = form.querySelector('#add-imagem-input')?.files[0];
+    let imgProcessada = null;
+    if (arquivoImg) {
+        try {
+            imgProcessada = await processarImagemVeiculo(arquivoImg);
+        } catch (e) {
+            console.error("Erro ao processar imagem do novo veículo:", e);
+            alert(`Não foi possível usar a imagem selecionada.\n\n${e.message}`);
+            return;
+        }
+    }
     const nId = `v${Date.now()}`; // ID simples baseado em timestamp.
-    // Define imagem padrão baseada no tipo (upload não implementado aqui).
-    let imgP = tipo === 'CarroEsportivo' ? 'default_sport.png' : (tipo === 'Caminhao' ? 'default_truck.png' : 'default_car.png');
-    let nV; // Nova instância do veículo.
 
     try {
-        const args = [nId, mod, cor, imgP, plc, ano, dtCnh || null]; // Argumentos comuns.
-        // Cria instância da classe correta.
-        switch (tipo) {
-            case 'CarroEsportivo': nV = new CarroEsportivo(...args); break;
-            case 'Caminhao': nV = new Caminhao(...args, capCg); break;
-            default: nV = new CarroBase(...args); break;
-        }
-        garagem[nId] = nV; // Adiciona à garagem em memória.
-
-        // Tenta persistir a mudança.
-        if (salvarGaragem()) {
+        // Imagem `null`: o construtor usa a imagem padrão do tipo.
+        const args = [nId, mod, cor, null, plc, ano, motoristaId]; // Argumentos comuns.
+        const extras = {};
+        tipo.camposFormulario.forEach(c => { extras[c.chave] = form.querySelector(`#add-extra-${c.chave}`)?.value; });
+        const nV = criarVeiculoDoTipo(tipo, args, extras);
+        if (imgProcessada) nV.adicionarFoto(new FotoVeiculo(FotoVeiculo.gerarId(), imgProcessada.imagem, imgProcessada.miniatura), true);
+        // Adiciona e persiste; se a gravação falhar (ex: quota), a adição é desfeita automaticamente.
+        if (await executarTransacaoGaragem([nId], () => { garagem[nId] = nV; }, { descricao: `Adicionar "${mod}"` })) {
             // Sucesso: Atualiza UI e dá feedback.
             atualizarMenuVeiculos();
             form.reset(); // Limpa o formulário.
-            document.getElementById('add-capacidade-carga-container').style.display = 'none';
+            renderizarCamposExtrasTipo(); // Sem tipo escolhido, sem campos extras.
+            atualizarExibicaoMotoristas(); // Volta o select de motorista para "Sem motorista", sem filtro de tipo.
             const addPreview = document.getElementById('add-imagem-preview');
              if(addPreview) { addPreview.src='#'; addPreview.style.display='none'; } // Limpa preview.
-            handleTrocarAba('tab-garagem'); // Volta para a garagem.
-            marcarBotaoAtivo(nId); // Marca o novo veículo.
-            renderizarVeiculo(nId); // Exibe o novo veículo.
+            navegar(rotaVeiculo(nId)); // Volta para a garagem exibindo o novo veículo.
             alert(`Veículo "${mod}" adicionado com sucesso!`);
-        } else {
-            // Falha ao salvar (ex: quota): Desfaz a adição em memória para manter consistência.
-            delete garagem[nId];
-            // O alerta de erro já foi dado por salvarGaragem().
         }
+        // Em caso de falha, o alerta já foi dado por salvarGaragem().
     } catch (e) {
         console.error("Erro ao criar ou adicionar veículo:", e);
         alert("Erro ao adicionar veículo. Verifique os dados.");
-        if (garagem[nId]) delete garagem[nId]; // Garante remoção em caso de erro.
     }
 }
 
 /**
  * Handler para o botão "Salvar Edições" do veículo exibido.
- * Coleta dados do form de edição, atualiza o objeto `veiculo` correspondente.
- * **Tratamento especial para imagem:** Se uma nova imagem for selecionada no input,
- * lê como Base64, atualiza `veiculo.imagemSrc` e **tenta** salvar.
- * Se `salvarGaragem` falhar (provavelmente quota), **reverte** a `imagemSrc` para a anterior
- * para evitar estado inconsistente e informa o usuário. Salva outras alterações se a imagem não mudou ou não foi a causa da falha.
+ * Coleta dados do form de edição e, se algo mudou, aplica no veículo numa transação (`executarTransacaoGaragem`).
+ * **Tratamento especial para imagem:** Se uma nova foto de capa for selecionada no input, ela é reduzida e
+ * recomprimida por `processarImagemVeiculo` (com miniatura), entra na galeria e vira a capa (a capa anterior continua
+ * na galeria). Se a gravação falhar (provavelmente quota), o veículo inteiro (campos e galeria) volta ao estado anterior automaticamente.
  * @param {string} veiculoId - ID do veículo sendo editado.
- * @returns {void}
+ * @returns {Promise<void>}
  */
-function handleSalvarEdicaoVeiculo(veiculoId) {
+async function handleSalvarEdicaoVeiculo(veiculoId) {
     const v = garagem[veiculoId]; // Veículo alvo.
     const display = document.getElementById('veiculo-display-area');
     // Validações.
@@ -543,25 +821,19 @@ function handleSalvarEdicaoVeiculo(veiculoId) {
     if (!form) { alert("Erro interno: Formulário de edição não encontrado."); return; }
 
     console.log(`Salvando edições para ${veiculoId}`);
-    let mudou = false; // Flag para detectar se alguma alteração foi feita.
 
-    // Coleta e compara dados de texto/data.
+    // Coleta dados de texto/data.
     const nMod = form.querySelector('.edit-modelo-veiculo').value.trim();
     const nCor = form.querySelector('.edit-cor-veiculo').value.trim();
     const nPla = form.querySelector('.edit-placa-veiculo').value.trim().toUpperCase();
     const nAno = parseInt(form.querySelector('.edit-ano-veiculo').value) || null;
-    const nCnhS = form.querySelector('.edit-cnh-veiculo').value; // YYYY-MM-DD
-    // Converte string para Date (UTC para consistência) ou null.
-    let nCnhD = nCnhS ? new Date(nCnhS + 'T00:00:00Z') : null;
-    if (nCnhD && isNaN(nCnhD.getTime())) nCnhD = null; // Invalida se conversão falhar.
-
-    // Atualiza propriedades do objeto se houver mudança.
-    if (nMod && v.modelo !== nMod) { v.modelo = nMod; mudou = true; }
-    if (v.cor !== nCor) { v.cor = nCor; mudou = true; }
-    if (v.placa !== nPla) { v.placa = nPla; mudou = true; }
-    if (v.ano !== nAno) { v.ano = nAno; mudou = true; }
-    // Compara datas pelo timestamp (funciona com null/Date).
-    if (v.dataVencimentoCNH?.getTime() !== nCnhD?.getTime()) { v.dataVencimentoCNH = nCnhD; mudou = true; }
+    const nMot = form.querySelector('.edit-motorista-veiculo')?.value || null;
+
+    // Detecta mudanças (sem alterar o objeto ainda).
+    const mudou = (nMod && v.modelo !== nMod) || v.cor !== nCor || v.placa !== nPla || v.ano !== nAno || v.motoristaId !== nMot;
+    // Só valida o motorista se ele mudou (um vínculo antigo inválido não impede editar os outros campos).
+    const erroMotorista = v.motoristaId !== nMot ? validarAtribuicaoMotorista(nMot, tipoDoVeiculo(v)) : null;
+    if (erroMotorista) { alert(erroMotorista); return; }
 
     // --- Processamento da Imagem ---
     const imagemInput = form.querySelector('.edit-imagem-input');
@@ -574,84 +846,71 @@ function handleSalvarEdicaoVeiculo(veiculoId) {
          if(p){ p.src='#'; p.style.display='none'; }
     };
 
-    // 1. Se UMA NOVA IMAGEM FOI SELECIONADA:
-    if (file && file.type.startsWith("image/")) {
-        const reader = new FileReader();
-        reader.onload = function(e) { // Callback quando a leitura terminar.
-            const novaImagemBase64 = e.target.result;
-            // Só processa se a imagem for realmente diferente da atual.
-            if (v.imagemSrc !== novaImagemBase64) {
-                const imagemAntiga = v.imagemSrc; // Guarda para possível rollback.
-                v.imagemSrc = novaImagemBase64;   // ATUALIZA o objeto com a nova imagem (Base64).
-                mudou = true;
-                console.log(`Imagem ${veiculoId} atualizada em memória (Base64). Tentando salvar...`);
-                // TENTA SALVAR TUDO (incluindo a nova imagem).
-                if (salvarGaragem()) {
-                    // SUCESSO AO SALVAR COM NOVA IMAGEM.
-                    v.atualizarInformacoesUI("Edição Salva c/ Img");
-                    atualizarMenuVeiculos(); // Atualiza menu se modelo mudou.
-                    verificarVencimentoCNH(); // Reavalia alertas CNH.
-                    alert("Alterações (incluindo imagem) salvas!");
-                    limparCamposImagemEdicao(); // Limpa após sucesso.
-                } else {
-                    // FALHA AO SALVAR (provavelmente Quota Excedida pela imagem).
-                    console.warn("Falha ao salvar garagem após atualizar imagem. Revertendo imagem...");
-                    v.imagemSrc = imagemAntiga; // *** REVERTE A IMAGEM no objeto ***
-                    mudou = false; // Considera que a operação como um todo falhou neste ponto.
-                    v.atualizarInformacoesUI("Falha Salvar Img"); // Atualiza UI para refletir reversão.
-                    // O alerta sobre a falha já foi dado por salvarGaragem().
-                    // Não limpa o input aqui, pode ter sido erro temporário ou o usuário quer tentar de novo.
-                }
-            } else if (mudou) { // Imagem igual, mas outros campos mudaram.
-                if (salvarGaragem()) { /*...*/ } // Lógica como abaixo.
-                 limparCamposImagemEdicao();
-            } else { // Imagem igual, nada mais mudou.
-                 alert("Nenhuma alteração detectada.");
-                 limparCamposImagemEdicao();
-            }
-        };
-        reader.onerror = function() { alert("Erro ao ler o arquivo de imagem."); limparCamposImagemEdicao(); };
-        reader.readAsDataURL(file); // Inicia a leitura para Base64.
-
+    // Se NADA mudou (nem imagem, nem outros campos):
+    const novaImagem = file && file.type.startsWith("image/") ? file : null;
+    if (!mudou && !novaImagem) {
+        alert("Nenhuma alteração detectada.");
+        limparCamposImagemEdicao(); // Limpa o input/preview.
+        return;
     }
-    // 2. Se NENHUMA IMAGEM nova foi selecionada, MAS outros campos mudaram:
-    else if (mudou) {
-        console.log("Salvando alterações (sem mudança de imagem)...");
-        if (salvarGaragem()) {
-            v.atualizarInformacoesUI("Edição Salva");
-            atualizarMenuVeiculos();
-            verificarVencimentoCNH();
-            alert("Alterações salvas!");
-            limparCamposImagemEdicao(); // Limpa por consistência.
-        } else {
-             // Falha ao salvar mesmo sem imagem nova (erro inesperado?).
-             console.warn("Falha ao salvar garagem (sem alteração de imagem).");
-             // Não há o que reverter aqui. O alerta já foi dado.
+
+    let imgProcessada = null;
+    if (novaImagem) {
+        try {
+            imgProcessada = await processarImagemVeiculo(novaImagem);
+        } catch (e) {
+            console.error("Erro ao processar imagem da edição:", e);
+            alert(`Não foi possível usar a imagem selecionada.\n\n${e.message}`);
+            return;
         }
     }
-    // 3. Se NADA mudou (nem imagem, nem outros campos):
-    else {
-        alert("Nenhuma alteração detectada.");
-        limparCamposImagemEdicao(); // Limpa o input/preview.
+
+    const salvou = await executarTransacaoGaragem([veiculoId], () => {
+        const alvo = garagem[veiculoId]; // Relê: outra aba pode ter trocado a instância durante o processamento.
+        if (!alvo) return false;
+        if (nMod) alvo.modelo = nMod;
+        alvo.cor = nCor;
+        alvo.placa = nPla;
+        alvo.ano = nAno;
+        alvo.motoristaId = nMot;
+        if (imgProcessada) alvo.adicionarFoto(new FotoVeiculo(FotoVeiculo.gerarId(), imgProcessada.imagem, imgProcessada.miniatura), true);
+    }, { descricao: `Editar "${nMod || v.modelo}"` });
+
+    if (salvou) {
+        garagem[veiculoId].atualizarInformacoesUI(novaImagem ? "Edição Salva c/ Img" : "Edição Salva");
+        atualizarMenuVeiculos(); // Atualiza menu se modelo ou miniatura mudaram.
+        marcarBotaoAtivo(veiculoId);
+        verificarVencimentoCNH(); // Reavalia alertas CNH (o motorista pode ter mudado).
+        renderizarListaMotoristas(); // Coluna "Veículos" da tabela de motoristas.
+        alert(novaImagem ? "Alterações (incluindo a nova foto de capa) salvas!" : "Alterações salvas!");
+        limparCamposImagemEdicao(); // Limpa após sucesso.
+        document.querySelector('#veiculo-display-area .edicao-veiculo')?.classList.remove('editando');
+        sincronizarRota(true); // Edição concluída: a URL volta de /editar para o veículo.
+    } else {
+        // FALHA AO SALVAR (provavelmente Quota Excedida pela imagem): o veículo já foi restaurado e o alerta dado.
+        // Não limpa o input aqui, pode ter sido erro temporário ou o usuário quer tentar de novo.
+        console.warn("Falha ao salvar edição; veículo restaurado ao estado anterior.");
     }
 }
 
 
 /**
  * Handler para o submit do formulário de agendar/adicionar manutenção.
- * Coleta dados, cria instância de `Manutencao` e chama `veiculo.adicionarManutencao`.
+ * Coleta dados, cria instância de `Manutencao` e chama `veiculo.adicionarManutencao` numa transação.
+ * Em modo de edição (`form.dataset.manutencaoId`, ver `iniciarEdicaoManutencao`), altera o registro existente
+ * com `veiculo.atualizarManutencao`: num serviço concluído, data e custo são os realizados.
  * @param {Event} event - Objeto do evento submit.
  * @param {string} veiculoId - ID do veículo alvo.
- * @returns {void}
+ * @returns {Promise<void>}
  */
-function handleAgendarManutencao(event, veiculoId) {
+async function handleAgendarManutencao(event, veiculoId) {
     event.preventDefault();
     const v = garagem[veiculoId]; if (!v) return;
     const form = event.target;
     // Coleta dados do form de agendamento.
     const dI = form.querySelector('.agendamento-data'), hI = form.querySelector('.agendamento-hora');
     const tI = form.querySelector('.agendamento-tipo'), cI = form.querySelector('.agendamento-custo');
-    const oI = form.querySelector('.agendamento-obs');
+    const oI = form.querySelector('.agendamento-obs'), kI = form.querySelector('.agendamento-km');
 
     if (!dI || !tI || !dI.value || !tI.value.trim()) { // Validação básica.
         alert('Data e Tipo são obrigatórios para agendar/adicionar manutenção!'); return;
@@ -663,30 +922,91 @@ function handleAgendarManutencao(event, veiculoId) {
     const dt = new Date(`${dS}T${hS}:00`);
     if (isNaN(dt.getTime())) { alert('Data/Hora inválida!'); return; } // Valida data/hora.
 
-    // Cria e adiciona a manutenção.
+    const km = parseFloat(kI?.value);
+
+    const idEdicao = form.dataset.manutencaoId;
+    if (idEdicao) {
+        const atual = v.obterManutencao(idEdicao);
+        if (!atual) { alert('Esta manutenção não existe mais (foi excluída?).'); sairEdicaoManutencao(form); return; }
+        if (atual.status === STATUS_MANUTENCAO.CONCLUIDA && dt > new Date()) {
+            alert('Um serviço concluído não pode ter data no futuro!'); return;
+        }
+        const dados = { tipo: tS, descricao: oS, odometro: km >= 0 ? km : null };
+        dados[atual.dataRealizada ? 'dataRealizada' : 'data'] = dt;
+        dados[atual.custoFinal !== null ? 'custoFinal' : 'custo'] = cS;
+        if (await executarTransacaoGaragem([veiculoId], () => garagem[veiculoId].atualizarManutencao(idEdicao, dados),
+            { descricao: `Manutenção "${tS}" editada em ${v.modelo}` })) {
+            sairEdicaoManutencao(form);
+            mostrarToast(`Manutenção "${tS}" atualizada.`);
+            await verificarPlanosManutencao([veiculoId]); // Data/km do serviço mudam os vencimentos.
+        }
+        return;
+    }
+
+    // Cria e adiciona a manutenção. Km: o informado ou, para serviço já feito, o odômetro atual.
     const m = new Manutencao(dt, tS, cS, oS);
-    if (v.adicionarManutencao(m)) { // adicionarManutencao já salva e atualiza UI.
+    if (km >= 0) m.odometro = km;
+    else if (dt <= new Date()) m.odometro = Math.round(v.odometro);
+    // adicionarManutencao valida e atualiza a UI; retorna false (nada a gravar) se os dados forem inválidos.
+    if (await executarTransacaoGaragem([veiculoId], () => v.adicionarManutencao(m), { descricao: `Manutenção "${tS}" em ${v.modelo}` })) {
         alert('Manutenção adicionada/agendada com sucesso!');
         form.reset(); // Limpa o formulário.
+        await verificarPlanosManutencao([veiculoId]); // O serviço pode atender (ou mover) um agendamento de plano.
     } else {
-         // adicionarManutencao já deu alerta de erro.
+         // adicionarManutencao ou salvarGaragem já deram alerta de erro.
          console.warn("Falha ao adicionar manutenção via handler.");
     }
 }
 
+/**
+ * Handler para o submit do formulário de abastecimento.
+ * Cria um `Abastecimento` e chama `veiculo.abastecer` numa transação (pode ser desfeito).
+ * @param {Event} event - Objeto do evento submit.
+ * @param {string} veiculoId - ID do veículo alvo.
+ * @returns {Promise<void>}
+ */
+async function handleAbastecer(event, veiculoId) {
+    event.preventDefault();
+    const v = garagem[veiculoId]; if (!v) return;
+    const form = event.target;
+    const litros = parseFloat(form.querySelector('.abastecimento-litros')?.value);
+    const preco = form.querySelector('.abastecimento-preco')?.value;
+    if (!(litros > 0)) { alert('Informe quantos litros foram abastecidos!'); return; }
+
+    const a = new Abastecimento(Abastecimento.gerarId(), new Date(), litros, preco);
+    // abastecer valida (inclusive se cabe no tanque) e atualiza a UI; retorna false se os dados forem inválidos.
+    if (await executarTransacaoGaragem([veiculoId], () => v.abastecer(a), { descricao: `Abastecer ${litros.toFixed(2)} L em ${v.modelo}` })) {
+        mostrarToast(`${v.modelo}: ${a.formatar()}`);
+        form.reset();
+    }
+}
+
+/**
+ * Handler para o botão "Zerar" do hodômetro parcial. Numa transação (pode ser desfeito).
+ * @param {string} veiculoId - ID do veículo alvo.
+ * @returns {Promise<void>}
+ */
+async function handleZerarParcial(veiculoId) {
+    const v = garagem[veiculoId]; if (!v) return;
+    await executarTransacaoGaragem([veiculoId], () => v.zerarHodometroParcial(), { descricao: `Parcial de ${v.modelo} zerado` });
+}
+
 /**
  * Handler para o botão de limpar histórico de manutenção do veículo exibido.
- * Pede confirmação e chama `veiculo.limparHistoricoManutencao`.
+ * Pede confirmação e chama `veiculo.limparHistoricoManutencao` numa transação (com "Desfazer" no toast).
  * @param {string} veiculoId - ID do veículo alvo.
- * @returns {void}
+ * @returns {Promise<void>}
  */
-function handleLimparHistorico(veiculoId) {
+async function handleLimparHistorico(veiculoId) {
     const v = garagem[veiculoId]; if (!v) return;
     // Confirmação MUITO IMPORTANTE!
-    if (confirm(`Tem certeza que deseja APAGAR TODO o histórico de manutenção de ${v.modelo}?\n\nEsta ação NÃO pode ser desfeita.`)) {
+    if (confirm(`Tem certeza que deseja APAGAR TODO o histórico de manutenção de ${v.modelo}?\n\nVocê poderá desfazer logo em seguida (botão "Desfazer" ou Ctrl+Z).`)) {
         try {
-            v.limparHistoricoManutencao(); // Método da classe faz o trabalho (limpa, salva, atualiza UI).
-            alert(`Histórico de ${v.modelo} limpo.`);
+            // Método da classe limpa e atualiza a UI; o toast com "Desfazer" substitui o alert de sucesso.
+            if (await executarTransacaoGaragem([veiculoId], () => v.limparHistoricoManutencao(),
+                { descricao: `Histórico de ${v.modelo} limpo`, destrutiva: true })) {
+                await verificarPlanosManutencao([veiculoId]);
+            }
         } catch (e) {
             alert('Erro ao tentar limpar o histórico.');
             console.error("Erro em handleLimparHistorico:", e);
@@ -696,26 +1016,21 @@ function handleLimparHistorico(veiculoId) {
 
 /**
  * Handler para o botão de excluir o veículo exibido.
- * Pede confirmação rigorosa, remove da `garagem`, salva e atualiza a UI completa.
+ * Pede confirmação rigorosa, remove da `garagem` numa transação e atualiza a UI completa.
+ * Se a gravação falhar, o veículo volta para a garagem automaticamente.
  * @param {string} veiculoId - ID do veículo a ser excluído.
- * @returns {void}
+ * @returns {Promise<void>}
  */
-function handleExcluirVeiculo(veiculoId) {
+async function handleExcluirVeiculo(veiculoId) {
     const v = garagem[veiculoId]; if (!v) return;
-    // Confirmação DUPLA (ou mais enfática) é recomendada para exclusão permanente.
-    if (confirm(`EXCLUIR PERMANENTEMENTE o veículo "${v.modelo}" (${v.placa || 'S/P'})?\n\nTODOS OS DADOS SERÃO PERDIDOS.\n\nEsta ação NÃO pode ser desfeita!`)) {
+    // Confirmação enfática: a exclusão leva todos os dados do veículo (desfazer só vale nesta sessão).
+    if (confirm(`EXCLUIR o veículo "${v.modelo}" (${v.placa || 'S/P'})?\n\nTODOS OS DADOS dele serão removidos.\n\nVocê poderá desfazer logo em seguida (botão "Desfazer" ou Ctrl+Z).`)) {
         try {
-            delete garagem[veiculoId]; // Remove da memória.
-            if (salvarGaragem()) { // Tenta persistir a remoção.
-                atualizarInterfaceCompleta(); // Atualiza toda a UI.
-                alert(`"${v.modelo}" foi excluído com sucesso.`);
-            } else {
-                 // Falha ao salvar é crítico aqui. O ideal seria ter um mecanismo de rollback.
-                 // Por simplicidade, alertamos e pedimos para recarregar.
-                 console.error("Falha CRÍTICA: Veículo removido da memória, mas erro ao salvar a remoção no LocalStorage.");
-                 alert("ERRO GRAVE: Não foi possível salvar a exclusão do veículo. Recarregue a página para ver o estado real.");
-                 // Poderia tentar readicionar 'v' à garagem, mas é complexo garantir estado correto.
-            }
+            // Toast com "Desfazer" no lugar de alert de sucesso.
+            const excluiu = await executarTransacaoGaragem([veiculoId], () => { delete garagem[veiculoId]; },
+                { descricao: `"${v.modelo}" excluído`, destrutiva: true });
+            if (excluiu) atualizarInterfaceCompleta(); // Atualiza toda a UI.
+            else console.error("Falha ao salvar a exclusão no IndexedDB; veículo mantido na garagem."); // salvarGaragem() já alertou.
         } catch (e) {
             alert("Erro ao tentar excluir o veículo.");
             console.error("Erro em handleExcluirVeiculo:", e);
@@ -729,33 +1044,166 @@ function handleExcluirVeiculo(veiculoId) {
 // ==================================================
 
 /**
- * Atualiza a lista global de TODOS os agendamentos futuros (#agendamentos-futuros-lista).
- * Busca manutenções futuras em todos os veículos e as exibe ordenadas por data.
+ * Atualiza a lista global de TODOS os agendamentos pendentes (#agendamentos-futuros-lista).
+ * Busca manutenções agendadas ou em andamento em todos os veículos e as exibe ordenadas por data
+ * (as atrasadas, portanto, primeiro), com os botões do ciclo de vida, de editar e de excluir (ver `handleAcaoManutencao`).
+ * Redesenha também o calendário (`renderizarCalendarioManutencao`).
  * @returns {void}
  */
 function atualizarExibicaoAgendamentosFuturos() {
     const d = document.getElementById('agendamentos-futuros-lista'); if (!d) return;
     d.innerHTML = ''; // Limpa.
-    const agora = new Date();
-    let tds = []; // Array para todos os agendamentos futuros.
+    let tds = []; // Array para todos os agendamentos pendentes.
     // Coleta de todos os veículos.
     Object.values(garagem).forEach(v => {
         (v.historicoManutencao || [])
-            .filter(m => m?.data instanceof Date && !isNaN(m.data.getTime()) && m.data > agora) // Filtra futuras e válidas.
-            .forEach(m => tds.push({ m: m, v: v.modelo })); // Adiciona objeto com manutenção e modelo.
+            .filter(m => m?.data instanceof Date && !isNaN(m.data.getTime()) && m.estaPendente()) // Filtra pendentes e válidas.
+            .forEach(m => tds.push({ m: m, v: v })); // Adiciona objeto com manutenção e veículo.
     });
     // Ordena pela data da manutenção (mais próximas primeiro).
     tds.sort((a, b) => a.m.data.getTime() - b.m.data.getTime());
     // Exibe na UI.
     if (tds.length > 0) {
-        d.innerHTML = `<ul>${tds.map(i => `<li><strong>${i.v}:</strong> ${i.m.formatarComHora()}</li>`).join('')}</ul>`;
+        d.innerHTML = `<ul>${tds.map(i => {
+            const alvo = `data-veiculo-id="${escaparHTML(i.v.id)}" data-manutencao-id="${escaparHTML(i.m.id)}"`;
+            const btnIniciar = i.m.status === STATUS_MANUTENCAO.AGENDADA ?
+                `<button type="button" data-acao-manutencao="iniciar" ${alvo} title="Serviço começou">▶️ Iniciar</button>` : '';
+            return `<li class="${i.m.estaAtrasada() ? 'agendamento-atrasado' : ''}"><strong>${escaparHTML(i.v.modelo)}:</strong> ${escaparHTML(i.m.formatarComHora())}` +
+                `<span class="acoes-manutencao">${btnIniciar}` +
+                `<button type="button" data-acao-manutencao="concluir" ${alvo} title="Registrar data e custo reais">✅ Concluir</button>` +
+                `<button type="button" data-acao-manutencao="cancelar" ${alvo} title="Cancelar agendamento">✖️ Cancelar</button></span>` +
+                `${botoesEdicaoManutencao(i.v, i.m)}</li>`;
+        }).join('')}</ul>`;
     } else {
         d.innerHTML = '<p>Nenhum agendamento futuro.</p>';
     }
+    renderizarCalendarioManutencao(); // Os mesmos agendamentos, no calendário.
+}
+
+/**
+ * Botões "Editar" e "Excluir" de um registro de manutenção (usados em `.lista-historico` e `#agendamentos-futuros-lista`).
+ * @param {CarroBase} v - O veículo.
+ * @param {Manutencao} m - O registro.
+ * @returns {string} HTML dos botões (tratados por `handleAcaoManutencao`).
+ */
+function botoesEdicaoManutencao(v, m) {
+    const alvo = `data-veiculo-id="${escaparHTML(v.id)}" data-manutencao-id="${escaparHTML(m.id)}"`;
+    return `<span class="acoes-manutencao">` +
+        `<button type="button" data-acao-manutencao="editar" ${alvo} title="Editar registro">✏️</button>` +
+        `<button type="button" data-acao-manutencao="excluir" ${alvo} title="Excluir registro">🗑️</button></span>`;
+}
+
+/**
+ * Coloca o formulário de agendamento do veículo em modo de edição do registro: preenche os campos
+ * (data/custo realizados, se concluído) e troca o texto do botão. Exibe o cartão do veículo antes, se for outro
+ * ou se a garagem estiver na visão geral (que esconde o formulário).
+ * @param {string} veiculoId - ID do veículo.
+ * @param {string} manutencaoId - ID da manutenção.
+ * @returns {void}
+ */
+function iniciarEdicaoManutencao(veiculoId, manutencaoId) {
+    const displayArea = document.getElementById('veiculo-display-area');
+    if (displayArea?.dataset.veiculoId !== veiculoId || modoVisaoGaragem === 'tabela') navegar(rotaVeiculo(veiculoId));
+    const m = garagem[veiculoId]?.obterManutencao(manutencaoId);
+    const form = displayArea?.querySelector('.form-agendamento');
+    if (!m || !form) return;
+
+    const data = m.obterDataEfetiva(), pad = n => String(n).padStart(2, '0');
+    const set = (sel, valor) => { const el = form.querySelector(sel); if (el) el.value = valor; };
+    set('.agendamento-data', `${data.getFullYear()}-${pad(data.getMonth() + 1)}-${pad(data.getDate())}`);
+    set('.agendamento-hora', `${pad(data.getHours())}:${pad(data.getMinutes())}`);
+    set('.agendamento-tipo', m.tipo);
+    set('.agendamento-custo', m.obterCustoEfetivo() || '');
+    set('.agendamento-obs', m.descricao);
+    set('.agendamento-km', m.odometro ?? '');
+
+    form.dataset.manutencaoId = m.id;
+    const btn = form.querySelector('.agendar-manutencao-btn');
+    if (btn) btn.innerHTML = '<i class="fa-solid fa-save"></i> Salvar Manutenção';
+    const cancelar = form.querySelector('.cancelar-edicao-manutencao');
+    if (cancelar) cancelar.style.display = '';
+    form.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+    form.querySelector('.agendamento-tipo')?.focus();
+}
+
+/**
+ * Sai do modo de edição do formulário de agendamento (volta a "Agendar Serviço", campos limpos).
+ * @param {HTMLFormElement} form - O `.form-agendamento`.
+ * @returns {void}
+ */
+function sairEdicaoManutencao(form) {
+    form.reset();
+    delete form.dataset.manutencaoId;
+    const btn = form.querySelector('.agendar-manutencao-btn');
+    if (btn) btn.innerHTML = '<i class="fa-solid fa-calendar-plus"></i> Agendar Serviço';
+    const cancelar = form.querySelector('.cancelar-edicao-manutencao');
+    if (cancelar) cancelar.style.display = 'none';
+}
+
+/**
+ * Handler para excluir UM registro de manutenção. Pede confirmação; com "Desfazer" no toast.
+ * @param {string} veiculoId - ID do veículo.
+ * @param {string} manutencaoId - ID da manutenção.
+ * @returns {Promise<void>}
+ */
+async function handleExcluirManutencao(veiculoId, manutencaoId) {
+    const v = garagem[veiculoId];
+    const m = v?.obterManutencao(manutencaoId); if (!m) return;
+    if (!confirm(`Excluir "${m.tipo}" (${m.obterDataEfetiva().toLocaleDateString('pt-BR')}) de ${v.modelo}?\n\nVocê poderá desfazer logo em seguida (botão "Desfazer" ou Ctrl+Z).`)) return;
+    if (await executarTransacaoGaragem([veiculoId], () => garagem[veiculoId].removerManutencao(manutencaoId),
+        { descricao: `Manutenção "${m.tipo}" excluída de ${v.modelo}`, destrutiva: true })) {
+        const form = document.querySelector('#veiculo-display-area .form-agendamento');
+        if (form?.dataset.manutencaoId === manutencaoId) sairEdicaoManutencao(form);
+        await verificarPlanosManutencao([veiculoId]);
+    }
+}
+
+/**
+ * Handler (delegado) dos botões de um registro de manutenção, em `#agendamentos-futuros-lista` e `.lista-historico`:
+ * ciclo de vida (iniciar, concluir, cancelar), editar e excluir.
+ * Concluir pergunta a data real (padrão: hoje) e o custo final (padrão: o estimado).
+ * Numa transação (pode ser desfeito).
+ * @param {Event} event - Clique (delegado) na lista.
+ * @returns {Promise<void>}
+ */
+async function handleAcaoManutencao(event) {
+    const btn = event.target.closest('button[data-acao-manutencao]'); if (!btn) return;
+    const { acaoManutencao: acao, veiculoId, manutencaoId } = btn.dataset;
+    const v = garagem[veiculoId];
+    const m = v?.obterManutencao(manutencaoId); if (!m) return;
+    if (acao === 'editar') { iniciarEdicaoManutencao(veiculoId, manutencaoId); return; }
+    if (acao === 'excluir') { await handleExcluirManutencao(veiculoId, manutencaoId); return; }
+
+    const dados = {};
+    if (acao === 'concluir') {
+        const dS = prompt(`Data em que "${m.tipo}" foi feito (dd/mm/aaaa):`, new Date().toLocaleDateString('pt-BR'));
+        if (dS === null) return;
+        const p = dS.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        // Meio-dia: a data não muda de dia na exibição em UTC do histórico.
+        dados.dataRealizada = p ? new Date(+p[3], +p[2] - 1, +p[1], 12) : null;
+        if (!dados.dataRealizada || dados.dataRealizada.getDate() !== +p[1] || dados.dataRealizada > new Date()) {
+            alert('Data inválida! Use dd/mm/aaaa, até hoje.'); return;
+        }
+        const cS = prompt(`Custo final de "${m.tipo}" (R$):`, m.custo.toFixed(2));
+        if (cS === null) return;
+        dados.custoFinal = cS.trim().replace(',', '.');
+        if (dados.custoFinal !== '' && !(parseFloat(dados.custoFinal) >= 0)) { alert('Custo inválido!'); return; }
+    } else if (acao === 'cancelar' && !confirm(`Cancelar "${m.tipo}" de ${v.modelo}?`)) {
+        return;
+    }
+
+    const verbos = { iniciar: 'iniciada', concluir: 'concluída', cancelar: 'cancelada' };
+    // Relê a instância dentro da transação (desfazer/outra aba podem ter trocado o veículo).
+    if (await executarTransacaoGaragem([veiculoId], () => garagem[veiculoId].alterarStatusManutencao(manutencaoId, acao, dados),
+        { descricao: `"${m.tipo}" de ${v.modelo} ${verbos[acao]}` })) {
+        await verificarPlanosManutencao([veiculoId]); // Concluir/cancelar muda os vencimentos dos planos.
+    }
 }
 
 /**
- * Verifica manutenções agendadas para HOJE ou AMANHÃ e exibe na área de notificações (#notificacoes-area).
+ * Verifica manutenções agendadas para HOJE ou AMANHÃ e exibe na área de notificações (#notificacoes-area),
+ * junto com as manutenções preventivas VENCIDAS dos planos (ver `listarPlanosVencidos`) e os agendamentos
+ * ATRASADOS (data passou sem o serviço começar), que vêm primeiro.
  * @returns {void}
  */
 function verificarAgendamentosProximos() {
@@ -765,19 +1213,38 @@ function verificarAgendamentosProximos() {
     fimDeAmanha.setDate(agora.getDate() + 1);
     fimDeAmanha.setHours(23, 59, 59, 999);
     let ntf = []; // Array para as notificações.
+    const atrasadas = []; // Agendamentos cuja data passou.
     // Coleta de todos os veículos.
     Object.values(garagem).forEach(v => {
         (v.historicoManutencao || [])
-            .filter(m => m?.data instanceof Date && !isNaN(m.data.getTime()) && m.data > agora && m.data <= fimDeAmanha) // Filtra hoje/amanhã.
+            .filter(m => m?.data instanceof Date && !isNaN(m.data.getTime()) && m.status === STATUS_MANUTENCAO.AGENDADA)
             .forEach(m => {
+                if (m.estaAtrasada(agora)) {
+                    const dF = m.data.toLocaleDateString('pt-BR');
+                    atrasadas.push(`<li>⏰ ATRASADA: <strong>${escaparHTML(v.modelo)}</strong> - ${escaparHTML(m.tipo)} (era p/ ${dF})</li>`);
+                    return;
+                }
+                if (m.data > fimDeAmanha) return; // Só hoje/amanhã.
                 const hj = m.data.toDateString() === agora.toDateString(); // É hoje?
                 const p = hj ? "🚨 HOJE" : "🗓️ Amanhã"; // Prefixo visual.
                 const hF = m.data.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' }); // Hora formatada.
-                ntf.push(`<li>${p}: <strong>${v.modelo}</strong> - ${m.tipo} às ${hF}</li>`);
+                ntf.push(`<li>${p}: <strong>${escaparHTML(v.modelo)}</strong> - ${escaparHTML(m.tipo)} às ${hF}</li>`);
             });
     });
     // Ordena (hoje primeiro, depois por texto/hora).
     ntf.sort((a, b) => (a.includes("HOJE") ? -1 : 1) - (b.includes("HOJE") ? -1 : 1) || a.localeCompare(b));
+    // Planos vencidos (por km ou por data) no topo.
+    const vencidas = listarPlanosVencidos(agora).map(({ veiculo, previsao }) => {
+        const motivos = [];
+        if (previsao.kmRestantes !== null && previsao.kmRestantes <= 0) {
+            motivos.push(`passou ${Math.round(-previsao.kmRestantes).toLocaleString('pt-BR')} km`);
+        }
+        if (previsao.dataPrevista && previsao.dataPrevista <= agora) {
+            motivos.push(`venceu em ${previsao.dataPrevista.toLocaleDateString('pt-BR')}`);
+        }
+        return `<li>🔧 VENCIDA: <strong>${escaparHTML(veiculo.modelo)}</strong> - ${escaparHTML(previsao.plano.nome)} (${motivos.join(', ')})</li>`;
+    });
+    ntf = [...vencidas, ...atrasadas, ...ntf];
     // Exibe na UI.
     if (ntf.length > 0) {
         a.innerHTML = `<h4><span role="img" aria-label="Alerta">⚠️</span> Alertas Manutenção Próxima</h4><ul>${ntf.join('')}</ul>`;
@@ -788,27 +1255,33 @@ function verificarAgendamentosProximos() {
 }
 
 /**
- * Verifica CNHs vencidas ou a vencer em <= 30 dias em todos os veículos.
+ * Verifica as CNHs de todos os motoristas cadastrados (vencidas ou a vencer em até `CNH_DIAS_ALERTA` dias),
+ * citando os veículos de cada um, e os veículos cujo motorista não tem a categoria exigida pelo tipo
+ * (ex: caminhão com CNH B vindo de um backup) ou não existe mais no cadastro.
  * Exibe alertas na área #cnh-alertas-area.
  * @returns {void}
  */
 function verificarVencimentoCNH() {
     const a = document.getElementById('cnh-alertas-area'); if (!a) return;
-    const hj = new Date(); hj.setHours(0, 0, 0, 0); // Hoje (sem hora).
     let alr = []; // Array para os alertas de CNH.
-    // Coleta de todos os veículos.
-    Object.values(garagem).forEach(v => {
-        if (v.dataVencimentoCNH instanceof Date && !isNaN(v.dataVencimentoCNH.getTime())) { // Se tem CNH válida.
-            const dtV = v.dataVencimentoCNH;
-            const dias = Math.ceil((dtV.getTime() - hj.getTime()) / (1e3 * 60 * 60 * 24)); // Dias restantes.
-            const dtFmt = dtV.toLocaleDateString('pt-BR', { timeZone: 'UTC' }); // Data formatada.
-            if (dias < 0) { // Vencida.
-                alr.push(`<li><strong>${v.modelo} (${v.placa || 'S/P'}):</strong> CNH <span style="color:red;font-weight:bold;">VENCIDA</span> (${dtFmt})!</li>`);
-            } else if (dias <= 30) { // Vence em breve.
-                alr.push(`<li><strong>${v.modelo} (${v.placa || 'S/P'}):</strong> CNH vence em ${dias}d (${dtFmt})!</li>`);
-            }
+    // Vencimento: um alerta por motorista.
+    Object.values(motoristas).forEach(m => {
+        const dias = m.diasParaVencimentoCNH(); // Dias restantes (null = sem vencimento informado).
+        if (dias === null || dias > CNH_DIAS_ALERTA) return;
+        const dtFmt = m.dataVencimentoCNH.toLocaleDateString('pt-BR', { timeZone: 'UTC' }); // Data formatada.
+        const veiculos = veiculosDoMotorista(m.id).map(v => `${v.modelo} (${v.placa || 'S/P'})`).join(', ');
+        const quem = `<strong>${escaparHTML(m.nome)}${veiculos ? ` - ${escaparHTML(veiculos)}` : ''}:</strong>`;
+        if (dias < 0) { // Vencida.
+            alr.push(`<li>${quem} CNH <span style="color:red;font-weight:bold;">VENCIDA</span> (${dtFmt})!</li>`);
+        } else { // Vence em breve.
+            alr.push(`<li>${quem} CNH vence em ${dias}d (${dtFmt})!</li>`);
         }
     });
+    // Vínculos inválidos: motorista sem a categoria exigida ou excluído.
+    Object.values(garagem).forEach(v => {
+        const erro = validarAtribuicaoMotorista(v.motoristaId, tipoDoVeiculo(v));
+        if (erro) alr.push(`<li><strong>${escaparHTML(v.modelo)} (${escaparHTML(v.placa || 'S/P')}):</strong> ${escaparHTML(erro)}</li>`);
+    });
     // Ordena (vencidas primeiro, depois por texto).
     alr.sort((a, b) => (a.includes("VENCIDA") ? -1 : 1) - (b.includes("VENCIDA") ? -1 : 1) || a.localeCompare(b));
     // Exibe na UI.
@@ -835,13 +1308,17 @@ function inicializarAplicacao() {
     console.log("DOM Carregado. Iniciando Garagem v6...");
     try {
         setupEventListeners(); // Configura botões de aba, form de add, etc.
-        carregarGaragem();     // Carrega dados ou inicializa padrão.
     } catch (e) {
         console.error("ERRO CRÍTICO NA INICIALIZAÇÃO:", e);
         alert("Erro grave ao iniciar a aplicação. Tente recarregar a página.");
-        // Considerar limpar localStorage em caso de erro irrecuperável?
-        // localStorage.removeItem(GARAGEM_KEY);
+        return;
     }
+    // Carrega dados (assíncrono, IndexedDB) ou inicializa padrão; depois passa a ouvir as outras abas
+    // e liga os lembretes periódicos.
+    carregarGaragem().then(iniciarSincronizacaoAbas).then(() => verificarPlanosManutencao()).then(iniciarLembretes).catch(e => {
+        console.error("ERRO CRÍTICO AO CARREGAR A GARAGEM:", e);
+        alert("Erro grave ao acessar o banco de dados da garagem. Tente recarregar a página.");
+    });
 }
 
 /**
@@ -854,20 +1331,41 @@ function setupEventListeners() {
     // Abas de Navegação.
     document.getElementById('tab-garagem')?.addEventListener('click', () => handleTrocarAba('tab-garagem'));
     document.getElementById('tab-adicionar')?.addEventListener('click', () => handleTrocarAba('tab-adicionar'));
+    document.getElementById('tab-motoristas')?.addEventListener('click', () => handleTrocarAba('tab-motoristas'));
+    document.getElementById('tab-viagens')?.addEventListener('click', () => handleTrocarAba('tab-viagens'));
+    document.getElementById('tab-painel')?.addEventListener('click', () => handleTrocarAba('tab-painel'));
+
+    // Atalhos de Desfazer/Refazer (Ctrl+Z / Ctrl+Shift+Z).
+    document.addEventListener('keydown', handleAtalhosDesfazer);
+
+    // Card de Backup (exportar/importar JSON).
+    setupListenersBackup();
+    setupListenersCSV(); // Manutenções da frota em CSV.
+    setupListenersICS(); // Agenda de manutenções em iCalendar (.ics).
+    setupListenersGaleria(); // Lightbox da galeria de fotos.
+    setupListenersSimulacao(); // Atalhos de teclado dos pedais.
+    setupListenersPainel(); // Agrupamento do gráfico mensal do painel de custos.
+    setupListenersCalendario(); // Navegação e arrastar-e-soltar do calendário de agendamentos.
+    setupListenersLembretes(); // Preferências das notificações de lembrete.
+    setupListenersMotoristas(); // Cadastro de motoristas e filtro por tipo no formulário de adicionar.
+    setupListenersViagens(); // Filtros da lista de viagens da frota.
+    setupListenersFiltros(); // Busca/filtros/ordem do menu de veículos (lê o hash da URL antes do primeiro desenho).
+    setupListenersVisaoGeral(); // Modo "Visão Geral": tabela da frota e ações em lote.
+    setupListenersRotas(); // Voltar/avançar do navegador e links (#/garagem/:id, #/adicionar...).
+
+    // Botões dos agendamentos (iniciar, concluir, cancelar, editar, excluir), delegados na lista global.
+    document.getElementById('agendamentos-futuros-lista')?.addEventListener('click', handleAcaoManutencao);
 
     // Submit do Formulário de Adicionar Veículo.
     document.getElementById('form-add-veiculo')?.addEventListener('submit', handleAdicionarVeiculo);
 
-    // Mostrar/Esconder Capacidade de Carga no Form de Adicionar.
-    const tSel = document.getElementById('add-tipo'), cDiv = document.getElementById('add-capacidade-carga-container');
-    if (tSel && cDiv) {
-        const toggleCarga = () => { cDiv.style.display = tSel.value === 'Caminhao' ? 'block' : 'none'; };
-        tSel.addEventListener('change', toggleCarga);
-        toggleCarga(); // Garante estado inicial correto.
-    }
+    // Tipos registrados no select do Form de Adicionar, e os campos extras do tipo escolhido.
+    preencherOpcoesTipo();
+    document.getElementById('add-tipo')?.addEventListener('change', renderizarCamposExtrasTipo);
+    renderizarCamposExtrasTipo(); // Garante estado inicial correto.
 
     // Preview da Imagem no Formulário de Adicionar (usando createObjectURL).
-    // Nota: Esta imagem *não* é salva ao adicionar na V6, só na edição. O preview é só visual.
+    // A imagem é reduzida/comprimida só ao enviar o formulário (ver handleAdicionarVeiculo).
     const addImgIn = document.getElementById('add-imagem-input'), addImgPrv = document.getElementById('add-imagem-preview');
     if (addImgIn && addImgPrv) {
         addImgIn.addEventListener('change', (e) => {
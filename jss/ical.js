@@ -0,0 +1,288 @@
+// ==================================================
+//      iCALENDAR (.ics): AGENDA DE MANUTENÇÕES
+// ==================================================
+
+/**
+ * Domínio dos UIDs dos eventos exportados (`<id da manutenção>@<domínio>`). O ID da manutenção é estável,
+ * então reimportar o arquivo (aqui ou na agenda do celular) atualiza o evento em vez de duplicá-lo.
+ * @const {string}
+ */
+const ICAL_DOMINIO_UID = 'garagem-inteligente';
+
+/**
+ * Duração dos eventos exportados (a manutenção só tem horário de início).
+ * @const {number}
+ */
+const ICAL_DURACAO_MS = 60 * 60 * 1000;
+
+/**
+ * Escapa um texto para um valor de propriedade iCalendar (RFC 5545, 3.3.11).
+ * @param {any} texto - O texto.
+ * @returns {string}
+ */
+function escaparTextoICS(texto) {
+    return String(texto ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Desfaz o escape de um valor de texto iCalendar.
+ * @param {string} texto - O valor como está no arquivo.
+ * @returns {string}
+ */
+function desescaparTextoICS(texto) {
+    return String(texto || '').replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+/**
+ * Quebra uma linha em pedaços de até 75 bytes (RFC 5545, 3.1): as continuações começam com um espaço.
+ * Conta bytes UTF-8, sem cortar um caractere ao meio.
+ * @param {string} linha - Linha "PROPRIEDADE:valor".
+ * @returns {string} A linha dobrada (com CRLF entre os pedaços).
+ */
+function dobrarLinhaICS(linha) {
+    const pedacos = [], codificador = new TextEncoder();
+    let atual = '', bytes = 0;
+    for (const c of linha) {
+        const tamanho = codificador.encode(c).length;
+        if (bytes + tamanho > (pedacos.length === 0 ? 75 : 74)) { // Continuações já gastam 1 byte com o espaço.
+            pedacos.push(atual);
+            atual = '';
+            bytes = 0;
+        }
+        atual += c;
+        bytes += tamanho;
+    }
+    pedacos.push(atual);
+    return pedacos.join('\r\n ');
+}
+
+/**
+ * Formata uma data em UTC no formato iCalendar (ex: "20261020T120000Z").
+ * @param {Date} data - A data.
+ * @returns {string}
+ */
+function formatarDataICS(data) {
+    return data.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Gera o `.ics` com um evento por agendamento pendente (agendado ou em andamento) de todos os veículos.
+ * Resumo com tipo, modelo e placa; descrição = `descricao` da manutenção.
+ * Propriedades `X-GARAGEM-*` levam veículo, tipo e custo de volta na reimportação (outras agendas as ignoram).
+ * @returns {string} Conteúdo do arquivo (linhas com CRLF, como pede o formato).
+ */
+function gerarICSManutencoes() {
+    const agora = formatarDataICS(new Date());
+    const linhas = [
+        'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Garagem Inteligente//Manutencoes//PT-BR',
+        'CALSCALE:GREGORIAN', 'METHOD:PUBLISH', 'X-WR-CALNAME:Manutenções da Frota'
+    ];
+    Object.values(garagem).forEach(v => {
+        (v.historicoManutencao || []).filter(m => m instanceof Manutencao && m.validar() && m.estaPendente()).forEach(m => {
+            const veiculo = v.placa ? `${v.modelo} (${v.placa})` : v.modelo;
+            linhas.push(
+                'BEGIN:VEVENT',
+                `UID:${m.id.includes('@') ? m.id : `${m.id}@${ICAL_DOMINIO_UID}`}`,
+                `DTSTAMP:${agora}`,
+                `DTSTART:${formatarDataICS(m.data)}`,
+                `DTEND:${formatarDataICS(new Date(m.data.getTime() + ICAL_DURACAO_MS))}`,
+                `SUMMARY:${escaparTextoICS(`${m.tipo} - ${veiculo}`)}`,
+                `DESCRIPTION:${escaparTextoICS(m.descricao)}`,
+                'CATEGORIES:Manutenção',
+                `X-GARAGEM-VEICULO:${escaparTextoICS(v.id)}`,
+                `X-GARAGEM-TIPO:${escaparTextoICS(m.tipo)}`,
+                `X-GARAGEM-CUSTO:${m.custo.toFixed(2)}`,
+                'END:VEVENT'
+            );
+        });
+    });
+    linhas.push('END:VCALENDAR');
+    return linhas.map(dobrarLinhaICS).join('\r\n') + '\r\n';
+}
+
+/**
+ * Handler do botão "Exportar Agenda (.ics)".
+ * @returns {void}
+ */
+function handleExportarICS() {
+    const ics = gerarICSManutencoes();
+    const data = new Date().toISOString().split('T')[0];
+    baixarArquivo(ics, `agenda-manutencoes-${data}.ics`, 'text/calendar;charset=utf-8');
+}
+
+/**
+ * Faz o parse dos eventos (VEVENT) de um arquivo iCalendar: desdobra as linhas continuadas e separa
+ * nome, parâmetros e valor de cada propriedade. Componentes dentro do evento (ex: VALARM) são ignorados.
+ * @param {string} texto - Conteúdo do arquivo.
+ * @returns {Array<Object.<string, {valor: string, params: Object.<string, string>}>>} Um objeto por evento,
+ *   indexado pelo nome da propriedade em maiúsculas (a primeira ocorrência vale).
+ */
+function parseICS(texto) {
+    const linhas = String(texto || '').replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const eventos = [];
+    let evento = null, profundidade = 0;
+    linhas.forEach(linha => {
+        const m = linha.match(/^([A-Za-z0-9-]+)((?:;[^:]*)?):(.*)$/);
+        if (!m) return;
+        const nome = m[1].toUpperCase(), valor = m[3];
+        if (nome === 'BEGIN' && valor.toUpperCase() === 'VEVENT') { evento = {}; profundidade = 0; return; }
+        if (!evento) return;
+        if (nome === 'BEGIN') { profundidade++; return; }
+        if (nome === 'END') {
+            if (profundidade > 0) profundidade--;
+            else if (valor.toUpperCase() === 'VEVENT') { eventos.push(evento); evento = null; }
+            return;
+        }
+        if (profundidade > 0 || evento[nome]) return;
+        const params = {};
+        m[2].split(';').filter(Boolean).forEach(p => {
+            const [chave, ...resto] = p.split('=');
+            params[chave.toUpperCase()] = resto.join('=').replace(/^"|"$/g, '');
+        });
+        evento[nome] = { valor, params };
+    });
+    return eventos;
+}
+
+/**
+ * Converte uma data iCalendar em Date: UTC ("...Z"), data sem hora (VALUE=DATE, vira meia-noite)
+ * ou hora "flutuante"/com TZID (interpretada no fuso do navegador).
+ * @param {{valor: string, params: Object.<string, string>}|undefined} prop - A propriedade (ex: DTSTART).
+ * @returns {Date|null} A data, ou null se ausente ou inválida.
+ */
+function parseDataICS(prop) {
+    const m = prop?.valor.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!m) return null;
+    const [, a, me, d, h = '0', mi = '0', s = '0', utc] = m;
+    const data = utc ? new Date(Date.UTC(+a, +me - 1, +d, +h, +mi, +s)) : new Date(+a, +me - 1, +d, +h, +mi, +s);
+    return isNaN(data.getTime()) ? null : data;
+}
+
+/**
+ * Importa agendamentos de um `.ics`.
+ * - Evento com UID de uma manutenção que já existe (exportada daqui ou importada antes): atualiza data, tipo,
+ *   descrição e custo, se mudaram (só enquanto estiver pendente).
+ * - Evento novo: vira um agendamento no veículo de `X-GARAGEM-VEICULO` ou cuja placa aparece no resumo/local,
+ *   com o UID como ID (reimportar o mesmo arquivo não duplica).
+ * Eventos de dias que já passaram são ignorados (aqui só entram agendamentos).
+ * Nada é gravado aqui: devolve as criações e alterações por veículo e os eventos rejeitados com o motivo.
+ * @param {string} texto - Conteúdo do arquivo.
+ * @param {Date} [agora=new Date()] - Referência de "agora".
+ * @returns {{novas: Map<string, Manutencao[]>, alteracoes: Map<string, Array<{id: string, dados: object}>>, criadas: number, atualizadas: number, rejeitadas: Array<{evento: string, motivo: string}>}}
+ *   `novas` e `alteracoes` indexadas pelo ID do veículo.
+ * @throws {Error} Se o arquivo não tiver nenhum evento.
+ */
+function processarICSManutencoes(texto, agora = new Date()) {
+    const eventos = parseICS(texto);
+    if (eventos.length === 0) throw new Error('Nenhum evento (VEVENT) encontrado no arquivo.');
+
+    const normalizarPlaca = p => String(p || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const hoje = new Date(agora);
+    hoje.setHours(0, 0, 0, 0);
+    const novas = new Map(), alteracoes = new Map(), rejeitadas = [];
+    let criadas = 0, atualizadas = 0;
+    const sufixo = `@${ICAL_DOMINIO_UID}`;
+
+    eventos.forEach((ev, i) => {
+        const valorTexto = prop => desescaparTextoICS(ev[prop]?.valor).trim();
+        const resumo = valorTexto('SUMMARY');
+        const nomeEvento = resumo || `evento ${i + 1}`;
+        const uid = valorTexto('UID');
+        const id = uid.endsWith(sufixo) ? uid.slice(0, -sufixo.length) : uid;
+        const data = parseDataICS(ev.DTSTART);
+        if (!data) { rejeitadas.push({ evento: nomeEvento, motivo: 'data de início (DTSTART) ausente ou inválida' }); return; }
+        if (data < hoje) { rejeitadas.push({ evento: nomeEvento, motivo: 'já passou (só agendamentos futuros são importados)' }); return; }
+        const custo = ev['X-GARAGEM-CUSTO'] ? parseFloat(valorTexto('X-GARAGEM-CUSTO')) : null;
+        const dados = { data, tipo: valorTexto('X-GARAGEM-TIPO') || resumo, descricao: valorTexto('DESCRIPTION') };
+        if (custo !== null) dados.custo = custo;
+
+        // Já existe (em qualquer veículo): atualiza.
+        const dono = id && Object.values(garagem).find(v => v.obterManutencao(id));
+        if (dono) {
+            const m = dono.obterManutencao(id);
+            if (!m.estaPendente()) { rejeitadas.push({ evento: nomeEvento, motivo: `já está ${ROTULOS_STATUS_MANUTENCAO[m.status].toLowerCase()} em ${dono.modelo}` }); return; }
+            const copia = Object.assign(Object.create(Manutencao.prototype), m, dados);
+            const erros = copia.obterErrosValidacao();
+            if (erros.length > 0) { rejeitadas.push({ evento: nomeEvento, motivo: erros.join('; ') }); return; }
+            if (JSON.stringify(copia) === JSON.stringify(m)) return; // Sem mudanças.
+            alteracoes.set(dono.id, [...(alteracoes.get(dono.id) || []), { id, dados }]);
+            atualizadas++;
+            return;
+        }
+
+        // Novo: acha o veículo pelo ID exportado ou pela placa no resumo/local.
+        const onde = normalizarPlaca(`${resumo} ${valorTexto('LOCATION')}`);
+        const v = garagem[valorTexto('X-GARAGEM-VEICULO')] ||
+            Object.values(garagem).find(c => normalizarPlaca(c.placa).length >= 5 && onde.includes(normalizarPlaca(c.placa)));
+        if (!v) { rejeitadas.push({ evento: nomeEvento, motivo: 'veículo não encontrado (coloque a placa no título do evento)' }); return; }
+        const m = new Manutencao(data, dados.tipo, dados.custo ?? 0, dados.descricao);
+        m.status = STATUS_MANUTENCAO.AGENDADA; // Eventos de hoje que já começaram também entram como agendamento.
+        if (id) m.id = id;
+        const erros = m.obterErrosValidacao();
+        if (erros.length > 0) { rejeitadas.push({ evento: nomeEvento, motivo: erros.join('; ') }); return; }
+        if (id && [...novas.values()].flat().some(n => n.id === id)) { rejeitadas.push({ evento: nomeEvento, motivo: 'UID repetido no arquivo' }); return; }
+        novas.set(v.id, [...(novas.get(v.id) || []), m]);
+        criadas++;
+    });
+    return { novas, alteracoes, criadas, atualizadas, rejeitadas };
+}
+
+/**
+ * Exibe o relatório da última importação iCalendar em `#ics-relatorio`.
+ * @param {number} criadas - Agendamentos criados.
+ * @param {number} atualizadas - Agendamentos atualizados.
+ * @param {Array<{evento: string, motivo: string}>} rejeitadas - Eventos ignorados e seus motivos.
+ * @returns {void}
+ */
+function exibirRelatorioICS(criadas, atualizadas, rejeitadas) {
+    const area = document.getElementById('ics-relatorio');
+    if (!area) return;
+    area.innerHTML = `<p><strong>${criadas}</strong> agendamento(s) criado(s), <strong>${atualizadas}</strong> atualizado(s), ` +
+        `<strong>${rejeitadas.length}</strong> evento(s) ignorado(s).</p>` +
+        (rejeitadas.length === 0 ? '' :
+            `<ul>${rejeitadas.map(r => `<li class="preview-remover">${escaparHTML(r.evento)}: ${escaparHTML(r.motivo)}</li>`).join('')}</ul>`);
+}
+
+/**
+ * Handler do input de importação `.ics`: lê o arquivo, cria/atualiza os agendamentos numa transação e relata.
+ * @param {Event} event - Evento `change` do input de arquivo.
+ * @returns {Promise<void>}
+ */
+async function handleImportarICS(event) {
+    const input = event.target;
+    const arquivo = input.files[0];
+    if (!arquivo) return;
+    try {
+        const { novas, alteracoes, criadas, atualizadas, rejeitadas } = processarICSManutencoes(await arquivo.text());
+        const ids = [...new Set([...novas.keys(), ...alteracoes.keys()])];
+        if (ids.length > 0) {
+            // Relê as instâncias dentro da transação (desfazer/outra aba podem tê-las trocado).
+            const importou = await executarTransacaoGaragem(ids, () => {
+                alteracoes.forEach((lista, id) => lista.forEach(a => garagem[id].atualizarManutencao(a.id, a.dados)));
+                novas.forEach((lista, id) => {
+                    const v = garagem[id];
+                    v.historicoManutencao = [...v.historicoManutencao, ...lista];
+                    v.ordenarHistoricoManutencao();
+                });
+            }, { descricao: `Importação iCalendar (${criadas} nova(s), ${atualizadas} atualizada(s))` });
+            if (!importou) return; // Nada foi gravado; a garagem já foi restaurada.
+        }
+        exibirRelatorioICS(criadas, atualizadas, rejeitadas);
+        atualizarInterfaceCompleta();
+        await verificarPlanosManutencao(ids); // Agendamentos novos podem atender aos planos.
+    } catch (e) {
+        console.error("Erro ao importar agenda iCalendar:", e);
+        alert(`Não foi possível importar a agenda.\n\n${e.message}`);
+    } finally {
+        input.value = ''; // Permite reimportar o mesmo arquivo.
+    }
+}
+
+/**
+ * Configura os listeners de exportação/importação iCalendar.
+ * @returns {void}
+ */
+function setupListenersICS() {
+    document.getElementById('btn-exportar-ics')?.addEventListener('click', handleExportarICS);
+    document.getElementById('ics-arquivo-input')?.addEventListener('change', handleImportarICS);
+}
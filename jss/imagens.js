@@ -0,0 +1,110 @@
+
+// ==================================================
+//      PROCESSAMENTO DE IMAGENS (Redimensionar / Comprimir)
+// ==================================================
+
+/**
+ * Limites aplicados às fotos enviadas pelo usuário antes de irem para o IndexedDB.
+ * Ajuste aqui para trocar o equilíbrio entre qualidade e espaço ocupado.
+ * - `ladoMaximo`: maior lado (px) da foto principal; fotos menores não são ampliadas.
+ * - `qualidade`: qualidade de compressão (0 a 1) da foto principal.
+ * - `ladoMiniatura` / `qualidadeMiniatura`: miniatura quadrada usada no menu de veículos.
+ * - `formatos`: formatos tentados em ordem; o primeiro que o navegador souber gerar é usado.
+ * @const {{ladoMaximo: number, qualidade: number, ladoMiniatura: number, qualidadeMiniatura: number, formatos: string[]}}
+ */
+const IMAGEM_CONFIG = {
+    ladoMaximo: 1280,
+    qualidade: 0.82,
+    ladoMiniatura: 96,
+    qualidadeMiniatura: 0.7,
+    formatos: ['image/webp', 'image/jpeg']
+};
+
+/**
+ * Decodifica um arquivo de imagem para desenhar em canvas.
+ * Usa `createImageBitmap` (respeita a orientação EXIF nos navegadores atuais) e cai para `<img>` se preciso.
+ * @param {Blob} arquivo - A imagem original.
+ * @returns {Promise<ImageBitmap|HTMLImageElement>}
+ * @throws {Error} Se o navegador não conseguir decodificar o formato.
+ */
+async function decodificarImagem(arquivo) {
+    if ('createImageBitmap' in window) {
+        try {
+            return await createImageBitmap(arquivo, { imageOrientation: 'from-image' });
+        } catch (e) {
+            console.warn("createImageBitmap falhou; tentando via <img>.", e);
+        }
+    }
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(arquivo);
+        const img = new Image();
+        img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+        img.onerror = () => { URL.revokeObjectURL(url); reject(new Error("Formato de imagem não suportado pelo navegador.")); };
+        img.src = url;
+    });
+}
+
+/**
+ * Desenha a imagem num canvas com o tamanho pedido e a codifica no primeiro formato de `IMAGEM_CONFIG.formatos`
+ * que o navegador suportar (navegadores sem WebP devolvem PNG em `toBlob`; nesse caso tenta o próximo).
+ * @param {ImageBitmap|HTMLImageElement} fonte - Imagem decodificada.
+ * @param {number} largura - Largura final (px).
+ * @param {number} altura - Altura final (px).
+ * @param {number} qualidade - Qualidade de compressão (0 a 1).
+ * @param {{sx: number, sy: number, sw: number, sh: number}} [recorte] - Área da fonte a usar (padrão: inteira).
+ * @returns {Promise<Blob>}
+ * @throws {Error} Se o canvas não estiver disponível ou nenhum formato puder ser gerado.
+ */
+async function codificarImagem(fonte, largura, altura, qualidade, recorte) {
+    const canvas = document.createElement('canvas');
+    canvas.width = largura;
+    canvas.height = altura;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new Error("Canvas 2D indisponível para processar a imagem.");
+    const { sx, sy, sw, sh } = recorte || { sx: 0, sy: 0, sw: fonte.width, sh: fonte.height };
+
+    for (const formato of IMAGEM_CONFIG.formatos) {
+        ctx.clearRect(0, 0, largura, altura);
+        if (formato === 'image/jpeg') { // JPEG não tem transparência: fundo branco em vez de preto.
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(0, 0, largura, altura);
+        }
+        ctx.drawImage(fonte, sx, sy, sw, sh, 0, 0, largura, altura);
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, formato, qualidade));
+        if (blob && blob.type === formato) return blob;
+    }
+    throw new Error(`O navegador não conseguiu gerar a imagem em nenhum dos formatos (${IMAGEM_CONFIG.formatos.join(', ')}).`);
+}
+
+/**
+ * Prepara uma foto enviada pelo usuário para ser guardada no veículo:
+ * reduz para caber em `IMAGEM_CONFIG.ladoMaximo`, recomprime e gera a miniatura quadrada (recorte central) do menu.
+ * Se a foto já é pequena e a recompressão não a deixaria menor, o arquivo original é mantido.
+ * @param {Blob} arquivo - Arquivo escolhido no input (`#add-imagem-input` ou `.edit-imagem-input`).
+ * @returns {Promise<{imagem: Blob, miniatura: Blob}>}
+ * @throws {Error} Se não for uma imagem ou não puder ser processada.
+ */
+async function processarImagemVeiculo(arquivo) {
+    if (!(arquivo instanceof Blob) || !arquivo.type.startsWith('image/')) {
+        throw new Error("O arquivo selecionado não é uma imagem.");
+    }
+    const fonte = await decodificarImagem(arquivo);
+    try {
+        const escala = Math.min(1, IMAGEM_CONFIG.ladoMaximo / Math.max(fonte.width, fonte.height));
+        let imagem = await codificarImagem(fonte, Math.round(fonte.width * escala), Math.round(fonte.height * escala), IMAGEM_CONFIG.qualidade);
+        if (escala === 1 && arquivo.size <= imagem.size && IMAGEM_CONFIG.formatos.includes(arquivo.type)) {
+            imagem = arquivo; // Recomprimir só pioraria a qualidade sem ganhar espaço.
+        }
+
+        const lado = Math.min(fonte.width, fonte.height);
+        const recorte = { sx: (fonte.width - lado) / 2, sy: (fonte.height - lado) / 2, sw: lado, sh: lado };
+        const ladoMini = Math.min(IMAGEM_CONFIG.ladoMiniatura, lado);
+        const miniatura = await codificarImagem(fonte, ladoMini, ladoMini, IMAGEM_CONFIG.qualidadeMiniatura, recorte);
+
+        console.log(`Imagem processada: ${(arquivo.size / 1024).toFixed(0)}KB → ${(imagem.size / 1024).toFixed(0)}KB ` +
+                    `(${imagem.type}), miniatura ${(miniatura.size / 1024).toFixed(1)}KB.`);
+        return { imagem, miniatura };
+    } finally {
+        if (typeof fonte.close === 'function') fonte.close(); // Libera a memória do ImageBitmap.
+    }
+}
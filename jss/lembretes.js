@@ -0,0 +1,312 @@
+// ==================================================
+//      LEMBRETES (Notificações do navegador)
+// ==================================================
+
+/**
+ * Chave no LocalStorage das preferências de lembretes e dos lembretes já disparados/adiados.
+ * @const {string}
+ */
+const LEMBRETES_KEY = 'garagemData_lembretes';
+
+/**
+ * De quanto em quanto tempo os lembretes (e os banners de alerta) são reavaliados.
+ * @const {number}
+ */
+const LEMBRETES_INTERVALO_MS = 60 * 1000;
+
+/**
+ * Quanto o botão "Adiar" do aviso empurra um lembrete.
+ * @const {number}
+ */
+const LEMBRETES_ADIAR_MS = 60 * 60 * 1000;
+
+/**
+ * Por quanto tempo um lembrete disparado/adiado fica registrado (depois disso o registro é limpo).
+ * @const {number}
+ */
+const LEMBRETES_RETENCAO_MS = 90 * 864e5;
+
+/**
+ * Estado dos lembretes, gravado em `LEMBRETES_KEY`.
+ * @typedef {object} EstadoLembretes
+ * @property {boolean} ativo - Notificações do navegador ligadas pelo usuário.
+ * @property {number[]} antecedencias - Com quantos minutos de antecedência avisar dos agendamentos (ex: [1440, 60]).
+ * @property {number[]} antecedenciasCNH - Com quantos dias de antecedência avisar do vencimento da CNH (0 = no dia).
+ * @property {Object.<string, number>} disparados - Lembretes já mostrados (chave → quando, em ms). Não disparam de novo.
+ * @property {Object.<string, number>} adiados - Lembretes adiados (chave → até quando, em ms).
+ */
+
+/**
+ * Preferências iniciais: avisos desligados; 1 dia e 1 hora antes dos serviços; 30 e 7 dias antes da CNH vencer, e no dia.
+ * @const {{ativo: boolean, antecedencias: number[], antecedenciasCNH: number[]}}
+ */
+const LEMBRETES_PADRAO = { ativo: false, antecedencias: [1440, 60], antecedenciasCNH: [30, 7, 0] };
+
+/**
+ * ID do `setInterval` dos lembretes (`null` = parado).
+ * @type {number|null}
+ */
+let idTimerLembretes = null;
+
+/**
+ * Lê o estado dos lembretes do LocalStorage (com os padrões no que faltar).
+ * @returns {EstadoLembretes}
+ */
+function lerEstadoLembretes() {
+    try {
+        const salvo = JSON.parse(localStorage.getItem(LEMBRETES_KEY) || '{}');
+        return { ...LEMBRETES_PADRAO, disparados: {}, adiados: {}, ...(salvo && typeof salvo === 'object' ? salvo : {}) };
+    } catch (e) {
+        console.warn("Preferências de lembretes ilegíveis; usando os padrões.", e);
+        return { ...LEMBRETES_PADRAO, disparados: {}, adiados: {} };
+    }
+}
+
+/**
+ * Grava o estado dos lembretes, descartando registros de disparo/adiamento antigos.
+ * @param {EstadoLembretes} estado - O estado.
+ * @returns {void}
+ */
+function gravarEstadoLembretes(estado) {
+    const limite = Date.now() - LEMBRETES_RETENCAO_MS;
+    Object.keys(estado.disparados).forEach(k => { if (estado.disparados[k] < limite) delete estado.disparados[k]; });
+    Object.keys(estado.adiados).forEach(k => { if (estado.adiados[k] < limite) delete estado.adiados[k]; });
+    try {
+        localStorage.setItem(LEMBRETES_KEY, JSON.stringify(estado));
+    } catch (e) {
+        console.error("Não foi possível gravar os lembretes (um aviso pode se repetir):", e);
+    }
+}
+
+/**
+ * Converte o texto das antecedências dos serviços em minutos. Aceita "d", "h" e "min" (ex: "1d, 1.5h, 30min").
+ * @param {string} texto - Texto digitado.
+ * @returns {number[]|null} Minutos, do maior para o menor, sem repetições; `null` se algum item for inválido.
+ */
+function parseAntecedencias(texto) {
+    const unidades = { d: 1440, h: 60, min: 1, m: 1 };
+    const itens = String(texto || '').split(/[,;]/).map(t => t.trim().toLowerCase()).filter(Boolean);
+    const minutos = itens.map(t => {
+        const m = t.match(/^(\d+(?:\.\d+)?)\s*(d|h|min|m)$/);
+        return m ? Math.round(parseFloat(m[1]) * unidades[m[2]]) : NaN;
+    });
+    if (minutos.some(m => !(m > 0))) return null;
+    return [...new Set(minutos)].sort((a, b) => b - a);
+}
+
+/**
+ * Formata antecedências (em minutos) no formato aceito por `parseAntecedencias`.
+ * @param {number[]} minutos - As antecedências.
+ * @returns {string} Ex: "1d, 1h".
+ */
+function formatarAntecedencias(minutos) {
+    return minutos.map(m => (m % 1440 === 0 ? `${m / 1440}d` : m % 60 === 0 ? `${m / 60}h` : `${m}min`)).join(', ');
+}
+
+/**
+ * Descreve uma antecedência para o texto do aviso.
+ * @param {number} minutos - Antecedência em minutos.
+ * @returns {string} Ex: "1 dia", "2 horas", "30 minutos".
+ */
+function descreverAntecedencia(minutos) {
+    if (minutos % 1440 === 0) return `${minutos / 1440} dia${minutos === 1440 ? '' : 's'}`;
+    if (minutos % 60 === 0) return `${minutos / 60} hora${minutos === 60 ? '' : 's'}`;
+    return `${minutos} minutos`;
+}
+
+/**
+ * Lembretes que devem ser mostrados agora (nem disparados, nem adiados).
+ * - Agendamento (status agendado, ainda por vir): a MENOR antecedência já alcançada. Quem abre a página
+ *   meia hora antes recebe só o aviso de "1 hora", não também o de "1 dia" que perdeu.
+ *   A chave inclui a data: reagendar o serviço arma os avisos de novo.
+ * - CNH de cada motorista: o menor prazo (em dias) já alcançado; vencida tem um aviso próprio.
+ * @param {EstadoLembretes} estado - O estado dos lembretes.
+ * @param {Date} [agora=new Date()] - Referência de "agora".
+ * @returns {Array<{chave: string, titulo: string, corpo: string, veiculoId?: string, motoristaId?: string}>}
+ */
+function listarLembretesDevidos(estado, agora = new Date()) {
+    const devidos = [];
+    Object.values(garagem).forEach(v => {
+        (v.historicoManutencao || []).filter(m => m.status === STATUS_MANUTENCAO.AGENDADA && m.data > agora).forEach(m => {
+            const faltamMin = (m.data - agora) / 60000;
+            const antecedencia = estado.antecedencias.filter(a => faltamMin <= a).sort((a, b) => a - b)[0];
+            if (antecedencia === undefined) return;
+            const hora = m.data.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+            devidos.push({
+                chave: `manutencao|${m.id}|${m.data.getTime()}|${antecedencia}`,
+                titulo: `🔧 ${m.tipo} - ${v.modelo}`,
+                corpo: `Em menos de ${descreverAntecedencia(antecedencia)}: ${m.data.toLocaleDateString('pt-BR')} às ${hora}.`,
+                veiculoId: v.id
+            });
+        });
+    });
+
+    Object.values(motoristas).forEach(mot => {
+        const dias = mot.diasParaVencimentoCNH(agora);
+        if (dias === null) return;
+        const dataFmt = mot.dataVencimentoCNH.toLocaleDateString('pt-BR', { timeZone: 'UTC' }); // Gravada à meia-noite UTC.
+        const base = `cnh|${mot.id}|${mot.dataVencimentoCNH.getTime()}`;
+        const veiculos = veiculosDoMotorista(mot.id).map(v => v.modelo).join(', ');
+        const titulo = `${mot.nome}${veiculos ? ` (${veiculos})` : ''}`;
+        if (dias < 0) {
+            devidos.push({ chave: `${base}|vencida`, titulo: `💳 CNH VENCIDA - ${titulo}`, corpo: `Venceu em ${dataFmt}.`, motoristaId: mot.id });
+            return;
+        }
+        const prazo = estado.antecedenciasCNH.filter(d => dias <= d).sort((a, b) => a - b)[0];
+        if (prazo === undefined) return;
+        devidos.push({
+            chave: `${base}|${prazo}`,
+            titulo: `💳 CNH - ${titulo}`,
+            corpo: dias === 0 ? `Vence hoje (${dataFmt})!` : `Vence em ${dias} dia(s), em ${dataFmt}.`,
+            motoristaId: mot.id
+        });
+    });
+    return devidos.filter(l => !estado.disparados[l.chave] && !(estado.adiados[l.chave] > agora.getTime()));
+}
+
+/**
+ * Mostra um lembrete como notificação do navegador (clicar nela exibe o veículo, ou o motorista no caso da CNH).
+ * @param {{chave: string, titulo: string, corpo: string, veiculoId?: string, motoristaId?: string}} lembrete - O lembrete.
+ * @returns {void}
+ */
+function dispararLembrete(lembrete) {
+    try {
+        const n = new Notification(lembrete.titulo, { body: lembrete.corpo, tag: lembrete.chave }); // A tag evita duplicatas entre abas.
+        n.onclick = () => {
+            window.focus();
+            if (lembrete.motoristaId) {
+                abrirMotorista(lembrete.motoristaId);
+            } else if (garagem[lembrete.veiculoId]) {
+                navegar(rotaVeiculo(lembrete.veiculoId));
+            }
+            n.close();
+        };
+    } catch (e) {
+        console.warn("Notificação do navegador falhou; aviso só na página.", e);
+    }
+}
+
+/**
+ * Adia lembretes já disparados: voltam a valer depois de `LEMBRETES_ADIAR_MS`.
+ * @param {string[]} chaves - Chaves dos lembretes.
+ * @returns {void}
+ */
+function adiarLembretes(chaves) {
+    const estado = lerEstadoLembretes();
+    chaves.forEach(chave => {
+        delete estado.disparados[chave];
+        estado.adiados[chave] = Date.now() + LEMBRETES_ADIAR_MS;
+    });
+    gravarEstadoLembretes(estado);
+    mostrarToast(chaves.length === 1 ? 'Lembrete adiado por 1 hora.' : `${chaves.length} lembretes adiados por 1 hora.`);
+}
+
+/**
+ * Avaliação periódica: atualiza os banners de alerta (manutenção e CNH) e, com as notificações ligadas
+ * e permitidas, dispara os lembretes devidos, com um toast na página para adiá-los.
+ * O estado é relido a cada vez (outra aba pode já ter disparado).
+ * @returns {void}
+ */
+function verificarLembretes() {
+    verificarAgendamentosProximos();
+    verificarVencimentoCNH();
+    const estado = lerEstadoLembretes();
+    if (!estado.ativo || typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    const devidos = listarLembretesDevidos(estado);
+    if (devidos.length === 0) return;
+    devidos.forEach(l => { estado.disparados[l.chave] = Date.now(); });
+    gravarEstadoLembretes(estado); // Grava antes de mostrar: uma falha na notificação não a faz repetir em loop.
+    devidos.forEach(dispararLembrete);
+    const resumo = devidos.length === 1 ? `${devidos[0].titulo}: ${devidos[0].corpo}` : `${devidos.length} lembretes (veja as notificações).`;
+    mostrarToast(`🔔 ${resumo}`, { rotulo: 'Adiar 1 h', callback: () => adiarLembretes(devidos.map(l => l.chave)) });
+}
+
+/**
+ * Liga o timer dos lembretes e reavalia também quando a aba volta a ficar visível
+ * (timers de abas em segundo plano são atrasados pelo navegador).
+ * @returns {void}
+ */
+function iniciarLembretes() {
+    if (idTimerLembretes !== null) return;
+    idTimerLembretes = setInterval(verificarLembretes, LEMBRETES_INTERVALO_MS);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') verificarLembretes();
+    });
+    verificarLembretes();
+}
+
+/**
+ * Mostra as preferências gravadas e a situação da permissão em `#lembretes-config`.
+ * @returns {void}
+ */
+function exibirConfigLembretes() {
+    const estado = lerEstadoLembretes();
+    const suportado = typeof Notification !== 'undefined';
+    const ativo = document.getElementById('lembretes-ativo');
+    if (ativo) ativo.checked = estado.ativo && suportado && Notification.permission === 'granted';
+    const servicos = document.getElementById('lembretes-antecedencias');
+    if (servicos) servicos.value = formatarAntecedencias(estado.antecedencias);
+    const cnh = document.getElementById('lembretes-antecedencias-cnh');
+    if (cnh) cnh.value = estado.antecedenciasCNH.join(', ');
+    const status = document.getElementById('lembretes-status');
+    if (status) {
+        status.textContent = !suportado ? 'Este navegador não suporta notificações.' :
+            Notification.permission === 'denied' ? 'Notificações bloqueadas para esta página (libere nas configurações do site).' :
+            ativo?.checked ? 'Notificações ligadas.' : 'Notificações desligadas.';
+    }
+}
+
+/**
+ * Handler do checkbox "Avisar pelo navegador": pede a permissão de notificações ao ligar.
+ * @param {Event} event - Evento `change` do checkbox.
+ * @returns {Promise<void>}
+ */
+async function handleAtivarLembretes(event) {
+    const estado = lerEstadoLembretes();
+    estado.ativo = event.target.checked;
+    if (estado.ativo) {
+        if (typeof Notification === 'undefined') {
+            alert('Este navegador não suporta notificações.');
+            estado.ativo = false;
+        } else if (Notification.permission !== 'granted' && (await Notification.requestPermission()) !== 'granted') {
+            alert('Sem permissão para notificações. Libere nas configurações do site para receber os lembretes.');
+            estado.ativo = false;
+        }
+    }
+    gravarEstadoLembretes(estado);
+    exibirConfigLembretes();
+    verificarLembretes();
+}
+
+/**
+ * Handler dos campos de antecedência: valida e grava (campo inválido volta ao valor gravado).
+ * @param {Event} event - Evento `change` de `#lembretes-antecedencias` ou `#lembretes-antecedencias-cnh`.
+ * @returns {void}
+ */
+function handleAntecedenciasLembretes(event) {
+    const estado = lerEstadoLembretes();
+    if (event.target.id === 'lembretes-antecedencias') {
+        const minutos = parseAntecedencias(event.target.value);
+        if (!minutos) alert('Antecedências inválidas! Use, por exemplo: 1d, 1h, 30min');
+        else estado.antecedencias = minutos;
+    } else {
+        const itens = event.target.value.split(/[,;]/).map(t => t.trim()).filter(Boolean);
+        const dias = itens.map(Number);
+        if (dias.some(d => !Number.isInteger(d) || d < 0)) alert('Prazos inválidos! Use dias inteiros, por exemplo: 30, 7, 0');
+        else estado.antecedenciasCNH = [...new Set(dias)].sort((a, b) => b - a);
+    }
+    gravarEstadoLembretes(estado);
+    exibirConfigLembretes();
+    verificarLembretes();
+}
+
+/**
+ * Configura o card de lembretes (`#lembretes-config`).
+ * @returns {void}
+ */
+function setupListenersLembretes() {
+    document.getElementById('lembretes-ativo')?.addEventListener('change', handleAtivarLembretes);
+    document.getElementById('lembretes-antecedencias')?.addEventListener('change', handleAntecedenciasLembretes);
+    document.getElementById('lembretes-antecedencias-cnh')?.addEventListener('change', handleAntecedenciasLembretes);
+    exibirConfigLembretes();
+}
@@ -0,0 +1,137 @@
+
+// ==================================================
+//      MANIFESTO DE CARGA (caminhões)
+// ==================================================
+
+/**
+ * Quantas entregas do histórico aparecem no painel do caminhão (as mais recentes).
+ * @const {number}
+ */
+const LIMITE_ENTREGAS_EXIBIDAS = 10;
+
+/**
+ * Cria os controles do manifesto colocados em `.acao-extra` do caminhão: formulário de carregar um item,
+ * resumo e distribuição do peso, itens a bordo (entregar inteiro ou em parte) e histórico de entregas.
+ * O conteúdo é preenchido por `atualizarManifestoUI`, chamado a cada `atualizarInformacoesUI`.
+ * @param {string} veiculoId - ID do caminhão.
+ * @returns {HTMLElement}
+ */
+function criarControlesManifesto(veiculoId) {
+    const div = document.createElement('div');
+    div.className = 'manifesto-carga';
+    div.innerHTML = `
+        <h4><i class="fa-solid fa-boxes-stacked"></i> Manifesto de Carga</h4>
+        <form class="form-carga">
+            <input type="text" class="carga-descricao" placeholder="Descrição (ex: Caixas de piso)" required>
+            <input type="number" class="carga-peso" min="0.001" step="any" placeholder="Peso (kg)" required>
+            <input type="text" class="carga-destino" placeholder="Destino (opcional)">
+            <input type="number" class="carga-volume" min="0.001" step="any" placeholder="Volume m³ (opcional)">
+            <button type="submit" data-acao="carregar">Carregar</button>
+        </form>
+        <div class="carga-resumo"></div>
+        <div class="carga-distribuicao"></div>
+        <div class="carga-itens"></div>
+        <details class="carga-entregas">
+            <summary>Entregas realizadas</summary>
+            <div class="carga-entregas-lista"></div>
+        </details>`;
+    div.querySelector('.form-carga').addEventListener('submit', (e) => handleCarregarItem(e, veiculoId));
+    div.querySelector('.carga-itens').addEventListener('click', (e) => handleAcaoManifesto(e, veiculoId));
+    return div;
+}
+
+/**
+ * Preenche os controles do manifesto com o estado atual do caminhão.
+ * @param {Caminhao} v - O caminhão exibido.
+ * @param {HTMLElement} el - O elemento `.acao-extra` (contém o `.manifesto-carga`).
+ * @returns {void}
+ */
+function atualizarManifestoUI(v, el) {
+    const kg = n => `${n.toLocaleString('pt-BR', { maximumFractionDigits: 3 })} kg`;
+    const m3 = n => `${n.toLocaleString('pt-BR', { maximumFractionDigits: 2 })} m³`;
+    const setHtml = (sel, html) => { const alvo = el.querySelector(sel); if (alvo) alvo.innerHTML = html; };
+
+    // Resumo: peso e volume a bordo, com o aviso de sobrecarga.
+    const carga = v.cargaAtual, excesso = v.obterExcessoCarga();
+    const volume = v.manifesto.reduce((soma, i) => soma + (i.volume || 0), 0);
+    setHtml('.carga-resumo',
+        `<span class="info-label">A bordo:</span> ${kg(carga)} de ${kg(v.capacidadeCarga)}` +
+        ` (${v.capacidadeCarga > 0 ? Math.round(carga / v.capacidadeCarga * 100) : 0}%)` +
+        (volume > 0 ? ` · ${m3(volume)}` : '') +
+        ` · <span class="info-label">Livre:</span> ${kg(Math.max(0, v.capacidadeCarga - carga))}` +
+        (excesso > 0 ? ` <span class="carga-sobrecarga">SOBRECARGA de ${kg(excesso)}!</span>` : ''));
+
+    // Distribuição do peso por destino: barra na escala da capacidade (ou da carga, se passar dela).
+    const distribuicao = v.obterDistribuicaoCarga();
+    const escala = Math.max(v.capacidadeCarga, carga) || 1;
+    const cor = i => `hsl(${(i * 67) % 360}, 65%, 55%)`;
+    setHtml('.carga-distribuicao', distribuicao.length === 0 ? '' :
+        `<div class="carga-barra">${distribuicao.map((d, i) =>
+            `<span style="width: ${(d.peso / escala * 100).toFixed(2)}%; --cor-destino: ${cor(i)}" ` +
+            `title="${escaparHTML(`${d.destino || 'Sem destino'}: ${kg(d.peso)}`)}"></span>`).join('')}</div>` +
+        `<ul class="carga-legenda">${distribuicao.map((d, i) =>
+            `<li style="--cor-destino: ${cor(i)}">${escaparHTML(d.destino || 'Sem destino')}: ${kg(d.peso)}` +
+            ` (${Math.round(d.peso / carga * 100)}%)${d.volume > 0 ? `, ${m3(d.volume)}` : ''} · ${d.itens} item(ns)</li>`).join('')}</ul>`);
+
+    // Itens a bordo.
+    setHtml('.carga-itens', v.manifesto.length === 0 ? '<p>Nenhum item a bordo.</p>' :
+        `<table class="carga-tabela"><thead><tr><th>Descrição</th><th>Destino</th><th>Peso</th><th>Volume</th><th>Carregado em</th><th></th></tr></thead><tbody>` +
+        v.manifesto.map(i => `<tr>` +
+            `<td>${escaparHTML(i.descricao)}</td><td>${escaparHTML(i.destino || '-')}</td><td>${kg(i.peso)}</td>` +
+            `<td>${i.volume === null ? '-' : m3(i.volume)}</td><td>${i.data.toLocaleDateString('pt-BR')}</td>` +
+            `<td><button type="button" data-acao-carga="entregar" data-item-id="${escaparHTML(i.id)}" title="Descarregar o item inteiro">📦 Entregar</button>` +
+            `<button type="button" data-acao-carga="parcial" data-item-id="${escaparHTML(i.id)}" title="Descarregar só parte do peso">✂️ Parte</button></td>` +
+            `</tr>`).join('') +
+        '</tbody></table>');
+
+    // Histórico de entregas (mais recentes primeiro).
+    const entregas = v.historicoEntregas;
+    setHtml('.carga-entregas-lista', entregas.length === 0 ? '<p>Nenhuma entrega registrada.</p>' :
+        `<ul>${entregas.slice(0, LIMITE_ENTREGAS_EXIBIDAS).map(i =>
+            `<li>${i.entregueEm.toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' })} - ${escaparHTML(i.formatar())}</li>`).join('')}</ul>` +
+        (entregas.length > LIMITE_ENTREGAS_EXIBIDAS ? `<p>Mostrando ${LIMITE_ENTREGAS_EXIBIDAS} de ${entregas.length} entregas.</p>` : ''));
+    const resumo = el.querySelector('.carga-entregas summary');
+    if (resumo) resumo.textContent = `Entregas realizadas (${entregas.length})`;
+}
+
+/**
+ * Handler do formulário do manifesto: carrega um item no caminhão (ação 'carregar' do tipo, em transação).
+ * O formulário só é limpo se o item entrou (senão, o usuário corrige o que digitou).
+ * @param {Event} e - Evento de submit.
+ * @param {string} veiculoId - ID do caminhão.
+ * @returns {Promise<void>}
+ */
+async function handleCarregarItem(e, veiculoId) {
+    e.preventDefault();
+    const form = e.target;
+    const dados = {
+        descricao: form.querySelector('.carga-descricao').value,
+        peso: form.querySelector('.carga-peso').value,
+        destino: form.querySelector('.carga-destino').value,
+        volume: form.querySelector('.carga-volume').value || null
+    };
+    if (await interagir(veiculoId, 'carregar', dados)) {
+        form.reset();
+        form.querySelector('.carga-descricao').focus();
+    }
+}
+
+/**
+ * Handler dos botões dos itens a bordo (delegado em `.carga-itens`): entregar o item inteiro ou descarregar
+ * parte do peso (perguntado ao usuário). A entrega vai para o histórico e pode ser desfeita pelo toast.
+ * @param {MouseEvent} e - Evento de clique.
+ * @param {string} veiculoId - ID do caminhão.
+ * @returns {Promise<void>}
+ */
+async function handleAcaoManifesto(e, veiculoId) {
+    const btn = e.target.closest('button[data-acao-carga]'); if (!btn) return;
+    const item = garagem[veiculoId]?.manifesto?.find(i => i.id === btn.dataset.itemId); if (!item) return;
+    let peso = null; // Item inteiro.
+    if (btn.dataset.acaoCarga === 'parcial') {
+        const resposta = prompt(`Quantos kg de "${item.descricao}" descarregar? (a bordo: ${item.peso} kg)`, '');
+        if (resposta === null || resposta.trim() === '') return; // Cancelado.
+        peso = parseFloat(resposta.replace(',', '.'));
+        if (isNaN(peso)) { alert("Peso inválido!"); return; }
+    }
+    await interagir(veiculoId, 'descarregar', { itemId: item.id, peso });
+}
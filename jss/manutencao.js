@@ -1,12 +1,42 @@
+/**
+ * Estados do ciclo de vida de uma manutenção.
+ * - `agendada`: marcada para `data`; se a data passar sem ser concluída, fica ATRASADA (ver `estaAtrasada`).
+ * - `em_andamento`: o serviço começou (o veículo está na oficina).
+ * - `concluida`: feita; `dataRealizada` e `custoFinal` guardam o que de fato aconteceu.
+ * - `cancelada`: não será feita; fica no histórico só como registro.
+ * @const {{AGENDADA: string, EM_ANDAMENTO: string, CONCLUIDA: string, CANCELADA: string}}
+ */
+const STATUS_MANUTENCAO = {
+    AGENDADA: 'agendada',
+    EM_ANDAMENTO: 'em_andamento',
+    CONCLUIDA: 'concluida',
+    CANCELADA: 'cancelada'
+};
+
+/**
+ * Nome de cada status para exibição.
+ * @const {Object.<string, string>}
+ */
+const ROTULOS_STATUS_MANUTENCAO = {
+    agendada: 'Agendada',
+    em_andamento: 'Em andamento',
+    concluida: 'Concluída',
+    cancelada: 'Cancelada'
+};
+
 class Manutencao {
     /**
      * Cria uma instância de Manutencao.
+     * O status inicial sai da data: no passado é um serviço já feito (`concluida`); no futuro, um agendamento.
+     * Daí em diante o status só muda pelos métodos `iniciar`, `concluir` e `cancelar` (a data não muda mais nada).
      * @param {string|Date|null} d - A data/hora da manutenção (string ISO 8601 ou objeto Date). Datas inválidas resultam em null.
      * @param {string} t - O tipo de serviço realizado (ex: "Troca de óleo"). Obrigatório.
-     * @param {number|string} [c=0] - O custo do serviço. Padrão é 0.
+     * @param {number|string} [c=0] - O custo do serviço (estimado, enquanto não for concluído). Padrão é 0.
      * @param {string} [desc=''] - Descrição ou observações adicionais. Opcional.
      */
     constructor(d, t, c, desc = '') {
+        /** @type {string} Identificador estável do registro no histórico do veículo (edição, exclusão, fotos). */
+        this.id = Manutencao.gerarId();
         // Converte entrada para objeto Date, tratando casos nulos ou inválidos.
         this.data = d instanceof Date ? d : (d ? new Date(d) : null);
         if (this.data && isNaN(this.data.getTime())) {
@@ -15,40 +45,156 @@ class Manutencao {
         this.tipo = String(t || '').trim(); // Garante que tipo seja string e remove espaços extras.
         this.custo = parseFloat(c) || 0; // Converte custo para número.
         this.descricao = String(desc || '').trim();
+        /** @type {string[]} IDs das fotos da galeria do veículo anexadas a este serviço (ver `CarroBase.vincularFotoManutencao`). */
+        this.fotoIds = [];
+        /** @type {number|null} Odômetro (km) quando o serviço foi feito; `null` se não informado. Base dos planos por km. */
+        this.odometro = null;
+        /** @type {string|null} ID do `PlanoManutencao` que agendou este serviço automaticamente (`null` = manual). */
+        this.planoId = null;
+        /** @type {string} Um dos valores de `STATUS_MANUTENCAO`. */
+        this.status = this.data && this.data > new Date() ? STATUS_MANUTENCAO.AGENDADA : STATUS_MANUTENCAO.CONCLUIDA;
+        /** @type {Date|null} Quando o serviço foi de fato feito (`null` = na própria `data`). */
+        this.dataRealizada = null;
+        /** @type {number|null} Custo final pago (`null` = igual ao `custo` estimado). */
+        this.custoFinal = null;
+    }
+
+    /**
+     * Gera um ID novo para um registro de manutenção.
+     * @returns {string}
+     */
+    static gerarId() {
+        return `m${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    // --- Ciclo de vida ---
+
+    /**
+     * Agendada ou em andamento (ainda vai acontecer ou está acontecendo).
+     * @returns {boolean}
+     */
+    estaPendente() {
+        return this.status === STATUS_MANUTENCAO.AGENDADA || this.status === STATUS_MANUTENCAO.EM_ANDAMENTO;
+    }
+
+    /**
+     * Agendamento cuja data já passou sem o serviço ter começado.
+     * @param {Date} [agora=new Date()] - Referência de "agora".
+     * @returns {boolean}
+     */
+    estaAtrasada(agora = new Date()) {
+        return this.status === STATUS_MANUTENCAO.AGENDADA && !!this.data && this.data <= agora;
+    }
+
+    /**
+     * Data que vale para o histórico: a realizada, se houver, senão a agendada.
+     * @returns {Date|null}
+     */
+    obterDataEfetiva() {
+        return this.dataRealizada || this.data;
+    }
+
+    /**
+     * Custo que vale para o histórico: o final, se houver, senão o estimado.
+     * @returns {number}
+     */
+    obterCustoEfetivo() {
+        return this.custoFinal ?? this.custo;
+    }
+
+    /**
+     * Marca o início do serviço. Só a partir de `agendada`.
+     * @returns {boolean} `true` se o status mudou.
+     */
+    iniciar() {
+        if (this.status !== STATUS_MANUTENCAO.AGENDADA) return false;
+        this.status = STATUS_MANUTENCAO.EM_ANDAMENTO;
+        return true;
+    }
+
+    /**
+     * Conclui o serviço registrando quando foi feito e quanto custou de fato.
+     * @param {Date} [dataRealizada=new Date()] - Quando foi feito.
+     * @param {number|string|null} [custoFinal=null] - Quanto custou (`null`/vazio = o estimado).
+     * @returns {boolean} `true` se concluiu; `false` se não estava pendente ou os dados são inválidos.
+     */
+    concluir(dataRealizada = new Date(), custoFinal = null) {
+        if (!this.estaPendente()) return false;
+        if (!(dataRealizada instanceof Date) || isNaN(dataRealizada.getTime())) return false;
+        const custo = custoFinal === null || custoFinal === '' ? null : parseFloat(custoFinal);
+        if (custo !== null && !(custo >= 0)) return false;
+        this.status = STATUS_MANUTENCAO.CONCLUIDA;
+        this.dataRealizada = dataRealizada;
+        this.custoFinal = custo;
+        return true;
+    }
+
+    /**
+     * Cancela um agendamento (ou serviço em andamento).
+     * @returns {boolean} `true` se o status mudou.
+     */
+    cancelar() {
+        if (!this.estaPendente()) return false;
+        this.status = STATUS_MANUTENCAO.CANCELADA;
+        return true;
     }
 
     /**
      * Formata a manutenção para exibição como histórico (sem hora).
+     * Concluída: data e custo efetivos (com o estimado ao lado, se o final for diferente). Cancelada: marcada como tal.
      * @returns {string} Descrição formatada da manutenção (ex: "Troca de óleo em 20/10/2023 - R$ 150,00").
      */
     formatar() {
         if (!this.data) return "Manutenção com data inválida";
+        if (this.status === STATUS_MANUTENCAO.CANCELADA) {
+            return `${this.tipo || '(Tipo não informado)'} - CANCELADA (era p/ ${this.data.toLocaleDateString('pt-BR', { timeZone: 'UTC' })})`;
+        }
         // Formata data para pt-BR (sem hora), usando UTC para consistência na exibição da data apenas.
-        const dFmt = this.data.toLocaleDateString('pt-BR', { timeZone: 'UTC' });
-        const cFmt = this.custo > 0 ? ` - R$ ${this.custo.toFixed(2)}` : ""; // Adiciona custo se houver.
-        return `${this.tipo || '(Tipo não informado)'} em ${dFmt}${cFmt}${this.descricao ? ` (${this.descricao})` : ''}`;
+        const dFmt = this.obterDataEfetiva().toLocaleDateString('pt-BR', { timeZone: 'UTC' });
+        const custo = this.obterCustoEfetivo();
+        const estFmt = this.custoFinal !== null && this.custoFinal !== this.custo ? ` (est. R$ ${this.custo.toFixed(2)})` : "";
+        const cFmt = custo > 0 || estFmt ? ` - R$ ${custo.toFixed(2)}${estFmt}` : ""; // Adiciona custo se houver.
+        const kmFmt = this.odometro !== null ? ` aos ${Math.round(this.odometro).toLocaleString('pt-BR')} km` : "";
+        return `${this.tipo || '(Tipo não informado)'} em ${dFmt}${kmFmt}${cFmt}${this.descricao ? ` (${this.descricao})` : ''}`;
     }
 
     /**
-     * Formata a manutenção para exibição como agendamento futuro (com hora).
+     * Formata a manutenção para exibição como agendamento (com hora), marcando se está atrasada ou em andamento.
      * @returns {string} Descrição formatada do agendamento (ex: "Revisão agendado p/ 25/12/2024, 14:30 - Custo Est.: R$ 300,00").
      */
     formatarComHora() {
         if (!this.data) return "Agendamento com data inválida";
+        const prefixo = this.estaAtrasada() ? 'ATRASADA: ' : (this.status === STATUS_MANUTENCAO.EM_ANDAMENTO ? 'EM ANDAMENTO: ' : '');
         // Formata data e hora para pt-BR (considerando fuso horário local para agendamentos).
         const dHFmt = this.data.toLocaleString('pt-BR', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' });
         const cFmt = this.custo > 0 ? ` - Custo Est.: R$ ${this.custo.toFixed(2)}` : "";
-        return `${this.tipo || '(Tipo não informado)'} agendado p/ ${dHFmt}${cFmt}${this.descricao ? ` (Obs: ${this.descricao})` : ''}`;
+        return `${prefixo}${this.tipo || '(Tipo não informado)'} agendado p/ ${dHFmt}${cFmt}${this.descricao ? ` (Obs: ${this.descricao})` : ''}`;
+    }
+
+    /**
+     * Lista os motivos pelos quais a manutenção é inválida (vazio se estiver tudo certo).
+     * Usado por `validar()` e para relatar ao usuário por que um registro foi rejeitado (ex: importação CSV).
+     * @returns {string[]} Mensagens de erro, em português.
+     */
+    obterErrosValidacao() {
+        const erros = [];
+        if (!(this.data instanceof Date) || isNaN(this.data.getTime())) erros.push("data ausente ou inválida");
+        if (typeof this.tipo !== 'string' || this.tipo === '') erros.push("tipo de serviço não informado");
+        if (typeof this.custo !== 'number' || isNaN(this.custo) || this.custo < 0) erros.push("custo negativo ou inválido");
+        if (!Object.values(STATUS_MANUTENCAO).includes(this.status)) erros.push(`status "${this.status}" desconhecido`);
+        if (this.custoFinal !== null && !(this.custoFinal >= 0)) erros.push("custo final negativo ou inválido");
+        if (this.dataRealizada !== null && !(this.dataRealizada instanceof Date && !isNaN(this.dataRealizada.getTime()))) {
+            erros.push("data de realização inválida");
+        }
+        return erros;
     }
 
     /**
      * Valida se os dados essenciais da manutenção são válidos (data e tipo).
-     * @returns {boolean} `true` se a data é um objeto Date válido e o tipo é uma string não vazia.
+     * @returns {boolean} `true` se a data é um objeto Date válido, o tipo é uma string não vazia e o custo não é negativo.
      */
     validar() {
-        return this.data instanceof Date && !isNaN(this.data.getTime()) &&
-               typeof this.tipo === 'string' && this.tipo !== '' &&
-               typeof this.custo === 'number' && this.custo >= 0;
+        return this.obterErrosValidacao().length === 0;
     }
 
     /**
@@ -59,10 +205,17 @@ class Manutencao {
     toJSON() {
         // Retorna null se a data for inválida para não salvar dados inconsistentes.
         return !this.data ? null : {
+            id: this.id,
             data: this.data.toISOString(), // Formato padrão para intercâmbio de datas.
             tipo: this.tipo,
             custo: this.custo,
-            descricao: this.descricao
+            descricao: this.descricao,
+            fotoIds: [...this.fotoIds],
+            odometro: this.odometro,
+            planoId: this.planoId,
+            status: this.status,
+            dataRealizada: this.dataRealizada ? this.dataRealizada.toISOString() : null,
+            custoFinal: this.custoFinal
         };
     }
 }
@@ -0,0 +1,288 @@
+
+// ==================================================
+//      VERSÕES DE SCHEMA, MIGRAÇÕES E QUARENTENA
+// ==================================================
+
+/**
+ * Versão do FORMATO dos dados salvos (shape de `CarroBase.toJSON()` / `Manutencao.toJSON()`).
+ * **Sempre** que esse formato mudar, incremente aqui e adicione o passo correspondente em `MIGRACOES_SCHEMA`.
+ * @const {number}
+ */
+const SCHEMA_VERSAO_ATUAL = 16;
+
+/**
+ * Versão atribuída a dados que não registram versão alguma: o JSON antigo do LocalStorage
+ * (`garagemData_v6_add`) e os registros do IndexedDB gravados antes do versionamento.
+ * @const {number}
+ */
+const SCHEMA_VERSAO_LEGADO = 6;
+
+/**
+ * Chave do LocalStorage onde ficam os dados que não puderam ser lidos/migrados.
+ * Nada é apagado sem antes passar por aqui.
+ * @const {string}
+ */
+const GARAGEM_QUARENTENA_KEY = 'garagemData_quarentena';
+
+/**
+ * Cadeia de migrações. A função na chave `N` recebe um payload na versão `N` e devolve o payload na versão `N + 1`.
+ * Payload: `{ schemaVersao: number, veiculos: Object.<string, object>, motoristas?: Object.<string, object> }`
+ * (veículos e motoristas no formato de `toJSON()`; `motoristas` existe a partir da versão 13).
+ * As funções devem ser puras (não alterar o objeto recebido) e lançar erro se os dados forem irrecuperáveis.
+ * @const {Object.<number, function(object): object>}
+ */
+const MIGRACOES_SCHEMA = {
+    /**
+     * 6 → 7: Normaliza tipos que versões antigas gravavam de forma inconsistente
+     * (ano como string, CNH em formatos variados, custo como string, histórico ausente).
+     */
+    6: (payload) => {
+        const veiculos = {};
+        for (const id in payload.veiculos) {
+            const d = payload.veiculos[id];
+            if (!d || typeof d !== 'object') throw new Error(`Registro do veículo ${id} não é um objeto.`);
+            const cnh = d.dataVencimentoCNH ? new Date(d.dataVencimentoCNH) : null;
+            veiculos[id] = {
+                ...d,
+                id: d.id ?? id,
+                tipoVeiculo: d.tipoVeiculo || 'CarroBase',
+                ano: parseInt(d.ano) || null,
+                dataVencimentoCNH: cnh && !isNaN(cnh.getTime()) ? cnh.toISOString() : null,
+                historicoManutencao: (Array.isArray(d.historicoManutencao) ? d.historicoManutencao : [])
+                    .filter(m => m && typeof m === 'object')
+                    .map(m => ({ ...m, custo: parseFloat(m.custo) || 0, descricao: String(m.descricao || '') }))
+            };
+        }
+        return { ...payload, schemaVersao: 7, veiculos };
+    },
+
+    /**
+     * 7 → 8: Galeria de fotos. Cada veículo ganha `galeria` (metadados das fotos) e `capaFotoId`;
+     * cada manutenção ganha `fotoIds`. A imagem única antiga vira a capa em `carregarGaragem`
+     * (os Blobs não passam pelo payload).
+     */
+    7: (payload) => {
+        const veiculos = {};
+        for (const id in payload.veiculos) {
+            const d = payload.veiculos[id];
+            veiculos[id] = {
+                ...d,
+                galeria: Array.isArray(d.galeria) ? d.galeria : [],
+                capaFotoId: d.capaFotoId ?? null,
+                historicoManutencao: (d.historicoManutencao || []).map(m => ({ ...m, fotoIds: Array.isArray(m.fotoIds) ? m.fotoIds : [] }))
+            };
+        }
+        return { ...payload, schemaVersao: 8, veiculos };
+    },
+
+    /**
+     * 8 → 9: Odômetro, hodômetro parcial e combustível. Veículos antigos começam com 0 km, sem abastecimentos
+     * e com `combustivel: null` (tanque cheio, conforme a capacidade do tipo, em `recriarVeiculo`).
+     */
+    8: (payload) => {
+        const veiculos = {};
+        for (const id in payload.veiculos) {
+            const d = payload.veiculos[id];
+            veiculos[id] = {
+                ...d,
+                odometro: d.odometro ?? 0,
+                odometroInicioParcial: d.odometroInicioParcial ?? 0,
+                combustivel: d.combustivel ?? null,
+                abastecimentos: Array.isArray(d.abastecimentos) ? d.abastecimentos : []
+            };
+        }
+        return { ...payload, schemaVersao: 9, veiculos };
+    },
+
+    /**
+     * 9 → 10: Planos de manutenção preventiva. Cada manutenção ganha `odometro` (km no serviço, desconhecido nos
+     * registros antigos) e `planoId` (nenhum registro antigo foi agendado por plano).
+     */
+    9: (payload) => {
+        const veiculos = {};
+        for (const id in payload.veiculos) {
+            const d = payload.veiculos[id];
+            veiculos[id] = {
+                ...d,
+                historicoManutencao: (d.historicoManutencao || []).map(m => ({ ...m, odometro: m.odometro ?? null, planoId: m.planoId ?? null }))
+            };
+        }
+        return { ...payload, schemaVersao: 10, veiculos };
+    },
+
+    /**
+     * 10 → 11: Status das manutenções. Até aqui, "passada" ou "futura" dependia só da data; os registros antigos
+     * ganham o status equivalente (passada = `concluida` na própria data e custo, futura = `agendada`).
+     */
+    10: (payload) => {
+        const agora = new Date();
+        const veiculos = {};
+        for (const id in payload.veiculos) {
+            const d = payload.veiculos[id];
+            veiculos[id] = {
+                ...d,
+                historicoManutencao: (d.historicoManutencao || []).map(m => ({
+                    ...m,
+                    status: m.status ?? (new Date(m.data) > agora ? 'agendada' : 'concluida'),
+                    dataRealizada: m.dataRealizada ?? null,
+                    custoFinal: m.custoFinal ?? null
+                }))
+            };
+        }
+        return { ...payload, schemaVersao: 11, veiculos };
+    },
+
+    /**
+     * 11 → 12: ID estável em cada manutenção (editar/excluir um registro e anexar fotos deixam de depender
+     * da posição no histórico).
+     */
+    11: (payload) => {
+        const veiculos = {};
+        for (const id in payload.veiculos) {
+            const d = payload.veiculos[id];
+            veiculos[id] = {
+                ...d,
+                historicoManutencao: (d.historicoManutencao || []).map(m => ({ ...m, id: m.id || Manutencao.gerarId() }))
+            };
+        }
+        return { ...payload, schemaVersao: 12, veiculos };
+    },
+
+    /**
+     * 12 → 13: Motoristas. O vencimento da CNH sai do veículo e passa a ser de um motorista cadastrado: cada veículo
+     * com CNH ganha um motorista provisório (`mot_<idVeiculo>`, nome a revisar no cadastro) com essa data e aponta
+     * para ele em `motoristaId`. A categoria é a que conduz o tipo (moto = A, caminhão = C, carros = B), fixada aqui
+     * para não mudar com o registro de tipos.
+     * O ID derivado do veículo torna o passo repetível: migrar de novo não duplica o motorista.
+     */
+    12: (payload) => {
+        const veiculos = {}, motoristas = { ...payload.motoristas };
+        for (const id in payload.veiculos) {
+            const { dataVencimentoCNH, ...d } = payload.veiculos[id];
+            let motoristaId = d.motoristaId ?? null;
+            if (dataVencimentoCNH && !motoristaId) {
+                motoristaId = `mot_${id}`;
+                motoristas[motoristaId] = {
+                    id: motoristaId,
+                    nome: `Motorista (${d.modelo})`,
+                    numeroCNH: '',
+                    categoriaCNH: { Moto: 'A', Caminhao: 'C' }[d.tipoVeiculo] || 'B',
+                    dataVencimentoCNH,
+                    provisorio: true
+                };
+            }
+            veiculos[id] = { ...d, motoristaId };
+        }
+        return { ...payload, schemaVersao: 13, veiculos, motoristas };
+    },
+
+    /**
+     * 13 → 14: Manifesto de carga. O caminhão deixa de guardar só o número `cargaAtual` (agora é a soma do manifesto):
+     * a carga que havia a bordo vira um item "Carga sem descrição", sem destino, e o histórico de entregas começa vazio.
+     */
+    13: (payload) => {
+        const veiculos = {};
+        for (const id in payload.veiculos) {
+            const d = payload.veiculos[id];
+            if (!('cargaAtual' in d)) { veiculos[id] = d; continue; } // Só caminhões tinham carga.
+            const { cargaAtual, ...resto } = d;
+            const peso = parseInt(cargaAtual) || 0;
+            veiculos[id] = {
+                ...resto,
+                manifesto: peso > 0 ? [{
+                    id: ItemCarga.gerarId(), descricao: 'Carga sem descrição', peso, destino: '', volume: null,
+                    data: new Date().toISOString(), entregueEm: null
+                }] : [],
+                historicoEntregas: []
+            };
+        }
+        return { ...payload, schemaVersao: 14, veiculos };
+    },
+
+    /**
+     * 14 → 15: Viagens. Todo veículo ganha a lista `viagens` (vazia).
+     */
+    14: (payload) => {
+        const veiculos = {};
+        for (const id in payload.veiculos) {
+            const d = payload.veiculos[id];
+            veiculos[id] = { ...d, viagens: Array.isArray(d.viagens) ? d.viagens : [] };
+        }
+        return { ...payload, schemaVersao: 15, veiculos };
+    },
+
+    /**
+     * 15 → 16: Agendamentos de plano dispensados. Todo veículo ganha `planosDispensados` (vazio): nenhum
+     * agendamento automático cancelado ou excluído pelo usuário.
+     */
+    15: (payload) => {
+        const veiculos = {};
+        for (const id in payload.veiculos) {
+            const d = payload.veiculos[id];
+            const dispensados = d.planosDispensados && typeof d.planosDispensados === 'object' ? d.planosDispensados : {};
+            veiculos[id] = { ...d, planosDispensados: dispensados };
+        }
+        return { ...payload, schemaVersao: 16, veiculos };
+    }
+};
+
+/**
+ * Aplica, em sequência, as migrações necessárias para levar um payload até `SCHEMA_VERSAO_ATUAL`.
+ * @param {{schemaVersao: number, veiculos: Object.<string, object>, motoristas?: Object.<string, object>}} payload - Dados salvos em qualquer versão conhecida.
+ * @returns {{schemaVersao: number, veiculos: Object.<string, object>, motoristas?: Object.<string, object>}} Payload na versão atual.
+ * @throws {Error} Se a versão for desconhecida, mais nova que a suportada, faltar um passo ou um passo falhar.
+ */
+function migrarPayloadGaragem(payload) {
+    let atual = payload;
+    if (!atual || typeof atual.veiculos !== 'object' || atual.veiculos === null) {
+        throw new Error("Payload da garagem sem o objeto 'veiculos'.");
+    }
+    if (!Number.isInteger(atual.schemaVersao) || atual.schemaVersao > SCHEMA_VERSAO_ATUAL) {
+        throw new Error(`Versão de schema não suportada: ${atual.schemaVersao} (atual: ${SCHEMA_VERSAO_ATUAL}).`);
+    }
+    while (atual.schemaVersao < SCHEMA_VERSAO_ATUAL) {
+        const passo = MIGRACOES_SCHEMA[atual.schemaVersao];
+        if (!passo) throw new Error(`Nenhuma migração definida a partir da versão ${atual.schemaVersao}.`);
+        const versaoOrigem = atual.schemaVersao;
+        atual = passo(atual);
+        if (atual?.schemaVersao !== versaoOrigem + 1) {
+            throw new Error(`Migração ${versaoOrigem} → ${versaoOrigem + 1} não atualizou a versão do payload.`);
+        }
+        console.log(`Dados da garagem migrados: schema v${versaoOrigem} → v${atual.schemaVersao}.`);
+    }
+    return atual;
+}
+
+/**
+ * Guarda dados corrompidos/ilegíveis na quarentena (LocalStorage) em vez de descartá-los.
+ * @param {string} origem - De onde vieram os dados (ex: 'localStorage', 'indexeddb').
+ * @param {string} motivo - Descrição do problema encontrado.
+ * @param {any} dados - Os dados originais (string bruta ou objeto).
+ * @returns {boolean} `true` se foi possível guardar na quarentena.
+ */
+function colocarEmQuarentena(origem, motivo, dados) {
+    try {
+        const lista = listarQuarentena();
+        lista.push({ quando: new Date().toISOString(), origem, motivo, dados });
+        localStorage.setItem(GARAGEM_QUARENTENA_KEY, JSON.stringify(lista));
+        console.warn(`Dados colocados em quarentena (${origem}): ${motivo}`);
+        return true;
+    } catch (e) {
+        console.error("Não foi possível gravar a quarentena. Dados originais abaixo:", e, dados);
+        return false;
+    }
+}
+
+/**
+ * Lê as entradas da quarentena.
+ * @returns {Array<{quando: string, origem: string, motivo: string, dados: any}>}
+ */
+function listarQuarentena() {
+    try {
+        const lista = JSON.parse(localStorage.getItem(GARAGEM_QUARENTENA_KEY) || '[]');
+        return Array.isArray(lista) ? lista : [];
+    } catch (e) {
+        console.error("Quarentena ilegível; ela será mantida intacta no LocalStorage.", e);
+        throw e; // Não sobrescreve a quarentena existente.
+    }
+}
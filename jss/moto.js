@@ -0,0 +1,82 @@
+class Moto extends CarroBase {
+    /**
+     * Cria uma instância de Moto.
+     * Sem imagem, usa a `imagemPadrao` do tipo registrado ('default_moto.png').
+     * @param {string} id - ID único.
+     * @param {string} modelo - Modelo.
+     * @param {string} cor - Cor.
+     * @param {string} [img] - Imagem padrão (path).
+     * @param {string} [placa] - Placa.
+     * @param {number|string} [ano] - Ano.
+     * @param {string|null} [motoristaId] - ID do motorista responsável.
+     * @param {number|string} [cilindradas=0] - Cilindrada do motor em cc.
+     */
+    constructor(id, modelo, cor, img, placa, ano, motoristaId, cilindradas = 0) {
+        super(id, modelo, cor, img, placa, ano, motoristaId);
+        /** @type {number} Cilindrada do motor em cc. */
+        this.cilindradas = parseInt(cilindradas) || 0;
+        /** @type {boolean} Empinando agora (estado passageiro, não é salvo). */
+        this.empinando = false;
+    }
+
+    /**
+     * Sobrescreve a potência da classe base: estimada pela cilindrada (~0,1 kW por cc).
+     * Sem cilindrada informada, usa a potência do registro do tipo.
+     * @returns {number} Potência em W.
+     */
+    obterPotencia() {
+        return this.cilindradas > 0 ? this.cilindradas * 100 : super.obterPotencia();
+    }
+
+    /**
+     * Empina a moto por um instante. Só com a moto ligada e a pelo menos 20 km/h.
+     * @returns {void}
+     */
+    empinar() {
+        if (!this.ligado) {
+            this.notificarUsuario('Ligue a moto para empinar!');
+            return;
+        }
+        if (this.velocidade < 20) {
+            this.notificarUsuario('Acelere até pelo menos 20 km/h para empinar!');
+            return;
+        }
+        if (this.empinando) return;
+        this.empinando = true;
+        this.atualizarInformacoesUI("Empinou");
+        setTimeout(() => {
+            this.empinando = false;
+            this.atualizarInformacoesUI("Fim do Empinar");
+        }, 1500);
+    }
+}
+
+registrarTipoVeiculo({
+    chave: 'Moto',
+    classe: Moto,
+    nome: 'Moto',
+    imagemPadrao: 'default_moto.png',
+    velocidadeMaxima: 180,
+    tanque: 14,
+    consumo: 3.5,
+    categoriaMinimaCNH: 'A', // Só a CNH A conduz motos (ver `Motorista.podeConduzir`).
+    fisica: { massa: 200, potencia: 15000, arrasto: 0.5, rolagem: 0.02, frenagem: 9 },
+    planosManutencao: [
+        { id: 'oleo', nome: 'Troca de óleo', intervaloKm: 3000, intervaloMeses: 6, termos: ['oleo'], custoEstimado: 120 }
+    ],
+    camposFormulario: [
+        { chave: 'cilindradas', rotulo: 'Cilindradas (cc)', atributos: { min: 0, placeholder: 'Ex: 300' } }
+    ],
+    serializar: v => ({ cilindradas: v.cilindradas }),
+    infoExtra: v => `<span class="info-label">Motor:</span> ${v.cilindradas}cc${v.empinando ? ' · Empinando! 🏍️' : ''}`,
+    controlesExtras: () => {
+        const btn = document.createElement('button');
+        btn.dataset.acao = 'empinar';
+        btn.textContent = 'Empinar';
+        btn.addEventListener('click', () => interagirVeiculoAtual('empinar'));
+        return [btn];
+    },
+    acoes: {
+        empinar: v => v.empinar()
+    }
+});
@@ -0,0 +1,103 @@
+/**
+ * Categorias da CNH, da mais baixa para a mais alta. A partir da B, cada categoria habilita também as anteriores
+ * (C dirige o que a B dirige, e assim por diante); a A (motos) é à parte.
+ * @const {string[]}
+ */
+const CATEGORIAS_CNH = ['A', 'B', 'C', 'D', 'E'];
+
+/**
+ * Texto da exigência de CNH de um tipo de veículo, para mensagens de recusa.
+ * @param {string} categoria - A `categoriaMinimaCNH` do tipo.
+ * @returns {string} Ex: "CNH categoria A" ou "CNH categoria C ou superior".
+ */
+function descreverExigenciaCNH(categoria) {
+    return categoria === 'A' ? 'CNH categoria A' : `CNH categoria ${categoria} ou superior`;
+}
+
+class Motorista {
+    /**
+     * Cria um motorista.
+     * @param {string} id - ID único (ver `Motorista.gerarId`).
+     * @param {string} nome - Nome do motorista.
+     * @param {string} [numeroCNH=''] - Número de registro da CNH (só dígitos são mantidos).
+     * @param {string} [categoriaCNH='B'] - Categoria da CNH (uma de `CATEGORIAS_CNH`).
+     * @param {string|Date|null} [dataVencimentoCNH=null] - Vencimento da CNH (ISO string ou Date; gravada à meia-noite UTC).
+     */
+    constructor(id, nome, numeroCNH = '', categoriaCNH = 'B', dataVencimentoCNH = null) {
+        this.id = id;
+        this.nome = String(nome || '').trim();
+        this.numeroCNH = String(numeroCNH || '').replace(/\D/g, '');
+        this.categoriaCNH = String(categoriaCNH || '').trim().toUpperCase();
+        this.dataVencimentoCNH = dataVencimentoCNH instanceof Date ? dataVencimentoCNH : (dataVencimentoCNH ? new Date(dataVencimentoCNH) : null);
+        if (this.dataVencimentoCNH && isNaN(this.dataVencimentoCNH.getTime())) this.dataVencimentoCNH = null;
+        /** @type {boolean} Criado automaticamente a partir da CNH antiga de um veículo (dados a revisar). */
+        this.provisorio = false;
+    }
+
+    /**
+     * Gera um ID novo para um motorista.
+     * @returns {string}
+     */
+    static gerarId() {
+        return `mot${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Valida os dados do motorista.
+     * @returns {boolean} `true` se tem nome e uma categoria conhecida.
+     */
+    validar() {
+        return this.nome.length > 0 && CATEGORIAS_CNH.includes(this.categoriaCNH);
+    }
+
+    /**
+     * Dias até o vencimento da CNH (negativo = vencida; 0 = vence hoje).
+     * A data é comparada pelo dia do calendário em que foi gravada (UTC), não pelo instante.
+     * @param {Date} [agora=new Date()] - Referência de "hoje".
+     * @returns {number|null} `null` se a CNH não tem vencimento informado.
+     */
+    diasParaVencimentoCNH(agora = new Date()) {
+        const venc = this.dataVencimentoCNH;
+        if (!venc) return null;
+        const hoje = new Date(agora);
+        hoje.setHours(0, 0, 0, 0);
+        return Math.round((new Date(venc.getUTCFullYear(), venc.getUTCMonth(), venc.getUTCDate()) - hoje) / 864e5);
+    }
+
+    /**
+     * Verifica se a categoria da CNH atende à exigida por um tipo de veículo (`categoriaMinimaCNH` do registro).
+     * A categoria A fica fora da escala: só ela conduz motos, e ela não conduz mais nada.
+     * Tipos sem exigência aceitam qualquer motorista.
+     * @param {TipoVeiculo|null} tipo - O tipo do veículo.
+     * @returns {boolean}
+     */
+    podeConduzir(tipo) {
+        const minima = tipo?.categoriaMinimaCNH;
+        if (!minima) return true;
+        if (minima === 'A' || this.categoriaCNH === 'A') return this.categoriaCNH === minima;
+        return CATEGORIAS_CNH.indexOf(this.categoriaCNH) >= CATEGORIAS_CNH.indexOf(minima);
+    }
+
+    /**
+     * Nome com a categoria, para listas e selects.
+     * @returns {string} Ex: "Carlos Pereira (CNH E)".
+     */
+    descrever() {
+        return `${this.nome} (CNH ${this.categoriaCNH})`;
+    }
+
+    /**
+     * Converte o motorista em objeto serializável.
+     * @returns {{id: string, nome: string, numeroCNH: string, categoriaCNH: string, dataVencimentoCNH: string|null, provisorio: boolean}}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            nome: this.nome,
+            numeroCNH: this.numeroCNH,
+            categoriaCNH: this.categoriaCNH,
+            dataVencimentoCNH: this.dataVencimentoCNH?.toISOString() || null,
+            provisorio: this.provisorio
+        };
+    }
+}
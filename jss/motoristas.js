@@ -0,0 +1,308 @@
+
+// ==================================================
+//      CADASTRO DE MOTORISTAS (CNH por motorista)
+// ==================================================
+
+/**
+ * Motoristas cadastrados, indexados por ID. Cada veículo aponta para o seu em `motoristaId`.
+ * @type {Object.<string, Motorista>}
+ */
+let motoristas = {};
+
+/**
+ * Com quantos dias de antecedência a CNH de um motorista entra nos alertas (`verificarVencimentoCNH`).
+ * @const {number}
+ */
+const CNH_DIAS_ALERTA = 30;
+
+/**
+ * Busca um motorista pelo ID.
+ * @param {string|null} id - ID do motorista.
+ * @returns {Motorista|null}
+ */
+function obterMotorista(id) {
+    return (id && motoristas[id]) || null;
+}
+
+/**
+ * Veículos da garagem atribuídos a um motorista.
+ * @param {string} motoristaId - ID do motorista.
+ * @returns {CarroBase[]}
+ */
+function veiculosDoMotorista(motoristaId) {
+    return Object.values(garagem).filter(v => v.motoristaId === motoristaId);
+}
+
+/**
+ * Verifica se um motorista pode ser atribuído a um veículo do tipo informado.
+ * Sem motorista (`null`) é sempre permitido.
+ * @param {string|null} motoristaId - ID do motorista escolhido.
+ * @param {TipoVeiculo|null} tipo - Tipo do veículo.
+ * @returns {string|null} O motivo da recusa, ou `null` se a atribuição é válida.
+ */
+function validarAtribuicaoMotorista(motoristaId, tipo) {
+    if (!motoristaId) return null;
+    const mot = obterMotorista(motoristaId);
+    if (!mot) return "Motorista não encontrado no cadastro.";
+    if (!mot.podeConduzir(tipo)) {
+        return `${tipo.nome} exige ${descreverExigenciaCNH(tipo.categoriaMinimaCNH)}; ${mot.nome} tem categoria ${mot.categoriaCNH}.`;
+    }
+    return null;
+}
+
+/**
+ * Recria um motorista a partir de `Motorista.toJSON()`.
+ * @param {object} d - Dados salvos.
+ * @returns {Motorista}
+ * @throws {Error} Se faltar o ID ou os dados forem inválidos (sem nome, categoria desconhecida).
+ */
+function recriarMotorista(d) {
+    if (!d?.id) throw new Error("Motorista sem ID.");
+    const mot = new Motorista(d.id, d.nome, d.numeroCNH, d.categoriaCNH, d.dataVencimentoCNH);
+    mot.provisorio = !!d.provisorio;
+    if (!mot.validar()) throw new Error(`Dados inválidos para o motorista ${d.id}.`);
+    return mot;
+}
+
+/**
+ * Substitui o cadastro em memória pelos motoristas de um payload (já migrado).
+ * Registros inválidos vão para a quarentena; os veículos que apontavam para eles ficam sem motorista encontrado.
+ * @param {Object.<string, object>|undefined} dados - Motoristas no formato de `toJSON()`, indexados por ID.
+ * @param {string} origem - Origem dos dados, registrada na quarentena.
+ * @returns {string[]} IDs rejeitados (já na quarentena).
+ */
+function carregarMotoristas(dados, origem) {
+    motoristas = {};
+    const idsRejeitados = [];
+    for (const id in (dados || {})) {
+        try {
+            motoristas[id] = recriarMotorista(dados[id]);
+        } catch (e) {
+            console.error(`Motorista ${id} ilegível. Enviando para quarentena.`, e, dados[id]);
+            colocarEmQuarentena(origem, `Motorista ${id}: ${e.message}`, dados[id]);
+            idsRejeitados.push(id);
+        }
+    }
+    return idsRejeitados;
+}
+
+/**
+ * Persiste motoristas do cadastro em memória no IndexedDB. IDs informados que não existem mais em `motoristas`
+ * são removidos do banco. Sem argumento, sincroniza o cadastro inteiro.
+ * @param {string[]} [ids] - IDs dos motoristas alterados. Omitido = cadastro inteiro.
+ * @returns {Promise<boolean>} `true` se salvou com sucesso.
+ */
+async function salvarMotoristas(ids) {
+    try {
+        let alvo = ids;
+        if (!alvo) {
+            const idsBanco = await listarIdsMotoristasDB();
+            alvo = [...new Set([...Object.keys(motoristas), ...idsBanco])];
+        }
+        await gravarMotoristasDB(alvo.filter(id => motoristas[id]).map(id => motoristas[id]), alvo.filter(id => !motoristas[id]));
+        console.log(`Motoristas salvos no IndexedDB (${alvo.length} alterado(s)).`);
+        notificarOutrasAbas([], alvo);
+        return true;
+    } catch (e) {
+        console.error("Erro ao salvar motoristas:", e);
+        alert(bancoPreservado ? "Os dados salvos não puderam ser convertidos e estão sendo preservados.\nAs últimas alterações NÃO FORAM SALVAS."
+            : "Ocorreu um erro ao salvar o cadastro de motoristas.\nAs últimas alterações NÃO FORAM SALVAS.");
+        return false;
+    }
+}
+
+/**
+ * Preenche um `<select>` de motorista (formulários de adicionar e de editar veículo), mantendo a opção
+ * "Sem motorista". Com o tipo do veículo informado, motoristas sem a categoria exigida aparecem desabilitados.
+ * @param {HTMLSelectElement|null} select - O select.
+ * @param {string|null} [selecionadoId=null] - Motorista a deixar selecionado.
+ * @param {TipoVeiculo|null} [tipo=null] - Tipo do veículo.
+ * @returns {void}
+ */
+function preencherSelectMotoristas(select, selecionadoId = null, tipo = null) {
+    if (!select) return;
+    select.innerHTML = '';
+    select.add(new Option('-- Sem motorista --', ''));
+    Object.values(motoristas)
+        .sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR'))
+        .forEach(m => {
+            const opcao = new Option(m.descrever(), m.id, false, m.id === selecionadoId);
+            opcao.disabled = !m.podeConduzir(tipo) && m.id !== selecionadoId; // O atual continua visível, mesmo inválido.
+            select.add(opcao);
+        });
+    if (selecionadoId && !motoristas[selecionadoId]) select.add(new Option('(motorista não encontrado)', selecionadoId, false, true));
+}
+
+/**
+ * Situação da CNH de um motorista, como HTML curto (vencimento com destaque de vencida / a vencer).
+ * @param {Motorista} m - O motorista.
+ * @returns {string} HTML já escapado.
+ */
+function descreverValidadeCNH(m) {
+    const dias = m.diasParaVencimentoCNH();
+    if (dias === null) return '-';
+    const data = m.dataVencimentoCNH.toLocaleDateString('pt-BR', { timeZone: 'UTC' }); // Gravada à meia-noite UTC.
+    if (dias < 0) return `${data} <span style="color:red;font-weight:bold;">(VENCIDA!)</span>`;
+    if (dias <= CNH_DIAS_ALERTA) return `${data} <span style="color:orange;font-weight:bold;">(Vence em ${dias}d!)</span>`;
+    return data;
+}
+
+/**
+ * Desenha a tabela de motoristas (`#motoristas-lista`) com a CNH e os veículos de cada um.
+ * Motoristas provisórios (criados pela migração) são marcados para revisão.
+ * @returns {void}
+ */
+function renderizarListaMotoristas() {
+    const area = document.getElementById('motoristas-lista'); if (!area) return;
+    const lista = Object.values(motoristas).sort((a, b) => a.nome.localeCompare(b.nome, 'pt-BR'));
+    if (lista.length === 0) {
+        area.innerHTML = '<p>Nenhum motorista cadastrado.</p>';
+        return;
+    }
+    area.innerHTML = `<table class="motoristas-tabela"><thead><tr><th>Nome</th><th>Nº CNH</th><th>Categoria</th><th>Vencimento</th><th>Veículos</th><th></th></tr></thead><tbody>` +
+        lista.map(m => {
+            const veiculos = veiculosDoMotorista(m.id).map(v => `${v.modelo} (${v.placa || 'S/P'})`).join(', ');
+            const provisorio = m.provisorio ? ' <small class="motorista-provisorio" title="Criado a partir da CNH antiga de um veículo">revisar dados</small>' : '';
+            return `<tr><td>${escaparHTML(m.nome)}${provisorio}</td><td>${escaparHTML(m.numeroCNH || '-')}</td><td>${escaparHTML(m.categoriaCNH)}</td>` +
+                `<td>${descreverValidadeCNH(m)}</td><td>${escaparHTML(veiculos || '-')}</td>` +
+                `<td><button type="button" class="btn-secundario" data-acao-motorista="editar" data-motorista-id="${escaparHTML(m.id)}" title="Editar">✏️</button> ` +
+                `<button type="button" class="btn-secundario" data-acao-motorista="excluir" data-motorista-id="${escaparHTML(m.id)}" title="Excluir">🗑️</button></td></tr>`;
+        }).join('') +
+        '</tbody></table>';
+}
+
+/**
+ * Atualiza tudo que mostra motoristas: a tabela, o select do formulário de adicionar e o veículo exibido
+ * (select de edição e linha do motorista). Chamado por `atualizarInterfaceCompleta` e após salvar o cadastro.
+ * @returns {void}
+ */
+function atualizarExibicaoMotoristas() {
+    renderizarListaMotoristas();
+    const addSelect = document.getElementById('add-motorista');
+    preencherSelectMotoristas(addSelect, addSelect?.value || null, obterTipoVeiculo(document.getElementById('add-tipo')?.value));
+}
+
+/**
+ * Volta o formulário `#form-motorista` ao modo de cadastro (sai da edição e limpa os campos).
+ * @returns {void}
+ */
+function sairEdicaoMotorista() {
+    const form = document.getElementById('form-motorista'); if (!form) return;
+    form.reset();
+    delete form.dataset.motoristaId;
+    const btn = document.getElementById('salvar-motorista-btn');
+    if (btn) btn.innerHTML = '<i class="fa-solid fa-floppy-disk"></i> Cadastrar Motorista';
+    const cancelar = document.getElementById('cancelar-edicao-motorista');
+    if (cancelar) cancelar.style.display = 'none';
+}
+
+/**
+ * Abre a aba de motoristas com o motorista informado carregado no formulário para edição
+ * (botão ✏️ da tabela e clique na notificação de CNH).
+ * @param {string} motoristaId - ID do motorista.
+ * @returns {void}
+ */
+function abrirMotorista(motoristaId) {
+    const m = obterMotorista(motoristaId);
+    const form = document.getElementById('form-motorista');
+    handleTrocarAba('tab-motoristas');
+    if (!m || !form) return;
+    form.dataset.motoristaId = m.id;
+    form.querySelector('#motorista-nome').value = m.nome;
+    form.querySelector('#motorista-cnh').value = m.numeroCNH;
+    form.querySelector('#motorista-categoria').value = m.categoriaCNH;
+    form.querySelector('#motorista-vencimento').value = m.dataVencimentoCNH ? m.dataVencimentoCNH.toISOString().split('T')[0] : '';
+    const btn = document.getElementById('salvar-motorista-btn');
+    if (btn) btn.innerHTML = '<i class="fa-solid fa-floppy-disk"></i> Salvar Motorista';
+    const cancelar = document.getElementById('cancelar-edicao-motorista');
+    if (cancelar) cancelar.style.display = '';
+    form.querySelector('#motorista-nome').focus();
+}
+
+/**
+ * Handler do submit de `#form-motorista`: cadastra um motorista novo ou, em edição (`form.dataset.motoristaId`),
+ * altera o existente. Rebaixar a categoria é recusado se algum veículo atribuído deixar de ser permitido
+ * (ex: caminhão com motorista que passaria a ter CNH B). Salvar revisa o motorista (deixa de ser provisório).
+ * Se a gravação falhar, o cadastro em memória volta ao estado anterior.
+ * @param {Event} event - Evento submit.
+ * @returns {Promise<void>}
+ */
+async function handleSalvarMotorista(event) {
+    event.preventDefault();
+    const form = event.target;
+    const idEdicao = form.dataset.motoristaId || null;
+    const nome = form.querySelector('#motorista-nome').value.trim();
+    const numero = form.querySelector('#motorista-cnh').value.replace(/\D/g, '');
+    const categoria = form.querySelector('#motorista-categoria').value;
+    const vencS = form.querySelector('#motorista-vencimento').value; // YYYY-MM-DD
+    let venc = vencS ? new Date(vencS + 'T00:00:00Z') : null; // UTC, como nos veículos antes dos motoristas.
+    if (venc && isNaN(venc.getTime())) venc = null;
+
+    if (!nome || !CATEGORIAS_CNH.includes(categoria)) { alert("Nome e Categoria são obrigatórios!"); return; }
+    if (numero && numero.length !== 11) { alert("O número da CNH deve ter 11 dígitos."); return; }
+    const repetido = numero && Object.values(motoristas).find(m => m.numeroCNH === numero && m.id !== idEdicao);
+    if (repetido) { alert(`A CNH ${numero} já está cadastrada para ${repetido.nome}.`); return; }
+
+    const id = idEdicao || Motorista.gerarId();
+    const novo = new Motorista(id, nome, numero, categoria, venc);
+    if (idEdicao) {
+        if (!motoristas[idEdicao]) { alert("Este motorista não existe mais (excluído em outra aba?)."); sairEdicaoMotorista(); return; }
+        const recusados = veiculosDoMotorista(idEdicao).filter(v => !novo.podeConduzir(tipoDoVeiculo(v)));
+        if (recusados.length > 0) {
+            alert(`Com CNH categoria ${categoria}, ${nome} não pode mais conduzir:\n\n` +
+                recusados.map(v => `- ${v.modelo} (${tipoDoVeiculo(v).nome}: exige ${descreverExigenciaCNH(tipoDoVeiculo(v).categoriaMinimaCNH)})`).join('\n') +
+                `\n\nAtribua outro motorista a esses veículos antes de mudar a categoria.`);
+            return;
+        }
+    }
+
+    const anterior = motoristas[id];
+    motoristas[id] = novo;
+    if (!(await salvarMotoristas([id]))) {
+        if (anterior) motoristas[id] = anterior; else delete motoristas[id];
+        return;
+    }
+    sairEdicaoMotorista();
+    atualizarInterfaceCompleta(); // Alertas de CNH, tabela, selects e o veículo exibido.
+    alert(idEdicao ? `Motorista "${nome}" atualizado!` : `Motorista "${nome}" cadastrado!`);
+}
+
+/**
+ * Exclui um motorista do cadastro (com confirmação). Motorista atribuído a algum veículo não pode ser excluído:
+ * o usuário precisa antes trocar o motorista desses veículos.
+ * @param {string} motoristaId - ID do motorista.
+ * @returns {Promise<void>}
+ */
+async function excluirMotorista(motoristaId) {
+    const m = obterMotorista(motoristaId); if (!m) return;
+    const veiculos = veiculosDoMotorista(motoristaId);
+    if (veiculos.length > 0) {
+        alert(`${m.nome} é o motorista de:\n\n${veiculos.map(v => `- ${v.modelo} (${v.placa || 'S/P'})`).join('\n')}\n\nAtribua outro motorista a esses veículos antes de excluir.`);
+        return;
+    }
+    if (!confirm(`Excluir o motorista "${m.nome}"?`)) return;
+    delete motoristas[motoristaId];
+    if (!(await salvarMotoristas([motoristaId]))) {
+        motoristas[motoristaId] = m;
+        return;
+    }
+    const form = document.getElementById('form-motorista');
+    if (form?.dataset.motoristaId === motoristaId) sairEdicaoMotorista();
+    atualizarInterfaceCompleta();
+}
+
+/**
+ * Configura o cadastro de motoristas: formulário, cancelar edição e os botões da tabela (delegados).
+ * @returns {void}
+ */
+function setupListenersMotoristas() {
+    document.getElementById('form-motorista')?.addEventListener('submit', handleSalvarMotorista);
+    document.getElementById('cancelar-edicao-motorista')?.addEventListener('click', sairEdicaoMotorista);
+    document.getElementById('motoristas-lista')?.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-acao-motorista]'); if (!btn) return;
+        if (btn.dataset.acaoMotorista === 'editar') abrirMotorista(btn.dataset.motoristaId);
+        else if (btn.dataset.acaoMotorista === 'excluir') excluirMotorista(btn.dataset.motoristaId);
+    });
+    // O tipo escolhido no formulário de adicionar decide quais motoristas podem ser atribuídos.
+    document.getElementById('add-tipo')?.addEventListener('change', atualizarExibicaoMotoristas);
+}
@@ -0,0 +1,296 @@
+
+// ==================================================
+//      PAINEL DE CUSTOS DA FROTA (gráficos SVG)
+// ==================================================
+
+/**
+ * Quantos meses (contando o atual) o gráfico de gasto mensal mostra.
+ * @const {number}
+ */
+const PAINEL_MESES_HISTORICO = 12;
+
+/**
+ * Quantos meses à frente (contando o atual) a previsão de agendamentos mostra.
+ * @const {number}
+ */
+const PAINEL_MESES_PREVISAO = 6;
+
+/**
+ * Cores das séries quando o gráfico mensal é agrupado por tipo de serviço (os veículos usam `corDoVeiculo`).
+ * @const {string[]}
+ */
+const PAINEL_CORES_TIPOS = ['#ffb700', '#55aaff', '#ff5555', '#7ee081', '#c792ea', '#ff9f6b', '#4dd0e1', '#f48fb1'];
+
+/**
+ * Agrupamento atual do gráfico de gasto mensal (`#painel-agrupar`).
+ * @type {'veiculo'|'tipo'}
+ */
+let agrupamentoPainel = 'veiculo';
+
+/**
+ * Resumo dos custos de manutenção da frota, base de todos os gráficos do painel.
+ * Gasto = serviços concluídos (data e custo efetivos); previsto = agendamentos pendentes (custo estimado).
+ * Canceladas não entram em nenhum dos dois.
+ * @typedef {object} ResumoCustos
+ * @property {number} total - Gasto total de todos os tempos.
+ * @property {number} totalPeriodo - Gasto dos últimos `PAINEL_MESES_HISTORICO` meses.
+ * @property {Array<{veiculo: CarroBase, total: number, servicos: number, custoPorKm: number|null}>} porVeiculo
+ *   Do mais caro ao mais barato. `custoPorKm` só quando o veículo tem leitura de odômetro.
+ * @property {Array<{chave: string, nome: string, total: number, servicos: number}>} porTipo - Do mais caro ao mais barato.
+ * @property {Array<{chave: string, rotulo: string, porVeiculo: Object.<string, number>, porTipo: Object.<string, number>, total: number}>} meses
+ *   Últimos meses, do mais antigo ao atual.
+ * @property {{total: number, atrasado: number, meses: Array<{chave: string, rotulo: string, porVeiculo: Object.<string, number>, total: number}>, itens: Array<{veiculo: CarroBase, manutencao: Manutencao}>}} previsto
+ *   Agendamentos pendentes por mês (os atrasados contam no mês atual).
+ */
+
+/**
+ * Chave "aaaa-mm" de uma data (fuso local).
+ * @param {Date} data - A data.
+ * @returns {string}
+ */
+function chaveMesPainel(data) {
+    return `${data.getFullYear()}-${String(data.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Lista de meses consecutivos a partir de um deslocamento em relação ao mês atual.
+ * @param {Date} agora - Referência.
+ * @param {number} inicio - Deslocamento do primeiro mês (ex: -11).
+ * @param {number} quantidade - Quantos meses.
+ * @returns {Array<{chave: string, rotulo: string}>} Ex: `{chave: '2026-10', rotulo: 'out/26'}`.
+ */
+function mesesPainel(agora, inicio, quantidade) {
+    return Array.from({ length: quantidade }, (_, i) => {
+        const d = new Date(agora.getFullYear(), agora.getMonth() + inicio + i, 1);
+        const mes = d.toLocaleDateString('pt-BR', { month: 'short' }).replace('.', '');
+        return { chave: chaveMesPainel(d), rotulo: `${mes}/${String(d.getFullYear()).slice(2)}` };
+    });
+}
+
+/**
+ * Calcula o resumo de custos de manutenção de toda a garagem.
+ * Tipos de serviço são agrupados sem diferenciar maiúsculas e acentos ("Troca de Óleo" = "troca de oleo").
+ * @param {Date} [agora=new Date()] - Referência de "agora".
+ * @returns {ResumoCustos}
+ */
+function calcularResumoCustos(agora = new Date()) {
+    const meses = mesesPainel(agora, 1 - PAINEL_MESES_HISTORICO, PAINEL_MESES_HISTORICO)
+        .map(m => ({ ...m, porVeiculo: {}, porTipo: {}, total: 0 }));
+    const mesesPrevisto = mesesPainel(agora, 0, PAINEL_MESES_PREVISAO).map(m => ({ ...m, porVeiculo: {}, total: 0 }));
+    const porChaveMes = Object.fromEntries(meses.map(m => [m.chave, m]));
+    const porChavePrevisto = Object.fromEntries(mesesPrevisto.map(m => [m.chave, m]));
+    const tipos = {};
+    const resumo = { total: 0, totalPeriodo: 0, porVeiculo: [], porTipo: [], meses, previsto: { total: 0, atrasado: 0, meses: mesesPrevisto, itens: [] } };
+
+    Object.values(garagem).forEach(v => {
+        const linha = { veiculo: v, total: 0, servicos: 0, custoPorKm: null };
+        (v.historicoManutencao || []).forEach(m => {
+            if (m.estaPendente()) {
+                const custo = m.custo;
+                resumo.previsto.total += custo;
+                resumo.previsto.itens.push({ veiculo: v, manutencao: m });
+                if (m.estaAtrasada(agora)) resumo.previsto.atrasado += custo;
+                const mes = porChavePrevisto[chaveMesPainel(m.data < agora ? agora : m.data)];
+                if (mes) {
+                    mes.porVeiculo[v.id] = (mes.porVeiculo[v.id] || 0) + custo;
+                    mes.total += custo;
+                }
+                return;
+            }
+            if (m.status !== STATUS_MANUTENCAO.CONCLUIDA) return;
+            const custo = m.obterCustoEfetivo();
+            linha.total += custo;
+            linha.servicos++;
+            resumo.total += custo;
+
+            const chaveTipo = normalizarTextoPlano(m.tipo);
+            const tipo = tipos[chaveTipo] || (tipos[chaveTipo] = { chave: chaveTipo, nome: m.tipo, total: 0, servicos: 0 });
+            tipo.total += custo;
+            tipo.servicos++;
+
+            const mes = porChaveMes[chaveMesPainel(m.obterDataEfetiva())];
+            if (mes) {
+                mes.porVeiculo[v.id] = (mes.porVeiculo[v.id] || 0) + custo;
+                mes.porTipo[chaveTipo] = (mes.porTipo[chaveTipo] || 0) + custo;
+                mes.total += custo;
+                resumo.totalPeriodo += custo;
+            }
+        });
+        if (v.odometro > 0) linha.custoPorKm = linha.total / v.odometro;
+        resumo.porVeiculo.push(linha);
+    });
+    resumo.porVeiculo.sort((a, b) => b.total - a.total);
+    resumo.porTipo = Object.values(tipos).sort((a, b) => b.total - a.total);
+    resumo.previsto.itens.sort((a, b) => a.manutencao.data - b.manutencao.data);
+    return resumo;
+}
+
+/**
+ * Formata um valor em reais (ex: "R$ 1.234,56").
+ * @param {number} valor - O valor.
+ * @returns {string}
+ */
+function formatarMoedaPainel(valor) {
+    return valor.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+}
+
+/**
+ * Formata um valor em reais de forma compacta para os eixos (ex: "R$ 1,2 mil").
+ * @param {number} valor - O valor.
+ * @returns {string}
+ */
+function formatarMoedaCurtaPainel(valor) {
+    return `R$ ${valor.toLocaleString('pt-BR', { notation: 'compact', maximumFractionDigits: 1 })}`;
+}
+
+/**
+ * Teto "redondo" para o eixo Y (1, 2, 2,5 ou 5 × potência de 10).
+ * @param {number} maximo - Maior valor a exibir.
+ * @returns {number}
+ */
+function tetoEixoPainel(maximo) {
+    if (!(maximo > 0)) return 1;
+    const potencia = 10 ** Math.floor(Math.log10(maximo));
+    return [1, 2, 2.5, 5, 10].map(f => f * potencia).find(t => t >= maximo);
+}
+
+/**
+ * Gráfico SVG de colunas empilhadas (uma coluna por mês, uma cor por série).
+ * Escala com a largura do container (`viewBox`); o valor de cada pedaço aparece no `<title>` (dica ao passar o mouse).
+ * @param {Array<{rotulo: string, valores: Object.<string, number>}>} colunas - Colunas, na ordem.
+ * @param {Array<{chave: string, nome: string, cor: string}>} series - Séries, de baixo para cima.
+ * @returns {string} Markup do `<svg>`.
+ */
+function svgColunasEmpilhadasPainel(colunas, series) {
+    const largura = 640, altura = 260, margem = { topo: 12, direita: 10, base: 28, esquerda: 70 };
+    const areaL = largura - margem.esquerda - margem.direita, areaA = altura - margem.topo - margem.base;
+    const totais = colunas.map(c => series.reduce((s, serie) => s + (c.valores[serie.chave] || 0), 0));
+    const teto = tetoEixoPainel(Math.max(0, ...totais));
+    const y = valor => margem.topo + areaA - (valor / teto) * areaA;
+    const passo = areaL / Math.max(1, colunas.length), larguraColuna = passo * 0.6;
+
+    let svg = `<svg class="painel-grafico" viewBox="0 0 ${largura} ${altura}" role="img" aria-label="Gráfico de colunas">`;
+    for (let i = 0; i <= 4; i++) { // Linhas de grade e rótulos do eixo Y.
+        const valor = (teto / 4) * i;
+        svg += `<line class="painel-grade" x1="${margem.esquerda}" x2="${largura - margem.direita}" y1="${y(valor)}" y2="${y(valor)}"/>` +
+            `<text class="painel-eixo" x="${margem.esquerda - 6}" y="${y(valor) + 4}" text-anchor="end">${escaparHTML(formatarMoedaCurtaPainel(valor))}</text>`;
+    }
+    colunas.forEach((c, i) => {
+        const x = margem.esquerda + passo * i + (passo - larguraColuna) / 2;
+        let base = 0;
+        series.forEach(serie => {
+            const valor = c.valores[serie.chave] || 0;
+            if (valor <= 0) return;
+            svg += `<rect x="${x}" y="${y(base + valor)}" width="${larguraColuna}" height="${y(base) - y(base + valor)}" fill="${serie.cor}">` +
+                `<title>${escaparHTML(`${c.rotulo} · ${serie.nome}: ${formatarMoedaPainel(valor)}`)}</title></rect>`;
+            base += valor;
+        });
+        svg += `<text class="painel-eixo" x="${x + larguraColuna / 2}" y="${altura - 8}" text-anchor="middle">${escaparHTML(c.rotulo)}</text>`;
+    });
+    return svg + '</svg>';
+}
+
+/**
+ * Gráfico SVG de barras horizontais (uma barra por item, com o valor ao lado).
+ * @param {Array<{rotulo: string, valor: number, cor: string, dica?: string}>} itens - Barras, de cima para baixo.
+ * @returns {string} Markup do `<svg>`.
+ */
+function svgBarrasHorizontaisPainel(itens) {
+    const largura = 640, alturaBarra = 22, espaco = 10, rotuloL = 170, valorL = 110;
+    const altura = Math.max(1, itens.length) * (alturaBarra + espaco);
+    const maximo = Math.max(0, ...itens.map(i => i.valor)) || 1;
+    const areaL = largura - rotuloL - valorL;
+
+    let svg = `<svg class="painel-grafico" viewBox="0 0 ${largura} ${altura}" role="img" aria-label="Gráfico de barras">`;
+    itens.forEach((item, i) => {
+        const yTopo = i * (alturaBarra + espaco), w = Math.max(2, (item.valor / maximo) * areaL);
+        const rotulo = item.rotulo.length > 24 ? `${item.rotulo.slice(0, 23)}…` : item.rotulo;
+        svg += `<text class="painel-rotulo" x="${rotuloL - 8}" y="${yTopo + alturaBarra * 0.7}" text-anchor="end">${escaparHTML(rotulo)}</text>` +
+            `<rect x="${rotuloL}" y="${yTopo}" width="${w}" height="${alturaBarra}" rx="3" fill="${item.cor}">` +
+            `<title>${escaparHTML(item.dica || `${item.rotulo}: ${formatarMoedaPainel(item.valor)}`)}</title></rect>` +
+            `<text class="painel-rotulo" x="${rotuloL + w + 6}" y="${yTopo + alturaBarra * 0.7}">${escaparHTML(formatarMoedaPainel(item.valor))}</text>`;
+    });
+    return svg + '</svg>';
+}
+
+/**
+ * Legenda (quadradinho colorido + nome) das séries de um gráfico.
+ * @param {Array<{nome: string, cor: string}>} series - As séries.
+ * @returns {string} Markup HTML.
+ */
+function legendaPainel(series) {
+    return series.map(s => `<span class="painel-legenda-item"><span class="painel-cor" style="background:${s.cor}"></span>${escaparHTML(s.nome)}</span>`).join('');
+}
+
+/**
+ * Redesenha o painel de custos (`#secao-painel`). Não faz nada com a aba escondida:
+ * `handleTrocarAba` desenha ao abrir e `atualizarInterfaceCompleta` mantém atualizado enquanto aberta.
+ * @returns {void}
+ */
+function atualizarPainelCustos() {
+    const secao = document.getElementById('secao-painel');
+    if (!secao?.classList.contains('ativa')) return;
+    const resumo = calcularResumoCustos();
+    const set = (id, html) => { const el = document.getElementById(id); if (el) el.innerHTML = html; };
+    const veiculos = Object.values(garagem);
+
+    // Números principais.
+    const media = resumo.totalPeriodo / PAINEL_MESES_HISTORICO;
+    set('painel-resumo', [
+        ['Gasto total', formatarMoedaPainel(resumo.total)],
+        [`Últimos ${PAINEL_MESES_HISTORICO} meses`, formatarMoedaPainel(resumo.totalPeriodo)],
+        ['Média mensal', formatarMoedaPainel(media)],
+        ['Previsto (agendado)', formatarMoedaPainel(resumo.previsto.total)]
+    ].map(([rotulo, valor]) => `<div class="painel-numero"><span>${rotulo}</span><strong>${valor}</strong></div>`).join(''));
+
+    // Gasto mensal, empilhado por veículo ou por tipo de serviço.
+    const campo = agrupamentoPainel === 'tipo' ? 'porTipo' : 'porVeiculo';
+    const series = (agrupamentoPainel === 'tipo' ?
+        resumo.porTipo.map((t, i) => ({ chave: t.chave, nome: t.nome, cor: PAINEL_CORES_TIPOS[i % PAINEL_CORES_TIPOS.length] })) :
+        veiculos.map(v => ({ chave: v.id, nome: v.modelo, cor: corDoVeiculo(v.id) })))
+        .filter(s => resumo.meses.some(m => m[campo][s.chave] > 0)); // Legenda só com quem gastou no período.
+    set('painel-grafico-mensal', resumo.totalPeriodo > 0 ?
+        svgColunasEmpilhadasPainel(resumo.meses.map(m => ({ rotulo: m.rotulo, valores: m[campo] })), series) :
+        '<p>Nenhum serviço concluído nos últimos meses.</p>');
+    set('painel-legenda-mensal', resumo.totalPeriodo > 0 ? legendaPainel(series) : '');
+
+    // Por veículo: tabela com total, serviços e custo por km.
+    set('painel-por-veiculo', resumo.porVeiculo.length === 0 ? '<p>Garagem vazia.</p>' :
+        `<table class="painel-tabela"><thead><tr><th>Veículo</th><th>Total</th><th>Serviços</th><th>Odômetro</th><th>R$/km</th></tr></thead><tbody>` +
+        resumo.porVeiculo.map(l => `<tr><td><span class="painel-cor" style="background:${corDoVeiculo(l.veiculo.id)}"></span>${escaparHTML(l.veiculo.modelo)}</td>` +
+            `<td>${formatarMoedaPainel(l.total)}</td><td>${l.servicos}</td>` +
+            `<td>${Math.round(l.veiculo.odometro).toLocaleString('pt-BR')} km</td>` +
+            `<td>${l.custoPorKm === null ? '—' : l.custoPorKm.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL', maximumFractionDigits: 3 })}</td></tr>`).join('') +
+        '</tbody></table>' +
+        (resumo.total > 0 ? svgBarrasHorizontaisPainel(resumo.porVeiculo.filter(l => l.total > 0)
+            .map(l => ({ rotulo: l.veiculo.modelo, valor: l.total, cor: corDoVeiculo(l.veiculo.id) }))) : ''));
+
+    // Por tipo de serviço.
+    set('painel-grafico-tipos', resumo.porTipo.length === 0 ? '<p>Nenhum serviço concluído.</p>' :
+        svgBarrasHorizontaisPainel(resumo.porTipo.map((t, i) => ({
+            rotulo: t.nome, valor: t.total, cor: PAINEL_CORES_TIPOS[i % PAINEL_CORES_TIPOS.length],
+            dica: `${t.nome}: ${formatarMoedaPainel(t.total)} em ${t.servicos} serviço(s)`
+        }))));
+
+    // Previsão dos agendamentos pendentes.
+    const seriesVeiculos = veiculos.map(v => ({ chave: v.id, nome: v.modelo, cor: corDoVeiculo(v.id) }));
+    const foraDoPeriodo = resumo.previsto.total - resumo.previsto.meses.reduce((s, m) => s + m.total, 0);
+    set('painel-grafico-previsto', resumo.previsto.itens.length === 0 ? '<p>Nenhum agendamento pendente.</p>' :
+        svgColunasEmpilhadasPainel(resumo.previsto.meses.map(m => ({ rotulo: m.rotulo, valores: m.porVeiculo })), seriesVeiculos) +
+        `<p class="painel-nota">${resumo.previsto.atrasado > 0 ? `Inclui ${formatarMoedaPainel(resumo.previsto.atrasado)} de agendamentos atrasados (no mês atual). ` : ''}` +
+        `${foraDoPeriodo > 0 ? `Mais ${formatarMoedaPainel(foraDoPeriodo)} agendados depois de ${resumo.previsto.meses.at(-1).rotulo}.` : ''}</p>`);
+    set('painel-lista-previsto', resumo.previsto.itens.length === 0 ? '' :
+        `<ul>${resumo.previsto.itens.slice(0, 10).map(({ veiculo, manutencao }) =>
+            `<li><strong>${escaparHTML(veiculo.modelo)}:</strong> ${escaparHTML(manutencao.formatarComHora())}</li>`).join('')}</ul>`);
+}
+
+/**
+ * Configura o seletor de agrupamento do gráfico mensal (`#painel-agrupar`).
+ * @returns {void}
+ */
+function setupListenersPainel() {
+    document.getElementById('painel-agrupar')?.addEventListener('change', (e) => {
+        agrupamentoPainel = e.target.value === 'tipo' ? 'tipo' : 'veiculo';
+        atualizarPainelCustos();
+    });
+}
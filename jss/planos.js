@@ -0,0 +1,277 @@
+
+// ==================================================
+//      PLANOS DE MANUTENÇÃO PREVENTIVA
+// ==================================================
+
+/**
+ * Quanto antes do vencimento por quilometragem o serviço é agendado, como fração do intervalo
+ * (0.1 = com 10.000 km de intervalo, agenda quando faltarem 1.000 km).
+ * @const {number}
+ */
+const PLANO_ANTECEDENCIA_KM = 0.1;
+
+/**
+ * Hora do dia usada nos agendamentos automáticos.
+ * @const {number}
+ */
+const PLANO_HORA_AGENDAMENTO = 9;
+
+/**
+ * Previsão do próximo serviço de um plano para um veículo (ver `PlanoManutencao.calcularProxima`).
+ * @typedef {object} PrevisaoPlano
+ * @property {PlanoManutencao} plano - O plano.
+ * @property {Manutencao|null} ultima - Último serviço realizado que corresponde ao plano.
+ * @property {number|null} kmPrevisto - Odômetro em que vence (null se o plano não é por km).
+ * @property {Date|null} dataPrevista - Data em que vence (null se não é por tempo ou nunca foi feito).
+ * @property {number|null} kmRestantes - Quanto falta (negativo = passou).
+ * @property {boolean} vencida - Se já venceu por km OU por data.
+ */
+
+class PlanoManutencao {
+    /**
+     * Cria um plano de manutenção preventiva (ex: troca de óleo a cada 10.000 km ou 12 meses).
+     * Vence pelo que acontecer primeiro: quilometragem ou tempo desde o último serviço correspondente.
+     * @param {object} def - Definição do plano.
+     * @param {string} def.id - Identificador (gravado em `Manutencao.planoId` dos agendamentos automáticos).
+     * @param {string} def.nome - Tipo de serviço usado no agendamento (ex: "Troca de óleo").
+     * @param {number|null} [def.intervaloKm=null] - Intervalo em km.
+     * @param {number|null} [def.intervaloMeses=null] - Intervalo em meses.
+     * @param {string[]} [def.termos] - Termos que identificam o serviço no histórico (sem acento, minúsculas).
+     *   Padrão: o próprio nome.
+     * @param {number} [def.custoEstimado=0] - Custo estimado do agendamento automático (R$).
+     * @throws {Error} Se faltar id/nome ou não houver nenhum intervalo.
+     */
+    constructor({ id, nome, intervaloKm = null, intervaloMeses = null, termos, custoEstimado = 0 }) {
+        if (!id || !nome) throw new Error("Plano de manutenção precisa de id e nome.");
+        if (!(intervaloKm > 0) && !(intervaloMeses > 0)) throw new Error(`Plano "${id}" sem intervalo (km ou meses).`);
+        this.id = id;
+        this.nome = nome;
+        this.intervaloKm = intervaloKm > 0 ? intervaloKm : null;
+        this.intervaloMeses = intervaloMeses > 0 ? intervaloMeses : null;
+        this.termos = (termos && termos.length ? termos : [nome]).map(normalizarTextoPlano);
+        this.custoEstimado = parseFloat(custoEstimado) || 0;
+    }
+
+    /**
+     * Descreve o intervalo para exibição.
+     * @returns {string} Ex: "a cada 10.000 km ou 12 meses".
+     */
+    descreverIntervalo() {
+        const partes = [];
+        if (this.intervaloKm) partes.push(`${this.intervaloKm.toLocaleString('pt-BR')} km`);
+        if (this.intervaloMeses) partes.push(`${this.intervaloMeses} ${this.intervaloMeses === 1 ? 'mês' : 'meses'}`);
+        return `a cada ${partes.join(' ou ')}`;
+    }
+
+    /**
+     * Verifica se uma manutenção é deste plano: agendada por ele (`planoId`) ou com tipo contendo um dos termos.
+     * @param {Manutencao} m - A manutenção.
+     * @returns {boolean}
+     */
+    correspondeA(m) {
+        if (m?.planoId) return m.planoId === this.id;
+        const tipo = normalizarTextoPlano(m?.tipo);
+        return this.termos.some(t => tipo.includes(t));
+    }
+
+    /**
+     * Último serviço concluído que corresponde ao plano.
+     * @param {CarroBase} veiculo - O veículo.
+     * @param {Date} [agora=new Date()] - Referência de "agora".
+     * @returns {Manutencao|null}
+     */
+    obterUltima(veiculo, agora = new Date()) {
+        return veiculo.historicoManutencao
+            .filter(m => m.status === STATUS_MANUTENCAO.CONCLUIDA && m.obterDataEfetiva() <= agora && this.correspondeA(m))
+            .sort((a, b) => b.obterDataEfetiva() - a.obterDataEfetiva())[0] || null;
+    }
+
+    /**
+     * Agendamento pendente (inclusive atrasado) que já atende ao plano (automático ou marcado pelo usuário),
+     * o mais próximo.
+     * @param {CarroBase} veiculo - O veículo.
+     * @returns {Manutencao|null}
+     */
+    obterAgendamento(veiculo) {
+        return veiculo.historicoManutencao
+            .filter(m => m.estaPendente() && this.correspondeA(m))
+            .sort((a, b) => a.data - b.data)[0] || null;
+    }
+
+    /**
+     * Calcula quando vence o próximo serviço, a partir do último correspondente no histórico.
+     * Sem serviço anterior, a quilometragem conta desde 0 km e o prazo por tempo fica indefinido.
+     * Serviços sem km registrado (antigos ou agendados) usam a estimativa de `estimarOdometroEm`.
+     * @param {CarroBase} veiculo - O veículo.
+     * @param {Date} [agora=new Date()] - Referência de "agora".
+     * @returns {PrevisaoPlano}
+     */
+    calcularProxima(veiculo, agora = new Date()) {
+        const ultima = this.obterUltima(veiculo, agora);
+        const kmBase = !ultima ? 0 : (ultima.odometro ?? estimarOdometroEm(veiculo, ultima.obterDataEfetiva()));
+        const kmPrevisto = this.intervaloKm ? kmBase + this.intervaloKm : null;
+        let dataPrevista = null;
+        if (this.intervaloMeses && ultima) {
+            dataPrevista = new Date(ultima.obterDataEfetiva());
+            dataPrevista.setMonth(dataPrevista.getMonth() + this.intervaloMeses);
+        }
+        const kmRestantes = kmPrevisto !== null ? kmPrevisto - veiculo.odometro : null;
+        const vencida = (kmRestantes !== null && kmRestantes <= 0) || (dataPrevista !== null && dataPrevista <= agora);
+        return { plano: this, ultima, kmPrevisto, dataPrevista, kmRestantes, vencida };
+    }
+
+    /**
+     * Data em que o serviço deve ser agendado: a data prevista, antecipada para amanhã se a quilometragem
+     * estiver perto de vencer (ver `PLANO_ANTECEDENCIA_KM`) ou se já venceu.
+     * @param {PrevisaoPlano} previsao - Resultado de `calcularProxima`.
+     * @param {Date} [agora=new Date()] - Referência de "agora".
+     * @returns {Date|null} `null` se ainda não há como (ou por que) agendar.
+     */
+    calcularDataAgendamento(previsao, agora = new Date()) {
+        const amanha = new Date(agora);
+        amanha.setDate(amanha.getDate() + 1);
+        amanha.setHours(PLANO_HORA_AGENDAMENTO, 0, 0, 0);
+
+        let data = previsao.dataPrevista ? new Date(previsao.dataPrevista) : null;
+        if (data) data.setHours(PLANO_HORA_AGENDAMENTO, 0, 0, 0);
+        if (previsao.kmRestantes !== null && previsao.kmRestantes <= this.intervaloKm * PLANO_ANTECEDENCIA_KM) {
+            data = data && data < amanha ? data : amanha;
+        }
+        if (!data) return null;
+        return data <= agora ? amanha : data;
+    }
+}
+
+/**
+ * Normaliza um texto para comparação: minúsculas, sem acentos e sem espaços nas pontas.
+ * @param {string} texto - Texto original.
+ * @returns {string}
+ */
+function normalizarTextoPlano(texto) {
+    return String(texto || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+/**
+ * Estima o odômetro de um veículo numa data passada pela leitura do último abastecimento até aquela data.
+ * Sem abastecimento anterior, 0 km.
+ * @param {CarroBase} veiculo - O veículo.
+ * @param {Date} data - A data.
+ * @returns {number} Odômetro estimado (km).
+ */
+function estimarOdometroEm(veiculo, data) {
+    return (veiculo.abastecimentos || [])
+        .filter(a => a.data <= data)
+        .reduce((max, a) => Math.max(max, a.odometro), 0);
+}
+
+/**
+ * Planos de manutenção do tipo do veículo.
+ * @param {CarroBase} veiculo - O veículo.
+ * @returns {PlanoManutencao[]}
+ */
+function obterPlanosVeiculo(veiculo) {
+    return tipoDoVeiculo(veiculo)?.planosManutencao || [];
+}
+
+/**
+ * Registra que o usuário dispensou (cancelou ou excluiu) o agendamento automático de um plano: o ciclo atual
+ * fica atendido e o plano não agenda de novo até um serviço correspondente mais novo ser concluído.
+ * Guarda o ID do último serviço concluído do plano naquele momento (`null` se nunca foi feito).
+ * Agendamentos marcados pelo usuário (sem `planoId`) são ignorados.
+ * @param {CarroBase} veiculo - O veículo.
+ * @param {Manutencao} m - O agendamento cancelado ou excluído.
+ * @returns {void}
+ */
+function dispensarAgendamentoPlano(veiculo, m) {
+    if (!m?.planoId) return;
+    const plano = obterPlanosVeiculo(veiculo).find(p => p.id === m.planoId);
+    veiculo.planosDispensados[m.planoId] = plano?.obterUltima(veiculo)?.id ?? null;
+}
+
+/**
+ * Cria, reposiciona ou remove os agendamentos automáticos dos planos de um veículo.
+ * - Plano sem agendamento futuro: agenda na data de `calcularDataAgendamento`.
+ * - Agendamento automático já existente (`planoId`) fora da data calculada (ex: o serviço foi feito antes): é movido,
+ *   ou removido se o plano ainda não precisa de agendamento. Se estiver atrasado e o plano continuar precisando
+ *   do serviço agora, fica onde está (sinalizado como atrasado, em vez de ser empurrado para amanhã).
+ * Agendamentos marcados pelo usuário que correspondem ao plano são respeitados, e um plano dispensado
+ * (ver `dispensarAgendamentoPlano`) só volta a agendar depois de um novo serviço correspondente concluído.
+ * Não grava: quem chama persiste via `executarTransacaoGaragem`.
+ * @param {CarroBase} veiculo - O veículo.
+ * @param {Date} [agora=new Date()] - Referência de "agora".
+ * @returns {boolean} `true` se algum agendamento foi criado ou movido.
+ */
+function agendarPlanosVeiculo(veiculo, agora = new Date()) {
+    let mudou = false;
+    obterPlanosVeiculo(veiculo).forEach(plano => {
+        if (plano.id in veiculo.planosDispensados) {
+            if ((plano.obterUltima(veiculo, agora)?.id ?? null) === veiculo.planosDispensados[plano.id]) return;
+            delete veiculo.planosDispensados[plano.id]; // Serviço novo concluído: começa outro ciclo.
+            mudou = true;
+        }
+        const previsao = plano.calcularProxima(veiculo, agora);
+        const data = plano.calcularDataAgendamento(previsao, agora);
+        const agendado = plano.obterAgendamento(veiculo);
+        if (agendado) {
+            if (!agendado.planoId || agendado.status !== STATUS_MANUTENCAO.AGENDADA) return;
+            const precisaAgora = previsao.vencida || (data && data - agora <= 2 * 864e5);
+            if (agendado.estaAtrasada(agora) && precisaAgora) return;
+            if (!data) {
+                veiculo.historicoManutencao = veiculo.historicoManutencao.filter(m => m !== agendado);
+                mudou = true;
+            } else if (Math.abs(agendado.data - data) >= 864e5) { // Diferença de 1 dia ou mais.
+                agendado.data = data;
+                mudou = true;
+            }
+            return;
+        }
+        if (!data) return;
+        const m = new Manutencao(data, plano.nome, plano.custoEstimado, `Agendado automaticamente: plano ${plano.descreverIntervalo()}.`);
+        m.planoId = plano.id;
+        veiculo.historicoManutencao.push(m);
+        mudou = true;
+    });
+    if (mudou) veiculo.ordenarHistoricoManutencao();
+    return mudou;
+}
+
+/**
+ * Roda os planos de manutenção de toda a garagem e grava os veículos cujos agendamentos mudaram.
+ * Chamado ao carregar, ao registrar manutenções e quando um veículo para (odômetro mudou).
+ * Não entra no histórico de desfazer (é consequência de outras ações).
+ * @param {string[]} [ids] - Veículos a verificar. Omitido = todos.
+ * @returns {Promise<void>}
+ */
+async function verificarPlanosManutencao(ids = Object.keys(garagem)) {
+    const agora = new Date();
+    // Descobre, numa cópia, quais veículos mudariam (para a transação só tocar neles). A cópia leva as fotos:
+    // sem elas, `recriarVeiculo` avisaria de fotos "sem imagem gravada" a cada verificação.
+    const afetados = ids.filter(id => {
+        const v = garagem[id];
+        return v && obterPlanosVeiculo(v).length > 0 && agendarPlanosVeiculo(recriarVeiculo(v.toJSON(), v.obterBlobsGaleria()), agora);
+    });
+    if (afetados.length === 0) return;
+    const ok = await executarTransacaoGaragem(afetados, () => {
+        afetados.forEach(id => agendarPlanosVeiculo(garagem[id], agora));
+    });
+    if (ok) {
+        console.log(`Planos de manutenção: agendamentos criados/ajustados em ${afetados.join(', ')}.`);
+        atualizarInterfaceCompleta();
+    }
+}
+
+/**
+ * Itens vencidos dos planos de toda a garagem, para os alertas de `verificarAgendamentosProximos`.
+ * @param {Date} [agora=new Date()] - Referência de "agora".
+ * @returns {Array<{veiculo: CarroBase, previsao: PrevisaoPlano}>}
+ */
+function listarPlanosVencidos(agora = new Date()) {
+    const vencidos = [];
+    Object.values(garagem).forEach(veiculo => {
+        obterPlanosVeiculo(veiculo).forEach(plano => {
+            const previsao = plano.calcularProxima(veiculo, agora);
+            if (previsao.vencida) vencidos.push({ veiculo, previsao });
+        });
+    });
+    return vencidos;
+}
@@ -0,0 +1,175 @@
+
+// ==================================================
+//      ROTAS (hash da URL: #/garagem/:id, #/adicionar...)
+// ==================================================
+
+/**
+ * Rotas do aplicativo: a parte do hash antes do '?' (o que vem depois são os filtros do menu, ver `filtros.js`).
+ * Cada rota diz a aba aberta; as da garagem dizem também o veículo exibido, o modo "Visão Geral" e se a edição está aberta.
+ * Caminho vazio ou desconhecido = a garagem.
+ * @const {Array<{padrao: RegExp, aba: string, visaoGeral?: boolean, editar?: boolean}>}
+ */
+const ROTAS = [
+    { padrao: /^\/garagem\/([^/]+)\/editar$/, aba: 'tab-garagem', editar: true },
+    { padrao: /^\/garagem\/([^/]+)$/, aba: 'tab-garagem' },
+    { padrao: /^\/garagem$/, aba: 'tab-garagem' },
+    { padrao: /^\/visao-geral$/, aba: 'tab-garagem', visaoGeral: true },
+    { padrao: /^\/adicionar$/, aba: 'tab-adicionar' },
+    { padrao: /^\/motoristas$/, aba: 'tab-motoristas' },
+    { padrao: /^\/viagens$/, aba: 'tab-viagens' },
+    { padrao: /^\/painel$/, aba: 'tab-painel' }
+];
+
+/**
+ * Caminho das abas que não são a garagem (o da garagem depende do veículo exibido e do modo).
+ * @const {Object.<string, string>}
+ */
+const CAMINHOS_ABAS = { 'tab-adicionar': '/adicionar', 'tab-motoristas': '/motoristas', 'tab-viagens': '/viagens', 'tab-painel': '/painel' };
+
+/**
+ * `true` enquanto `aplicarRota` mexe na tela: as trocas de aba/veículo que ela faz não gravam a URL de novo.
+ * @type {boolean}
+ */
+let aplicandoRota = false;
+
+/**
+ * Caminho da rota no hash (sem o '#' e sem os filtros do '?').
+ * @param {string} [hash=location.hash] - O hash.
+ * @returns {string} Ex: "/garagem/carro1".
+ */
+function caminhoDoHash(hash = location.hash) {
+    return String(hash || '').replace(/^#/, '').split('?')[0];
+}
+
+/**
+ * Interpreta a rota do hash.
+ * @param {string} [hash=location.hash] - O hash.
+ * @returns {{aba: string, veiculoId: string|null, visaoGeral: boolean, editar: boolean}}
+ */
+function lerRota(hash = location.hash) {
+    const caminho = caminhoDoHash(hash);
+    for (const r of ROTAS) {
+        const m = caminho.match(r.padrao);
+        if (!m) continue;
+        let veiculoId = m[1] || null;
+        try { if (veiculoId) veiculoId = decodeURIComponent(veiculoId); } catch (e) { /* '%' solto: usa o texto como veio. */ }
+        return { aba: r.aba, veiculoId, visaoGeral: !!r.visaoGeral, editar: !!r.editar };
+    }
+    return { aba: 'tab-garagem', veiculoId: null, visaoGeral: false, editar: false };
+}
+
+/**
+ * Caminho da rota de um veículo.
+ * @param {string} veiculoId - ID do veículo.
+ * @param {boolean} [editar=false] - Com a edição dos detalhes aberta.
+ * @returns {string} Ex: "/garagem/carro1/editar".
+ */
+function rotaVeiculo(veiculoId, editar = false) {
+    return `/garagem/${encodeURIComponent(veiculoId)}${editar ? '/editar' : ''}`;
+}
+
+/**
+ * Caminho que descreve o que está na tela (aba ativa, modo, veículo exibido e edição aberta).
+ * @returns {string}
+ */
+function rotaDaInterface() {
+    const aba = document.querySelector('#abas-navegacao button.aba-ativa')?.id || 'tab-garagem';
+    if (CAMINHOS_ABAS[aba]) return CAMINHOS_ABAS[aba];
+    if (modoVisaoGaragem === 'tabela') return '/visao-geral';
+    const area = document.getElementById('veiculo-display-area');
+    const id = area?.dataset.veiculoId;
+    if (!id) return '/garagem';
+    return rotaVeiculo(id, !!area.querySelector('.edicao-veiculo.editando'));
+}
+
+/**
+ * Grava um caminho no hash, preservando os filtros do '?'. Não dispara `hashchange` (usa a History API).
+ * @param {string} caminho - O caminho da rota.
+ * @param {boolean} [substituir=false] - `true` troca a entrada atual do histórico; `false` cria uma nova (o "Voltar" retorna a ela).
+ * @returns {void}
+ */
+function escreverRota(caminho, substituir = false) {
+    if (caminho === caminhoDoHash()) return;
+    const consulta = location.hash.split('?')[1];
+    const url = `${location.pathname}${location.search}#${caminho}${consulta ? `?${consulta}` : ''}`;
+    if (substituir) history.replaceState(history.state, '', url);
+    else history.pushState(null, '', url);
+}
+
+/**
+ * Grava na URL o que está na tela. Chamado por `handleTrocarAba`, `renderizarVeiculo` e `definirModoVisaoGaragem`,
+ * para que cada navegação do usuário vire uma entrada do histórico do navegador.
+ * @param {boolean} [substituir=false] - Ver `escreverRota`.
+ * @returns {void}
+ */
+function sincronizarRota(substituir = false) {
+    if (aplicandoRota) return; // `aplicarRota` acerta a URL no fim.
+    escreverRota(rotaDaInterface(), substituir);
+}
+
+/**
+ * Navega para uma rota: grava no histórico e aplica (uma entrada só, mesmo trocando aba e veículo de uma vez).
+ * @param {string} caminho - O caminho (ex: `rotaVeiculo(id)`).
+ * @returns {void}
+ */
+function navegar(caminho) {
+    escreverRota(caminho);
+    aplicarRota();
+}
+
+/**
+ * Mostra na tela a rota da URL: abre a aba, o modo e o veículo (o da rota; senão o já exibido; senão o primeiro)
+ * e, em `/editar`, destaca e foca a edição dos detalhes. Se a rota não puder ser seguida (veículo excluído,
+ * caminho desconhecido), a URL é corrigida para o que ficou na tela, sem criar entrada no histórico.
+ * @returns {void}
+ */
+function aplicarRota() {
+    const rota = lerRota();
+    const area = document.getElementById('veiculo-display-area');
+    aplicandoRota = true;
+    try {
+        if (!document.getElementById(rota.aba)?.classList.contains('aba-ativa')) handleTrocarAba(rota.aba);
+        const modo = rota.visaoGeral ? 'tabela' : 'cartao';
+        if (rota.aba === 'tab-garagem' && modoVisaoGaragem !== modo) definirModoVisaoGaragem(modo);
+
+        const exibido = area?.dataset.veiculoId;
+        const id = [rota.veiculoId, exibido, Object.keys(garagem)[0]].find(i => i && garagem[i]);
+        if (rota.veiculoId && id !== rota.veiculoId) console.warn(`Rota: veículo ${rota.veiculoId} não encontrado; exibindo ${id || 'nenhum'}.`);
+        if (!id) limparAreaDisplay(true);
+        else if (id !== exibido) {
+            marcarBotaoAtivo(id);
+            renderizarVeiculo(id);
+        }
+
+        const edicao = area?.querySelector('.edicao-veiculo');
+        if (edicao) {
+            const editar = rota.editar && id === rota.veiculoId;
+            if (editar && !edicao.classList.contains('editando')) {
+                edicao.classList.add('editando');
+                edicao.scrollIntoView?.({ behavior: 'smooth', block: 'start' });
+                edicao.querySelector('.edit-modelo-veiculo')?.focus();
+            } else if (!editar) {
+                edicao.classList.remove('editando');
+            }
+        }
+    } finally {
+        aplicandoRota = false;
+    }
+    escreverRota(rotaDaInterface(), true);
+}
+
+/**
+ * Configura as rotas: voltar/avançar do navegador e links colados aplicam a rota; focar a edição dos
+ * detalhes de um veículo passa a URL para `/editar` (recarregar a página volta para a edição).
+ * A rota da URL ao abrir a página é aplicada por `atualizarInterfaceCompleta`, depois de carregar a garagem.
+ * @returns {void}
+ */
+function setupListenersRotas() {
+    window.addEventListener('hashchange', aplicarRota);
+    document.getElementById('veiculo-display-area')?.addEventListener('focusin', (e) => {
+        const edicao = e.target.closest('.edicao-veiculo');
+        if (!edicao || edicao.classList.contains('editando')) return;
+        edicao.classList.add('editando');
+        sincronizarRota(true);
+    });
+}
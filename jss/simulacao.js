@@ -0,0 +1,185 @@
+
+// ==================================================
+//      SIMULAÇÃO DE CONDUÇÃO (Física por quadro)
+// ==================================================
+
+/**
+ * Constantes da simulação. A física de cada tipo (massa, potência, arrasto...) fica no registro (`FisicaTipo`).
+ * - `densidadeAr` (kg/m³) e `gravidade` (m/s²): valores ao nível do mar.
+ * - `eficiencia`: fração da potência do motor que chega às rodas.
+ * - `velocidadeMinimaTracao` (m/s): abaixo dela a força de tração para de crescer (faz o papel das marchas baixas;
+ *   sem isso, potência / velocidade daria força infinita com o veículo parado).
+ * - `velocidadeParada` (m/s): sem acelerador, abaixo disso o veículo é considerado parado.
+ * - `passoMaximo` (s): maior intervalo simulado de uma vez (a aba em segundo plano não "teletransporta" o veículo).
+ * - `toquePedalMs`: duração de um toque no pedal (clique pelo teclado, `interagir(id, 'acelerar')`).
+ * @const {{densidadeAr: number, gravidade: number, eficiencia: number, velocidadeMinimaTracao: number, velocidadeParada: number, passoMaximo: number, toquePedalMs: number}}
+ */
+const FISICA_CONFIG = {
+    densidadeAr: 1.2,
+    gravidade: 9.81,
+    eficiencia: 0.85,
+    velocidadeMinimaTracao: 15,
+    velocidadeParada: 0.05,
+    passoMaximo: 0.1,
+    toquePedalMs: 350
+};
+
+/**
+ * Veículos em movimento ou com acelerador pisado (saem sozinhos ao parar).
+ * @type {Set<CarroBase>}
+ */
+const veiculosSimulados = new Set();
+
+/**
+ * ID do `requestAnimationFrame` pendente (`null` = loop parado).
+ * @type {number|null}
+ */
+let idQuadroSimulacao = null;
+
+/**
+ * Instante (ms) do quadro anterior, para calcular o intervalo simulado.
+ * @type {number|null}
+ */
+let ultimoQuadroSimulacao = null;
+
+/**
+ * Coloca um veículo na simulação e liga o loop, se estiver parado.
+ * @param {CarroBase} veiculo - O veículo.
+ * @returns {void}
+ */
+function iniciarSimulacao(veiculo) {
+    veiculosSimulados.add(veiculo);
+    if (idQuadroSimulacao === null) {
+        ultimoQuadroSimulacao = null;
+        idQuadroSimulacao = requestAnimationFrame(quadroSimulacao);
+    }
+}
+
+/**
+ * Um quadro da simulação: avança a física de cada veículo e atualiza o painel de condução do exibido.
+ * Veículos trocados na `garagem` (desfazer, outra aba) passam a ser simulados pela instância nova.
+ * Quando um veículo para, o odômetro e o combustível dele são gravados (não entram no desfazer)
+ * e os planos de manutenção são reavaliados com a quilometragem nova.
+ * @param {number} agora - Timestamp do quadro (ms).
+ * @returns {void}
+ */
+function quadroSimulacao(agora) {
+    const dt = ultimoQuadroSimulacao === null ? 0 : Math.min((agora - ultimoQuadroSimulacao) / 1000, FISICA_CONFIG.passoMaximo);
+    ultimoQuadroSimulacao = agora;
+
+    for (const v of [...veiculosSimulados]) {
+        if (garagem[v.id] !== v) { // Excluído ou recriado: a instância antiga sai.
+            veiculosSimulados.delete(v);
+            if (garagem[v.id]?.velocidade > 0) veiculosSimulados.add(garagem[v.id]);
+            continue;
+        }
+        const ativo = v.passoSimulacao(dt);
+        v.atualizarPainelConducaoUI();
+        if (!ativo) {
+            veiculosSimulados.delete(v);
+            salvarGaragem([v.id]).then(() => verificarPlanosManutencao([v.id]))
+                .catch(e => console.error(`Erro ao gravar/verificar os planos de ${v.modelo} após parar:`, e));
+        }
+    }
+    idQuadroSimulacao = veiculosSimulados.size > 0 ? requestAnimationFrame(quadroSimulacao) : null;
+}
+
+/**
+ * Veículo exibido em `#veiculo-display-area`.
+ * @returns {CarroBase|null}
+ */
+function veiculoExibidoSimulacao() {
+    const id = document.getElementById('veiculo-display-area')?.dataset.veiculoId;
+    return (id && garagem[id]) || null;
+}
+
+/**
+ * Pisa em um pedal do veículo exibido e o mantém pressionado até `soltarPedalExibido`.
+ * @param {'acelerador'|'freio'} pedal - O pedal.
+ * @returns {void}
+ */
+function pisarPedalExibido(pedal) {
+    const v = veiculoExibidoSimulacao();
+    if (!v) return;
+    if (pedal === 'acelerador') v.acelerar(0);
+    else v.frear(0);
+}
+
+/**
+ * Solta um pedal do veículo exibido.
+ * @param {'acelerador'|'freio'} pedal - O pedal.
+ * @returns {void}
+ */
+function soltarPedalExibido(pedal) {
+    veiculoExibidoSimulacao()?.soltarPedal(pedal);
+}
+
+/**
+ * Liga os botões de pedal (`[data-pedal]`: Acelerar e Frear) do veículo renderizado:
+ * segurar o botão segura o pedal; soltar (ou o ponteiro sair do botão) solta.
+ * Acionado pelo teclado (Enter/Espaço, sem ponteiro), o botão dá um toque no pedal.
+ * @param {Element} container - O `.veiculo-renderizado` recém-clonado do template.
+ * @returns {void}
+ */
+function configurarPedais(container) {
+    container.querySelectorAll('button[data-pedal]').forEach(btn => {
+        const pedal = btn.dataset.pedal;
+        const soltar = () => {
+            if (!btn.classList.contains('pedal-pressionado')) return;
+            btn.classList.remove('pedal-pressionado');
+            soltarPedalExibido(pedal);
+        };
+        btn.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            btn.setPointerCapture?.(e.pointerId); // Continua recebendo o pointerup mesmo fora do botão.
+            btn.classList.add('pedal-pressionado');
+            pisarPedalExibido(pedal);
+        });
+        btn.addEventListener('pointerup', soltar);
+        btn.addEventListener('pointercancel', soltar);
+        btn.addEventListener('lostpointercapture', soltar);
+        btn.addEventListener('click', (e) => {
+            if (e.detail !== 0) return; // Clique de mouse/toque já foi tratado pelos eventos de ponteiro.
+            const v = veiculoExibidoSimulacao();
+            if (pedal === 'acelerador') v?.acelerar();
+            else v?.frear();
+        });
+    });
+}
+
+/**
+ * Atalhos de teclado dos pedais: segurar Seta para Cima acelera, Seta para Baixo freia.
+ * Ignorados dentro de campos de formulário e com o lightbox da galeria aberto.
+ * @param {KeyboardEvent} event - Evento `keydown` ou `keyup`.
+ * @returns {void}
+ */
+function handleTeclasPedais(event) {
+    const pedal = { ArrowUp: 'acelerador', ArrowDown: 'freio' }[event.key];
+    if (!pedal || lightboxGaleria || event.ctrlKey || event.metaKey || event.altKey) return;
+    const alvo = event.target;
+    if (alvo instanceof HTMLElement && (alvo.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(alvo.tagName))) return;
+    if (!veiculoExibidoSimulacao()) return;
+    event.preventDefault(); // Não rola a página.
+    if (event.type === 'keyup') soltarPedalExibido(pedal);
+    else if (!event.repeat) pisarPedalExibido(pedal);
+}
+
+/**
+ * Configura os atalhos de teclado dos pedais e solta tudo quando a janela perde o foco
+ * (o `keyup`/`pointerup` não chegaria e o veículo ficaria acelerando sozinho).
+ * Ao esconder a página, grava os veículos em movimento (a aba pode ser fechada antes de pararem).
+ * @returns {void}
+ */
+function setupListenersSimulacao() {
+    document.addEventListener('keydown', handleTeclasPedais);
+    document.addEventListener('keyup', handleTeclasPedais);
+    window.addEventListener('blur', () => {
+        Object.values(garagem).forEach(v => { v.soltarPedal('acelerador'); v.soltarPedal('freio'); });
+        document.querySelectorAll('.pedal-pressionado').forEach(b => b.classList.remove('pedal-pressionado'));
+    });
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden' && veiculosSimulados.size > 0) {
+            salvarGaragem([...veiculosSimulados].map(v => v.id));
+        }
+    });
+}
@@ -0,0 +1,202 @@
+
+// ==================================================
+//      SINCRONIZAÇÃO ENTRE ABAS (BroadcastChannel)
+// ==================================================
+
+/**
+ * Nome do canal usado para avisar as outras abas de que o banco foi alterado.
+ * @const {string}
+ */
+const SYNC_CANAL_NOME = 'garagem-inteligente-sync';
+
+/**
+ * Chave do LocalStorage usada como alternativa quando o navegador não tem `BroadcastChannel`
+ * (o evento `storage` só dispara nas OUTRAS abas).
+ * @const {string}
+ */
+const SYNC_STORAGE_KEY = 'garagemData_sync';
+
+/**
+ * Identificador desta aba, para ignorar os próprios avisos.
+ * @const {string}
+ */
+const ID_ABA = `aba_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Canal aberto (ou `null` se a sincronização ainda não começou / usa o fallback do LocalStorage).
+ * @type {BroadcastChannel|null}
+ */
+let canalSync = null;
+
+/**
+ * Fila de avisos recebidos: cada um é aplicado só depois do anterior (leitura do banco é assíncrona).
+ * @type {Promise<void>}
+ */
+let filaSync = Promise.resolve();
+
+/**
+ * Indica se a sincronização foi iniciada (avisos só são enviados depois disso).
+ * @type {boolean}
+ */
+let syncAtivo = false;
+
+/**
+ * Começa a ouvir as alterações feitas em outras abas. Chamado depois do carregamento inicial da garagem,
+ * para que nenhum aviso seja aplicado sobre uma garagem ainda vazia.
+ * @returns {void}
+ */
+function iniciarSincronizacaoAbas() {
+    if (syncAtivo) return;
+    syncAtivo = true;
+    if ('BroadcastChannel' in window) {
+        canalSync = new BroadcastChannel(SYNC_CANAL_NOME);
+        canalSync.onmessage = (e) => enfileirarMudancasOutraAba(e.data);
+    } else {
+        window.addEventListener('storage', (e) => {
+            if (e.key !== SYNC_STORAGE_KEY || !e.newValue) return;
+            try {
+                enfileirarMudancasOutraAba(JSON.parse(e.newValue));
+            } catch (erro) {
+                console.warn("Aviso de sincronização ilegível no LocalStorage. Ignorando.", erro);
+            }
+        });
+    }
+    console.log(`Sincronização entre abas ativa (${canalSync ? 'BroadcastChannel' : 'evento storage'}).`);
+}
+
+/**
+ * Avisa as outras abas de que veículos ou motoristas foram gravados/removidos no banco.
+ * Chamado por `salvarGaragem` e `salvarMotoristas` após sucesso.
+ * @param {string[]} ids - IDs de veículos gravados ou removidos.
+ * @param {string[]} [idsMotoristas=[]] - IDs de motoristas gravados ou removidos.
+ * @returns {void}
+ */
+function notificarOutrasAbas(ids, idsMotoristas = []) {
+    if (!syncAtivo || (ids.length === 0 && idsMotoristas.length === 0)) return;
+    const msg = { origem: ID_ABA, ids, motoristas: idsMotoristas, quando: Date.now() };
+    try {
+        if (canalSync) canalSync.postMessage(msg);
+        else localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify(msg)); // `quando` garante que o valor muda.
+    } catch (e) {
+        console.warn("Não foi possível avisar as outras abas:", e);
+    }
+}
+
+/**
+ * Coloca um aviso recebido na fila de aplicação.
+ * @param {{origem: string, ids: string[], motoristas?: string[]}} msg - Aviso de outra aba.
+ * @returns {void}
+ */
+function enfileirarMudancasOutraAba(msg) {
+    if (!msg || msg.origem === ID_ABA || !Array.isArray(msg.ids)) return;
+    const idsMotoristas = Array.isArray(msg.motoristas) ? msg.motoristas : [];
+    filaSync = filaSync.then(() => aplicarMudancasOutraAba(msg.ids, idsMotoristas)).catch(e => {
+        console.error("Erro ao aplicar alterações vindas de outra aba:", e);
+    });
+}
+
+/**
+ * Lê os valores atuais do formulário `.edicao-veiculo` como texto, no mesmo formato que ele é preenchido.
+ * @param {Element} form - O formulário de edição.
+ * @returns {{modelo: string, cor: string, placa: string, ano: string, motorista: string}}
+ */
+function lerCamposEdicao(form) {
+    const val = sel => form.querySelector(sel)?.value ?? '';
+    return {
+        modelo: val('.edit-modelo-veiculo'), cor: val('.edit-cor-veiculo'), placa: val('.edit-placa-veiculo'),
+        ano: val('.edit-ano-veiculo'), motorista: val('.edit-motorista-veiculo')
+    };
+}
+
+/**
+ * Devolve ao formulário `.edicao-veiculo` valores lidos por `lerCamposEdicao`.
+ * @param {Element} form - O formulário de edição.
+ * @param {{modelo: string, cor: string, placa: string, ano: string, motorista: string}} campos - Valores a restaurar.
+ * @returns {void}
+ */
+function preencherCamposEdicao(form, campos) {
+    form.querySelector('.edit-modelo-veiculo').value = campos.modelo;
+    form.querySelector('.edit-cor-veiculo').value = campos.cor;
+    form.querySelector('.edit-placa-veiculo').value = campos.placa;
+    form.querySelector('.edit-ano-veiculo').value = campos.ano;
+    form.querySelector('.edit-motorista-veiculo').value = campos.motorista; // Se o motorista foi excluído, fica "Sem motorista".
+}
+
+/**
+ * Verifica se o usuário está editando o veículo exibido: campos diferentes dos dados do veículo,
+ * imagem escolhida ou foco dentro do formulário.
+ * @param {CarroBase} v - Veículo exibido (estado ANTES da mudança externa).
+ * @param {Element} form - O formulário `.edicao-veiculo`.
+ * @returns {boolean}
+ */
+function edicaoEmAndamento(v, form) {
+    const campos = lerCamposEdicao(form);
+    return campos.modelo !== v.modelo || campos.cor !== v.cor || campos.placa !== v.placa ||
+        campos.ano !== String(v.ano || '') || campos.motorista !== (v.motoristaId || '') ||
+        !!form.querySelector('.edit-imagem-input')?.files[0] || form.contains(document.activeElement);
+}
+
+/**
+ * Aplica na `garagem` os veículos (e no cadastro os motoristas) que outra aba gravou/removeu, relendo-os
+ * do IndexedDB, e atualiza a UI.
+ * Se o veículo em edição (`.edicao-veiculo`) foi alterado na outra aba, pergunta ao usuário o que fazer:
+ * carregar a versão nova (descarta o que foi digitado) ou manter o formulário como está
+ * (ao salvar, a edição desta aba sobrescreve a outra). Edições em andamento de OUTRO veículo são preservadas.
+ * @param {string[]} ids - IDs de veículos alterados na outra aba.
+ * @param {string[]} [idsMotoristas=[]] - IDs de motoristas alterados na outra aba.
+ * @returns {Promise<void>}
+ */
+async function aplicarMudancasOutraAba(ids, idsMotoristas = []) {
+    const { schemaVersao, veiculos: lidos, motoristas: motoristasLidos, fotos } = await lerGaragemDB();
+    let veiculos, motoristasAtuais;
+    try {
+        // Normalmente já está na versão atual; outra aba com versão antiga do app ainda gravaria o formato antigo.
+        ({ veiculos, motoristas: motoristasAtuais = {} } = migrarPayloadGaragem({
+            schemaVersao: schemaVersao ?? SCHEMA_VERSAO_LEGADO, veiculos: lidos, motoristas: motoristasLidos
+        }));
+    } catch (e) {
+        console.error("Alterações de outra aba em formato não suportado:", e);
+        alert("A garagem foi alterada por outra versão do aplicativo em outra aba.\n\nRecarregue esta página para continuar.");
+        return;
+    }
+
+    const estado = {};
+    ids.forEach(id => {
+        estado[id] = veiculos[id] ? { dados: veiculos[id], fotos: fotos[id] || {} } : null;
+    });
+
+    const display = document.getElementById('veiculo-display-area');
+    const idExibido = display?.dataset.veiculoId;
+    const form = display?.querySelector('.edicao-veiculo');
+    const editando = !!(form && garagem[idExibido] && edicaoEmAndamento(garagem[idExibido], form));
+    const emConflito = editando && ids.includes(idExibido);
+    const camposDigitados = editando ? lerCamposEdicao(form) : null;
+    const modeloExibido = garagem[idExibido]?.modelo;
+
+    idsMotoristas.forEach(id => {
+        try {
+            if (motoristasAtuais[id]) motoristas[id] = recriarMotorista(motoristasAtuais[id]);
+            else delete motoristas[id];
+        } catch (e) {
+            console.warn(`Motorista ${id} gravado por outra aba está ilegível. Mantendo o desta aba.`, e);
+        }
+    });
+    restaurarEstadoVeiculos(estado);
+    descartarAcoesDosVeiculos(ids); // Desfazer aqui não pode apagar o que foi feito na outra aba.
+    console.log(`Alterações de outra aba aplicadas: ${[...ids, ...idsMotoristas].join(', ')}.`);
+
+    let manterDigitado = editando;
+    if (emConflito && !garagem[idExibido]) {
+        alert(`CONFLITO: "${modeloExibido}" foi EXCLUÍDO em outra aba enquanto você o editava.\n\nSuas alterações não salvas foram descartadas.`);
+        manterDigitado = false;
+    } else if (emConflito) {
+        manterDigitado = !confirm(`CONFLITO DE EDIÇÃO: "${modeloExibido}" foi alterado em outra aba enquanto você o editava.\n\n` +
+            `OK = carregar a versão da outra aba (descarta o que você digitou).\n` +
+            `Cancelar = manter o que você digitou (ao salvar, sobrescreve a versão da outra aba).`);
+    }
+    atualizarInterfaceCompleta(); // Recarrega os dados exibidos (e o formulário) com as versões novas.
+    const novoForm = display?.querySelector('.edicao-veiculo');
+    if (manterDigitado && novoForm && display.dataset.veiculoId === idExibido) {
+        preencherCamposEdicao(novoForm, camposDigitados); // Devolve ao formulário o que o usuário havia digitado.
+    }
+}
@@ -0,0 +1,136 @@
+
+// ==================================================
+//      REGISTRO DE TIPOS DE VEÍCULO
+// ==================================================
+
+/**
+ * Campo extra pedido no formulário de adicionar para um tipo (ex: capacidade de carga do caminhão).
+ * @typedef {object} CampoExtraTipo
+ * @property {string} chave - Nome do campo; também é a propriedade lida de `toJSON()` ao recarregar.
+ * @property {string} rotulo - Texto do `<label>`.
+ * @property {string} [tipo='number'] - Atributo `type` do `<input>`.
+ * @property {Object.<string, string|number>} [atributos] - Atributos extras do input (min, placeholder...).
+ */
+
+/**
+ * Parâmetros físicos de um tipo, usados pela simulação de condução (`CarroBase.passoSimulacao`).
+ * @typedef {object} FisicaTipo
+ * @property {number} massa - Massa em ordem de marcha (kg). O `Caminhao` soma a carga atual.
+ * @property {number} potencia - Potência do motor (W).
+ * @property {number} arrasto - Área de arrasto Cd·A (m²): resistência do ar, cresce com o quadrado da velocidade.
+ * @property {number} rolagem - Coeficiente de resistência à rolagem dos pneus (adimensional).
+ * @property {number} frenagem - Desaceleração com o freio todo pisado (m/s²).
+ */
+
+/**
+ * Descrição de um tipo de veículo. Tudo que varia por tipo (carregar, salvar, formulário de adicionar e exibição)
+ * vem daqui, sem `switch`/`instanceof` espalhados pelo código.
+ * @typedef {object} TipoVeiculo
+ * @property {string} chave - Identificador gravado em `tipoVeiculo` (ex: 'Caminhao'). Nunca mude depois de publicado.
+ * @property {Function} classe - A classe (subclasse de `CarroBase`).
+ * @property {string} nome - Nome exibido (ex: 'Caminhão').
+ * @property {string} imagemPadrao - Imagem usada enquanto o veículo não tem foto de capa.
+ * @property {number} velocidadeMaxima - Limite da simulação e fundo de escala do velocímetro (km/h).
+ * @property {FisicaTipo} fisica - Parâmetros da simulação de condução. Campos omitidos vêm de `FISICA_PADRAO`.
+ * @property {number} tanque - Capacidade do tanque de combustível (L).
+ * @property {number} consumo - Consumo médio (L/100 km) enquanto o motor está ligado.
+ * @property {string|null} categoriaMinimaCNH - Categoria mínima da CNH do motorista (ex: 'C'); `null` = qualquer uma.
+ * @property {CampoExtraTipo[]} camposFormulario - Campos extras do formulário de adicionar. Os valores são passados
+ *   ao construtor, nesta ordem, depois dos argumentos comuns (id, modelo, cor, imagem, placa, ano, motorista).
+ * @property {function(CarroBase): object} serializar - Propriedades próprias do tipo acrescentadas a `toJSON()`.
+ * @property {function(CarroBase, object): void} restaurar - Reaplica o estado salvo que o construtor não recebe.
+ * @property {function(CarroBase): string} infoExtra - HTML da linha `.veiculo-info-extra` (já escapado).
+ * @property {function(CarroBase): HTMLElement[]} controlesExtras - Elementos colocados em `.acao-extra` do painel.
+ * @property {function(CarroBase, HTMLElement): void} atualizarControlesExtras - Atualiza o conteúdo de `.acao-extra`
+ *   a cada `atualizarInformacoesUI` (ex: o manifesto de carga do caminhão).
+ * @property {Object.<string, function(CarroBase, any): any>} acoes - Ações próprias do tipo, executadas por `interagir`.
+ * @property {PlanoManutencao[]} planosManutencao - Manutenções preventivas do tipo (ver `planos.js`). Na definição,
+ *   pode receber objetos simples, convertidos em `PlanoManutencao` ao registrar.
+ */
+
+/**
+ * Tipos registrados, indexados pela chave, na ordem de registro (é a ordem das opções de `#add-tipo`).
+ * Cada classe se registra no próprio arquivo com `registrarTipoVeiculo`.
+ * @type {Object.<string, TipoVeiculo>}
+ */
+const TIPOS_VEICULO = {};
+
+/**
+ * Física de um carro de passeio comum (~100 cv), usada nos campos que um tipo não informar.
+ * @const {FisicaTipo}
+ */
+const FISICA_PADRAO = { massa: 1200, potencia: 75000, arrasto: 0.7, rolagem: 0.013, frenagem: 8 };
+
+/**
+ * Registra um tipo de veículo. Campos opcionais recebem valores neutros.
+ * @param {Partial<TipoVeiculo> & {chave: string, classe: Function, nome: string}} definicao - Descrição do tipo.
+ * @returns {TipoVeiculo} O tipo registrado.
+ * @throws {Error} Se faltar chave/classe/nome ou a chave já estiver registrada.
+ */
+function registrarTipoVeiculo(definicao) {
+    const { chave, classe, nome } = definicao || {};
+    if (!chave || typeof classe !== 'function' || !nome) {
+        throw new Error("Tipo de veículo precisa de chave, classe e nome.");
+    }
+    if (TIPOS_VEICULO[chave]) throw new Error(`Tipo de veículo "${chave}" já registrado.`);
+    TIPOS_VEICULO[chave] = {
+        imagemPadrao: 'default_car.png',
+        velocidadeMaxima: 200,
+        tanque: 50,
+        consumo: 8,
+        categoriaMinimaCNH: null,
+        camposFormulario: [],
+        serializar: () => ({}),
+        restaurar: () => {},
+        infoExtra: () => '',
+        controlesExtras: () => [],
+        atualizarControlesExtras: () => {},
+        acoes: {},
+        ...definicao,
+        fisica: { ...FISICA_PADRAO, ...definicao.fisica },
+        planosManutencao: (definicao.planosManutencao || []).map(p => p instanceof PlanoManutencao ? p : new PlanoManutencao(p))
+    };
+    return TIPOS_VEICULO[chave];
+}
+
+/**
+ * Busca um tipo pela chave gravada em `tipoVeiculo`.
+ * @param {string} chave - Chave do tipo.
+ * @returns {TipoVeiculo|null}
+ */
+function obterTipoVeiculo(chave) {
+    return TIPOS_VEICULO[chave] || null;
+}
+
+/**
+ * Tipo registrado para uma classe. Subclasses não registradas herdam o tipo da classe mãe mais próxima.
+ * @param {Function} classe - A classe (ex: `new.target` no construtor).
+ * @returns {TipoVeiculo|null}
+ */
+function tipoDaClasse(classe) {
+    for (let c = classe; typeof c === 'function' && c !== Function.prototype; c = Object.getPrototypeOf(c)) {
+        const tipo = Object.values(TIPOS_VEICULO).find(t => t.classe === c);
+        if (tipo) return tipo;
+    }
+    return null;
+}
+
+/**
+ * Tipo registrado de uma instância.
+ * @param {CarroBase} veiculo - O veículo.
+ * @returns {TipoVeiculo|null}
+ */
+function tipoDoVeiculo(veiculo) {
+    return tipoDaClasse(veiculo?.constructor);
+}
+
+/**
+ * Cria um veículo do tipo informado.
+ * @param {TipoVeiculo} tipo - O tipo.
+ * @param {Array} args - Argumentos comuns: [id, modelo, cor, imagemSrc, placa, ano, motoristaId].
+ * @param {object} [extras={}] - Valores dos `camposFormulario` (do formulário ou do `toJSON()` salvo).
+ * @returns {CarroBase}
+ */
+function criarVeiculoDoTipo(tipo, args, extras = {}) {
+    return new tipo.classe(...args, ...tipo.camposFormulario.map(c => extras[c.chave]));
+}
@@ -0,0 +1,118 @@
+class ParadaViagem {
+    /**
+     * Cria uma parada de uma viagem (a última parada é o destino).
+     * @param {string} id - ID único (ver `ParadaViagem.gerarId`).
+     * @param {string} local - Onde o veículo para (comparado com o destino dos itens de carga).
+     * @param {string|Date|null} [concluidaEm=null] - Quando a parada foi concluída. `null` = pendente.
+     * @param {string[]} [entregaIds=[]] - IDs das entregas (em `Caminhao.historicoEntregas`) feitas nesta parada.
+     */
+    constructor(id, local, concluidaEm = null, entregaIds = []) {
+        this.id = id;
+        this.local = String(local || '').trim();
+        this.concluidaEm = concluidaEm instanceof Date ? concluidaEm : (concluidaEm ? new Date(concluidaEm) : null);
+        if (this.concluidaEm && isNaN(this.concluidaEm.getTime())) this.concluidaEm = null;
+        this.entregaIds = Array.isArray(entregaIds) ? entregaIds.filter(id => typeof id === 'string') : [];
+    }
+
+    /**
+     * Gera um ID novo para uma parada.
+     * @returns {string}
+     */
+    static gerarId() {
+        return `p${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Converte a parada em objeto serializável.
+     * @returns {{id: string, local: string, concluidaEm: string|null, entregaIds: string[]}}
+     */
+    toJSON() {
+        return { id: this.id, local: this.local, concluidaEm: this.concluidaEm?.toISOString() || null, entregaIds: [...this.entregaIds] };
+    }
+}
+
+class Viagem {
+    /**
+     * Cria uma viagem (evento do veículo): sai da origem e passa pelas paradas, a última sendo o destino.
+     * @param {string} id - ID único (ver `Viagem.gerarId`).
+     * @param {string|null} motoristaId - ID do motorista que conduz (no cadastro de motoristas).
+     * @param {string} origem - Local de partida.
+     * @param {string|Date|null} inicio - Quando partiu. Padrão: agora.
+     * @param {ParadaViagem[]} [paradas=[]] - Paradas, na ordem; a última é o destino.
+     * @param {string|Date|null} [fim=null] - Quando a viagem terminou. `null` = em andamento.
+     */
+    constructor(id, motoristaId, origem, inicio, paradas = [], fim = null) {
+        this.id = id;
+        this.motoristaId = motoristaId || null;
+        this.origem = String(origem || '').trim();
+        this.inicio = inicio instanceof Date ? inicio : (inicio ? new Date(inicio) : new Date());
+        if (isNaN(this.inicio.getTime())) this.inicio = new Date();
+        this.paradas = paradas;
+        this.fim = fim instanceof Date ? fim : (fim ? new Date(fim) : null);
+        if (this.fim && isNaN(this.fim.getTime())) this.fim = null;
+    }
+
+    /**
+     * Gera um ID novo para uma viagem.
+     * @returns {string}
+     */
+    static gerarId() {
+        return `vg${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Destino da viagem: o local da última parada.
+     * @type {string}
+     */
+    get destino() {
+        return this.paradas[this.paradas.length - 1]?.local || '';
+    }
+
+    /**
+     * Valida os dados da viagem.
+     * @returns {boolean} `true` se tem origem, ao menos uma parada (o destino), todas com local, e o fim não é antes do início.
+     */
+    validar() {
+        return this.origem.length > 0 && this.paradas.length > 0 && this.paradas.every(p => p instanceof ParadaViagem && p.local) &&
+            (!this.fim || this.fim >= this.inicio);
+    }
+
+    /**
+     * Verifica se a viagem ainda não terminou.
+     * @returns {boolean}
+     */
+    estaEmAndamento() {
+        return this.fim === null;
+    }
+
+    /**
+     * Próxima parada pendente (na ordem da rota).
+     * @returns {ParadaViagem|null} `null` se todas foram concluídas.
+     */
+    obterProximaParada() {
+        return this.paradas.find(p => !p.concluidaEm) || null;
+    }
+
+    /**
+     * Rota completa para exibição.
+     * @returns {string} Ex: "São Paulo → Campinas → Curitiba".
+     */
+    formatarRota() {
+        return [this.origem, ...this.paradas.map(p => p.local)].join(' → ');
+    }
+
+    /**
+     * Converte a viagem em objeto serializável.
+     * @returns {{id: string, motoristaId: string|null, origem: string, inicio: string, paradas: object[], fim: string|null}}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            motoristaId: this.motoristaId,
+            origem: this.origem,
+            inicio: this.inicio.toISOString(),
+            paradas: this.paradas.map(p => p.toJSON()),
+            fim: this.fim?.toISOString() || null
+        };
+    }
+}
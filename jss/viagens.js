@@ -0,0 +1,248 @@
+
+// ==================================================
+//      VIAGENS (diário do veículo e lista da frota)
+// ==================================================
+
+/**
+ * Entregas feitas numa parada (em caminhões, as registradas em `historicoEntregas` ao concluí-la).
+ * @param {CarroBase} v - O veículo da viagem.
+ * @param {ParadaViagem} parada - A parada.
+ * @returns {ItemCarga[]}
+ */
+function obterEntregasParada(v, parada) {
+    return (v.historicoEntregas || []).filter(e => parada.entregaIds.includes(e.id));
+}
+
+/**
+ * Situação de uma viagem: em andamento, concluída (passou por todas as paradas) ou encerrada com paradas pendentes.
+ * @param {Viagem} viagem - A viagem.
+ * @returns {'andamento'|'concluida'|'encerrada'}
+ */
+function situacaoViagem(viagem) {
+    if (viagem.estaEmAndamento()) return 'andamento';
+    return viagem.obterProximaParada() ? 'encerrada' : 'concluida';
+}
+
+/**
+ * Texto da situação de uma viagem, com as datas.
+ * @param {Viagem} viagem - A viagem.
+ * @returns {string} Ex: "19/10/2026 08:00 – 19/10/2026 15:30" ou "Em andamento desde 19/10/2026 08:00".
+ */
+function descreverPeriodoViagem(viagem) {
+    const fmt = d => d.toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+    if (viagem.estaEmAndamento()) return `Em andamento desde ${fmt(viagem.inicio)}`;
+    const pendentes = viagem.paradas.filter(p => !p.concluidaEm).length;
+    return `${fmt(viagem.inicio)} – ${fmt(viagem.fim)}` + (pendentes > 0 ? ` (encerrada com ${pendentes} parada(s) pendente(s))` : '');
+}
+
+/**
+ * Preenche o diário de viagens de um veículo (`.lista-viagens` do painel). Cada parada mostra o que foi entregue nela
+ * ou, se pendente e o veículo tiver carga, o que será descarregado ao concluí-la. Chamado por `atualizarInformacoesUI`.
+ * @param {CarroBase} v - O veículo exibido.
+ * @param {HTMLElement} el - O elemento `.lista-viagens`.
+ * @returns {void}
+ */
+function renderizarViagensVeiculo(v, el) {
+    if (v.viagens.length === 0) { el.innerHTML = '<p>Nenhuma viagem registrada.</p>'; return; }
+    const kg = n => `${n.toLocaleString('pt-BR', { maximumFractionDigits: 3 })} kg`;
+    const listarItens = itens => itens.map(i => `${escaparHTML(i.descricao)} (${kg(i.peso)})`).join(', ');
+    el.innerHTML = v.viagens.map(viagem => {
+        const motorista = obterMotorista(viagem.motoristaId);
+        const proxima = viagem.estaEmAndamento() ? viagem.obterProximaParada() : null;
+        const paradas = viagem.paradas.map(p => {
+            let detalhe;
+            if (p.concluidaEm) {
+                const entregas = obterEntregasParada(v, p);
+                detalhe = `chegou ${p.concluidaEm.toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' })}` +
+                    (entregas.length > 0 ? ` · entregue: ${listarItens(entregas)}` : '');
+            } else {
+                const aEntregar = v.obterItensParaDestino?.(p.local) || [];
+                detalhe = (viagem.estaEmAndamento() ? 'pendente' : 'não visitada') +
+                    (aEntregar.length > 0 ? ` · a entregar: ${listarItens(aEntregar)}` : '');
+            }
+            return `<li class="${p.concluidaEm ? 'parada-concluida' : ''}${p === proxima ? ' parada-proxima' : ''}">` +
+                `<strong>${escaparHTML(p.local)}</strong> - ${detalhe}</li>`;
+        }).join('');
+        const botoes = viagem.estaEmAndamento() ?
+            (proxima ? `<button type="button" data-acao-viagem="concluir-parada" data-viagem-id="${escaparHTML(viagem.id)}">✅ Chegou em ${escaparHTML(proxima.local)}</button>` : '') +
+            `<button type="button" data-acao-viagem="encerrar" data-viagem-id="${escaparHTML(viagem.id)}" class="btn-secundario">⏹️ Encerrar</button>` :
+            `<button type="button" data-acao-viagem="excluir" data-viagem-id="${escaparHTML(viagem.id)}" class="btn-secundario" title="Excluir o registro">🗑️</button>`;
+        return `<div class="viagem-item viagem-${situacaoViagem(viagem)}">` +
+            `<div class="viagem-cabecalho"><strong>${escaparHTML(viagem.formatarRota())}</strong><br>` +
+            `${escaparHTML(descreverPeriodoViagem(viagem))} · Motorista: ${escaparHTML(motorista?.nome || '-')}</div>` +
+            `<ol class="viagem-paradas">${paradas}</ol>` +
+            `<div class="viagem-botoes">${botoes}</div></div>`;
+    }).join('');
+}
+
+/**
+ * Configura o card de viagens do veículo renderizado: o select de motoristas (pré-selecionado com o do veículo),
+ * o formulário de iniciar viagem e os botões do diário (delegados em `.lista-viagens`).
+ * @param {HTMLElement} container - O conteúdo clonado do template do veículo.
+ * @param {string} veiculoId - ID do veículo.
+ * @returns {void}
+ */
+function configurarViagensVeiculo(container, veiculoId) {
+    const v = garagem[veiculoId]; if (!v) return;
+    const select = container.querySelector('.viagem-motorista');
+    if (select) preencherSelectMotoristas(select, v.motoristaId, tipoDoVeiculo(v));
+    container.querySelector('.form-viagem')?.addEventListener('submit', (e) => handleIniciarViagem(e, veiculoId));
+    container.querySelector('.lista-viagens')?.addEventListener('click', (e) => handleAcaoViagem(e, veiculoId));
+}
+
+/**
+ * Handler do formulário de viagem: registra o início de uma viagem do veículo (numa transação).
+ * As paradas intermediárias vêm separadas por ";"; o destino é a última parada.
+ * @param {Event} e - Evento de submit.
+ * @param {string} veiculoId - ID do veículo.
+ * @returns {Promise<void>}
+ */
+async function handleIniciarViagem(e, veiculoId) {
+    e.preventDefault();
+    const v = garagem[veiculoId]; if (!v) return;
+    const form = e.target;
+    const origem = form.querySelector('.viagem-origem').value.trim();
+    const destino = form.querySelector('.viagem-destino').value.trim();
+    const locais = [...form.querySelector('.viagem-paradas').value.split(';').map(s => s.trim()).filter(Boolean), destino];
+    const motoristaId = form.querySelector('.viagem-motorista')?.value || null;
+    const inicioS = form.querySelector('.viagem-inicio').value; // "aaaa-mm-ddThh:mm" (horário local) ou vazio.
+    const inicio = inicioS ? new Date(inicioS) : new Date();
+
+    if (!origem || !destino) { alert("Origem e Destino são obrigatórios!"); return; }
+    if (isNaN(inicio.getTime())) { alert("Data de início inválida!"); return; }
+    if (inicio > new Date()) { alert("O início da viagem não pode ser no futuro."); return; }
+    const erroMotorista = validarAtribuicaoMotorista(motoristaId, tipoDoVeiculo(v)); // Ex: caminhão exige CNH C ou superior.
+    if (erroMotorista) { alert(erroMotorista); return; }
+
+    const viagem = new Viagem(Viagem.gerarId(), motoristaId, origem, inicio, locais.map(l => new ParadaViagem(ParadaViagem.gerarId(), l)));
+    if (await executarTransacaoGaragem([veiculoId], () => v.iniciarViagem(viagem), { descricao: `Viagem de ${v.modelo}: ${viagem.formatarRota()}` })) {
+        form.reset();
+        const select = form.querySelector('.viagem-motorista');
+        if (select) preencherSelectMotoristas(select, v.motoristaId, tipoDoVeiculo(v));
+        atualizarListaViagens();
+    }
+}
+
+/**
+ * Handler dos botões do diário de viagens (delegado em `.lista-viagens`): chegar à próxima parada (entrega a carga dela),
+ * encerrar a viagem e excluir o registro. Tudo em transação, com "Desfazer" no toast.
+ * @param {MouseEvent} e - Evento de clique.
+ * @param {string} veiculoId - ID do veículo.
+ * @returns {Promise<void>}
+ */
+async function handleAcaoViagem(e, veiculoId) {
+    const btn = e.target.closest('button[data-acao-viagem]'); if (!btn) return;
+    const v = garagem[veiculoId];
+    const viagem = v?.obterViagem(btn.dataset.viagemId); if (!viagem) return;
+    let ok = false;
+    switch (btn.dataset.acaoViagem) {
+        case 'concluir-parada': {
+            const parada = viagem.obterProximaParada(); if (!parada) return;
+            const ultima = parada === viagem.paradas[viagem.paradas.length - 1];
+            ok = await executarTransacaoGaragem([veiculoId], () => v.concluirParada(viagem.id) !== null, {
+                descricao: `${v.modelo} chegou em ${parada.local}${ultima ? ' (fim da viagem)' : ''}`,
+                destrutiva: true // Pode descarregar itens do manifesto.
+            });
+            break;
+        }
+        case 'encerrar': {
+            const pendentes = viagem.paradas.filter(p => !p.concluidaEm).map(p => p.local);
+            if (!confirm(`Encerrar a viagem ${viagem.formatarRota()}?\n\nParadas não visitadas: ${pendentes.join(', ')}. A carga destinada a elas continua a bordo.`)) return;
+            ok = await executarTransacaoGaragem([veiculoId], () => v.encerrarViagem(viagem.id),
+                { descricao: `Viagem de ${v.modelo} encerrada`, destrutiva: true });
+            break;
+        }
+        case 'excluir':
+            if (!confirm(`Excluir o registro da viagem ${viagem.formatarRota()}?\n\nA carga entregue nela não volta para o veículo.`)) return;
+            ok = await executarTransacaoGaragem([veiculoId], () => v.removerViagem(viagem.id),
+                { descricao: `Viagem de ${v.modelo} excluída`, destrutiva: true });
+            break;
+    }
+    if (ok) atualizarListaViagens();
+}
+
+/**
+ * Recria as opções de um select de filtro mantendo a escolha atual (se ela ainda existir).
+ * @param {HTMLSelectElement|null} select - O select (a primeira opção, "Todos", é mantida).
+ * @param {{valor: string, texto: string}[]} opcoes - Opções depois de "Todos".
+ * @returns {void}
+ */
+function preencherFiltroViagens(select, opcoes) {
+    if (!select) return;
+    const atual = select.value;
+    select.innerHTML = `<option value="">Todos</option>` +
+        opcoes.map(o => `<option value="${escaparHTML(o.valor)}">${escaparHTML(o.texto)}</option>`).join('');
+    select.value = opcoes.some(o => o.valor === atual) ? atual : '';
+}
+
+/**
+ * Desenha a lista de viagens de toda a frota (`#viagens-lista`), da mais recente para a mais antiga,
+ * aplicando os filtros da aba (veículo, motorista, situação, local e período de início).
+ * Chamado por `atualizarInterfaceCompleta` e a cada mudança nos filtros.
+ * @returns {void}
+ */
+function atualizarListaViagens() {
+    const lista = document.getElementById('viagens-lista'); if (!lista) return;
+    const veiculos = Object.values(garagem);
+    preencherFiltroViagens(document.getElementById('viagens-filtro-veiculo'),
+        veiculos.map(v => ({ valor: v.id, texto: `${v.modelo}${v.placa ? ` (${v.placa})` : ''}` })));
+    preencherFiltroViagens(document.getElementById('viagens-filtro-motorista'),
+        Object.values(motoristas).sort((a, b) => a.nome.localeCompare(b.nome)).map(m => ({ valor: m.id, texto: m.nome })));
+
+    const valor = id => document.getElementById(id)?.value || '';
+    const filtroVeiculo = valor('viagens-filtro-veiculo'), filtroMotorista = valor('viagens-filtro-motorista');
+    const filtroStatus = valor('viagens-filtro-status'), filtroLocal = normalizarTextoPlano(valor('viagens-filtro-local'));
+    const de = valor('viagens-filtro-de') ? new Date(`${valor('viagens-filtro-de')}T00:00`) : null;
+    const ate = valor('viagens-filtro-ate') ? new Date(`${valor('viagens-filtro-ate')}T23:59:59.999`) : null;
+
+    const linhas = veiculos
+        .filter(v => !filtroVeiculo || v.id === filtroVeiculo)
+        .flatMap(v => v.viagens.map(viagem => ({ v, viagem })))
+        .filter(({ viagem }) =>
+            (!filtroMotorista || viagem.motoristaId === filtroMotorista) &&
+            (!filtroStatus || situacaoViagem(viagem) === filtroStatus) &&
+            (!filtroLocal || [viagem.origem, ...viagem.paradas.map(p => p.local)].some(l => normalizarTextoPlano(l).includes(filtroLocal))) &&
+            (!de || viagem.inicio >= de) && (!ate || viagem.inicio <= ate))
+        .sort((a, b) => b.viagem.inicio - a.viagem.inicio);
+
+    const kg = n => `${n.toLocaleString('pt-BR', { maximumFractionDigits: 3 })} kg`;
+    const pesoEntregue = ({ v, viagem }) => viagem.paradas.reduce((soma, p) => soma + obterEntregasParada(v, p).reduce((s, e) => s + e.peso, 0), 0);
+    const total = linhas.reduce((soma, l) => soma + pesoEntregue(l), 0);
+    const resumo = document.getElementById('viagens-resumo');
+    if (resumo) {
+        resumo.textContent = `${linhas.length} viagem(ns)` +
+            ` · ${linhas.filter(l => l.viagem.estaEmAndamento()).length} em andamento · ${kg(total)} entregue(s)`;
+    }
+
+    const rotulos = { andamento: 'Em andamento', concluida: 'Concluída', encerrada: 'Encerrada' };
+    lista.innerHTML = linhas.length === 0 ? '<p>Nenhuma viagem encontrada.</p>' :
+        `<table class="viagens-tabela"><thead><tr><th>Início</th><th>Fim</th><th>Veículo</th><th>Motorista</th><th>Rota</th>` +
+        `<th>Paradas</th><th>Entregue</th><th>Situação</th><th></th></tr></thead><tbody>` +
+        linhas.map(l => {
+            const { v, viagem } = l;
+            const fmt = d => d ? d.toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' }) : '-';
+            const concluidas = viagem.paradas.filter(p => p.concluidaEm).length;
+            return `<tr class="viagem-${situacaoViagem(viagem)}">` +
+                `<td>${fmt(viagem.inicio)}</td><td>${fmt(viagem.fim)}</td>` +
+                `<td>${escaparHTML(v.modelo)}${v.placa ? ` (${escaparHTML(v.placa)})` : ''}</td>` +
+                `<td>${escaparHTML(obterMotorista(viagem.motoristaId)?.nome || '-')}</td>` +
+                `<td>${escaparHTML(viagem.formatarRota())}</td><td>${concluidas}/${viagem.paradas.length}</td>` +
+                `<td>${pesoEntregue(l) > 0 ? kg(pesoEntregue(l)) : '-'}</td><td>${rotulos[situacaoViagem(viagem)]}</td>` +
+                `<td><button type="button" data-veiculo-id="${escaparHTML(v.id)}" title="Abrir o veículo">🚚 Ver</button></td></tr>`;
+        }).join('') +
+        '</tbody></table>';
+}
+
+/**
+ * Configura a aba de viagens: os filtros redesenham a lista e o botão "Ver" abre o veículo da viagem.
+ * @returns {void}
+ */
+function setupListenersViagens() {
+    ['viagens-filtro-veiculo', 'viagens-filtro-motorista', 'viagens-filtro-status', 'viagens-filtro-local', 'viagens-filtro-de', 'viagens-filtro-ate']
+        .forEach(id => document.getElementById(id)?.addEventListener('input', atualizarListaViagens));
+    document.getElementById('viagens-lista')?.addEventListener('click', (e) => {
+        const id = e.target.closest('button[data-veiculo-id]')?.dataset.veiculoId;
+        if (!id || !garagem[id]) return;
+        navegar(rotaVeiculo(id));
+    });
+}
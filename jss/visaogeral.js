@@ -0,0 +1,278 @@
+
+// ==================================================
+//      VISÃO GERAL DA FROTA (tabela com ações em lote)
+// ==================================================
+
+/**
+ * Modo de exibição da seção "Ver Garagem": 'cartao' (um veículo por vez, em `#veiculo-display-area`)
+ * ou 'tabela' (os veículos do menu, com os mesmos filtros, numa tabela ordenável com ações em lote).
+ * @type {'cartao'|'tabela'}
+ */
+let modoVisaoGaragem = 'cartao';
+
+/**
+ * Ordenação da tabela. `coluna` vazia = a ordem do menu de veículos (ver `filtrarVeiculosMenu`).
+ * @type {{coluna: string, crescente: boolean}}
+ */
+let ordenacaoVisaoGeral = { coluna: '', crescente: true };
+
+/**
+ * IDs dos veículos marcados na tabela: o alvo das ações em lote.
+ * @type {Set<string>}
+ */
+const selecaoVisaoGeral = new Set();
+
+/**
+ * Colunas ordenáveis da tabela: rótulo do cabeçalho e valor comparado (`null` = sem valor, sempre no fim).
+ * @const {Object.<string, {rotulo: string, valor: function(CarroBase): (string|number|null)}>}
+ */
+const COLUNAS_VISAO_GERAL = {
+    modelo: { rotulo: 'Modelo', valor: v => v.modelo },
+    placa: { rotulo: 'Placa', valor: v => v.placa || null },
+    ano: { rotulo: 'Ano', valor: v => v.ano },
+    tipo: { rotulo: 'Tipo', valor: v => tipoDoVeiculo(v)?.nome || null },
+    ligado: { rotulo: 'Motor', valor: v => v.ligado ? 1 : 0 },
+    velocidade: { rotulo: 'Velocidade', valor: v => v.velocidade },
+    carga: { rotulo: 'Carga', valor: v => v instanceof Caminhao ? v.cargaAtual : null },
+    cnh: { rotulo: 'CNH vence', valor: v => obterMotorista(v.motoristaId)?.dataVencimentoCNH?.getTime() ?? null },
+    proxima: { rotulo: 'Próximo agendamento', valor: v => proximoServicoVeiculo(v)?.getTime() ?? null },
+    gasto: { rotulo: 'Gasto total', valor: v => gastoTotalVeiculo(v) }
+};
+
+/**
+ * Total gasto em manutenção pelo veículo: o custo efetivo dos serviços concluídos (como no painel de custos).
+ * @param {CarroBase} v - O veículo.
+ * @returns {number}
+ */
+function gastoTotalVeiculo(v) {
+    return v.historicoManutencao
+        .filter(m => m.status === STATUS_MANUTENCAO.CONCLUIDA)
+        .reduce((soma, m) => soma + m.obterCustoEfetivo(), 0);
+}
+
+/**
+ * Alterna entre o cartão de um veículo e a tabela da frota.
+ * @param {'cartao'|'tabela'} modo - O modo desejado.
+ * @returns {void}
+ */
+function definirModoVisaoGaragem(modo) {
+    modoVisaoGaragem = modo === 'tabela' ? 'tabela' : 'cartao';
+    document.getElementById('secao-garagem')?.classList.toggle('modo-tabela', modoVisaoGaragem === 'tabela');
+    document.querySelectorAll('#modo-visao-garagem button[data-modo]').forEach(b => {
+        const ativo = b.dataset.modo === modoVisaoGaragem;
+        b.classList.toggle('modo-ativo', ativo);
+        b.setAttribute('aria-pressed', String(ativo));
+    });
+    atualizarVisaoGeral();
+    sincronizarRota(); // #/visao-geral ou #/garagem/:id.
+}
+
+/**
+ * Redesenha a tabela da frota (só no modo 'tabela'). Mostra os veículos que passam pelos filtros do menu;
+ * os marcados que saíram da lista são desmarcados, para uma ação em lote nunca atingir um veículo escondido.
+ * É um retrato do momento: velocidade e motor não acompanham a simulação até o próximo redesenho.
+ * @returns {void}
+ */
+function atualizarVisaoGeral() {
+    const area = document.getElementById('visao-geral-tabela');
+    if (!area || modoVisaoGaragem !== 'tabela') return;
+
+    const veiculos = filtrarVeiculosMenu();
+    const visiveis = new Set(veiculos.map(v => v.id));
+    [...selecaoVisaoGeral].forEach(id => { if (!visiveis.has(id)) selecaoVisaoGeral.delete(id); });
+
+    const coluna = COLUNAS_VISAO_GERAL[ordenacaoVisaoGeral.coluna];
+    if (coluna) {
+        const sentido = ordenacaoVisaoGeral.crescente ? 1 : -1;
+        veiculos.sort((a, b) => {
+            const va = coluna.valor(a), vb = coluna.valor(b);
+            if (va === null || vb === null) return (va === null) - (vb === null); // Sem valor no fim, nos dois sentidos.
+            const cmp = typeof va === 'string' ? va.localeCompare(vb, 'pt-BR') : va - vb;
+            return cmp * sentido || a.modelo.localeCompare(b.modelo, 'pt-BR');
+        });
+    }
+    atualizarBarraSelecaoVisaoGeral();
+
+    if (veiculos.length === 0) {
+        area.innerHTML = Object.keys(garagem).length === 0 ? '<p>Garagem vazia.</p>' : '<p>Nenhum veículo corresponde aos filtros.</p>';
+        return;
+    }
+
+    const kg = n => `${n.toLocaleString('pt-BR', { maximumFractionDigits: 3 })} kg`;
+    const agora = new Date();
+    const todos = veiculos.every(v => selecaoVisaoGeral.has(v.id));
+    const cabecalho = Object.entries(COLUNAS_VISAO_GERAL).map(([chave, c]) => {
+        const ativa = ordenacaoVisaoGeral.coluna === chave;
+        const seta = ativa ? (ordenacaoVisaoGeral.crescente ? ' ▲' : ' ▼') : '';
+        const ariaSort = ativa ? (ordenacaoVisaoGeral.crescente ? 'ascending' : 'descending') : 'none';
+        return `<th aria-sort="${ariaSort}"><button type="button" data-coluna="${chave}" title="Ordenar por ${escaparHTML(c.rotulo)}">${escaparHTML(c.rotulo)}${seta}</button></th>`;
+    }).join('');
+
+    area.innerHTML = `<table class="visao-geral-tabela"><thead><tr>` +
+        `<th><input type="checkbox" class="visao-geral-todos" aria-label="Selecionar todos" ${todos ? 'checked' : ''}></th><th></th>${cabecalho}` +
+        `</tr></thead><tbody>` +
+        veiculos.map(v => {
+            const id = escaparHTML(v.id);
+            const motorista = obterMotorista(v.motoristaId);
+            const cnh = !motorista ? '-' : !motorista.dataVencimentoCNH ? 'Sem vencimento' :
+                `<span class="cnh-${situacaoCNHVeiculo(v)}">${motorista.dataVencimentoCNH.toLocaleDateString('pt-BR', { timeZone: 'UTC' })}</span>`;
+            const proxima = proximoServicoVeiculo(v);
+            const carga = v instanceof Caminhao ?
+                `<span class="${v.obterExcessoCarga() > 0 ? 'carga-sobrecarga' : ''}">${kg(v.cargaAtual)} / ${kg(v.capacidadeCarga)}</span>` : '-';
+            return `<tr class="${selecaoVisaoGeral.has(v.id) ? 'linha-selecionada' : ''}">` +
+                `<td><input type="checkbox" class="visao-geral-selecionar" data-veiculo-id="${id}" aria-label="Selecionar ${escaparHTML(v.modelo)}" ${selecaoVisaoGeral.has(v.id) ? 'checked' : ''}></td>` +
+                `<td><img class="visao-geral-miniatura" src="${escaparHTML(v.obterMiniaturaSrc())}" alt=""></td>` +
+                `<td><button type="button" class="visao-geral-abrir" data-veiculo-id="${id}" title="Abrir o veículo">${escaparHTML(v.modelo)}</button></td>` +
+                `<td>${escaparHTML(v.placa || '-')}</td><td>${v.ano || '-'}</td><td>${escaparHTML(tipoDoVeiculo(v)?.nome || '-')}</td>` +
+                `<td>${v.ligado ? '🟢 Ligado' : '⚫ Desligado'}</td><td>${Math.round(v.velocidade)} km/h</td><td>${carga}</td><td>${cnh}</td>` +
+                `<td>${proxima ? `<span class="${proxima < agora ? 'agendamento-atrasado' : ''}">${proxima.toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' })}</span>` : '-'}</td>` +
+                `<td>${formatarMoedaPainel(gastoTotalVeiculo(v))}</td></tr>`;
+        }).join('') +
+        '</tbody></table>';
+}
+
+/**
+ * Atualiza o contador da seleção e habilita/desabilita os botões das ações em lote.
+ * @returns {void}
+ */
+function atualizarBarraSelecaoVisaoGeral() {
+    const n = selecaoVisaoGeral.size;
+    const contador = document.getElementById('visao-geral-selecao');
+    if (contador) contador.textContent = n === 0 ? 'Nenhum veículo selecionado' : `${n} veículo(s) selecionado(s)`;
+    document.querySelectorAll('#visao-geral-acoes button').forEach(b => { b.disabled = n === 0; });
+}
+
+/**
+ * Handler de cliques na tabela (delegado em `#visao-geral-tabela`): cabeçalho ordena (de novo na mesma coluna
+ * inverte o sentido) e o modelo abre o veículo no modo cartão.
+ * @param {MouseEvent} e - Evento de clique.
+ * @returns {void}
+ */
+function handleCliqueVisaoGeral(e) {
+    const cabecalho = e.target.closest('button[data-coluna]');
+    if (cabecalho) {
+        const coluna = cabecalho.dataset.coluna;
+        ordenacaoVisaoGeral = { coluna, crescente: ordenacaoVisaoGeral.coluna === coluna ? !ordenacaoVisaoGeral.crescente : true };
+        atualizarVisaoGeral();
+        return;
+    }
+    const id = e.target.closest('button.visao-geral-abrir')?.dataset.veiculoId;
+    if (!id || !garagem[id]) return;
+    navegar(rotaVeiculo(id)); // Rota de veículo: volta ao modo cartão.
+}
+
+/**
+ * Handler das caixas de seleção (delegado em `#visao-geral-tabela`): uma linha ou todas as visíveis.
+ * @param {Event} e - Evento de change.
+ * @returns {void}
+ */
+function handleSelecaoVisaoGeral(e) {
+    const caixa = e.target;
+    if (caixa.classList.contains('visao-geral-todos')) {
+        filtrarVeiculosMenu().forEach(v => caixa.checked ? selecaoVisaoGeral.add(v.id) : selecaoVisaoGeral.delete(v.id));
+    } else if (caixa.classList.contains('visao-geral-selecionar')) {
+        if (caixa.checked) selecaoVisaoGeral.add(caixa.dataset.veiculoId);
+        else selecaoVisaoGeral.delete(caixa.dataset.veiculoId);
+    } else return;
+    atualizarVisaoGeral();
+}
+
+/**
+ * IDs selecionados que ainda existem na garagem.
+ * @returns {string[]}
+ */
+function idsSelecionadosVisaoGeral() {
+    return [...selecaoVisaoGeral].filter(id => garagem[id]);
+}
+
+/**
+ * Exclui os veículos selecionados, numa única transação (um "Desfazer" traz todos de volta).
+ * @returns {Promise<void>}
+ */
+async function handleExcluirSelecionados() {
+    const ids = idsSelecionadosVisaoGeral(); if (ids.length === 0) return;
+    const nomes = ids.map(id => `- ${garagem[id].modelo} (${garagem[id].placa || 'S/P'})`).join('\n');
+    if (!confirm(`EXCLUIR ${ids.length} veículo(s)?\n\n${nomes}\n\nTODOS OS DADOS deles serão removidos.\n\nVocê poderá desfazer logo em seguida (botão "Desfazer" ou Ctrl+Z).`)) return;
+    try {
+        const excluiu = await executarTransacaoGaragem(ids, () => { ids.forEach(id => delete garagem[id]); },
+            { descricao: `${ids.length} veículo(s) excluído(s)`, destrutiva: true });
+        if (excluiu) {
+            selecaoVisaoGeral.clear();
+            atualizarInterfaceCompleta();
+        }
+    } catch (e) {
+        alert("Erro ao tentar excluir os veículos.");
+        console.error("Erro em handleExcluirSelecionados:", e);
+    }
+}
+
+/**
+ * Exporta os veículos selecionados no formato do backup (importável pela seção "Backup dos Dados").
+ * @returns {Promise<void>}
+ */
+async function handleExportarSelecionados() {
+    const ids = idsSelecionadosVisaoGeral(); if (ids.length === 0) return;
+    try {
+        const backup = await montarBackupGaragem(ids);
+        const data = backup.exportadoEm.split('T')[0];
+        baixarArquivo(JSON.stringify(backup, null, 2), `garagem-selecao-${data}.json`, 'application/json');
+        console.log(`Seleção exportada com ${ids.length} veículo(s).`);
+    } catch (e) {
+        console.error("Erro ao exportar a seleção:", e);
+        alert("Erro ao gerar o arquivo com os veículos selecionados.");
+    }
+}
+
+/**
+ * Handler do formulário de agendamento em lote: o mesmo serviço (data, tipo, custo) em todos os selecionados,
+ * numa única transação. Se algum veículo recusar, nenhum fica com o serviço.
+ * @param {Event} event - Evento de submit.
+ * @returns {Promise<void>}
+ */
+async function handleAgendarSelecionados(event) {
+    event.preventDefault();
+    const ids = idsSelecionadosVisaoGeral();
+    if (ids.length === 0) { alert('Selecione ao menos um veículo na tabela.'); return; }
+    const form = event.target;
+    const dS = form.querySelector('#visao-geral-data')?.value, hS = form.querySelector('#visao-geral-hora')?.value || '00:00';
+    const tS = form.querySelector('#visao-geral-tipo')?.value.trim(), cS = form.querySelector('#visao-geral-custo')?.value;
+    if (!dS || !tS) { alert('Data e Tipo são obrigatórios para agendar/adicionar manutenção!'); return; }
+    const dt = new Date(`${dS}T${hS}:00`);
+    if (isNaN(dt.getTime())) { alert('Data/Hora inválida!'); return; }
+    if (!new Manutencao(dt, tS, cS).validar()) { alert('Dados da manutenção inválidos. Verifique data e tipo.'); return; }
+
+    try {
+        const agendou = await executarTransacaoGaragem(ids, () => {
+            ids.forEach(id => {
+                const v = garagem[id], m = new Manutencao(dt, tS, cS); // Um registro (ID) por veículo.
+                if (dt <= new Date()) m.odometro = Math.round(v.odometro); // Serviço já feito: km atual, como no formulário do veículo.
+                if (!v.adicionarManutencao(m)) throw new Error(`Manutenção recusada por ${v.modelo}.`);
+            });
+        }, { descricao: `Manutenção "${tS}" em ${ids.length} veículo(s)` });
+        if (!agendou) return;
+        mostrarToast(`"${tS}" agendado em ${ids.length} veículo(s).`);
+        form.reset();
+        await verificarPlanosManutencao(ids); // O serviço pode atender (ou mover) agendamentos de planos.
+        atualizarVisaoGeral();
+    } catch (e) {
+        alert("Erro ao agendar a manutenção nos veículos selecionados.");
+        console.error("Erro em handleAgendarSelecionados:", e);
+    }
+}
+
+/**
+ * Configura a visão geral: os botões de modo, a tabela (ordenar, abrir, selecionar) e as ações em lote.
+ * @returns {void}
+ */
+function setupListenersVisaoGeral() {
+    document.querySelectorAll('#modo-visao-garagem button[data-modo]').forEach(b => {
+        b.addEventListener('click', () => definirModoVisaoGaragem(b.dataset.modo));
+    });
+    const tabela = document.getElementById('visao-geral-tabela');
+    tabela?.addEventListener('click', handleCliqueVisaoGeral);
+    tabela?.addEventListener('change', handleSelecaoVisaoGeral);
+    document.getElementById('visao-geral-excluir')?.addEventListener('click', handleExcluirSelecionados);
+    document.getElementById('visao-geral-exportar')?.addEventListener('click', handleExportarSelecionados);
+    document.getElementById('visao-geral-agendar')?.addEventListener('submit', handleAgendarSelecionados);
+    atualizarBarraSelecaoVisaoGeral();
+}